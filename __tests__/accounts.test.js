@@ -0,0 +1,242 @@
+const {
+  computeAccountStats,
+  computeTraderStats,
+  getExcludedAccountIds,
+  filterIncludedByTrader,
+  estimateStartingBalance,
+  buildAccountRows,
+  mergeAccountRows,
+  validateAccountGroups,
+  serializeAccount,
+} = require('../utils/accounts');
+
+const TRADES = [
+  { accountId: '101', profit: 200 },
+  { accountId: '101', profit: -50 },
+  { accountId: '102', profit: -300 },
+  { accountId: null, profit: 100 },
+];
+
+describe('computeAccountStats', () => {
+  test('calculates stats per account and skips trades without an account', () => {
+    const stats = computeAccountStats(TRADES);
+
+    expect([...stats.keys()].sort()).toEqual(['101', '102']);
+    expect(stats.get('101').totalProfit).toBe(150);
+    expect(stats.get('101').totalTrades).toBe(2);
+    expect(stats.get('102').totalProfit).toBe(-300);
+  });
+
+  test('normalizes numeric account IDs to strings', () => {
+    const stats = computeAccountStats([{ accountId: 7, profit: 10 }]);
+    expect(stats.has('7')).toBe(true);
+  });
+});
+
+describe('getExcludedAccountIds', () => {
+  test('only returns accounts explicitly excluded', () => {
+    const excluded = getExcludedAccountIds([
+      { account_id: '101', include_in_leaderboard: true },
+      { account_id: 102, include_in_leaderboard: false },
+      { account_id: '103' },
+    ]);
+    expect([...excluded]).toEqual(['102']);
+  });
+});
+
+describe('filterIncludedByTrader', () => {
+  test('drops each trader\'s excluded accounts only', () => {
+    const tradesByTrader = new Map([['t1', TRADES], ['t2', TRADES]]);
+    const included = filterIncludedByTrader(tradesByTrader, [
+      { trader_id: 't1', account_id: '102', include_in_leaderboard: false },
+    ]);
+
+    expect(included.get('t1').map(t => t.profit)).toEqual([200, -50, 100]);
+    expect(included.get('t2')).toHaveLength(4);
+  });
+});
+
+describe('computeTraderStats', () => {
+  test('counts every trade when nothing is excluded', () => {
+    const stats = computeTraderStats(TRADES, []);
+    expect(stats.totalTrades).toBe(4);
+    expect(stats.totalProfit).toBe(-50);
+  });
+
+  test('drops excluded accounts but keeps trades without an account', () => {
+    const stats = computeTraderStats(TRADES, [{ account_id: '102', include_in_leaderboard: false }]);
+    expect(stats.totalTrades).toBe(3);
+    expect(stats.totalProfit).toBe(250);
+  });
+
+  test('applies platform overrides when every account is included', () => {
+    const stats = computeTraderStats(TRADES, [], { totalProfit: 5000, winRate: 70, verifiedPayouts: 2 });
+    expect(stats.totalProfit).toBe(5000);
+    expect(stats.winRate).toBe(70);
+    expect(stats.verifiedPayouts).toBe(2);
+  });
+
+  test('ignores account-wide overrides once an account is excluded', () => {
+    const stats = computeTraderStats(
+      TRADES,
+      [{ account_id: '102', include_in_leaderboard: false }],
+      { totalProfit: 5000, winRate: 70, verifiedPayouts: 2 }
+    );
+    expect(stats.totalProfit).toBe(250);
+    expect(stats.winRate).not.toBe(70);
+    expect(stats.verifiedPayouts).toBe(2);
+  });
+
+  test('counts payouts from included accounts only', () => {
+    const payouts = [
+      { accountId: '101', amount: 1000 },
+      { accountId: '102', amount: 2500 },
+      { accountId: null, amount: 500 },
+    ];
+    const stats = computeTraderStats(TRADES, [{ account_id: '102', include_in_leaderboard: false }], {}, payouts);
+    expect(stats.verifiedPayouts).toBe(2);
+    expect(stats.totalPayouts).toBe(1500);
+  });
+});
+
+describe('buildAccountRows', () => {
+  const now = new Date('2025-03-12T15:00:00.000Z');
+
+  test('splits accounts returned by the platform from history-only accounts', () => {
+    const stats = computeAccountStats(TRADES);
+    const { seen, statsOnly } = buildAccountRows('trader-1', 'tradovate', [
+      { id: 101, name: 'APEX-101', displayName: 'Eval 1', accountType: 'Evaluation', balance: '50150', active: true },
+    ], stats, now);
+
+    expect(seen).toHaveLength(1);
+    expect(seen[0]).toMatchObject({
+      trader_id: 'trader-1',
+      source: 'tradovate',
+      account_id: '101',
+      name: 'APEX-101',
+      display_name: 'Eval 1',
+      account_type: 'Evaluation',
+      balance: 50150,
+      active: true,
+      total_profit: 150,
+      total_trades: 2,
+      last_seen_at: now.toISOString(),
+    });
+
+    expect(statsOnly).toHaveLength(1);
+    expect(statsOnly[0].account_id).toBe('102');
+    expect(statsOnly[0].total_profit).toBe(-300);
+    expect(statsOnly[0]).not.toHaveProperty('name');
+    expect(statsOnly[0]).not.toHaveProperty('last_seen_at');
+  });
+
+  test('never sets include_in_leaderboard', () => {
+    const { seen, statsOnly } = buildAccountRows('trader-1', 'tradovate', [{ id: 101 }], computeAccountStats(TRADES), now);
+    for (const row of [...seen, ...statsOnly]) {
+      expect(row).not.toHaveProperty('include_in_leaderboard');
+    }
+  });
+
+  test('gives accounts without trades zeroed stats', () => {
+    const { seen } = buildAccountRows('trader-1', 'tradovate', [{ id: 999, name: 'NEW' }], new Map(), now);
+    expect(seen[0].total_trades).toBe(0);
+    expect(seen[0].total_profit).toBe(0);
+    expect(seen[0].display_name).toBe('NEW');
+  });
+});
+
+describe('mergeAccountRows', () => {
+  test('applies new rows while keeping the trader\'s leaderboard choice', () => {
+    const stored = [
+      { source: 'tradovate', account_id: '101', name: 'APEX-101', include_in_leaderboard: false, balance: 50000, total_trades: 1 },
+      { source: 'tradovate', account_id: '102', name: 'APEX-102', include_in_leaderboard: true, total_trades: 5 },
+    ];
+    const merged = mergeAccountRows(stored, {
+      seen: [{ source: 'tradovate', account_id: '101', name: 'APEX-101', balance: 50150, total_trades: 2 }],
+      statsOnly: [
+        { source: 'tradovate', account_id: '102', total_trades: 6 },
+        { source: 'tradovate', account_id: '103', total_trades: 1 },
+      ],
+    });
+
+    expect(merged).toHaveLength(3);
+    expect(merged[0]).toMatchObject({ include_in_leaderboard: false, balance: 50150, total_trades: 2 });
+    expect(merged[1]).toMatchObject({ name: 'APEX-102', include_in_leaderboard: true, total_trades: 6 });
+    expect(getExcludedAccountIds(merged)).toEqual(new Set(['101']));
+  });
+});
+
+describe('serializeAccount', () => {
+  const row = {
+    account_id: '101',
+    name: 'APEX-101',
+    display_name: 'Eval 1',
+    source: 'tradovate',
+    account_type: 'Evaluation',
+    balance: '50150.00',
+    active: true,
+    include_in_leaderboard: false,
+    total_profit: '150.00',
+    win_rate: '50.00',
+    total_trades: 2,
+    last_seen_at: '2025-03-12T15:00:00.000Z',
+  };
+
+  test('hides platform identifiers from the public', () => {
+    const result = serializeAccount(row, false);
+    expect(result.displayName).toBe('Eval 1');
+    expect(result.balance).toBe(50150);
+    expect(result.includedInLeaderboard).toBe(false);
+    expect(result.stats.totalProfit).toBe(150);
+    expect(result).not.toHaveProperty('accountId');
+    expect(result).not.toHaveProperty('name');
+  });
+
+  test('includes platform identifiers for the owner', () => {
+    const result = serializeAccount(row, true);
+    expect(result.accountId).toBe('101');
+    expect(result.name).toBe('APEX-101');
+    expect(result.accountGroup).toBeNull();
+  });
+});
+
+describe('validateAccountGroups', () => {
+  const rows = [
+    { id: 'a', source: 'tradovate', account_id: '101', account_group: null },
+    { id: 'b', source: 'tradesyncer', account_id: 'TS-9', account_group: null },
+    { id: 'c', source: 'tradesyncer', account_id: 'TS-10', account_group: 'tradovate:102' },
+    { id: 'd', source: 'tradovate', account_id: '102', account_group: 'tradovate:102' },
+  ];
+  const tradovate = { source: 'tradovate', accountId: 101 };
+  const copy = { source: 'tradesyncer', accountId: 'TS-9' };
+
+  test('assigns each group its first account and unmaps the rest', () => {
+    const { valid, assignments } = validateAccountGroups([[tradovate, copy]], rows);
+    expect(valid).toBe(true);
+    expect([...assignments]).toEqual([['a', 'tradovate:101'], ['b', 'tradovate:101'], ['c', null], ['d', null]]);
+  });
+
+  test('rejects malformed groups, unknown accounts and overlaps', () => {
+    expect(validateAccountGroups('x', rows).valid).toBe(false);
+    expect(validateAccountGroups([[tradovate]], rows).error).toMatch(/at least two accounts/);
+    expect(validateAccountGroups([[tradovate, { source: 'tradesyncer', accountId: 'nope' }]], rows).error).toBe('Unknown account in groups');
+    expect(validateAccountGroups([[tradovate, copy], [copy, { source: 'tradovate', accountId: '102' }]], rows).error)
+      .toBe('An account can only be in one group');
+    expect(validateAccountGroups([[tradovate, { source: 'tradovate', accountId: '102' }]], rows).error)
+      .toBe('A group can only hold one account per connection');
+  });
+});
+
+describe('estimateStartingBalance', () => {
+  test('backs realized P&L out of included balances and adds payouts back', () => {
+    const rows = [
+      { account_id: '101', balance: '50150', include_in_leaderboard: true },
+      { account_id: '102', balance: '49700', include_in_leaderboard: false },
+    ];
+    expect(estimateStartingBalance(rows, [{ profit: 150 }, { profit: 1000 }], 1000)).toBe(50000);
+  });
+
+  test('returns 0 without balances', () => {
+    expect(estimateStartingBalance([], [{ profit: 150 }])).toBe(0);
+  });
+});
@@ -0,0 +1,159 @@
+const {
+  registerAdapter,
+  getConnection,
+  hasCapability,
+  readCredentials,
+  buildStoredColumns,
+  credentialsFromTrader,
+  describeConnection,
+} = require('../adapters/registry');
+const { getAdapter, getConnectionTypes, PROP_FIRMS, getSupportedFirms } = require('../adapters');
+const { sanitizeString } = require('../middleware/inputSanitizer');
+
+const encrypt = value => `enc(${value})`;
+const decrypt = value => value.replace(/^enc\((.*)\)$/, '$1');
+
+class ExampleAdapter {}
+ExampleAdapter.connection = {
+  type: 'example',
+  displayName: 'Example',
+  credentials: [
+    { name: 'login', field: 'exampleLogin', label: 'Example login', required: true },
+    { name: 'password', field: 'examplePassword', label: 'Example password', secret: true, raw: true },
+    { name: 'apiKey', field: 'exampleApiKey', label: 'Example API key', secret: true },
+  ],
+  stored: [
+    { column: 'example_login', credential: 'login' },
+    { column: 'example_api_key', credential: 'apiKey', encrypted: true },
+    { column: 'example_token', auth: 'token', encrypted: true },
+    { column: 'example_expires_at', auth: 'expiresAt' },
+  ],
+  capabilities: { payouts: true },
+  propFirms: ['apex'],
+};
+
+describe('registerAdapter', () => {
+  const example = registerAdapter(ExampleAdapter);
+
+  test('registers an instance with normalized capabilities', () => {
+    expect(getConnection('example')).toBe(example);
+    expect(example.adapter).toBeInstanceOf(ExampleAdapter);
+    expect(example.capabilities).toEqual({ tokenRenewal: false, payouts: true, streaming: false });
+    expect(hasCapability('example', 'payouts')).toBe(true);
+    expect(hasCapability('example', 'streaming')).toBe(false);
+    expect(hasCapability('missing', 'payouts')).toBe(false);
+  });
+
+  test('rejects duplicates, "none" and adapters without a description', () => {
+    expect(() => registerAdapter(ExampleAdapter)).toThrow(/already registered/);
+    class NoneAdapter {}
+    NoneAdapter.connection = { type: 'none' };
+    expect(() => registerAdapter(NoneAdapter)).toThrow(/already registered/);
+    expect(() => registerAdapter(class Bare {})).toThrow(/no connection description/);
+  });
+});
+
+describe('readCredentials', () => {
+  const connection = getConnection('example');
+
+  test('reads flat body fields, cleaning all but raw ones', () => {
+    const { credentials } = readCredentials(connection, {
+      exampleLogin: '  trader1 ',
+      examplePassword: ' pass word ',
+    }, sanitizeString);
+
+    expect(credentials).toEqual({ login: 'trader1', password: ' pass word ', apiKey: '' });
+  });
+
+  test('prefers a nested credentials object', () => {
+    const { credentials } = readCredentials(connection, {
+      exampleLogin: 'flat',
+      credentials: { login: 'nested', apiKey: 'key' },
+    }, sanitizeString);
+
+    expect(credentials.login).toBe('nested');
+    expect(credentials.apiKey).toBe('key');
+  });
+
+  test('reports missing required fields and non-string values', () => {
+    expect(readCredentials(connection, {}, sanitizeString)).toEqual({ error: 'Example login is required' });
+    expect(readCredentials(connection, { exampleLogin: ['x'] }, sanitizeString)).toEqual({ error: 'Example login must be a string' });
+  });
+});
+
+describe('buildStoredColumns / credentialsFromTrader', () => {
+  const connection = getConnection('example');
+
+  test('stores mapped credentials and auth results, encrypting secrets and never the password', () => {
+    const columns = buildStoredColumns(connection, { login: 'trader1', password: 'pw', apiKey: 'key' }, { token: 'tok' }, encrypt);
+
+    expect(columns).toEqual({
+      example_login: 'trader1',
+      example_api_key: 'enc(key)',
+      example_token: 'enc(tok)',
+      example_expires_at: null,
+    });
+  });
+
+  test('leaves out empty credentials', () => {
+    const columns = buildStoredColumns(connection, { login: 'trader1', password: '', apiKey: '' }, {}, encrypt);
+    expect(columns).not.toHaveProperty('example_api_key');
+  });
+
+  test('rebuilds stored credentials from a traders row', () => {
+    expect(credentialsFromTrader(connection, { example_login: 'trader1', example_api_key: 'enc(key)' }, decrypt))
+      .toEqual({ login: 'trader1', apiKey: 'key' });
+    expect(credentialsFromTrader(connection, {}, decrypt)).toEqual({ login: '', apiKey: '' });
+  });
+});
+
+describe('describeConnection', () => {
+  test('lists fields and capabilities without storage details', () => {
+    const description = describeConnection(getConnection('example'));
+    expect(description.credentials[1]).toEqual({
+      name: 'password', field: 'examplePassword', label: 'Example password', required: false, secret: true,
+    });
+    expect(description).not.toHaveProperty('stored');
+    expect(description).not.toHaveProperty('adapter');
+  });
+});
+
+describe('built-in adapters', () => {
+  test('register Tradovate and TradeSyncer', () => {
+    expect(getConnectionTypes()).toEqual(expect.arrayContaining(['tradovate', 'tradesyncer']));
+    expect(getConnection('tradovate').capabilities).toEqual({ tokenRenewal: true, payouts: true, streaming: true });
+    expect(getAdapter('tradesyncer')).toBe(getConnection('tradesyncer').adapter);
+    expect(() => getAdapter('binance')).toThrow(/Unknown connection type/);
+  });
+
+  test('derive prop firm connections from the adapters', () => {
+    expect(PROP_FIRMS.apex.connections).toEqual(['tradovate', 'tradesyncer', 'import']);
+    expect(getSupportedFirms().find(f => f.key === 'other')).toEqual({
+      key: 'other', display: 'Other', connections: ['tradovate', 'tradesyncer', 'import'],
+    });
+  });
+
+  test('register statement imports as self-reported, after the platforms', () => {
+    const types = getConnectionTypes();
+    expect(types.indexOf('import')).toBeGreaterThan(types.indexOf('tradesyncer'));
+    expect(describeConnection(getConnection('import'))).toMatchObject({ type: 'import', credentials: [], selfReported: true });
+    expect(getConnection('tradovate').selfReported).toBe(false);
+  });
+
+  test('Tradovate stores the access token, never the password', () => {
+    const columns = buildStoredColumns(
+      getConnection('tradovate'),
+      { username: 'trader1', password: 'pw', clientId: '', secretKey: 'sk' },
+      { accessToken: 'tok', expirationTime: '2026-03-10T13:00:00Z', environment: 'both' },
+      encrypt
+    );
+
+    expect(columns).toEqual({
+      tradovate_username: 'trader1',
+      tradovate_refresh_token: 'enc(sk)',
+      tradovate_access_token: 'enc(tok)',
+      tradovate_token_expires_at: '2026-03-10T13:00:00Z',
+      tradovate_environment: 'both',
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const BaseAdapter = require('../adapters/base');
+const { FetchError } = require('../adapters/httpClient');
+
+// Four trading days: +50, -80, +200, -30
+const TRADES = [
+  { profit: 100, closedAt: '2025-01-06T15:00:00.000Z' },
+  { profit: -50, closedAt: '2025-01-06T16:00:00.000Z' },
+  { profit: -80, closedAt: '2025-01-07T15:00:00.000Z' },
+  { profit: 200, closedAt: '2025-01-08T15:00:00.000Z' },
+  { profit: -10, closedAt: '2025-01-09T15:00:00.000Z' },
+  { profit: -20, closedAt: '2025-01-09T16:00:00.000Z' },
+];
+
+describe('BaseAdapter.calculateStats', () => {
+  test('returns zeroed stats and risk metrics for no trades', () => {
+    const stats = BaseAdapter.calculateStats([]);
+    expect(stats.totalTrades).toBe(0);
+    for (const key of Object.keys(BaseAdapter.RISK_METRIC_COLUMNS)) {
+      expect(stats[key]).toBe(0);
+    }
+  });
+
+  test('keeps the basic trade stats', () => {
+    const stats = BaseAdapter.calculateStats(TRADES);
+    expect(stats.totalProfit).toBe(140);
+    expect(stats.totalTrades).toBe(6);
+    expect(stats.winRate).toBe(33.33);
+    expect(stats.profitFactor).toBe(1.88);
+  });
+
+  test('measures drawdown over the equity curve in close-time order', () => {
+    // Shuffled input: the curve is 100, 50, -30, 170, 160, 140
+    const stats = BaseAdapter.calculateStats([...TRADES].reverse());
+    expect(stats.maxDrawdown).toBe(130);
+    expect(stats.maxDrawdownPercent).toBe(130);
+  });
+
+  test('measures drawdown percent from the starting balance', () => {
+    const stats = BaseAdapter.calculateStats(TRADES, { startingBalance: 50000 });
+    expect(stats.maxDrawdown).toBe(130);
+    // Peak equity 50100, trough 49970
+    expect(stats.maxDrawdownPercent).toBe(0.26);
+  });
+
+  test('computes expectancy and average win/loss', () => {
+    const stats = BaseAdapter.calculateStats(TRADES);
+    expect(stats.avgWin).toBe(150);
+    expect(stats.avgLoss).toBe(-40);
+    expect(stats.avgWinLossRatio).toBe(3.75);
+    expect(stats.expectancy).toBe(stats.avgTradePnl);
+  });
+
+  test('tracks streaks and the largest losing day', () => {
+    const stats = BaseAdapter.calculateStats(TRADES);
+    expect(stats.longestWinStreak).toBe(1);
+    expect(stats.longestLossStreak).toBe(2);
+    expect(stats.largestLosingDay).toBe(-80);
+  });
+
+  test('handles histories too long to spread into Math.max', () => {
+    const start = Date.parse('2020-01-01T00:00:00.000Z');
+    const trades = Array.from({ length: 300000 }, (_, i) => ({
+      profit: i % 2 ? -1 : 2,
+      closedAt: new Date(start + i * 60000).toISOString(),
+    }));
+    trades[1234].profit = 500;
+
+    const stats = BaseAdapter.calculateStats(trades);
+    expect(stats.bestTrade).toBe(500);
+    expect(stats.worstTrade).toBe(-1);
+    expect(stats.totalTrades).toBe(300000);
+  });
+
+  test('annualizes Sharpe and Sortino from daily P&L', () => {
+    const stats = BaseAdapter.calculateStats(TRADES);
+    // Daily P&L: 50, -80, 200, -30 -> mean 35
+    const mean = 35;
+    const stdev = Math.sqrt([50, -80, 200, -30].reduce((sum, p) => sum + (p - mean) ** 2, 0) / 3);
+    const downside = Math.sqrt((80 ** 2 + 30 ** 2) / 4);
+    expect(stats.sharpeRatio).toBeCloseTo((mean / stdev) * Math.sqrt(252), 2);
+    expect(stats.sortinoRatio).toBeCloseTo((mean / downside) * Math.sqrt(252), 2);
+  });
+
+  test('caps ratios when there are no losses and skips single-day ratios', () => {
+    const winners = [
+      { profit: 100, closedAt: '2025-01-06T15:00:00.000Z' },
+      { profit: 50, closedAt: '2025-01-06T16:00:00.000Z' },
+      { profit: 25, closedAt: '2025-01-07T15:00:00.000Z' },
+    ];
+    const stats = BaseAdapter.calculateStats(winners);
+    expect(stats.avgWinLossRatio).toBe(999);
+    expect(stats.sortinoRatio).toBe(999);
+    expect(stats.maxDrawdown).toBe(0);
+    expect(stats.largestLosingDay).toBe(0);
+    expect(stats.longestWinStreak).toBe(3);
+
+    expect(BaseAdapter.calculateStats(winners.slice(0, 2)).sharpeRatio).toBe(0);
+  });
+});
+
+describe('BaseAdapter fetch helpers', () => {
+  class TestAdapter extends BaseAdapter {}
+  const adapter = new TestAdapter();
+  const fetchError = accountId => new FetchError(`fill/list failed for ${accountId}`, {
+    provider: 'test', label: 'fill/list', code: 'UPSTREAM', status: 503,
+  });
+
+  test('fetchTradesByAccount skips failed accounts and records them', async () => {
+    const { trades, fetchErrors } = await adapter.fetchTradesByAccount(
+      [{ id: 1 }, { id: 2 }],
+      async account => {
+        if (account.id === 2) throw fetchError(2);
+        return [{ accountId: '1', profit: 10 }];
+      }
+    );
+    expect(trades).toEqual([{ accountId: '1', profit: 10 }]);
+    expect(fetchErrors).toEqual([
+      { endpoint: 'fill/list', code: 'UPSTREAM', status: 503, message: 'fill/list failed for 2', accountId: '2' },
+    ]);
+  });
+
+  test('fetchTradesByAccount records reported problems without dropping the account', async () => {
+    const { trades, fetchErrors } = await adapter.fetchTradesByAccount([{ id: 1 }], async (account, report) => {
+      report(fetchError(account.id));
+      return [{ accountId: '1', profit: 10 }];
+    });
+    expect(trades).toEqual([{ accountId: '1', profit: 10 }]);
+    expect(fetchErrors).toEqual([expect.objectContaining({ code: 'UPSTREAM', accountId: '1' })]);
+  });
+
+  test('fetchTradesByAccount throws when every account fails', async () => {
+    await expect(adapter.fetchTradesByAccount([{ id: 1 }], async () => { throw fetchError(1); }))
+      .rejects.toThrow('fill/list failed for 1');
+  });
+
+  test('fetchTradesByAccount rethrows errors that are not fetch failures', async () => {
+    await expect(adapter.fetchTradesByAccount([{ id: 1 }, { id: 2 }], async () => { throw new Error('bug'); }))
+      .rejects.toThrow('bug');
+  });
+
+  test('fetchOptional returns null for a failed fetch, keeping an empty result distinct', async () => {
+    const fetchErrors = [];
+    expect(await adapter.fetchOptional(fetchErrors, async () => [])).toEqual([]);
+    expect(await adapter.fetchOptional(fetchErrors, async () => { throw fetchError(1); })).toBeNull();
+    expect(fetchErrors).toHaveLength(1);
+  });
+});
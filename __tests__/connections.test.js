@@ -0,0 +1,156 @@
+const {
+  summarizeConnectionType,
+  connectionTypesOf,
+  hasConnection,
+  findCrossSourceDuplicates,
+  getAccountGroups,
+  serializeConnection,
+  isSelfReported,
+  hasOnlySelfReported,
+  describeVerification,
+} = require('../utils/connections');
+const { getConnection } = require('../adapters');
+const { makeTrade, makeCopy, MAPPED_ACCOUNTS } = require('./fixtures/trades');
+
+const PRIORITY = ['tradovate', 'tradesyncer'];
+
+describe('summarizeConnectionType', () => {
+  test('is none, the single type or multiple', () => {
+    expect(summarizeConnectionType([])).toBe('none');
+    expect(summarizeConnectionType(['tradesyncer'])).toBe('tradesyncer');
+    expect(summarizeConnectionType(['tradovate', 'tradovate'])).toBe('tradovate');
+    expect(summarizeConnectionType(['tradovate', 'tradesyncer'])).toBe('multiple');
+  });
+});
+
+describe('connectionTypesOf / hasConnection', () => {
+  test('prefers trader_connections rows, given or embedded', () => {
+    const rows = [{ connection_type: 'tradovate' }, { connection_type: 'tradesyncer' }];
+    expect(connectionTypesOf({ connection_type: 'multiple' }, rows)).toEqual(['tradovate', 'tradesyncer']);
+    expect(hasConnection({ connection_type: 'multiple', connections: rows }, 'tradovate')).toBe(true);
+  });
+
+  test('falls back to connection_type for traders linked before trader_connections', () => {
+    expect(connectionTypesOf({ connection_type: 'tradovate', connections: [] })).toEqual(['tradovate']);
+    expect(connectionTypesOf({ connection_type: 'both' })).toEqual(['tradovate', 'tradesyncer']);
+    expect(connectionTypesOf({ connection_type: 'none' })).toEqual([]);
+    expect(connectionTypesOf({ connection_type: 'multiple' })).toEqual([]);
+    expect(hasConnection({ connection_type: 'tradesyncer' }, 'tradovate')).toBe(false);
+  });
+});
+
+describe('self-reported connections', () => {
+  test('are the statement imports', () => {
+    expect(isSelfReported('import')).toBe(true);
+    expect(isSelfReported('tradovate')).toBe(false);
+    expect(isSelfReported('binance')).toBe(false);
+  });
+
+  test('leave a trader with only imports unscheduled', () => {
+    expect(hasOnlySelfReported({ connection_type: 'import' })).toBe(true);
+    expect(hasOnlySelfReported({ connection_type: 'multiple', connections: [{ connection_type: 'import' }, { connection_type: 'tradovate' }] })).toBe(false);
+    expect(hasOnlySelfReported({ connection_type: 'none' })).toBe(false);
+  });
+
+  test('mark a profile self-reported once it counts an imported trade', () => {
+    expect(describeVerification(0)).toBe('verified');
+    expect(describeVerification(undefined)).toBe('verified');
+    expect(describeVerification('3')).toBe('self-reported');
+  });
+});
+
+describe('findCrossSourceDuplicates', () => {
+  const GROUPS = getAccountGroups([...MAPPED_ACCOUNTS, { source: 'tradesyncer', account_id: 'TS-10', account_group: null }]);
+  
+  test('keeps the preferred source when two sources report the same trade', () => {
+    const tradovate = makeTrade();
+    const duplicate = makeCopy({ closedAt: '2025-03-10T14:05:03.000Z' });
+
+    const { kept, duplicates } = findCrossSourceDuplicates([duplicate, tradovate], GROUPS, PRIORITY);
+    expect(kept).toEqual([tradovate]);
+    expect(duplicates).toEqual([duplicate]);
+  });
+
+  test('matches on product root, so contract formats can differ', () => {
+    const duplicate = makeCopy({ symbol: 'ES', productRoot: 'ES' });
+    expect(findCrossSourceDuplicates([makeTrade(), duplicate], GROUPS, PRIORITY).duplicates).toEqual([duplicate]);
+  });
+
+  test('never matches trades from the same source', () => {
+    const trades = [makeTrade(), makeTrade({ externalTradeId: '2', accountId: '102' })];
+    expect(findCrossSourceDuplicates(trades, GROUPS, PRIORITY).duplicates).toEqual([]);
+  });
+
+  test('keeps trades a copier mirrors onto accounts that are not mapped together', () => {
+    const trades = [makeTrade(), makeCopy({ accountId: 'TS-10' }), makeCopy({ externalTradeId: 'ts-2', accountId: 'TS-11' })];
+    expect(findCrossSourceDuplicates(trades, GROUPS, PRIORITY).duplicates).toEqual([]);
+    expect(findCrossSourceDuplicates([makeTrade(), makeCopy()], new Map(), PRIORITY).duplicates).toEqual([]);
+  });
+
+  test('treats long/short as buy/sell', () => {
+    const duplicate = makeCopy({ side: 'long' });
+    expect(findCrossSourceDuplicates([makeTrade(), duplicate], GROUPS, PRIORITY).duplicates).toEqual([duplicate]);
+  });
+
+  test('matches a short whose fill pair stores buy price and time as the entry', () => {
+    // Tradovate fill pair: entry = buy price, opened = buy time, whatever the direction
+    const tradovate = makeTrade({
+      side: 'sell', entryPrice: 4998, exitPrice: 5000,
+      openedAt: '2025-03-10T14:05:00.000Z', closedAt: '2025-03-10T14:00:00.000Z',
+    });
+    const duplicate = makeCopy({
+      side: 'short', entryPrice: 5000, exitPrice: 4998,
+      openedAt: '2025-03-10T14:00:01.000Z', closedAt: '2025-03-10T14:05:01.000Z',
+    });
+    expect(findCrossSourceDuplicates([tradovate, duplicate], GROUPS, PRIORITY).duplicates).toEqual([duplicate]);
+  });
+
+  test('needs the same side, size and prices within the time window', () => {
+    const trades = [
+      makeTrade(),
+      makeCopy({ side: 'sell' }),
+      makeCopy({ side: 'short' }),
+      makeCopy({ quantity: 2 }),
+      makeCopy({ exitPrice: 5003 }),
+      makeCopy({ closedAt: '2025-03-10T14:06:00.000Z' }),
+      makeCopy({ openedAt: '2025-03-10T13:00:00.000Z' }),
+    ];
+    expect(findCrossSourceDuplicates(trades, GROUPS, PRIORITY).duplicates).toEqual([]);
+  });
+
+  test('pairs trades one to one and skips trades without a close time', () => {
+    const copies = [
+      makeCopy({ openedAt: null }),
+      makeCopy({ externalTradeId: 'ts-2' }),
+      makeCopy({ externalTradeId: 'ts-3', closedAt: null }),
+    ];
+    const { kept, duplicates } = findCrossSourceDuplicates([makeTrade(), ...copies], GROUPS, PRIORITY);
+
+    expect(duplicates.map(t => t.externalTradeId)).toEqual(['ts-1']);
+    expect(kept.map(t => t.externalTradeId)).toEqual(['1', 'ts-2', 'ts-3']);
+  });
+
+  test('defaults to adapter registration order', () => {
+    const duplicate = makeCopy();
+    expect(findCrossSourceDuplicates([duplicate, makeTrade()], GROUPS).duplicates).toEqual([duplicate]);
+  });
+});
+
+describe('serializeConnection', () => {
+  test('describes a connection and its last sync', () => {
+    expect(serializeConnection({
+      connection_type: 'tradesyncer',
+      created_at: '2025-03-01T00:00:00Z',
+      last_synced_at: '2025-03-10T00:00:00Z',
+      last_sync_status: 'failed',
+      last_sync_error: 'Unauthorized',
+    }, getConnection('tradesyncer'))).toEqual({
+      type: 'tradesyncer',
+      displayName: 'TradeSyncer',
+      linkedAt: '2025-03-01T00:00:00Z',
+      lastSyncedAt: '2025-03-10T00:00:00Z',
+      lastSyncStatus: 'failed',
+      lastSyncError: 'Unauthorized',
+    });
+  });
+});
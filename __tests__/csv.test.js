@@ -0,0 +1,41 @@
+const { parseCsv, readCsvRecords } = require('../utils/csv');
+
+describe('parseCsv', () => {
+  test('splits rows and fields with CRLF or LF endings', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,4')).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['1', '2'] },
+      { line: 3, fields: ['3', '4'] },
+    ]);
+  });
+
+  test('reads quoted fields with commas, quotes and newlines', () => {
+    const rows = parseCsv('name,note\n"Smith, J","said ""hi""\nthen left"\nnext,row\n');
+    expect(rows[1].fields).toEqual(['Smith, J', 'said "hi"\nthen left']);
+    // Line numbers count the newline inside the quoted field
+    expect(rows[2]).toEqual({ line: 4, fields: ['next', 'row'] });
+  });
+
+  test('drops a byte order mark and skips blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\n\n1,2\n')).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 3, fields: ['1', '2'] },
+    ]);
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('readCsvRecords', () => {
+  test('keys trimmed values by trimmed header', () => {
+    const { headers, records } = readCsvRecords(' Symbol , Qty\nESH5, 2 \nNQH5');
+    expect(headers).toEqual(['Symbol', 'Qty']);
+    expect(records).toEqual([
+      { line: 2, values: { Symbol: 'ESH5', Qty: '2' } },
+      { line: 3, values: { Symbol: 'NQH5', Qty: '' } },
+    ]);
+  });
+
+  test('is empty without a header row', () => {
+    expect(readCsvRecords('\n')).toEqual({ headers: [], records: [] });
+  });
+});
@@ -0,0 +1,67 @@
+const { buildEquitySnapshot, snapshotRowToPoint, toSnapshotDate } = require('../utils/equity');
+
+const STATS = {
+  totalProfit: 1250.5,
+  totalTrades: 42,
+  winRate: 57.14,
+  profitFactor: 1.9,
+  verifiedPayouts: 2,
+};
+
+describe('toSnapshotDate', () => {
+  test('uses the UTC calendar date', () => {
+    expect(toSnapshotDate(new Date('2025-03-12T23:59:59.000Z'))).toBe('2025-03-12');
+    expect(toSnapshotDate(new Date('2025-03-13T00:00:00.000Z'))).toBe('2025-03-13');
+  });
+});
+
+describe('buildEquitySnapshot', () => {
+  const now = new Date('2025-03-12T15:00:00.000Z');
+
+  test('records cumulative P&L, stats and per-account balances', () => {
+    const row = buildEquitySnapshot('trader-1', STATS, [
+      { id: 101, name: 'APEX-101', displayName: 'Eval 1', balance: 50000.25 },
+      { id: 102, name: 'APEX-102', balance: 51000.5 },
+    ], now);
+
+    expect(row.trader_id).toBe('trader-1');
+    expect(row.snapshot_date).toBe('2025-03-12');
+    expect(row.cumulative_pnl).toBe(1250.5);
+    expect(row.total_balance).toBe(101000.75);
+    expect(row.account_balances).toEqual({
+      101: { name: 'Eval 1', balance: 50000.25 },
+      102: { name: 'APEX-102', balance: 51000.5 },
+    });
+    expect(row.total_trades).toBe(42);
+    expect(row.verified_payouts).toBe(2);
+  });
+
+  test('handles missing accounts', () => {
+    const row = buildEquitySnapshot('trader-1', STATS, undefined, now);
+    expect(row.total_balance).toBe(0);
+    expect(row.account_balances).toEqual({});
+  });
+});
+
+describe('snapshotRowToPoint', () => {
+  test('round-trips a built snapshot to camelCase', () => {
+    const row = buildEquitySnapshot('trader-1', STATS, [{ id: 1, name: 'A', balance: '100.5' }], new Date('2025-03-12T00:00:00Z'));
+    expect(snapshotRowToPoint(row)).toEqual({
+      date: '2025-03-12',
+      cumulativePnl: 1250.5,
+      totalBalance: 100.5,
+      accountBalances: { 1: { name: 'A', balance: 100.5 } },
+      totalTrades: 42,
+      winRate: 57.14,
+      profitFactor: 1.9,
+      verifiedPayouts: 2,
+    });
+  });
+
+  test('parses DECIMAL columns returned as strings', () => {
+    const point = snapshotRowToPoint({ snapshot_date: '2025-03-12', cumulative_pnl: '-20.50', total_balance: '49979.50' });
+    expect(point.cumulativePnl).toBe(-20.5);
+    expect(point.totalBalance).toBe(49979.5);
+    expect(point.accountBalances).toEqual({});
+  });
+});
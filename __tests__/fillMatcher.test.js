@@ -0,0 +1,243 @@
+const { matchFills, startingPositions } = require('../adapters/fillMatcher');
+const TradovateAdapter = require('../adapters/tradovate');
+
+const ES = 1001; // $50 per point
+const NQ = 1002; // $20 per point
+const POINT_VALUES = new Map([['1001', 50], ['1002', 20]]);
+
+let nextId = 1;
+function fill(side, qty, price, minute, overrides = {}) {
+  return {
+    id: nextId++,
+    accountId: 101,
+    contractId: ES,
+    side,
+    qty,
+    price,
+    timestamp: new Date(Date.UTC(2025, 2, 10, 14, minute)).toISOString(),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  nextId = 1;
+});
+
+describe('matchFills', () => {
+  test('simple long round trip', () => {
+    const { trades, openPositions } = matchFills([
+      fill('buy', 1, 5000, 0),
+      fill('sell', 1, 5002, 5),
+    ], POINT_VALUES);
+
+    expect(openPositions).toEqual([]);
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({
+      externalTradeId: 'rt-1-2',
+      accountId: '101',
+      side: 'buy',
+      quantity: 1,
+      entryPrice: 5000,
+      exitPrice: 5002,
+      profit: 100,
+      openedAt: '2025-03-10T14:00:00.000Z',
+      closedAt: '2025-03-10T14:05:00.000Z',
+    });
+  });
+
+  test('short round trip profits when price falls', () => {
+    const { trades } = matchFills([
+      fill('sell', 2, 5010, 0),
+      fill('buy', 2, 5005, 3),
+    ], POINT_VALUES);
+    expect(trades[0]).toMatchObject({ side: 'sell', quantity: 2, profit: 500 });
+  });
+
+  test('scale-in and partial exits make a single round trip', () => {
+    const { trades } = matchFills([
+      fill('buy', 1, 5000, 0),
+      fill('buy', 2, 5003, 1),   // scale in
+      fill('sell', 2, 5004, 2),  // partial exit: 1@5000 + 1@5003
+      fill('sell', 1, 5001, 3),  // final exit: 1@5003
+    ], POINT_VALUES);
+
+    expect(trades).toHaveLength(1);
+    // (4 + 1 - 2) points x $50
+    expect(trades[0]).toMatchObject({ quantity: 3, entryPrice: 5002, exitPrice: 5003, profit: 150 });
+  });
+
+  test('reversal closes the position and opens the other side', () => {
+    const { trades, openPositions } = matchFills([
+      fill('buy', 1, 5000, 0),
+      fill('sell', 3, 5004, 1),  // close long 1, open short 2
+      fill('buy', 2, 5001, 2),   // close short
+    ], POINT_VALUES);
+
+    expect(trades).toHaveLength(2);
+    expect(trades[0]).toMatchObject({ side: 'buy', quantity: 1, profit: 200 });
+    expect(trades[1]).toMatchObject({ side: 'sell', quantity: 2, entryPrice: 5004, profit: 300 });
+    expect(openPositions).toEqual([]);
+  });
+
+  test('open positions are reported, not emitted as trades', () => {
+    const { trades, openPositions } = matchFills([
+      fill('buy', 1, 5000, 0),
+      fill('sell', 1, 5001, 1),
+      fill('buy', 2, 5002, 2),
+      fill('sell', 1, 5003, 3),
+    ], POINT_VALUES);
+
+    expect(trades).toHaveLength(1);
+    expect(openPositions).toEqual([
+      { accountId: '101', contractId: ES, side: 'buy', quantity: 1, openedAt: '2025-03-10T14:02:00.000Z' },
+    ]);
+  });
+
+  test('matches per contract and per account independently', () => {
+    const { trades } = matchFills([
+      fill('buy', 1, 5000, 0),
+      fill('buy', 1, 18000, 1, { contractId: NQ }),
+      fill('sell', 1, 18010, 2, { contractId: NQ }),
+      fill('sell', 1, 5001, 3, { accountId: 202 }),  // different account: opens a short
+      fill('sell', 1, 4999, 4),
+    ], POINT_VALUES);
+
+    expect(trades).toHaveLength(2);
+    expect(trades[0]).toMatchObject({ contractId: NQ, profit: 200 });
+    expect(trades[1]).toMatchObject({ contractId: ES, accountId: '101', profit: -50 });
+  });
+
+  test('replays fills in time order regardless of input order', () => {
+    const exit = fill('sell', 1, 5002, 5);
+    const entry = fill('buy', 1, 5000, 0);
+    const { trades } = matchFills([exit, entry], POINT_VALUES);
+    expect(trades[0]).toMatchObject({ side: 'buy', profit: 100 });
+  });
+
+  test('unknown point value leaves profit null instead of points or zero', () => {
+    const { trades } = matchFills([
+      fill('buy', 1, 100, 0, { contractId: 9999 }),
+      fill('sell', 1, 110, 1, { contractId: 9999 }),
+    ], POINT_VALUES);
+    expect(trades[0].profit).toBeNull();
+    expect(trades[0].exitPrice).toBe(110);
+  });
+
+  test('accepts a plain object of point values', () => {
+    const { trades } = matchFills([fill('buy', 1, 5000, 0), fill('sell', 1, 5001, 1)], { 1001: 50 });
+    expect(trades[0].profit).toBe(50);
+  });
+
+  test('skips malformed fills', () => {
+    const { trades } = matchFills([
+      fill('buy', 0, 5000, 0),
+      fill('hold', 1, 5000, 0),
+      fill('buy', 1, NaN, 0),
+    ], POINT_VALUES);
+    expect(trades).toEqual([]);
+  });
+});
+
+describe('startingPositions / carried positions', () => {
+  test('is the net position the fills do not account for', () => {
+    const fills = [fill('sell', 2, 5010, 0), fill('buy', 1, 5000, 1), fill('buy', 1, 18000, 2, { contractId: NQ })];
+    const start = startingPositions(fills, [
+      { accountId: 101, contractId: ES, netPos: 1 },
+      { accountId: 101, contractId: NQ, netPos: 1 },
+    ]);
+    expect(start).toEqual(new Map([['101:1001', 2]]));
+    expect(startingPositions(fills, [])).toEqual(new Map([['101:1001', 1], ['101:1002', -1]]));
+  });
+
+  test('leaves out the round trip closing a position opened before the first fill', () => {
+    const fills = [
+      fill('sell', 2, 5010, 0),
+      fill('buy', 1, 5000, 1),
+      fill('sell', 1, 5004, 2),
+    ];
+    const { trades, carriedOver } = matchFills(fills, POINT_VALUES, {
+      startPositions: startingPositions(fills, []),
+    });
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ externalTradeId: 'rt-2-3', side: 'buy', profit: 200 });
+    expect(carriedOver).toEqual([expect.objectContaining({ side: 'buy', quantity: 2, closedAt: fills[0].timestamp })]);
+  });
+
+  test('a scale-in on a carried position is part of the carried round trip', () => {
+    const fills = [fill('buy', 1, 5000, 0), fill('sell', 2, 5010, 1), fill('sell', 1, 5010, 2)];
+    const { trades, carriedOver, openPositions } = matchFills(fills, POINT_VALUES, {
+      startPositions: new Map([['101:1001', 1]]),
+    });
+
+    expect(trades).toEqual([]);
+    expect(carriedOver).toEqual([expect.objectContaining({ quantity: 2 })]);
+    expect(openPositions).toEqual([expect.objectContaining({ side: 'sell', quantity: 1 })]);
+  });
+});
+
+describe('TradovateAdapter fill/list fallback', () => {
+  // No fillPairs, so trades are matched from fills; contract 9999 has no known point value
+  function makeAdapter(fills, positions = []) {
+    const adapter = new TradovateAdapter();
+    adapter.getFillPairs = async () => [];
+    adapter.apiGet = async path => ({
+      data: path === '/position/list'
+        ? positions
+        : fills.map(f => ({ ...f, action: f.side === 'buy' ? 'Buy' : 'Sell' })),
+    });
+    adapter.contracts = {
+      resolve: async () => new Map([['1001', { pointValue: 50 }]]),
+      applyToTrades: async (authContext, trades) => trades,
+    };
+    return adapter;
+  }
+
+  test('skips unpriced round trips and reports them as a fetch error', async () => {
+    const adapter = makeAdapter([
+      fill('buy', 1, 5000, 0),
+      fill('sell', 1, 5002, 1),
+      fill('buy', 1, 100, 2, { contractId: 9999 }),
+      fill('sell', 1, 110, 3, { contractId: 9999 }),
+    ]);
+    const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { trades, fetchErrors } = await adapter.getAllTrades({ accessToken: 't' }, [{ id: 101, environment: 'demo' }]);
+    spy.mockRestore();
+
+    expect(trades).toEqual([expect.objectContaining({ contractId: ES, profit: 100, source: 'tradovate' })]);
+    expect(fetchErrors).toEqual([expect.objectContaining({
+      endpoint: 'fill/list', code: 'UNPRICED', accountId: '101',
+      message: expect.stringMatching(/1 round trip\(s\) skipped, no point value for contract\(s\) 9999/),
+    })]);
+  });
+
+  test('skips fills closing a position opened before the earliest fill', async () => {
+    // Long 1 from before fill/list's window, closed at minute 0; flat now
+    const adapter = makeAdapter([
+      fill('sell', 1, 5010, 0),
+      fill('buy', 1, 5000, 1),
+      fill('sell', 1, 5002, 2),
+    ], [{ accountId: 101, contractId: ES, netPos: 0 }]);
+    const { trades, fetchErrors } = await adapter.getAllTrades({ accessToken: 't' }, [{ id: 101, environment: 'demo' }]);
+
+    expect(trades).toEqual([expect.objectContaining({ externalTradeId: 'rt-2-3', profit: 100 })]);
+    expect(fetchErrors).toEqual([expect.objectContaining({
+      endpoint: 'fill/list', code: 'UNMATCHED', accountId: '101',
+      message: expect.stringMatching(/1 round trip\(s\) skipped, opened before the earliest fill/),
+    })]);
+  });
+
+  test('keeps a position still open now out of the starting position', async () => {
+    const adapter = makeAdapter([
+      fill('buy', 1, 5000, 0),
+      fill('sell', 1, 5002, 1),
+      fill('buy', 2, 5001, 2),
+    ], [{ accountId: 101, contractId: ES, netPos: 2 }]);
+    const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { trades, fetchErrors } = await adapter.getAllTrades({ accessToken: 't' }, [{ id: 101, environment: 'demo' }]);
+    spy.mockRestore();
+
+    expect(trades).toEqual([expect.objectContaining({ externalTradeId: 'rt-1-2', profit: 100 })]);
+    expect(fetchErrors).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  getFillStreamConfig,
+  selectStreamTraders,
+  classifyStreamEvent,
+  DEFAULT_FILL_STREAM,
+} = require('../utils/fillStream');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+describe('getFillStreamConfig', () => {
+  test('is off by default and reads overrides', () => {
+    expect(getFillStreamConfig({})).toEqual(DEFAULT_FILL_STREAM);
+    expect(getFillStreamConfig({
+      FILL_STREAM_ENABLED: 'true',
+      FILL_STREAM_FLUSH_MS: '500',
+      FILL_STREAM_MAX_TRADERS: '10',
+      TRADOVATE_WS_URL: 'ws://127.0.0.1:8765/v1/websocket',
+    })).toMatchObject({ enabled: true, flushMs: 500, maxTraders: 10, url: 'ws://127.0.0.1:8765/v1/websocket' });
+  });
+
+  test('only "true" enables streaming', () => {
+    expect(getFillStreamConfig({ FILL_STREAM_ENABLED: '1' }).enabled).toBe(false);
+  });
+});
+
+describe('selectStreamTraders', () => {
+  const base = { connection_type: 'tradovate', tradovate_access_token: 'enc' };
+
+  test('picks linked traders with usable tokens, most recently active first', () => {
+    const traders = [
+      { ...base, id: 'old', last_trade_at: '2026-01-01T00:00:00Z' },
+      { ...base, id: 'recent', last_trade_at: '2026-03-09T00:00:00Z' },
+      { ...base, id: 'never' },
+      { ...base, id: 'expired', auth_status: 'expired' },
+      { ...base, id: 'lapsed', tradovate_token_expires_at: '2026-03-10T11:00:00Z' },
+      { ...base, id: 'no-token', tradovate_access_token: null },
+      { id: 'tradesyncer', connection_type: 'tradesyncer', tradovate_access_token: 'enc' },
+    ];
+
+    expect(selectStreamTraders(traders, NOW).map(t => t.id)).toEqual(['recent', 'old', 'never']);
+  });
+
+  test('caps the number of connections', () => {
+    const traders = [{ ...base, id: 'a' }, { ...base, id: 'b' }];
+    expect(selectStreamTraders(traders, NOW, { maxTraders: 1 })).toHaveLength(1);
+  });
+});
+
+describe('classifyStreamEvent', () => {
+  const entity = { id: 1, accountId: 101 };
+
+  test('stores created or updated fill pairs', () => {
+    expect(classifyStreamEvent({ entityType: 'fillPair', eventType: 'Created', entity })).toBe('fillPair');
+    expect(classifyStreamEvent({ entityType: 'fillPair', eventType: 'Updated', entity })).toBe('fillPair');
+  });
+
+  test('tracks new active fills', () => {
+    expect(classifyStreamEvent({ entityType: 'fill', eventType: 'Created', entity })).toBe('fill');
+    expect(classifyStreamEvent({ entityType: 'fill', eventType: 'Created', entity: { ...entity, active: false } })).toBeNull();
+  });
+
+  test('ignores deletions, other entities and events without an account', () => {
+    expect(classifyStreamEvent({ entityType: 'fillPair', eventType: 'Deleted', entity })).toBeNull();
+    expect(classifyStreamEvent({ entityType: 'order', eventType: 'Created', entity })).toBeNull();
+    expect(classifyStreamEvent({ entityType: 'fillPair', eventType: 'Created', entity: { id: 1 } })).toBeNull();
+    expect(classifyStreamEvent(null)).toBeNull();
+  });
+});
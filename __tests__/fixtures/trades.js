@@ -0,0 +1,40 @@
+// Shared trade fixtures for the sync and trade tests
+
+/**
+ * A normalized Tradovate trade: 1 ES long on account 101, +$100.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function makeTrade(overrides = {}) {
+  return {
+    externalTradeId: '1',
+    symbol: 'ESH6',
+    side: 'buy',
+    quantity: 1,
+    entryPrice: 5000,
+    exitPrice: 5002,
+    profit: 100,
+    openedAt: '2025-03-10T14:00:00.000Z',
+    closedAt: '2025-03-10T14:05:00.000Z',
+    accountId: '101',
+    source: 'tradovate',
+    ...overrides,
+  };
+}
+
+/**
+ * The same trade as TradeSyncer reports it for account TS-9.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function makeCopy(overrides = {}) {
+  return makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-1', accountId: 'TS-9', ...overrides });
+}
+
+// trader_accounts rows mapping Tradovate account 101 and TradeSyncer TS-9 as one account
+const MAPPED_ACCOUNTS = [
+  { source: 'tradovate', account_id: '101', account_group: 'tradovate:101' },
+  { source: 'tradesyncer', account_id: 'TS-9', account_group: 'tradovate:101' },
+];
+
+module.exports = { makeTrade, makeCopy, MAPPED_ACCOUNTS };
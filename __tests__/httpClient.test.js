@@ -0,0 +1,252 @@
+const {
+  HttpClient,
+  FetchError,
+  CircuitBreaker,
+  getHttpConfig,
+  parseRetryAfter,
+  backoffDelay,
+  DEFAULT_HTTP_CONFIG,
+} = require('../adapters/httpClient');
+
+const CONFIG = { ...DEFAULT_HTTP_CONFIG, maxRetries: 2, retryBaseMs: 100, retryMaxMs: 1000, breakerThreshold: 2, breakerResetMs: 1000 };
+
+function httpError(status, headers = {}, data = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Client whose transport replays the given outcomes (Error = reject).
+ */
+function makeClient(outcomes, options = {}) {
+  const calls = [];
+  const sleeps = [];
+  let clock = 0;
+  const breaker = options.breaker || new CircuitBreaker(
+    { threshold: CONFIG.breakerThreshold, resetMs: CONFIG.breakerResetMs },
+    () => clock
+  );
+  const client = new HttpClient('test', {
+    displayName: 'Test',
+    config: CONFIG,
+    breaker,
+    random: () => 0.5,
+    sleep: async ms => { sleeps.push(ms); },
+    transport: async request => {
+      calls.push(request);
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    },
+  });
+  return { client, calls, sleeps, breaker, advance: ms => { clock += ms; } };
+}
+
+describe('getHttpConfig', () => {
+  test('reads overrides and allows zero retries', () => {
+    const config = getHttpConfig({ HTTP_TIMEOUT_MS: '5000', HTTP_MAX_RETRIES: '0', HTTP_BREAKER_THRESHOLD: 'x' });
+    expect(config.timeoutMs).toBe(5000);
+    expect(config.maxRetries).toBe(0);
+    expect(config.breakerThreshold).toBe(DEFAULT_HTTP_CONFIG.breakerThreshold);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+describe('backoffDelay', () => {
+  test('doubles per attempt with jitter, capped at retryMaxMs', () => {
+    expect(backoffDelay(0, CONFIG, () => 0)).toBe(50);
+    expect(backoffDelay(0, CONFIG, () => 0.999)).toBeLessThanOrEqual(100);
+    expect(backoffDelay(2, CONFIG, () => 0)).toBe(200);
+    expect(backoffDelay(10, CONFIG, () => 0)).toBe(500);
+  });
+});
+
+describe('HttpClient.request', () => {
+  test('passes the timeout to the transport and returns the response', async () => {
+    const { client, calls } = makeClient([{ status: 200, data: [] }]);
+    const response = await client.get('https://api.test/list', { label: 'list' });
+    expect(response.data).toEqual([]);
+    expect(calls[0]).toMatchObject({ method: 'get', url: 'https://api.test/list', timeout: CONFIG.timeoutMs });
+  });
+
+  test('retries 5xx and network errors with backoff', async () => {
+    const { client, calls, sleeps } = makeClient([httpError(503), networkError('ECONNRESET'), { status: 200, data: 'ok' }]);
+    const response = await client.get('https://api.test/list');
+    expect(response.data).toBe('ok');
+    expect(calls).toHaveLength(3);
+    expect(sleeps).toEqual([75, 150]);
+  });
+
+  test('waits for Retry-After on 429', async () => {
+    const { client, sleeps } = makeClient([httpError(429, { 'retry-after': '2' }), { status: 200, data: 'ok' }]);
+    await client.get('https://api.test/list');
+    expect(sleeps).toEqual([2000]);
+  });
+
+  test('gives up when Retry-After is longer than allowed', async () => {
+    const { client, calls } = makeClient([httpError(429, { 'retry-after': '3600' })]);
+    await expect(client.get('https://api.test/list', { label: 'list' }))
+      .rejects.toMatchObject({ code: 'RATE_LIMITED', status: 429 });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('does not retry client errors and keeps the upstream message', async () => {
+    const { client, calls } = makeClient([httpError(401, {}, { errorText: 'Access is denied' })]);
+    const error = await client.get('https://api.test/me', { label: 'me' }).catch(e => e);
+    expect(error).toBeInstanceOf(FetchError);
+    expect(error).toMatchObject({ code: 'HTTP_ERROR', status: 401, label: 'me', detail: 'Access is denied' });
+    expect(error.message).toBe('Test me request failed: HTTP 401');
+    expect(calls).toHaveLength(1);
+  });
+
+  test('reports timeouts once retries are exhausted', async () => {
+    const { client, calls } = makeClient([networkError('ECONNABORTED'), networkError('ECONNABORTED'), networkError('ECONNABORTED')]);
+    await expect(client.get('https://api.test/list')).rejects.toMatchObject({ code: 'TIMEOUT' });
+    expect(calls).toHaveLength(3);
+  });
+
+  test('reports each request to telemetry after retries', async () => {
+    const requests = [];
+    const telemetry = { recordRequest: entry => requests.push(entry) };
+    const { client } = makeClient([httpError(502), { status: 200, data: [] }, httpError(404)]);
+
+    await client.get('https://api.test/list', { label: 'list', telemetry });
+    await client.get('https://api.test/payouts', { label: 'payouts', telemetry }).catch(() => {});
+
+    expect(requests).toEqual([
+      expect.objectContaining({ endpoint: 'list', ok: true, attempts: 2, code: null }),
+      expect.objectContaining({ endpoint: 'payouts', ok: false, attempts: 1, code: 'HTTP_ERROR', status: 404 }),
+    ]);
+  });
+
+  test('makes a single attempt when retry is false', async () => {
+    const { client, calls } = makeClient([httpError(503)]);
+    await expect(client.post('https://api.test/auth', {}, { retry: false })).rejects.toMatchObject({ code: 'UPSTREAM' });
+    expect(calls).toHaveLength(1);
+  });
+});
+
+describe('HttpClient.request cancellation', () => {
+  // Like axios: a request hangs until its signal aborts, then rejects
+  const hangingTransport = calls => request => {
+    calls.push(request);
+    return new Promise((_, reject) => {
+      request.signal.addEventListener('abort', () => {
+        reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+      });
+    });
+  };
+
+  test('cancels a hung request when the signal aborts', async () => {
+    const calls = [];
+    const breaker = new CircuitBreaker({ threshold: 1, resetMs: 1000 });
+    const client = new HttpClient('test', { displayName: 'Test', config: CONFIG, breaker, transport: hangingTransport(calls) });
+    const controller = new AbortController();
+
+    const pending = client.get('https://api.test/list', { label: 'list', signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'FetchError', code: 'ABORTED', label: 'list' });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].signal).toBe(controller.signal);
+    // A cancelled request says nothing about the provider
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('stops retrying when the signal aborts during the backoff wait', async () => {
+    const controller = new AbortController();
+    const { client, calls } = makeClient([httpError(503), { status: 200, data: 'ok' }]);
+    client.sleep = async (ms, signal) => {
+      expect(signal).toBe(controller.signal);
+      controller.abort();
+    };
+
+    await expect(client.get('https://api.test/list', { signal: controller.signal }))
+      .rejects.toMatchObject({ code: 'ABORTED' });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('cuts the default backoff wait short on abort', async () => {
+    const controller = new AbortController();
+    const client = new HttpClient('test', {
+      config: { ...CONFIG, retryBaseMs: 60000, retryMaxMs: 60000, maxRetryAfterMs: 120000 },
+      breaker: new CircuitBreaker({ threshold: 5, resetMs: 1000 }),
+      transport: async () => { throw httpError(503); },
+    });
+
+    const startedAt = Date.now();
+    const pending = client.get('https://api.test/list', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await expect(pending).rejects.toMatchObject({ code: 'ABORTED' });
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+
+  test('does not start a request once the signal has aborted', async () => {
+    const { client, calls } = makeClient([{ status: 200, data: 'ok' }]);
+    await expect(client.get('https://api.test/list', { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ code: 'ABORTED' });
+    expect(calls).toHaveLength(0);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after repeated failed requests, then fails fast', async () => {
+    const { client, calls } = makeClient([
+      httpError(503), httpError(503), httpError(503),
+      httpError(503), httpError(503), httpError(503),
+    ]);
+    await expect(client.get('https://api.test/a')).rejects.toMatchObject({ code: 'UPSTREAM' });
+    await expect(client.get('https://api.test/b')).rejects.toMatchObject({ code: 'UPSTREAM' });
+    expect(calls).toHaveLength(6);
+
+    await expect(client.get('https://api.test/c')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(calls).toHaveLength(6);
+  });
+
+  test('lets one trial through after the cool-down and closes on success', async () => {
+    const { client, breaker, advance } = makeClient([{ status: 200, data: 'ok' }]);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(true);
+
+    advance(CONFIG.breakerResetMs);
+    await expect(client.get('https://api.test/a')).resolves.toMatchObject({ data: 'ok' });
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('reopens when the trial request fails', () => {
+    let clock = 0;
+    const breaker = new CircuitBreaker({ threshold: 1, resetMs: 100 }, () => clock);
+    breaker.recordFailure();
+    clock = 100;
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(true);
+  });
+
+  test('client errors do not count toward opening the circuit', async () => {
+    const { client, breaker } = makeClient([httpError(404), httpError(404), httpError(404)]);
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('https://api.test/payouts')).rejects.toMatchObject({ status: 404 });
+    }
+    expect(breaker.state).toBe('closed');
+  });
+});
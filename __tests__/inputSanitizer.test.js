@@ -3,6 +3,8 @@ const {
   validateConnectionType,
   validateHexToken,
   sanitizeString,
+  parseIntegerParam,
+  parseBooleanParam,
   validateSortField,
 } = require('../middleware/inputSanitizer');
 
@@ -266,3 +268,47 @@ describe('validateSortField', () => {
     expect(validateSortField(undefined)).toBe(false);
   });
 });
+
+// ============================================
+// parseIntegerParam
+// ============================================
+
+describe('parseIntegerParam', () => {
+  test('parses digit strings', () => {
+    expect(parseIntegerParam('0')).toBe(0);
+    expect(parseIntegerParam('42')).toBe(42);
+  });
+
+  test('treats missing or empty as absent', () => {
+    expect(parseIntegerParam(undefined)).toBeUndefined();
+    expect(parseIntegerParam('')).toBeUndefined();
+  });
+
+  test('rejects signs, decimals, huge values and arrays', () => {
+    expect(parseIntegerParam('-1')).toBeNull();
+    expect(parseIntegerParam('1.5')).toBeNull();
+    expect(parseIntegerParam('1e3')).toBeNull();
+    expect(parseIntegerParam('9999999999')).toBeNull();
+    expect(parseIntegerParam(['1', '2'])).toBeNull();
+  });
+});
+
+// ============================================
+// parseBooleanParam
+// ============================================
+
+describe('parseBooleanParam', () => {
+  test('parses true/false and 1/0', () => {
+    expect(parseBooleanParam('true')).toBe(true);
+    expect(parseBooleanParam('1')).toBe(true);
+    expect(parseBooleanParam('false')).toBe(false);
+    expect(parseBooleanParam('0')).toBe(false);
+  });
+
+  test('treats missing or empty as absent and rejects anything else', () => {
+    expect(parseBooleanParam(undefined)).toBeUndefined();
+    expect(parseBooleanParam('')).toBeUndefined();
+    expect(parseBooleanParam('yes')).toBeNull();
+    expect(parseBooleanParam(['true', 'false'])).toBeNull();
+  });
+});
@@ -0,0 +1,305 @@
+const {
+  parseLeaderboardQuery,
+  buildLeaderboardPage,
+  applyLeaderboardQuery,
+  applyLeaderboardFilters,
+  orderLeaderboardQuery,
+  buildCursorFilter,
+  applyPeriodStats,
+  encodeCursor,
+  decodeCursor,
+  MAX_PAGE_SIZE,
+} = require('../utils/leaderboard');
+
+function makeTraders() {
+  return [
+    { id: 'a', twitter: 'alpha', totalProfit: 500, winRate: 60, totalTrades: 40, propFirm: 'topstep', connectionType: 'tradovate', authStatus: 'active' },
+    { id: 'b', twitter: 'bravo', totalProfit: 1500, winRate: 45, totalTrades: 5, propFirm: 'apex', connectionType: 'tradesyncer', authStatus: 'active' },
+    { id: 'c', twitter: 'charlie', totalProfit: -200, winRate: 30, totalTrades: 12, propFirm: 'topstep', connectionType: 'tradovate', authStatus: 'expired' },
+    { id: 'd', twitter: 'delta', totalProfit: 0, winRate: 0, totalTrades: 0, propFirm: 'other', connectionType: 'none', authStatus: 'unlinked' },
+  ];
+}
+
+function parse(query) {
+  const result = parseLeaderboardQuery(query);
+  expect(result.valid).toBe(true);
+  return result.options;
+}
+
+// ============================================
+// parseLeaderboardQuery
+// ============================================
+
+describe('parseLeaderboardQuery', () => {
+  test('applies defaults for empty query', () => {
+    const options = parse({});
+    expect(options.sort).toBe('totalProfit');
+    expect(options.order).toBe('desc');
+    expect(options.limit).toBe(50);
+    expect(options.page).toBe(1);
+    expect(options.cursor).toBeNull();
+  });
+
+  test('accepts whitelisted sort field and order', () => {
+    const options = parse({ sort: 'winRate', order: 'asc' });
+    expect(options.sort).toBe('winRate');
+    expect(options.order).toBe('asc');
+  });
+
+  test('rejects unknown sort field', () => {
+    expect(parseLeaderboardQuery({ sort: 'tradovate_access_token' }).valid).toBe(false);
+  });
+
+  test('rejects invalid order', () => {
+    expect(parseLeaderboardQuery({ order: 'sideways' }).valid).toBe(false);
+  });
+
+  test('rejects invalid filters', () => {
+    expect(parseLeaderboardQuery({ connectionType: 'binance' }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ authStatus: 'banned' }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ propFirm: "'; DROP TABLE--" }).valid).toBe(false);
+  });
+
+  test('rejects array-valued params (repeated query keys)', () => {
+    expect(parseLeaderboardQuery({ sort: ['winRate', 'totalProfit'] }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ limit: ['10', '20'] }).valid).toBe(false);
+  });
+
+  test('rejects non-numeric and out-of-range pagination', () => {
+    expect(parseLeaderboardQuery({ limit: '0' }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ limit: String(MAX_PAGE_SIZE + 1) }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ limit: '-5' }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ page: '0' }).valid).toBe(false);
+    expect(parseLeaderboardQuery({ minTrades: 'ten' }).valid).toBe(false);
+  });
+
+  test('returns a bare array unless envelope=true', () => {
+    expect(parse({}).envelope).toBe(false);
+    expect(parse({ envelope: 'true' }).envelope).toBe(true);
+    expect(parseLeaderboardQuery({ envelope: 'yes' }).valid).toBe(false);
+  });
+
+  test('rejects malformed cursor', () => {
+    expect(parseLeaderboardQuery({ cursor: 'not-a-cursor' }).valid).toBe(false);
+  });
+
+  test('cursor round-trips', () => {
+    const cursor = encodeCursor({ id: 'a', totalProfit: 500 }, 'totalProfit');
+    expect(decodeCursor(cursor)).toEqual({ v: 500, id: 'a' });
+    expect(parse({ cursor }).cursor).toEqual({ v: 500, id: 'a' });
+  });
+});
+
+// ============================================
+// applyLeaderboardQuery
+// ============================================
+
+describe('applyLeaderboardQuery', () => {
+  test('sorts by totalProfit desc and ranks', () => {
+    const { traders, pagination } = applyLeaderboardQuery(makeTraders(), parse({}));
+    expect(traders.map(t => t.id)).toEqual(['b', 'a', 'd', 'c']);
+    expect(traders.map(t => t.rank)).toEqual([1, 2, 3, 4]);
+    expect(pagination.total).toBe(4);
+    expect(pagination.hasMore).toBe(false);
+    expect(pagination.nextCursor).toBeNull();
+  });
+
+  test('sorts ascending on another field', () => {
+    const { traders } = applyLeaderboardQuery(makeTraders(), parse({ sort: 'winRate', order: 'asc' }));
+    expect(traders.map(t => t.id)).toEqual(['d', 'c', 'b', 'a']);
+  });
+
+  test('filters by prop firm, connection type, auth status and min trades', () => {
+    expect(applyLeaderboardQuery(makeTraders(), parse({ propFirm: 'topstep' })).traders.map(t => t.id)).toEqual(['a', 'c']);
+    expect(applyLeaderboardQuery(makeTraders(), parse({ connectionType: 'tradesyncer' })).traders.map(t => t.id)).toEqual(['b']);
+    expect(applyLeaderboardQuery(makeTraders(), parse({ authStatus: 'expired' })).traders.map(t => t.id)).toEqual(['c']);
+    expect(applyLeaderboardQuery(makeTraders(), parse({ minTrades: '10' })).traders.map(t => t.id)).toEqual(['a', 'c']);
+  });
+
+  test('filters by verification', () => {
+    const traders = makeTraders().map(t => ({ ...t, verification: t.id === 'b' ? 'self-reported' : 'verified' }));
+    expect(applyLeaderboardQuery(traders, parse({ verification: 'self-reported' })).traders.map(t => t.id)).toEqual(['b']);
+    expect(applyLeaderboardQuery(traders, parse({ verification: 'verified' })).traders.map(t => t.id)).toEqual(['a', 'd', 'c']);
+    expect(parseLeaderboardQuery({ verification: 'audited' }).valid).toBe(false);
+  });
+
+  test('ranks within the filtered set', () => {
+    const { traders } = applyLeaderboardQuery(makeTraders(), parse({ propFirm: 'topstep' }));
+    expect(traders.map(t => t.rank)).toEqual([1, 2]);
+  });
+
+  test('page-based pagination keeps global ranks', () => {
+    const { traders, pagination } = applyLeaderboardQuery(makeTraders(), parse({ limit: '2', page: '2' }));
+    expect(traders.map(t => t.id)).toEqual(['d', 'c']);
+    expect(traders.map(t => t.rank)).toEqual([3, 4]);
+    expect(pagination.totalPages).toBe(2);
+    expect(pagination.page).toBe(2);
+    expect(pagination.hasMore).toBe(false);
+  });
+
+  test('cursor pagination walks the full list', () => {
+    const first = applyLeaderboardQuery(makeTraders(), parse({ limit: '3' }));
+    expect(first.traders.map(t => t.id)).toEqual(['b', 'a', 'd']);
+    expect(first.pagination.hasMore).toBe(true);
+
+    const second = applyLeaderboardQuery(makeTraders(), parse({ limit: '3', cursor: first.pagination.nextCursor }));
+    expect(second.traders.map(t => t.id)).toEqual(['c']);
+    expect(second.pagination.page).toBeNull();
+    expect(second.pagination.hasMore).toBe(false);
+  });
+
+  test('cursor stays stable when a trader is added ahead of it', () => {
+    const first = applyLeaderboardQuery(makeTraders(), parse({ limit: '2' }));
+    const grown = [...makeTraders(), { id: 'e', totalProfit: 9999, totalTrades: 1 }];
+    const second = applyLeaderboardQuery(grown, parse({ limit: '2', cursor: first.pagination.nextCursor }));
+    expect(second.traders.map(t => t.id)).toEqual(['d', 'c']);
+  });
+
+  test('handles empty input', () => {
+    const { traders, pagination } = applyLeaderboardQuery([], parse({}));
+    expect(traders).toEqual([]);
+    expect(pagination.total).toBe(0);
+    expect(pagination.totalPages).toBe(0);
+  });
+});
+
+// ============================================
+// Database query building (get_traders_with_stats)
+// ============================================
+
+// Records Supabase filter builder calls
+function fakeQuery() {
+  const calls = [];
+  const query = {};
+  for (const method of ['eq', 'gt', 'gte', 'order', 'or']) {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  }
+  query.calls = calls;
+  return query;
+}
+
+describe('applyLeaderboardFilters', () => {
+  test('pushes every filter into the query', () => {
+    const query = applyLeaderboardFilters(fakeQuery(), parse({
+      propFirm: 'topstep', connectionType: 'projectx', authStatus: 'active', verification: 'self-reported', minTrades: '10',
+    }));
+    expect(query.calls).toEqual([
+      ['eq', 'prop_firm', 'topstep'],
+      ['eq', 'connection_type', 'projectx'],
+      ['eq', 'auth_status', 'active'],
+      ['gt', 'self_reported_trades', 0],
+      ['gte', 'total_trades', 10],
+    ]);
+    expect(applyLeaderboardFilters(fakeQuery(), parse({ verification: 'verified' })).calls)
+      .toEqual([['eq', 'self_reported_trades', 0]]);
+  });
+
+  test('leaves window-dependent filters to the server', () => {
+    const query = applyLeaderboardFilters(fakeQuery(), parse({ propFirm: 'apex', minTrades: '3', verification: 'verified' }), { statFilters: false });
+    expect(query.calls).toEqual([['eq', 'prop_firm', 'apex']]);
+  });
+
+  test('adds nothing without filters', () => {
+    expect(applyLeaderboardFilters(fakeQuery(), parse({})).calls).toEqual([]);
+  });
+});
+
+describe('orderLeaderboardQuery', () => {
+  test('orders on the sort column with nulls last, then id', () => {
+    expect(orderLeaderboardQuery(fakeQuery(), parse({ sort: 'sharpeRatio', order: 'asc' })).calls).toEqual([
+      ['order', 'sharpe_ratio', { ascending: true, nullsFirst: false }],
+      ['order', 'id', { ascending: true }],
+    ]);
+  });
+});
+
+describe('buildCursorFilter', () => {
+  const id = '0f8fad5b-d9cb-469f-a165-70867728950e';
+  const withCursor = (query, v) => parse({ ...query, cursor: encodeCursor({ id, totalProfit: v, updatedAt: v }, query.sort || 'totalProfit') });
+
+  test('selects rows after the cursor in either order', () => {
+    expect(buildCursorFilter(withCursor({}, 500)))
+      .toBe(`total_profit.lt."500",and(total_profit.eq."500",id.gt.${id}),total_profit.is.null`);
+    expect(buildCursorFilter(withCursor({ order: 'asc' }, 500)))
+      .toBe(`total_profit.gt."500",and(total_profit.eq."500",id.gt.${id}),total_profit.is.null`);
+  });
+
+  test('counts rows up to and including the cursor', () => {
+    expect(buildCursorFilter(withCursor({}, 500), { through: true }))
+      .toBe(`total_profit.gt."500",and(total_profit.eq."500",id.lte.${id})`);
+  });
+
+  test('handles null and timestamp sort values', () => {
+    expect(buildCursorFilter(withCursor({}, null))).toBe(`and(total_profit.is.null,id.gt.${id})`);
+    expect(buildCursorFilter(withCursor({}, null), { through: true }))
+      .toBe(`total_profit.not.is.null,and(total_profit.is.null,id.lte.${id})`);
+    expect(buildCursorFilter(withCursor({ sort: 'updatedAt' }, '2025-03-10T14:30:05.123+00:00')))
+      .toMatch(/^updated_at\.lt\."2025-03-10T14:30:05\.123\+00:00",/);
+  });
+
+  test('refuses cursor values that are not sort values or IDs', () => {
+    expect(buildCursorFilter(withCursor({}, '1),id.gt.(0'))).toBeNull();
+    expect(buildCursorFilter(parse({ cursor: encodeCursor({ id: 'a,b', totalProfit: 1 }, 'totalProfit') }))).toBeNull();
+  });
+});
+
+describe('buildLeaderboardPage', () => {
+  test('ranks from the page start and reports the next cursor', () => {
+    const { traders, pagination } = buildLeaderboardPage(makeTraders().slice(0, 2), 4, 10, parse({ limit: '2', page: '3' }));
+    expect(traders.map(t => t.rank)).toEqual([5, 6]);
+    expect(pagination).toMatchObject({ total: 10, page: 3, totalPages: 5, hasMore: true });
+    expect(decodeCursor(pagination.nextCursor)).toEqual({ v: 1500, id: 'b' });
+  });
+});
+
+// ============================================
+// applyPeriodStats
+// ============================================
+
+describe('applyPeriodStats', () => {
+  test('replaces trade stats with windowed values and ranks on them', () => {
+    const tradesByTrader = new Map([
+      ['c', [{ profit: 300, closedAt: '2025-03-11T10:00:00Z' }, { profit: -100, closedAt: '2025-03-11T11:00:00Z' }]],
+      ['a', [{ profit: 50, closedAt: '2025-03-11T10:00:00Z' }]],
+    ]);
+
+    const windowed = applyPeriodStats(makeTraders(), tradesByTrader);
+    const c = windowed.find(t => t.id === 'c');
+    expect(c.totalProfit).toBe(200);
+    expect(c.totalTrades).toBe(2);
+    expect(c.winRate).toBe(50);
+
+    const b = windowed.find(t => t.id === 'b');
+    expect(b.totalProfit).toBe(0);
+    expect(b.totalTrades).toBe(0);
+
+    const { traders } = applyLeaderboardQuery(windowed, parse({ minTrades: '1' }));
+    expect(traders.map(t => [t.id, t.rank])).toEqual([['c', 1], ['a', 2]]);
+  });
+
+  test('flags windows containing imported trades as self-reported', () => {
+    const tradesByTrader = new Map([
+      ['a', [{ profit: 50, closedAt: '2025-03-11T10:00:00Z', source: 'tradovate' }]],
+      ['b', [
+        { profit: 80, closedAt: '2025-03-11T10:00:00Z', source: 'import' },
+        { profit: 20, closedAt: '2025-03-11T11:00:00Z', source: 'tradesyncer' },
+      ]],
+    ]);
+
+    const windowed = applyPeriodStats(makeTraders(), tradesByTrader);
+    expect(windowed.find(t => t.id === 'a')).toMatchObject({ selfReportedTrades: 0, verification: 'verified' });
+    expect(windowed.find(t => t.id === 'b')).toMatchObject({ selfReportedTrades: 1, verification: 'self-reported' });
+
+    const { traders } = applyLeaderboardQuery(windowed, parse({ verification: 'self-reported' }));
+    expect(traders.map(t => t.id)).toEqual(['b']);
+  });
+
+  test('does not mutate the all-time traders', () => {
+    const original = makeTraders();
+    applyPeriodStats(original, new Map());
+    expect(original.find(t => t.id === 'b').totalProfit).toBe(1500);
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  getManualSyncConfig,
+  getNextManualSyncAt,
+  getCooldownCutoff,
+  getManualSyncBlocker,
+  DEFAULT_MANUAL_SYNC,
+} = require('../utils/manualSync');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+
+describe('getManualSyncConfig', () => {
+  test('uses defaults and reads overrides', () => {
+    expect(getManualSyncConfig({})).toEqual(DEFAULT_MANUAL_SYNC);
+    expect(getManualSyncConfig({ MANUAL_SYNC_COOLDOWN_MINUTES: '5' })).toEqual({ cooldownMinutes: 5 });
+    expect(getManualSyncConfig({ MANUAL_SYNC_COOLDOWN_MINUTES: '0' })).toEqual(DEFAULT_MANUAL_SYNC);
+  });
+});
+
+describe('getNextManualSyncAt', () => {
+  test('is null for a trader who never synced manually or is past the cooldown', () => {
+    expect(getNextManualSyncAt({}, NOW)).toBeNull();
+    expect(getNextManualSyncAt({ manual_sync_requested_at: minutesAgo(15) }, NOW)).toBeNull();
+    expect(getNextManualSyncAt({ manual_sync_requested_at: 'not a date' }, NOW)).toBeNull();
+  });
+
+  test('returns the end of the cooldown while it runs', () => {
+    expect(getNextManualSyncAt({ manual_sync_requested_at: minutesAgo(5) }, NOW))
+      .toEqual(new Date('2026-03-10T12:10:00Z'));
+    expect(getNextManualSyncAt({ manual_sync_requested_at: minutesAgo(5) }, NOW, { cooldownMinutes: 3 }))
+      .toBeNull();
+  });
+});
+
+describe('getCooldownCutoff', () => {
+  test('is one cooldown before now', () => {
+    expect(getCooldownCutoff(NOW)).toEqual(new Date('2026-03-10T11:45:00Z'));
+  });
+});
+
+describe('getManualSyncBlocker', () => {
+  test('refuses unlinked and expired traders', () => {
+    expect(getManualSyncBlocker({ connection_type: null })).toMatchObject({ status: 400 });
+    expect(getManualSyncBlocker({ connection_type: 'none' })).toMatchObject({ status: 400 });
+    expect(getManualSyncBlocker({ connection_type: 'tradovate', auth_status: 'expired' })).toMatchObject({ status: 409 });
+  });
+
+  test('points traders who only import statements to uploading', () => {
+    expect(getManualSyncBlocker({ connection_type: 'import' })).toMatchObject({ status: 400, error: expect.stringMatching(/upload/) });
+  });
+
+  test('allows linked traders', () => {
+    expect(getManualSyncBlocker({ connection_type: 'tradesyncer', auth_status: 'active' })).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+const {
+  extractTradovatePayouts,
+  normalizeTradeSyncerPayouts,
+  payoutsToRows,
+  rowToPayout,
+  mergePayouts,
+  summarizePayouts,
+  buildPayoutTimeline,
+} = require('../utils/payouts');
+
+describe('extractTradovatePayouts', () => {
+  const entries = [
+    { id: 1, accountId: 101, cashChangeType: 'TradePnL', amount: 500, timestamp: '2025-01-10T15:00:00Z' },
+    { id: 2, accountId: 101, cashChangeType: 'Withdrawal', amount: -2000, timestamp: '2025-01-15T15:00:00Z' },
+    { id: 3, accountId: 101, cashChangeType: 'FundTransaction', amount: 50000, timestamp: '2025-01-01T15:00:00Z' },
+    { id: 4, accountId: 102, cashChangeType: 'Withdrawal', amount: -1500.456, timestamp: '2025-02-01T15:00:00Z' },
+    { id: 5, accountId: 999, cashChangeType: 'Withdrawal', amount: -100, timestamp: '2025-02-02T15:00:00Z' },
+    { id: 6, accountId: 101, cashChangeType: 'Transfer', amount: -5000, timestamp: '2025-02-03T15:00:00Z' },
+    { id: 7, accountId: 102, cashChangeType: 'FundTransaction', amount: -150, timestamp: '2025-02-04T15:00:00Z' },
+  ];
+
+  test('keeps withdrawals as positive amounts', () => {
+    const payouts = extractTradovatePayouts(entries);
+    expect(payouts.map(p => p.externalPayoutId)).toEqual(['2', '4', '5']);
+    expect(payouts[0]).toEqual({
+      externalPayoutId: '2',
+      accountId: '101',
+      amount: 2000,
+      paidAt: '2025-01-15T15:00:00Z',
+      source: 'tradovate',
+    });
+    expect(payouts[1].amount).toBe(1500.46);
+  });
+
+  test('ignores deposits, trade P&L, transfers and fees', () => {
+    const ids = extractTradovatePayouts(entries).map(p => p.externalPayoutId);
+    expect(ids).not.toContain('1');
+    expect(ids).not.toContain('3');
+    expect(ids).not.toContain('6');
+    expect(ids).not.toContain('7');
+  });
+
+  test('restricts to the given accounts', () => {
+    const payouts = extractTradovatePayouts(entries, [101, '102']);
+    expect(payouts.map(p => p.accountId)).toEqual(['101', '102']);
+  });
+
+  test('handles missing input', () => {
+    expect(extractTradovatePayouts(undefined)).toEqual([]);
+  });
+});
+
+describe('normalizeTradeSyncerPayouts', () => {
+  test('accepts common field aliases', () => {
+    const payouts = normalizeTradeSyncerPayouts([
+      { id: 'p1', accountId: 'A1', amount: '2500.5', date: '2025-01-20' },
+      { payoutId: 7, account_id: 'A2', payoutAmount: 1000, createdAt: '2025-02-20' },
+    ]);
+    expect(payouts).toEqual([
+      { externalPayoutId: 'p1', accountId: 'A1', amount: 2500.5, paidAt: '2025-01-20', source: 'tradesyncer' },
+      { externalPayoutId: '7', accountId: 'A2', amount: 1000, paidAt: '2025-02-20', source: 'tradesyncer' },
+    ]);
+  });
+
+  test('derives a stable ID when the record has none', () => {
+    const [first] = normalizeTradeSyncerPayouts([{ amount: 100, date: '2025-01-20' }]);
+    const [second] = normalizeTradeSyncerPayouts([{ amount: 100, date: '2025-01-20' }]);
+    expect(first.externalPayoutId).toBe(second.externalPayoutId);
+    expect(first.accountId).toBeNull();
+  });
+});
+
+describe('payoutsToRows / rowToPayout', () => {
+  test('round-trips and collapses duplicate keys', () => {
+    const payout = { externalPayoutId: '2', accountId: '101', amount: 2000, paidAt: '2025-01-15T15:00:00Z', source: 'tradovate' };
+    const rows = payoutsToRows('trader-1', [payout, { ...payout, amount: 2100 }]);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ trader_id: 'trader-1', external_payout_id: '2', amount: 2100 });
+    expect(rowToPayout({ ...rows[0], amount: '2100.00' })).toEqual({ ...payout, amount: 2100 });
+  });
+});
+
+describe('mergePayouts', () => {
+  test('replaces re-fetched payouts and orders by paid date', () => {
+    const stored = [
+      { externalPayoutId: '1', accountId: '101', amount: 1000, paidAt: '2025-02-01T15:00:00Z', source: 'tradovate' },
+      { externalPayoutId: '2', accountId: '101', amount: 2000, paidAt: '2025-01-15T15:00:00Z', source: 'tradovate' },
+    ];
+    const merged = mergePayouts(stored, [{ ...stored[0], amount: 1100 }]);
+
+    expect(merged.map(p => p.externalPayoutId)).toEqual(['2', '1']);
+    expect(merged[1].amount).toBe(1100);
+  });
+});
+
+describe('summarizePayouts', () => {
+  test('counts payouts and totals dollars', () => {
+    expect(summarizePayouts([
+      { amount: 2000, paidAt: '2025-01-15T15:00:00Z' },
+      { amount: 1500.25, paidAt: '2025-02-01T15:00:00Z' },
+    ])).toEqual({ count: 2, totalAmount: 3500.25, lastPaidAt: '2025-02-01T15:00:00Z' });
+  });
+
+  test('handles no payouts', () => {
+    expect(summarizePayouts([])).toEqual({ count: 0, totalAmount: 0, lastPaidAt: null });
+  });
+});
+
+describe('buildPayoutTimeline', () => {
+  const payouts = [
+    { externalPayoutId: '4', accountId: '102', amount: 1500, paidAt: '2025-02-01T15:00:00Z', source: 'tradovate' },
+    { externalPayoutId: '2', accountId: '101', amount: 2000, paidAt: '2025-01-15T15:00:00Z', source: 'tradovate' },
+  ];
+
+  test('sorts oldest first with a running total', () => {
+    const timeline = buildPayoutTimeline(payouts, false);
+    expect(timeline.map(p => p.cumulativeAmount)).toEqual([2000, 3500]);
+    expect(timeline[0]).not.toHaveProperty('accountId');
+  });
+
+  test('includes identifiers for the owner', () => {
+    const [first] = buildPayoutTimeline(payouts, true);
+    expect(first.accountId).toBe('101');
+    expect(first.externalPayoutId).toBe('2');
+  });
+});
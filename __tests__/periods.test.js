@@ -0,0 +1,100 @@
+const { parsePeriodQuery, resolveNamedPeriod, describePeriod, isWindowed } = require('../utils/periods');
+
+// Wednesday, 2025-03-12 15:30 UTC
+const NOW = new Date('2025-03-12T15:30:00.000Z');
+
+function parse(query) {
+  const result = parsePeriodQuery(query, NOW);
+  expect(result.valid).toBe(true);
+  return describePeriod(result.period);
+}
+
+// ============================================
+// Named periods
+// ============================================
+
+describe('resolveNamedPeriod', () => {
+  test('defaults to all-time with no bounds', () => {
+    expect(parse({})).toEqual({ key: 'all', start: null, end: null });
+    expect(isWindowed(parsePeriodQuery({}, NOW).period)).toBe(false);
+  });
+
+  test('today covers the current UTC day', () => {
+    expect(parse({ period: 'today' })).toEqual({
+      key: 'today',
+      start: '2025-03-12T00:00:00.000Z',
+      end: '2025-03-13T00:00:00.000Z',
+    });
+  });
+
+  test('week starts on Monday', () => {
+    expect(parse({ period: 'week' }).start).toBe('2025-03-10T00:00:00.000Z');
+  });
+
+  test('week on a Sunday goes back to the previous Monday', () => {
+    const sunday = resolveNamedPeriod('week', new Date('2025-03-16T23:59:00.000Z'));
+    expect(sunday.start.toISOString()).toBe('2025-03-10T00:00:00.000Z');
+  });
+
+  test('month starts on the 1st', () => {
+    expect(parse({ period: 'month' }).start).toBe('2025-03-01T00:00:00.000Z');
+  });
+
+  test('ytd starts on January 1st', () => {
+    expect(parse({ period: 'ytd' }).start).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('rejects unknown period', () => {
+    expect(parsePeriodQuery({ period: 'fortnight' }, NOW).valid).toBe(false);
+  });
+
+  test('rejects from/to without custom period', () => {
+    expect(parsePeriodQuery({ period: 'week', from: '2025-01-01' }, NOW).valid).toBe(false);
+  });
+});
+
+// ============================================
+// Custom ranges
+// ============================================
+
+describe('custom period', () => {
+  test('to is inclusive', () => {
+    expect(parse({ period: 'custom', from: '2025-02-01', to: '2025-02-28' })).toEqual({
+      key: 'custom',
+      start: '2025-02-01T00:00:00.000Z',
+      end: '2025-03-01T00:00:00.000Z',
+    });
+  });
+
+  test('to defaults to today', () => {
+    expect(parse({ period: 'custom', from: '2025-03-01' }).end).toBe('2025-03-13T00:00:00.000Z');
+  });
+
+  test('requires from', () => {
+    expect(parsePeriodQuery({ period: 'custom' }, NOW).valid).toBe(false);
+  });
+
+  test('rejects malformed and impossible dates', () => {
+    expect(parsePeriodQuery({ period: 'custom', from: '03/01/2025' }, NOW).valid).toBe(false);
+    expect(parsePeriodQuery({ period: 'custom', from: '2025-02-30' }, NOW).valid).toBe(false);
+    expect(parsePeriodQuery({ period: 'custom', from: ['2025-01-01'] }, NOW).valid).toBe(false);
+  });
+
+  test('rejects inverted range', () => {
+    expect(parsePeriodQuery({ period: 'custom', from: '2025-03-01', to: '2025-02-01' }, NOW).valid).toBe(false);
+  });
+});
+
+describe('implicit custom period', () => {
+  test('from/to without period imply custom', () => {
+    expect(parse({ from: '2025-02-01', to: '2025-02-01' })).toEqual({
+      key: 'custom',
+      start: '2025-02-01T00:00:00.000Z',
+      end: '2025-02-02T00:00:00.000Z',
+    });
+  });
+
+  test('to alone still requires from', () => {
+    expect(parsePeriodQuery({ to: '2025-02-01' }, NOW).valid).toBe(false);
+  });
+});
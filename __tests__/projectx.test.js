@@ -0,0 +1,262 @@
+const ProjectXAdapter = require('../adapters/projectx');
+const { getConnection, PROP_FIRMS } = require('../adapters');
+const { startMockProjectXServer } = require('../scripts/mock-projectx');
+const { HttpClient, CircuitBreaker } = require('../adapters/httpClient');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CONTRACT = 'CON.F.US.EP.U25';
+const CREDENTIALS = { username: 'trader1', apiKey: 'key-1' };
+
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+function execution(overrides) {
+  return { accountId: 101, contractId: CONTRACT, fees: 1.4, voided: false, profitAndLoss: null, ...overrides };
+}
+
+// Long 1 closed for +200, short 2 closed for -200 across a window boundary,
+// a voided fill, and an opening fill still open
+const TRADES = [
+  execution({ id: 1, creationTimestamp: hoursAgo(50), price: 5000, side: 0, size: 1 }),
+  execution({ id: 2, creationTimestamp: hoursAgo(49), price: 5004, side: 1, size: 1, profitAndLoss: 200 }),
+  execution({ id: 3, creationTimestamp: hoursAgo(25), price: 5010, side: 1, size: 2 }),
+  execution({ id: 4, creationTimestamp: hoursAgo(23), price: 5012, side: 0, size: 1, profitAndLoss: -100 }),
+  execution({ id: 5, creationTimestamp: hoursAgo(22), price: 5012, side: 0, size: 1, profitAndLoss: -100 }),
+  execution({ id: 6, creationTimestamp: hoursAgo(21), price: 5020, side: 0, size: 5, voided: true }),
+  execution({ id: 7, creationTimestamp: hoursAgo(2), price: 5030, side: 0, size: 1 }),
+];
+
+let server;
+
+beforeEach(async () => {
+  server = await startMockProjectXServer({
+    users: [CREDENTIALS],
+    accounts: [
+      { id: 101, name: 'TOPX-50K-101', balance: 51234.5, canTrade: true, simulated: true },
+      { id: 102, name: 'TOPX-50K-102', balance: 0, canTrade: false, simulated: true },
+    ],
+    trades: TRADES,
+    contracts: { [CONTRACT]: 'ESU5' },
+  });
+});
+
+afterEach(() => server.close());
+
+function makeAdapter(config = {}) {
+  return new ProjectXAdapter({ baseURL: server.url, historyDays: 3, windowDays: 1, ...config });
+}
+
+const paths = () => server.requests.map(request => request.path);
+
+describe('ProjectXAdapter authentication', () => {
+  test('logs in with an API key', async () => {
+    const auth = await makeAdapter().authenticate(CREDENTIALS);
+
+    expect(auth.token).toEqual(expect.any(String));
+    expect(auth.username).toBe('trader1');
+    expect(new Date(auth.expirationTime).getTime()).toBeGreaterThan(Date.now() + 23 * HOUR_MS);
+    expect(server.requests[0]).toEqual({
+      path: '/api/Auth/loginKey', body: { userName: 'trader1', apiKey: 'key-1' }, token: null,
+    });
+  });
+
+  test('rejects a refused login even though it is HTTP 200', async () => {
+    await expect(makeAdapter().authenticate({ username: 'trader1', apiKey: 'wrong' }))
+      .rejects.toThrow(/ProjectX authentication failed: Invalid credentials/);
+  });
+
+  test('reuses a session and renews it close to expiry', async () => {
+    const adapter = makeAdapter();
+    const first = await adapter.authenticate(CREDENTIALS);
+    expect((await adapter.authenticate(CREDENTIALS)).token).toBe(first.token);
+    expect(paths()).toEqual(['/api/Auth/loginKey']);
+
+    adapter.now = () => Date.now() + 23 * HOUR_MS;
+    const renewed = await adapter.authenticate(CREDENTIALS);
+
+    expect(renewed.token).not.toBe(first.token);
+    expect(server.requests[1]).toMatchObject({ path: '/api/Auth/validate', token: first.token });
+    expect(paths()).toHaveLength(2);
+  });
+
+  test('logs in again when renewal is refused', async () => {
+    const adapter = makeAdapter();
+    await adapter.authenticate(CREDENTIALS);
+    server.revokeTokens();
+
+    adapter.now = () => Date.now() + 23 * HOUR_MS;
+    await adapter.authenticate(CREDENTIALS);
+
+    expect(paths()).toEqual(['/api/Auth/loginKey', '/api/Auth/validate', '/api/Auth/loginKey']);
+  });
+
+  test('evicts sessions whose tokens have expired', async () => {
+    await server.close();
+    const other = { username: 'trader2', apiKey: 'key-2' };
+    server = await startMockProjectXServer({ users: [CREDENTIALS, other], accounts: [], trades: [] });
+    const adapter = makeAdapter();
+    const first = await adapter.authenticate(CREDENTIALS);
+
+    adapter.now = () => Date.now() + 25 * HOUR_MS;
+    const second = await adapter.authenticate(other);
+
+    expect([...adapter.sessions.values()].map(session => session.token)).toEqual([second.token]);
+    expect(second.token).not.toBe(first.token);
+  });
+
+  test('does not repeat login or token checks after an upstream error', async () => {
+    const adapter = makeAdapter();
+    const requested = [];
+    adapter.http = new HttpClient('projectx', {
+      breaker: new CircuitBreaker({ threshold: 5, resetMs: 1000 }),
+      sleep: async () => {},
+      transport: async request => {
+        requested.push(request.url);
+        throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {} } });
+      },
+    });
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(adapter.authenticate(CREDENTIALS)).rejects.toThrow(/ProjectX authentication failed/);
+    await expect(adapter.validateToken('token')).rejects.toMatchObject({ code: 'UPSTREAM' });
+    spy.mockRestore();
+
+    expect(requested).toEqual([`${server.url}/api/Auth/loginKey`, `${server.url}/api/Auth/validate`]);
+  });
+
+  test('validateToken reports refused tokens as invalid', async () => {
+    const adapter = makeAdapter();
+    const { token } = await adapter.authenticate(CREDENTIALS);
+
+    await expect(adapter.validateToken(token)).resolves.toMatchObject({ valid: true, token: expect.any(String) });
+    server.revokeTokens();
+    await expect(adapter.validateToken(token)).resolves.toEqual({ valid: false });
+  });
+});
+
+describe('ProjectXAdapter sync', () => {
+  test('lists every account and rebuilds round trips from windowed trade searches', async () => {
+    const result = await makeAdapter().sync(CREDENTIALS);
+
+    expect(result.accounts).toEqual([
+      { id: 101, name: 'TOPX-50K-101', displayName: 'TOPX-50K-101', balance: 51234.5, active: true, accountType: 'simulated' },
+      { id: 102, name: 'TOPX-50K-102', displayName: 'TOPX-50K-102', balance: 0, active: false, accountType: 'simulated' },
+    ]);
+    expect(server.requests.find(r => r.path === '/api/Account/search').body).toEqual({ onlyActiveAccounts: false });
+
+    // 3 days of history in 1-day windows, per account
+    const searches = server.requests.filter(r => r.path === '/api/Trade/search');
+    expect(searches.filter(r => r.body.accountId === 101)).toHaveLength(3);
+    expect(searches[0].body.endTimestamp).toBe(searches[1].body.startTimestamp);
+
+    expect(result.trades).toEqual([
+      expect.objectContaining({
+        externalTradeId: 'rt-1-2', accountId: '101', symbol: 'ESU5', side: 'buy', quantity: 1,
+        entryPrice: 5000, exitPrice: 5004, profit: 200, openedAt: TRADES[0].creationTimestamp,
+        closedAt: TRADES[1].creationTimestamp, source: 'projectx',
+      }),
+      expect.objectContaining({
+        externalTradeId: 'rt-3-5', side: 'sell', quantity: 2, entryPrice: 5010, exitPrice: 5012, profit: -200,
+      }),
+    ]);
+    expect(result.stats).toMatchObject({ totalTrades: 2, totalProfit: 0, winRate: 50 });
+    expect(result.payouts).toBeNull();
+    expect(result.fetchErrors).toEqual([]);
+  });
+
+  test('only returns trades closed since the high-water mark', async () => {
+    const since = TRADES[2].creationTimestamp;
+    const result = await makeAdapter().sync(CREDENTIALS, { since: { 101: since } });
+
+    expect(result.trades.map(t => t.externalTradeId)).toEqual(['rt-3-5']);
+    // The search starts a week before the mark, so the opening fill is found
+    const search = server.requests.find(r => r.path === '/api/Trade/search' && r.body.accountId === 101);
+    expect(new Date(search.body.startTimestamp).getTime()).toBe(new Date(since).getTime() - 7 * 24 * HOUR_MS);
+  });
+
+  test('drops fills of a position opened before an incremental search', async () => {
+    const DAY = 24;
+    await server.close();
+    server = await startMockProjectXServer({
+      users: [CREDENTIALS],
+      accounts: [{ id: 101, name: 'TOPX-50K-101', balance: 50000, canTrade: true, simulated: true }],
+      trades: [
+        // Long 1 opened before the search window; closed inside it
+        execution({ id: 10, creationTimestamp: hoursAgo(9 * DAY), price: 5000, side: 0, size: 1 }),
+        execution({ id: 11, creationTimestamp: hoursAgo(7.5 * DAY), price: 5001, side: 1, size: 1, profitAndLoss: 50 }),
+        // Long 1 opened before the window, scaled in and sold out inside it
+        execution({ id: 20, creationTimestamp: hoursAgo(8.5 * DAY), price: 5000, side: 0, size: 1 }),
+        execution({ id: 21, creationTimestamp: hoursAgo(7 * DAY), price: 5002, side: 0, size: 1 }),
+        execution({ id: 22, creationTimestamp: hoursAgo(6 * DAY), price: 5004, side: 1, size: 2, profitAndLoss: 300 }),
+        // Round trips after the high-water mark
+        execution({ id: 30, creationTimestamp: hoursAgo(3), price: 5010, side: 0, size: 1 }),
+        execution({ id: 31, creationTimestamp: hoursAgo(2), price: 5012, side: 1, size: 1, profitAndLoss: 100 }),
+        execution({ id: 32, creationTimestamp: hoursAgo(1.5), price: 5012, side: 1, size: 1 }),
+        execution({ id: 33, creationTimestamp: hoursAgo(1), price: 5011, side: 0, size: 1, profitAndLoss: 50 }),
+      ],
+      contracts: { [CONTRACT]: 'ESU5' },
+    });
+
+    const result = await makeAdapter().sync(CREDENTIALS, { since: { 101: hoursAgo(DAY) } });
+
+    expect(result.trades.map(t => [t.externalTradeId, t.side, t.profit])).toEqual([
+      ['rt-30-31', 'buy', 100],
+      ['rt-32-33', 'sell', 50],
+    ]);
+    // The dropped closes predate the high-water mark: stored by an earlier sync
+    expect(result.fetchErrors).toEqual([]);
+  });
+
+  test('reports closing fills dropped since the high-water mark', async () => {
+    await server.close();
+    server = await startMockProjectXServer({
+      users: [CREDENTIALS],
+      accounts: [{ id: 101, name: 'TOPX-50K-101', balance: 50000, canTrade: true, simulated: true }],
+      trades: [
+        // Opened before the 3-day history; closed inside it
+        execution({ id: 10, creationTimestamp: hoursAgo(80), price: 5000, side: 0, size: 1 }),
+        execution({ id: 11, creationTimestamp: hoursAgo(10), price: 5001, side: 1, size: 1, profitAndLoss: 50 }),
+        execution({ id: 20, creationTimestamp: hoursAgo(3), price: 5010, side: 0, size: 1 }),
+        execution({ id: 21, creationTimestamp: hoursAgo(2), price: 5012, side: 1, size: 1, profitAndLoss: 100 }),
+      ],
+      contracts: { [CONTRACT]: 'ESU5' },
+    });
+
+    const result = await makeAdapter().sync(CREDENTIALS);
+
+    expect(result.trades.map(t => t.externalTradeId)).toEqual(['rt-20-21']);
+    expect(result.fetchErrors).toEqual([expect.objectContaining({
+      endpoint: 'Trade/search', code: 'UNMATCHED', accountId: '101',
+      message: expect.stringMatching(/1 closing fill\(s\) skipped/),
+    })]);
+  });
+
+  test('logs in again when a cached session was revoked', async () => {
+    const adapter = makeAdapter();
+    await adapter.authenticate(CREDENTIALS);
+    server.revokeTokens();
+
+    const result = await adapter.sync(CREDENTIALS);
+
+    expect(result.trades).toHaveLength(2);
+    expect(paths().filter(path => path === '/api/Auth/loginKey')).toHaveLength(2);
+  });
+
+  test('keeps the contract ID as the symbol when a contract is unknown', async () => {
+    const adapter = makeAdapter();
+    const { token } = await adapter.authenticate(CREDENTIALS);
+    const symbols = await adapter.resolveContracts({ token }, ['CON.F.US.ZZ.Z99']);
+    expect(symbols.has('CON.F.US.ZZ.Z99')).toBe(false);
+  });
+});
+
+describe('ProjectX connection', () => {
+  test('is registered for Topstep with stored API key credentials', () => {
+    const connection = getConnection('projectx');
+
+    expect(connection.credentials.map(field => field.field)).toEqual(['projectXUsername', 'projectXApiKey']);
+    expect(connection.stored).toContainEqual({ column: 'projectx_api_key', credential: 'apiKey', encrypted: true });
+    expect(connection.capabilities).toEqual({ tokenRenewal: false, payouts: false, streaming: false });
+    expect(PROP_FIRMS.topstep.connections).toContain('projectx');
+    expect(PROP_FIRMS.apex.connections).not.toContain('projectx');
+  });
+});
@@ -0,0 +1,185 @@
+const {
+  detectStatementFormat,
+  parseStatement,
+  parseAmount,
+  parseStatementTime,
+  ninjaTraderSymbol,
+  DEFAULT_STATEMENT_ACCOUNT,
+} = require('../adapters/statementFormats');
+const StatementImportAdapter = require('../adapters/statementImport');
+const { parseStatementUpload } = require('../utils/statementUpload');
+
+const TRADOVATE_PERFORMANCE = [
+  'symbol,_priceFormat,_priceFormatType,_tickSize,buyFillId,sellFillId,qty,buyPrice,sellPrice,pnl,boughtTimestamp,soldTimestamp,duration',
+  'ESH5,-2,0,0.25,1001,1002,1,5000.25,5002.75,$125.00,03/10/2025 09:30:05,03/10/2025 09:35:10,5min 5sec',
+  'NQH5,-2,0,0.25,1004,1003,2,21000.00,21010.00,$(400.00),03/10/2025 10:05:00,03/10/2025 10:00:00,5min',
+].join('\n');
+
+const NINJATRADER = [
+  'Trade number,Instrument,Account,Strategy,Market pos.,Qty,Entry price,Exit price,Entry time,Exit time,Entry name,Exit name,Profit,Cum. net profit',
+  '1,ES 03-25,Sim101,,Long,1,5000.25,5002.75,3/10/2025 9:30:05 AM,3/10/2025 9:35:10 AM,Entry,Exit,$125.00,$125.00',
+  '2,NQ 03-25,Sim101,,Short,2,21010.00,21000.00,3/10/2025 1:00:00 PM,3/10/2025 1:05:00 PM,Entry,Exit,$400.00,$525.00',
+  '3,NQ 03-25,Sim101,,Flat,1,21000.00,21000.00,3/10/2025 2:00:00 PM,3/10/2025 2:05:00 PM,Entry,Exit,$0.00,$525.00',
+].join('\n');
+
+const TRADESYNCER = [
+  'Trade ID,Account,Symbol,Side,Quantity,Entry Price,Exit Price,Entry Time,Exit Time,P&L',
+  'ts-1,APEX-101,ESH5,Buy,1,5000.25,5002.75,2025-03-10T14:30:05Z,2025-03-10T14:35:10Z,125',
+  'ts-2,APEX-101,ESH5,Sell,1,5005,5004,2025-03-10T15:00:00Z,not a time,50',
+].join('\n');
+
+describe('parseAmount / parseStatementTime / ninjaTraderSymbol', () => {
+  test('reads money cells', () => {
+    expect(parseAmount('$1,234.50')).toBe(1234.5);
+    expect(parseAmount('($50.00)')).toBe(-50);
+    expect(parseAmount('$(50.00)')).toBe(-50);
+    expect(parseAmount('-12.5')).toBe(-12.5);
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+  });
+
+  test('reads statement times in the uploader\'s timezone unless they carry an offset', () => {
+    expect(parseStatementTime('03/10/2025 09:30:05', -300)).toBe('2025-03-10T14:30:05.000Z');
+    expect(parseStatementTime('3/10/2025 1:05 PM', -300)).toBe('2025-03-10T18:05:00.000Z');
+    expect(parseStatementTime('3/10/2025 12:15:00 AM')).toBe('2025-03-10T00:15:00.000Z');
+    expect(parseStatementTime('2025-03-10 09:30:05', 60)).toBe('2025-03-10T08:30:05.000Z');
+    expect(parseStatementTime('2025-03-10T14:30:05Z', -300)).toBe('2025-03-10T14:30:05.000Z');
+    expect(parseStatementTime('2025-03-10T09:30:05-05:00')).toBe('2025-03-10T14:30:05.000Z');
+    expect(parseStatementTime('yesterday')).toBeNull();
+  });
+
+  test('converts NinjaTrader instruments to futures symbols', () => {
+    expect(ninjaTraderSymbol('ES 03-25')).toBe('ESH5');
+    expect(ninjaTraderSymbol('MNQ 12-24')).toBe('MNQZ4');
+    expect(ninjaTraderSymbol('ESH5')).toBe('ESH5');
+  });
+});
+
+describe('detectStatementFormat', () => {
+  test('recognizes each export by its headers', () => {
+    expect(detectStatementFormat(TRADOVATE_PERFORMANCE.split('\n')[0].split(','))).toBe('tradovate-performance');
+    expect(detectStatementFormat(NINJATRADER.split('\n')[0].split(','))).toBe('ninjatrader');
+    expect(detectStatementFormat(TRADESYNCER.split('\n')[0].split(','))).toBe('tradesyncer');
+    expect(detectStatementFormat(['Date', 'Amount'])).toBeNull();
+  });
+});
+
+describe('parseStatement', () => {
+  test('reads a Tradovate Performance export, short when sold first', () => {
+    const { format, trades, accounts, rows, skippedRows } = parseStatement(TRADOVATE_PERFORMANCE, {
+      account: 'APEX-101', utcOffsetMinutes: -300, source: 'import',
+    });
+
+    expect(format).toBe('tradovate-performance');
+    expect(rows).toBe(2);
+    expect(skippedRows).toEqual([]);
+    expect(trades[0]).toEqual({
+      externalTradeId: '1001-1002',
+      symbol: 'ESH5',
+      side: 'buy',
+      quantity: 1,
+      entryPrice: 5000.25,
+      exitPrice: 5002.75,
+      profit: 125,
+      openedAt: '2025-03-10T14:30:05.000Z',
+      closedAt: '2025-03-10T14:35:10.000Z',
+      accountId: 'APEX-101',
+      source: 'import',
+    });
+    expect(trades[1]).toMatchObject({
+      side: 'sell', quantity: 2, entryPrice: 21010, exitPrice: 21000, profit: -400,
+      openedAt: '2025-03-10T15:00:00.000Z', closedAt: '2025-03-10T15:05:00.000Z',
+    });
+    expect(accounts).toEqual([{ id: 'APEX-101', name: 'APEX-101', displayName: 'APEX-101', active: true }]);
+  });
+
+  test('puts rows without an account in the default account', () => {
+    const { trades } = parseStatement(TRADOVATE_PERFORMANCE);
+    expect(trades.every(t => t.accountId === DEFAULT_STATEMENT_ACCOUNT)).toBe(true);
+  });
+
+  test('reads a NinjaTrader export and reports unreadable rows', () => {
+    const { format, trades, skippedRows } = parseStatement(NINJATRADER, { utcOffsetMinutes: -300 });
+
+    expect(format).toBe('ninjatrader');
+    expect(trades.map(t => [t.symbol, t.side, t.quantity, t.profit, t.accountId])).toEqual([
+      ['ESH5', 'buy', 1, 125, 'Sim101'],
+      ['NQH5', 'sell', 2, 400, 'Sim101'],
+    ]);
+    expect(trades[1].closedAt).toBe('2025-03-10T18:05:00.000Z');
+    expect(skippedRows).toEqual([{ line: 4, error: 'unknown side' }]);
+  });
+
+  test('gives trades without a platform ID a stable one', () => {
+    const first = parseStatement(NINJATRADER).trades;
+    const again = parseStatement(NINJATRADER).trades;
+    expect(first[0].externalTradeId).toMatch(/^[0-9a-f]{20}$/);
+    expect(again.map(t => t.externalTradeId)).toEqual(first.map(t => t.externalTradeId));
+    expect(first[0].externalTradeId).not.toBe(first[1].externalTradeId);
+  });
+
+  test('keeps identical rows apart by their position among them', () => {
+    const row = NINJATRADER.split('\n')[1];
+    const single = parseStatement(NINJATRADER).trades;
+    const twice = parseStatement([NINJATRADER, row.replace(/^1,/, '4,')].join('\n')).trades;
+
+    expect(twice).toHaveLength(3);
+    expect(new Set(twice.map(t => t.externalTradeId)).size).toBe(3);
+    // The first copy keeps the ID an upload without the repeat gave it
+    expect(twice[0].externalTradeId).toBe(single[0].externalTradeId);
+    expect(parseStatement([NINJATRADER, row].join('\n')).trades.map(t => t.externalTradeId))
+      .toEqual(twice.map(t => t.externalTradeId));
+  });
+
+  test('reads a TradeSyncer export', () => {
+    const { format, trades, skippedRows } = parseStatement(TRADESYNCER);
+
+    expect(format).toBe('tradesyncer');
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ externalTradeId: 'ts-1', accountId: 'APEX-101', side: 'buy', profit: 125 });
+    expect(skippedRows).toEqual([{ line: 3, error: 'invalid exit time' }]);
+  });
+
+  test('rejects unknown and mismatched files', () => {
+    expect(() => parseStatement('Date,Amount\n2025-03-10,5')).toThrow(expect.objectContaining({ code: 'STATEMENT_FORMAT' }));
+    expect(() => parseStatement(TRADESYNCER, { format: 'ninjatrader' })).toThrow(/NinjaTrader/);
+    expect(() => parseStatement('')).toThrow(expect.objectContaining({ code: 'STATEMENT_FORMAT' }));
+  });
+});
+
+describe('StatementImportAdapter', () => {
+  test('syncs an uploaded statement into trades and stats', async () => {
+    const adapter = new StatementImportAdapter();
+    const result = await adapter.sync({}, { statement: { csv: NINJATRADER } });
+
+    expect(result.trades.every(t => t.source === 'import')).toBe(true);
+    expect(result.stats.totalTrades).toBe(2);
+    expect(result.stats.totalProfit).toBe(525);
+    expect(result.payouts).toBeNull();
+    expect(result.statement).toMatchObject({ format: 'ninjatrader', rows: 3, trades: 2 });
+  });
+
+  test('has nothing to sync without an upload', async () => {
+    await expect(new StatementImportAdapter().sync({}, {})).rejects.toThrow(/uploaded/);
+  });
+});
+
+describe('parseStatementUpload', () => {
+  test('accepts a statement with optional fields', () => {
+    expect(parseStatementUpload({ csv: TRADESYNCER })).toEqual({
+      valid: true,
+      statement: { csv: TRADESYNCER, format: undefined, account: undefined, utcOffsetMinutes: 0 },
+    });
+    expect(parseStatementUpload({ csv: 'x', format: 'ninjatrader', account: ' Sim101 ', utcOffsetMinutes: -300 }).statement)
+      .toMatchObject({ format: 'ninjatrader', account: 'Sim101', utcOffsetMinutes: -300 });
+  });
+
+  test('rejects invalid fields', () => {
+    expect(parseStatementUpload({}).valid).toBe(false);
+    expect(parseStatementUpload({ csv: '   ' }).valid).toBe(false);
+    expect(parseStatementUpload({ csv: 'x', format: 'constructor' }).valid).toBe(false);
+    expect(parseStatementUpload({ csv: 'x', account: '' }).valid).toBe(false);
+    expect(parseStatementUpload({ csv: 'x', utcOffsetMinutes: 900 }).valid).toBe(false);
+    expect(parseStatementUpload({ csv: 'x', utcOffsetMinutes: '60' }).valid).toBe(false);
+  });
+});
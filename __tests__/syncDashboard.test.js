@@ -0,0 +1,76 @@
+const { buildSyncDashboard, percentile } = require('../utils/syncDashboard');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const row = (traderId, status, startedAt, extra = {}) => ({
+  trader_id: traderId,
+  source: 'tradovate',
+  status,
+  duration_ms: 1000,
+  started_at: startedAt,
+  ...extra,
+});
+
+describe('percentile', () => {
+  test('uses nearest rank', () => {
+    const values = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000];
+    expect(percentile(values, 50)).toBe(500);
+    expect(percentile(values, 95)).toBe(1000);
+    expect(percentile([42], 99)).toBe(42);
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('buildSyncDashboard', () => {
+  const rows = [
+    row('a', 'success', '2026-03-08T10:00:00Z', { duration_ms: 1000, data_source: 'fillPair' }),
+    row('a', 'success', '2026-03-09T10:00:00Z', { duration_ms: 3000, data_source: 'fillPair' }),
+    row('b', 'partial', '2026-03-09T11:00:00Z', { duration_ms: 2000, error_code: 'upstream_down', data_source: 'fill' }),
+    row('c', 'success', '2026-03-08T12:00:00Z', { source: 'tradesyncer', duration_ms: 500, data_source: 'tradesyncer' }),
+    row('c', 'failed', '2026-03-09T12:00:00Z', { source: 'tradesyncer', duration_ms: 4000, error_code: 'auth', error_message: 'rejected' }),
+    row('c', 'failed', '2026-03-10T09:00:00Z', { source: 'tradesyncer', duration_ms: null, error_code: 'auth', error_message: 'rejected again' }),
+    row('d', 'failed', '2026-03-08T09:00:00Z', { error_code: 'timeout' }),
+    row('d', 'success', '2026-03-09T09:00:00Z'),
+  ];
+  const dashboard = buildSyncDashboard(rows, { now: NOW, days: 7, usernames: new Map([['c', 'carol']]) });
+
+  test('totals count partial runs as successful', () => {
+    expect(dashboard.totals).toEqual({ runs: 8, succeeded: 4, partial: 1, failed: 3, successRate: 62.5 });
+  });
+
+  test('computes latency percentiles over rows with a duration', () => {
+    expect(dashboard.latencyMs).toEqual({ p50: 1000, p90: 4000, p95: 4000, p99: 4000, max: 4000 });
+  });
+
+  test('tallies error codes, data sources and per-source runs', () => {
+    expect(dashboard.errorCodes).toEqual({ upstream_down: 1, auth: 2, timeout: 1 });
+    expect(dashboard.dataSources).toEqual({ fillPair: 2, fill: 1, tradesyncer: 1 });
+    expect(dashboard.bySource.tradesyncer).toMatchObject({ runs: 3, succeeded: 1, failed: 2 });
+  });
+
+  test('groups runs by day', () => {
+    expect(dashboard.daily.map(d => [d.date, d.runs])).toEqual([
+      ['2026-03-08', 3], ['2026-03-09', 4], ['2026-03-10', 1],
+    ]);
+  });
+
+  test('lists failing traders, still-failing first', () => {
+    expect(dashboard.failingTraders).toEqual([
+      {
+        traderId: 'c', username: 'carol', runs: 3, failures: 2, consecutiveFailures: 2,
+        lastErrorCode: 'auth', lastError: 'rejected again', lastFailedAt: '2026-03-10T09:00:00Z',
+      },
+      {
+        traderId: 'd', username: null, runs: 2, failures: 1, consecutiveFailures: 0,
+        lastErrorCode: 'timeout', lastError: null, lastFailedAt: '2026-03-08T09:00:00Z',
+      },
+    ]);
+  });
+
+  test('handles an empty window', () => {
+    const empty = buildSyncDashboard([], { now: NOW, days: 1 });
+    expect(empty.totals).toEqual({ runs: 0, succeeded: 0, partial: 0, failed: 0, successRate: null });
+    expect(empty.latencyMs.p50).toBeNull();
+    expect(empty.window.from).toBe('2026-03-09T12:00:00.000Z');
+  });
+});
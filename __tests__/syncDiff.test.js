@@ -0,0 +1,155 @@
+const { buildSyncDiff, diffTrades, diffStatistics } = require('../utils/syncDiff');
+const fixtures = require('./fixtures/trades');
+
+// Stored rows carry the resolved product root
+const makeTrade = overrides => fixtures.makeTrade({ productRoot: 'ES', ...overrides });
+
+describe('diffTrades', () => {
+  const history = [
+    makeTrade({ externalTradeId: '1' }),
+    makeTrade({ externalTradeId: '2', profit: 50, closedAt: '2025-03-11T14:05:00.000Z' }),
+    makeTrade({ externalTradeId: '3', closedAt: '2025-03-12T14:05:00.000Z' }),
+    makeTrade({ externalTradeId: '4', accountId: '102', closedAt: '2025-03-12T14:05:00.000Z' }),
+  ];
+
+  test('classifies fetched trades as added, changed or unchanged', () => {
+    const diff = diffTrades(history, [
+      makeTrade({ externalTradeId: '2', profit: 75, closedAt: '2025-03-11T14:05:00Z' }),
+      makeTrade({ externalTradeId: '3', closedAt: '2025-03-12T14:05:00Z' }),
+      makeTrade({ externalTradeId: '5', closedAt: '2025-03-12T15:00:00.000Z' }),
+    ], { source: 'tradovate', fetchedAccountIds: ['101'], since: { 101: '2025-03-11T00:00:00.000Z' } });
+
+    expect(diff).toMatchObject({ fetched: 3, added: 1, changed: 1, unchanged: 1, removed: 0 });
+    expect(diff.samples.added[0].externalTradeId).toBe('5');
+    expect(diff.samples.changed[0].before.profit).toBe(50);
+    expect(diff.samples.changed[0].after.profit).toBe(75);
+  });
+
+  test('lists stored trades in the fetched window the platform no longer returns', () => {
+    const diff = diffTrades(history, [makeTrade({ externalTradeId: '3', closedAt: '2025-03-12T14:05:00.000Z' })], {
+      source: 'tradovate',
+      fetchedAccountIds: ['101'],
+      since: { 101: '2025-03-11T00:00:00.000Z' },
+    });
+
+    // Trade 1 is before the cursor; trade 4 belongs to an account that wasn't fetched
+    expect(diff.removed).toBe(1);
+    expect(diff.samples.removed.map(t => t.externalTradeId)).toEqual(['2']);
+  });
+
+  test('compares the whole account history without a cursor', () => {
+    const diff = diffTrades(history, [], { source: 'tradovate', fetchedAccountIds: ['101', '102'] });
+    expect(diff.removed).toBe(4);
+  });
+
+  test('omits samples when the limit is 0', () => {
+    const diff = diffTrades(history, [makeTrade({ externalTradeId: '9' })], {
+      source: 'tradovate',
+      fetchedAccountIds: ['101'],
+      sampleLimit: 0,
+    });
+    expect(diff.added).toBe(1);
+    expect(diff.samples).toBeUndefined();
+  });
+});
+
+describe('diffStatistics', () => {
+  test('reports changed fields with deltas', () => {
+    const diff = diffStatistics(
+      { total_profit: '100.00', total_trades: 2, win_rate: '50.00' },
+      { totalProfit: 175.5, totalTrades: 3, winRate: 50 }
+    );
+
+    expect(diff.before.totalProfit).toBe(100);
+    expect(diff.after.totalProfit).toBe(175.5);
+    expect(diff.changes).toEqual({
+      totalProfit: { before: 100, after: 175.5, delta: 75.5 },
+      totalTrades: { before: 2, after: 3, delta: 1 },
+    });
+  });
+
+  test('has no before side for a trader without statistics', () => {
+    const diff = diffStatistics(null, { totalProfit: 10, totalTrades: 1 });
+    expect(diff.before).toBeNull();
+    expect(diff.changes.totalProfit).toEqual({ before: null, after: 10, delta: 10 });
+  });
+});
+
+describe('buildSyncDiff', () => {
+  const stored = {
+    history: [makeTrade()],
+    accountRows: [{ source: 'tradovate', account_id: '101' }],
+    payouts: [{ externalPayoutId: 'p1', source: 'tradovate' }],
+    statistics: { total_profit: 100, total_trades: 1 },
+  };
+
+  test('reports newly seen accounts and new payouts', () => {
+    const diff = buildSyncDiff({
+      source: 'tradovate',
+      result: {
+        trades: [makeTrade({ externalTradeId: '2', accountId: '102' })],
+        accounts: [{ id: 101, name: 'APEX-101' }, { id: 102, name: 'APEX-102', accountType: 'Funded', balance: '50000' }],
+        payouts: [{ externalPayoutId: 'p1', source: 'tradovate' }, { externalPayoutId: 'p2', source: 'tradovate' }],
+      },
+      cursors: {},
+      stored,
+      stats: { totalProfit: 200, totalTrades: 2 },
+    });
+
+    expect(diff.accounts.newlySeen).toEqual([
+      { accountId: '102', name: 'APEX-102', displayName: 'APEX-102', accountType: 'Funded', balance: 50000 },
+    ]);
+    expect(diff.payouts).toEqual({ fetched: 2, added: 1 });
+    expect(diff.trades.added).toBe(1);
+    expect(diff.statistics.changes.totalTrades).toEqual({ before: 1, after: 2, delta: 1 });
+  });
+
+  test('leaves accounts whose fetch failed out of removed trades', () => {
+    const diff = buildSyncDiff({
+      source: 'tradovate',
+      result: {
+        trades: [],
+        accounts: [{ id: 101, name: 'APEX-101' }],
+        payouts: null,
+        fetchErrors: [{ accountId: '101', code: 'TIMEOUT' }],
+      },
+      cursors: {},
+      stored,
+      stats: { totalProfit: 100, totalTrades: 1 },
+    });
+
+    expect(diff.trades.removed).toBe(0);
+    expect(diff.payouts).toBeNull();
+  });
+
+  test('adds up every connection and reports cross-source duplicates', () => {
+    const duplicate = makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-1', accountId: 'TS-9' });
+    const diff = buildSyncDiff({
+      sources: [
+        {
+          source: 'tradovate',
+          result: { trades: [makeTrade({ externalTradeId: '2' })], accounts: [{ id: 101 }], payouts: null },
+          cursors: {},
+        },
+        {
+          source: 'tradesyncer',
+          result: {
+            trades: [duplicate, makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-2', accountId: 'TS-9' })],
+            accounts: [{ id: 'TS-9', name: 'Copy' }],
+            payouts: [{ externalPayoutId: 'tp1', source: 'tradesyncer' }],
+          },
+          cursors: {},
+        },
+      ],
+      stored,
+      stats: { totalProfit: 300, totalTrades: 3 },
+      duplicates: [duplicate],
+    });
+
+    expect(diff.trades).toMatchObject({ fetched: 3, added: 3, changed: 0, duplicates: 1 });
+    expect(diff.trades.samples.added).toHaveLength(3);
+    expect(diff.trades.samples.duplicates[0].externalTradeId).toBe('ts-1');
+    expect(diff.accounts.newlySeen.map(a => a.accountId)).toEqual(['TS-9']);
+    expect(diff.payouts).toEqual({ fetched: 1, added: 1 });
+  });
+});
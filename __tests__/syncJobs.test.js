@@ -0,0 +1,115 @@
+const {
+  isValidJobId,
+  toJobResult,
+  buildJobProgress,
+  finalJobStatus,
+  serializeSyncJob,
+} = require('../utils/syncJobs');
+
+describe('isValidJobId', () => {
+  test('accepts UUIDs only', () => {
+    expect(isValidJobId('6f1c2a4e-1b2c-4d5e-8f90-0a1b2c3d4e5f')).toBe(true);
+    expect(isValidJobId('not-a-uuid')).toBe(false);
+    expect(isValidJobId("1' OR '1'='1")).toBe(false);
+    expect(isValidJobId(undefined)).toBe(false);
+  });
+});
+
+describe('toJobResult', () => {
+  test('keeps the trade count for successful syncs', () => {
+    expect(toJobResult({ success: true, trader: 'a', stats: { totalTrades: 12, totalProfit: 500 }, durationMs: 40 }))
+      .toEqual({ trader: 'a', success: true, durationMs: 40, totalTrades: 12 });
+  });
+
+  test('reports the rows the database wrote', () => {
+    expect(toJobResult({ success: true, trader: 'a', stats: { totalTrades: 12 }, written: { trades: 4, newTrades: 3 }, durationMs: 40 }))
+      .toEqual({ trader: 'a', success: true, durationMs: 40, totalTrades: 12, tradesWritten: 4, newTrades: 3 });
+  });
+
+  test('keeps the diff of a dry run', () => {
+    const diff = { trades: { fetched: 2, added: 1 } };
+    expect(toJobResult({ success: true, dryRun: true, trader: 'a', stats: { totalTrades: 3 }, diff, durationMs: 10 }).diff).toBe(diff);
+  });
+
+  test('flags partial syncs', () => {
+    expect(toJobResult({ success: true, partial: true, trader: 'a', stats: { totalTrades: 3 }, durationMs: 10 }))
+      .toEqual({ trader: 'a', success: true, durationMs: 10, totalTrades: 3, partial: true });
+  });
+
+  test('records the error and timeout flag for failures', () => {
+    expect(toJobResult({ success: false, trader: 'b', error: 'Sync timed out', timedOut: true, durationMs: 90000 }))
+      .toEqual({ trader: 'b', success: false, durationMs: 90000, error: 'Sync timed out', timedOut: true });
+  });
+});
+
+describe('buildJobProgress', () => {
+  test('counts finished traders while others are still running', () => {
+    const results = new Array(4);
+    results[0] = { trader: 'a', success: true };
+    results[2] = { trader: 'c', success: false, timedOut: true };
+
+    expect(buildJobProgress(4, results)).toEqual({
+      total: 4,
+      completed: 2,
+      succeeded: 1,
+      failed: 1,
+      timed_out: 1,
+      results: [results[0], results[2]],
+    });
+  });
+});
+
+describe('finalJobStatus', () => {
+  test('succeeds when at least one trader synced', () => {
+    expect(finalJobStatus({ total: 3, succeeded: 1 })).toBe('succeeded');
+  });
+
+  test('fails when no trader synced', () => {
+    expect(finalJobStatus({ total: 1, succeeded: 0 })).toBe('failed');
+  });
+
+  test('succeeds for an empty job', () => {
+    expect(finalJobStatus({ total: 0, succeeded: 0 })).toBe('succeeded');
+  });
+});
+
+describe('serializeSyncJob', () => {
+  const row = {
+    id: '6f1c2a4e-1b2c-4d5e-8f90-0a1b2c3d4e5f',
+    kind: 'trader',
+    trigger: 'signup',
+    status: 'failed',
+    total: 1,
+    completed: 1,
+    succeeded: 0,
+    failed: 1,
+    timed_out: 0,
+    results: [{ trader: 'a', success: false, error: 'Tradovate returned 500' }],
+    error: null,
+    created_at: '2025-03-12T15:00:00.000Z',
+    started_at: '2025-03-12T15:00:01.000Z',
+    completed_at: '2025-03-12T15:00:05.000Z',
+  };
+
+  test('public view reports status and progress only', () => {
+    const job = serializeSyncJob(row, false);
+    expect(job).toEqual({
+      id: row.id,
+      kind: 'trader',
+      status: 'failed',
+      progress: { total: 1, completed: 1, succeeded: 0, failed: 1 },
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+    });
+  });
+
+  test('detailed view includes results and errors', () => {
+    const job = serializeSyncJob(row, true);
+    expect(job.trigger).toBe('signup');
+    expect(job.dryRun).toBe(false);
+    expect(job.progress.timedOut).toBe(0);
+    expect(job.results).toEqual(row.results);
+    expect(job.error).toBeNull();
+  });
+});
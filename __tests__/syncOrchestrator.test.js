@@ -0,0 +1,239 @@
+jest.mock('../middleware/auditLogger', () => ({ logSecurityEvent: jest.fn() }));
+
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { runSyncBatch, providersOf, getSyncConfig, DEFAULT_CONCURRENCY } = require('../services/syncOrchestrator');
+const { HttpClient, CircuitBreaker } = require('../adapters/httpClient');
+
+const trader = (name, connectionType = 'tradovate') => ({ twitter_username: name, connection_type: connectionType });
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const OPTIONS = { concurrency: 3, defaultProviderConcurrency: 3, providerConcurrency: {}, traderTimeoutMs: 1000 };
+
+describe('getSyncConfig', () => {
+  test('uses defaults when nothing is configured', () => {
+    const config = getSyncConfig({});
+    expect(config.concurrency).toBe(DEFAULT_CONCURRENCY);
+    expect(config.providerConcurrency).toEqual({});
+  });
+
+  test('reads global, provider and timeout limits', () => {
+    const config = getSyncConfig({
+      SYNC_CONCURRENCY: '8',
+      SYNC_PROVIDER_CONCURRENCY: '4',
+      SYNC_PROVIDER_CONCURRENCY_TRADOVATE: '2',
+      SYNC_TRADER_TIMEOUT_MS: '30000',
+    });
+    expect(config).toEqual({
+      concurrency: 8,
+      defaultProviderConcurrency: 4,
+      providerConcurrency: { tradovate: 2 },
+      traderTimeoutMs: 30000,
+    });
+  });
+
+  test('ignores invalid values', () => {
+    const config = getSyncConfig({ SYNC_CONCURRENCY: '0', SYNC_PROVIDER_CONCURRENCY_TRADOVATE: 'abc' });
+    expect(config.concurrency).toBe(DEFAULT_CONCURRENCY);
+    expect(config.providerConcurrency).toEqual({});
+  });
+});
+
+describe('runSyncBatch', () => {
+  beforeEach(() => logSecurityEvent.mockClear());
+
+  test('returns results in input order with a summary', async () => {
+    const traders = [trader('a'), trader('b'), trader('c')];
+    const summary = await runSyncBatch(traders, async t => {
+      await delay(t.twitter_username === 'a' ? 30 : 5);
+      return { success: t.twitter_username !== 'b', trader: t.twitter_username };
+    }, OPTIONS);
+
+    expect(summary.results.map(r => r.trader)).toEqual(['a', 'b', 'c']);
+    expect(summary.total).toBe(3);
+    expect(summary.succeeded).toBe(2);
+    expect(summary.failed).toBe(1);
+    expect(summary.results[0].durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('never exceeds the global concurrency limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const traders = Array.from({ length: 10 }, (_, i) => trader(`t${i}`, i % 2 ? 'tradovate' : 'tradesyncer'));
+
+    await runSyncBatch(traders, async t => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running -= 1;
+      return { success: true, trader: t.twitter_username };
+    }, { ...OPTIONS, concurrency: 3 });
+
+    expect(peak).toBe(3);
+  });
+
+  test('caps each provider while other providers keep running', async () => {
+    const running = { tradovate: 0, tradesyncer: 0 };
+    const peak = { tradovate: 0, tradesyncer: 0 };
+    const traders = [
+      ...Array.from({ length: 5 }, (_, i) => trader(`tv${i}`, 'tradovate')),
+      ...Array.from({ length: 3 }, (_, i) => trader(`ts${i}`, 'tradesyncer')),
+    ];
+
+    await runSyncBatch(traders, async t => {
+      const provider = t.connection_type;
+      running[provider] += 1;
+      peak[provider] = Math.max(peak[provider], running[provider]);
+      await delay(5);
+      running[provider] -= 1;
+      return { success: true, trader: t.twitter_username };
+    }, { ...OPTIONS, concurrency: 4, providerConcurrency: { tradovate: 1 } });
+
+    expect(peak.tradovate).toBe(1);
+    expect(peak.tradesyncer).toBe(3);
+  });
+
+  test('takes a slot from every provider a multi-connection trader calls', async () => {
+    const multi = (name, types) => ({
+      twitter_username: name,
+      connection_type: 'multiple',
+      connections: types.map(connection_type => ({ connection_type })),
+    });
+    const running = { tradovate: 0, tradesyncer: 0, projectx: 0 };
+    const peak = { tradovate: 0, tradesyncer: 0, projectx: 0 };
+    const started = [];
+    const traders = [
+      multi('m1', ['tradovate', 'tradesyncer']),
+      trader('tv1', 'tradovate'),
+      multi('m2', ['projectx', 'tradovate']),
+      trader('tv2', 'tradovate'),
+      trader('px1', 'projectx'),
+    ];
+
+    await runSyncBatch(traders, async t => {
+      started.push(t.twitter_username);
+      const providers = providersOf(t);
+      for (const provider of providers) {
+        running[provider] += 1;
+        peak[provider] = Math.max(peak[provider], running[provider]);
+      }
+      await delay(5);
+      for (const provider of providers) running[provider] -= 1;
+      return { success: true, trader: t.twitter_username };
+    }, { ...OPTIONS, concurrency: 5, providerConcurrency: { tradovate: 1 } });
+
+    expect(peak.tradovate).toBe(1);
+    // m2 waits for Tradovate; the single-connection ProjectX trader doesn't
+    expect(started.slice(0, 2)).toEqual(['m1', 'px1']);
+    expect(started).toHaveLength(5);
+  });
+
+  test('derives providers from embedded connections', () => {
+    expect(providersOf(trader('a', 'projectx'))).toEqual(['projectx']);
+    expect(providersOf(trader('b', 'both'))).toEqual(['tradovate', 'tradesyncer']);
+    expect(providersOf({ connection_type: 'multiple', connections: [{ connection_type: 'tradovate' }, { connection_type: 'projectx' }] }))
+      .toEqual(['tradovate', 'projectx']);
+    expect(providersOf(trader('c', 'multiple'))).toEqual(['multiple']);
+    expect(providersOf(trader('d', null))).toEqual(['none']);
+  });
+
+  test('times out a hung trader without holding up the rest', async () => {
+    const traders = [trader('hung'), trader('b'), trader('c')];
+    const summary = await runSyncBatch(traders, t => (
+      t.twitter_username === 'hung'
+        ? new Promise(() => {})
+        : Promise.resolve({ success: true, trader: t.twitter_username })
+    ), { ...OPTIONS, concurrency: 1, traderTimeoutMs: 20 });
+
+    expect(summary.results[0]).toMatchObject({ success: false, trader: 'hung', timedOut: true });
+    expect(summary.results.slice(1).every(r => r.success)).toBe(true);
+    expect(summary.timedOut).toBe(1);
+    expect(logSecurityEvent).toHaveBeenCalledWith('SYNC_TRADER_TIMEOUT', expect.objectContaining({ username: 'hung' }));
+  });
+
+  test('aborts the timed-out sync so it can skip its write', async () => {
+    let signal;
+    await runSyncBatch([trader('hung')], (t, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    }, { ...OPTIONS, traderTimeoutMs: 20 });
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('cancels the hung request and keeps its provider slot until it stops', async () => {
+    const events = [];
+    let inFlight = 0;
+    let peak = 0;
+    // Like axios: hangs until aborted, then takes a moment to tear down
+    const client = new HttpClient('tradovate', {
+      breaker: new CircuitBreaker({ threshold: 5, resetMs: 1000 }),
+      transport: request => new Promise((_, reject) => {
+        request.signal.addEventListener('abort', () => {
+          events.push('cancelled');
+          setTimeout(() => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })), 5);
+        });
+      }),
+    });
+
+    const summary = await runSyncBatch([trader('hung'), trader('next')], async (t, { signal }) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      try {
+        if (t.twitter_username === 'hung') {
+          await client.get('https://tradovate.test/fill/list', { signal });
+        }
+        events.push(`${t.twitter_username} done`);
+        return { success: true, trader: t.twitter_username };
+      } finally {
+        inFlight -= 1;
+      }
+    }, { ...OPTIONS, concurrency: 2, providerConcurrency: { tradovate: 1 }, traderTimeoutMs: 20 });
+
+    expect(summary.results[0]).toMatchObject({ trader: 'hung', timedOut: true });
+    expect(summary.results[1]).toMatchObject({ trader: 'next', success: true });
+    expect(events).toEqual(['cancelled', 'next done']);
+    expect(peak).toBe(1);
+  });
+
+  test('leaves the signal alone for syncs that finish in time', async () => {
+    let signal;
+    await runSyncBatch([trader('a')], async (t, options) => {
+      signal = options.signal;
+      return { success: true, trader: t.twitter_username };
+    }, OPTIONS);
+
+    expect(signal.aborted).toBe(false);
+  });
+
+  test('turns thrown errors into failed results', async () => {
+    const summary = await runSyncBatch([trader('a')], () => {
+      throw new Error('boom');
+    }, OPTIONS);
+    expect(summary.results[0]).toMatchObject({ success: false, trader: 'a', error: 'boom' });
+  });
+
+  test('handles an empty batch', async () => {
+    const summary = await runSyncBatch([], jest.fn(), OPTIONS);
+    expect(summary.total).toBe(0);
+    expect(summary.results).toEqual([]);
+  });
+});
+
+describe('runSyncBatch onResult', () => {
+  test('reports each result as it finishes', async () => {
+    const seen = [];
+    await runSyncBatch([trader('a'), trader('b')], async t => ({ success: true, trader: t.twitter_username }), {
+      ...OPTIONS,
+      onResult: (result, index) => seen.push([index, result.trader]),
+    });
+    expect(seen.sort()).toEqual([[0, 'a'], [1, 'b']]);
+  });
+
+  test('keeps going when the callback throws', async () => {
+    const summary = await runSyncBatch([trader('a'), trader('b')], async t => ({ success: true, trader: t.twitter_username }), {
+      ...OPTIONS,
+      onResult: () => { throw new Error('progress write failed'); },
+    });
+    expect(summary.succeeded).toBe(2);
+  });
+});
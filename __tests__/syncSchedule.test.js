@@ -0,0 +1,94 @@
+const {
+  getScheduleConfig,
+  classifyTrader,
+  computeNextSyncAt,
+  selectDueTraders,
+  DEFAULT_SCHEDULE,
+} = require('../utils/syncSchedule');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const minutesFromNow = minutes => new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+
+describe('getScheduleConfig', () => {
+  test('uses defaults when nothing is set', () => {
+    expect(getScheduleConfig({})).toEqual(DEFAULT_SCHEDULE);
+  });
+
+  test('reads overrides and ignores invalid values', () => {
+    const config = getScheduleConfig({
+      SYNC_SCHEDULER_CRON: '*/5 * * * *',
+      SYNC_ACTIVE_INTERVAL_MINUTES: '30',
+      SYNC_MAX_PER_TICK: '-1',
+      SYNC_DORMANT_INTERVAL_MINUTES: 'daily',
+    });
+    expect(config.tickCron).toBe('*/5 * * * *');
+    expect(config.activeIntervalMinutes).toBe(30);
+    expect(config.maxPerTick).toBe(DEFAULT_SCHEDULE.maxPerTick);
+    expect(config.dormantIntervalMinutes).toBe(DEFAULT_SCHEDULE.dormantIntervalMinutes);
+  });
+});
+
+describe('classifyTrader', () => {
+  test('tiers by days since the last closed trade', () => {
+    expect(classifyTrader({ connection_type: 'tradovate', last_trade_at: daysAgo(1) }, NOW)).toBe('active');
+    expect(classifyTrader({ connection_type: 'tradovate', last_trade_at: daysAgo(7) }, NOW)).toBe('recent');
+    expect(classifyTrader({ connection_type: 'tradovate', last_trade_at: daysAgo(30) }, NOW)).toBe('dormant');
+  });
+
+  test('treats traders without trades as recent', () => {
+    expect(classifyTrader({ connection_type: 'tradesyncer', last_trade_at: null }, NOW)).toBe('recent');
+  });
+
+  test('flags expired and unlinked traders', () => {
+    expect(classifyTrader({ connection_type: 'tradovate', auth_status: 'expired' }, NOW)).toBe('expired');
+    expect(classifyTrader({ connection_type: 'none' }, NOW)).toBe('unlinked');
+    expect(classifyTrader({}, NOW)).toBe('unlinked');
+  });
+
+  test('leaves traders who only upload statements to their uploads', () => {
+    expect(classifyTrader({ connection_type: 'import', last_trade_at: daysAgo(1) }, NOW)).toBe('unlinked');
+    const rows = [{ connection_type: 'import' }, { connection_type: 'tradesyncer' }];
+    expect(classifyTrader({ connection_type: 'multiple', connections: rows, last_trade_at: daysAgo(1) }, NOW)).toBe('active');
+  });
+
+  test('keeps scheduling traders with several connections when one token expired', () => {
+    expect(classifyTrader({ connection_type: 'multiple', auth_status: 'expired', last_trade_at: daysAgo(1) }, NOW)).toBe('active');
+  });
+});
+
+describe('computeNextSyncAt', () => {
+  test('uses the tier interval', () => {
+    expect(computeNextSyncAt({ connection_type: 'tradovate', last_trade_at: daysAgo(1) }, NOW).toISOString())
+      .toBe(minutesFromNow(60));
+    expect(computeNextSyncAt({ connection_type: 'tradovate', last_trade_at: daysAgo(60) }, NOW).toISOString())
+      .toBe(minutesFromNow(1440));
+  });
+
+  test('returns null for traders that are not scheduled', () => {
+    expect(computeNextSyncAt({ connection_type: 'tradovate', auth_status: 'expired' }, NOW)).toBeNull();
+  });
+});
+
+describe('selectDueTraders', () => {
+  const traders = [
+    { id: 'a', connection_type: 'tradovate', next_sync_at: minutesFromNow(-5) },
+    { id: 'b', connection_type: 'tradovate', next_sync_at: minutesFromNow(30) },
+    { id: 'c', connection_type: 'tradovate', next_sync_at: null },
+    { id: 'd', connection_type: 'tradovate', auth_status: 'expired', next_sync_at: minutesFromNow(-600) },
+    { id: 'e', connection_type: 'none' },
+    { id: 'f', connection_type: 'tradesyncer', next_sync_at: minutesFromNow(-120) },
+  ];
+
+  test('picks due traders, most overdue first, and counts the rest', () => {
+    const { due, skipped } = selectDueTraders(traders, NOW);
+    expect(due.map(t => t.id)).toEqual(['c', 'f', 'a']);
+    expect(skipped).toEqual({ unlinked: 1, expired: 1, notDue: 1, overLimit: 0 });
+  });
+
+  test('caps the number of traders per tick', () => {
+    const { due, skipped } = selectDueTraders(traders, NOW, { ...DEFAULT_SCHEDULE, maxPerTick: 2 });
+    expect(due.map(t => t.id)).toEqual(['c', 'f']);
+    expect(skipped.overLimit).toBe(1);
+  });
+});
@@ -0,0 +1,72 @@
+const { SyncTelemetry, classifySyncError, classifyFetchFailure } = require('../utils/syncTelemetry');
+const { FetchError } = require('../adapters/httpClient');
+
+const fetchError = (code, status = null) => new FetchError('request failed', {
+  provider: 'tradovate', label: 'fillPair/list', code, status,
+});
+
+describe('classifySyncError', () => {
+  test('classifies platform request failures', () => {
+    expect(classifySyncError(fetchError('HTTP_ERROR', 401))).toBe('auth');
+    expect(classifySyncError(fetchError('TIMEOUT'))).toBe('upstream_down');
+    expect(classifySyncError(fetchError('CIRCUIT_OPEN'))).toBe('upstream_down');
+    expect(classifySyncError(fetchError('UPSTREAM', 503))).toBe('upstream_down');
+    expect(classifySyncError(fetchError('RATE_LIMITED', 429))).toBe('rate_limited');
+    expect(classifySyncError(fetchError('HTTP_ERROR', 404))).toBe('upstream');
+    expect(classifySyncError(fetchError('ABORTED'))).toBe('timeout');
+  });
+
+  test('classifies wrapped errors by their cause', () => {
+    const wrapped = new Error('TradeSyncer authentication failed: timed out', { cause: fetchError('TIMEOUT') });
+    expect(classifySyncError(wrapped)).toBe('upstream_down');
+  });
+
+  test('classifies auth, database, parse and timeout failures', () => {
+    expect(classifySyncError(new Error('Access token expired and renewal failed. Re-authentication required.'))).toBe('auth');
+    expect(classifySyncError({ message: 'duplicate key', code: '23505', details: null, hint: null })).toBe('db');
+    expect(classifySyncError({ message: 'JWT expired', code: 'PGRST301' })).toBe('db');
+    expect(classifySyncError(new TypeError("Cannot read properties of undefined (reading 'map')"))).toBe('parse');
+    expect(classifySyncError({ error: 'Sync timed out', timedOut: true })).toBe('timeout');
+    expect(classifySyncError(Object.assign(new Error('socket'), { code: 'EPIPE' }))).toBe('unknown');
+  });
+
+  test('classifyFetchFailure works from a fetchErrors summary', () => {
+    expect(classifyFetchFailure('NETWORK', null)).toBe('upstream_down');
+    expect(classifyFetchFailure('HTTP_ERROR', 403)).toBe('auth');
+  });
+});
+
+describe('SyncTelemetry', () => {
+  test('counts requests, failures and retries per endpoint', () => {
+    const telemetry = new SyncTelemetry();
+    telemetry.recordRequest({ endpoint: 'account/list', ok: true, attempts: 1, durationMs: 120 });
+    telemetry.recordRequest({ endpoint: 'fillPair/list', ok: true, attempts: 3, durationMs: 900 });
+    telemetry.recordRequest({ endpoint: 'fillPair/list', ok: false, code: 'TIMEOUT', attempts: 4, durationMs: 60000 });
+
+    const json = telemetry.toJSON();
+    expect(json).toMatchObject({ requests: 3, failedRequests: 1, retries: 5 });
+    expect(json.endpoints['fillPair/list']).toEqual({
+      requests: 2, failures: 1, retries: 5, totalMs: 60900, errorCodes: { TIMEOUT: 1 },
+    });
+  });
+
+  test('reports the data source across accounts', () => {
+    const telemetry = new SyncTelemetry();
+    expect(telemetry.dataSource()).toBeNull();
+
+    telemetry.recordAccount(1, { dataSource: 'fillPair', fetched: 10, returned: 2 });
+    expect(telemetry.dataSource()).toBe('fillPair');
+
+    telemetry.recordAccount(2, { dataSource: 'cashBalance', fetched: 3, returned: 3 });
+    telemetry.recordAccount(2, { failed: false });
+    expect(telemetry.dataSource()).toBe('mixed');
+    expect(telemetry.toJSON().accounts['2']).toEqual({ dataSource: 'cashBalance', fetched: 3, returned: 3, failed: false });
+  });
+
+  test('measures elapsed time from creation', () => {
+    let clock = 1000;
+    const telemetry = new SyncTelemetry(() => clock);
+    clock = 3500;
+    expect(telemetry.elapsedMs()).toBe(2500);
+  });
+});
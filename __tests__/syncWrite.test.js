@@ -0,0 +1,363 @@
+const {
+  buildSyncWrite,
+  buildStreamWrite,
+  buildRecalculateWrite,
+  buildStatisticsRow,
+  buildCursorRows,
+  parseSyncWriteResult,
+  latestCloseTime,
+} = require('../utils/syncWrite');
+const { DEFAULT_SCHEDULE } = require('../utils/syncSchedule');
+const { makeTrade, makeCopy, MAPPED_ACCOUNTS } = require('./fixtures/trades');
+
+const NOW = new Date('2025-03-12T15:00:00.000Z');
+
+const TRADER = { id: 'trader-1', twitter_username: 'alice', connection_type: 'tradovate', known_account_ids: ['101'] };
+
+function build(overrides = {}) {
+  return buildSyncWrite({
+    trader: TRADER,
+    source: 'tradovate',
+    result: {
+      trades: [makeTrade({ externalTradeId: '2', profit: -40, closedAt: '2025-03-11T14:05:00.000Z' })],
+      accounts: [
+        { id: 101, name: 'APEX-101', balance: 50060 },
+        { id: 102, name: 'APEX-102', balance: 50000 },
+      ],
+      payouts: null,
+    },
+    cursors: { 101: '2025-03-10T14:05:00.000Z' },
+    stored: {
+      history: [makeTrade()],
+      accountRows: [{ source: 'tradovate', account_id: '101', include_in_leaderboard: true }],
+      payouts: [{ externalPayoutId: 'p1', accountId: '101', amount: 500, paidAt: '2025-03-01T00:00:00Z', source: 'tradovate' }],
+    },
+    syncLog: { source: 'tradovate', status: 'success' },
+    scheduleConfig: DEFAULT_SCHEDULE,
+    now: NOW,
+    ...overrides,
+  });
+}
+
+describe('buildSyncWrite', () => {
+  test('computes stats from stored history plus the fetched trades', () => {
+    const { payload, stats } = build();
+
+    expect(stats.totalTrades).toBe(2);
+    expect(stats.totalProfit).toBe(60);
+    expect(payload.statistics).toMatchObject({ trader_id: 'trader-1', total_trades: 2, total_profit: 60 });
+    expect(payload.equity_snapshot).toMatchObject({ snapshot_date: '2025-03-12', cumulative_pnl: 60 });
+  });
+
+  test('writes only the fetched trades and advanced cursors', () => {
+    const { payload } = build();
+
+    expect(payload.trades).toHaveLength(1);
+    expect(payload.trades[0]).toMatchObject({ trader_id: 'trader-1', external_trade_id: '2' });
+    expect(payload.cursors).toEqual([
+      expect.objectContaining({ account_id: '101', last_closed_at: '2025-03-11T14:05:00.000Z' }),
+    ]);
+  });
+
+  test('keeps stored payouts when payouts could not be fetched', () => {
+    const { payload, stats } = build();
+
+    expect(payload.payouts).toEqual([]);
+    expect(stats.verifiedPayouts).toBe(1);
+    expect(stats.totalPayouts).toBe(500);
+  });
+
+  test('merges fetched payouts into stored ones', () => {
+    const { payload, stats } = build({
+      result: {
+        trades: [],
+        accounts: [],
+        payouts: [{ externalPayoutId: 'p2', accountId: '101', amount: 250, paidAt: '2025-03-11T00:00:00Z', source: 'tradovate' }],
+      },
+    });
+
+    expect(payload.payouts).toHaveLength(1);
+    expect(stats.verifiedPayouts).toBe(2);
+    expect(stats.totalPayouts).toBe(750);
+  });
+
+  test('honors accounts excluded from the leaderboard', () => {
+    const { stats, payload } = build({
+      stored: {
+        history: [makeTrade({ accountId: '102', externalTradeId: '9', profit: 1000 })],
+        accountRows: [{ source: 'tradovate', account_id: '102', include_in_leaderboard: false }],
+        payouts: [],
+      },
+    });
+
+    expect(stats.totalProfit).toBe(-40);
+    expect(payload.accounts.seen.find(row => row.account_id === '102').total_profit).toBe(1000);
+  });
+
+  test('adds new account IDs and schedules the next sync', () => {
+    const { payload, newAccountIds } = build();
+
+    expect(newAccountIds).toEqual(['102']);
+    expect(payload.trader).toEqual({
+      known_account_ids: ['101', '102'],
+      total_accounts_linked: 2,
+      updated_at: NOW.toISOString(),
+      last_synced_at: NOW.toISOString(),
+      last_trade_at: '2025-03-11T14:05:00.000Z',
+      next_sync_at: '2025-03-12T16:00:00.000Z',
+    });
+  });
+
+  test('passes the sync_log row through for the database to complete', () => {
+    expect(build().payload.sync_log).toEqual({ source: 'tradovate', status: 'success' });
+  });
+
+  test('omits sync_log when none is given', () => {
+    expect(build({ syncLog: undefined }).payload).not.toHaveProperty('sync_log');
+  });
+});
+
+describe('buildSyncWrite with several connections', () => {
+  const MULTI = { ...TRADER, connection_type: 'multiple' };
+  const copy = overrides => makeCopy({ closedAt: '2025-03-10T14:05:02.000Z', ...overrides });
+
+  function buildMulti(overrides = {}) {
+    return buildSyncWrite({
+      trader: MULTI,
+      sources: [
+        {
+          source: 'tradovate',
+          result: { trades: [makeTrade({ externalTradeId: '2', closedAt: '2025-03-11T14:05:00.000Z' })], accounts: [{ id: 101, name: 'APEX-101', balance: 50000 }], payouts: null },
+          cursors: {},
+        },
+        {
+          source: 'tradesyncer',
+          result: {
+            trades: [copy(), copy({ externalTradeId: 'ts-2', profit: 25, entryPrice: 5100, exitPrice: 5101 })],
+            accounts: [{ id: 'TS-9', name: 'Copy', balance: 25000 }],
+            payouts: [{ externalPayoutId: 'tp1', accountId: 'TS-9', amount: 100, paidAt: '2025-03-11T00:00:00Z', source: 'tradesyncer' }],
+            statsOverrides: { totalProfit: 99999 },
+          },
+          cursors: {},
+        },
+      ],
+      stored: { history: [makeTrade()], accountRows: MAPPED_ACCOUNTS, payouts: [] },
+      connections: [{ connection_type: 'tradovate', last_sync_status: 'success', last_sync_error: null }],
+      now: NOW,
+      ...overrides,
+    });
+  }
+
+  test('merges every connection and drops trades another source already reported', () => {
+    const { payload, stats, duplicates } = buildMulti();
+
+    expect(duplicates.map(t => t.externalTradeId)).toEqual(['ts-1']);
+    expect(payload.trades.map(t => `${t.source}:${t.external_trade_id}`)).toEqual(['tradovate:2', 'tradesyncer:ts-2']);
+    expect(stats.totalTrades).toBe(3);
+    expect(stats.totalProfit).toBe(225);
+    expect(stats.totalPayouts).toBe(100);
+    expect(payload).not.toHaveProperty('removed_trades');
+  });
+
+  test('keeps cursors, accounts and payouts per source and ignores platform summaries', () => {
+    const { payload } = buildMulti();
+
+    expect(payload.cursors.map(c => `${c.source}:${c.account_id}`)).toEqual(['tradovate:101', 'tradesyncer:TS-9']);
+    expect(payload.accounts.seen.map(a => `${a.source}:${a.account_id}:${a.total_trades}`))
+      .toEqual(['tradovate:101:2', 'tradesyncer:TS-9:1']);
+    expect(payload.payouts).toHaveLength(1);
+    expect(payload.trader.known_account_ids).toEqual(['101', 'TS-9']);
+    expect(payload.connections).toEqual([
+      { connection_type: 'tradovate', last_sync_status: 'success', last_sync_error: null, last_synced_at: NOW.toISOString() },
+    ]);
+  });
+
+  test('removes a stored copy when the preferred source reports the trade', () => {
+    const { payload, stats } = buildMulti({
+      sources: [{ source: 'tradovate', result: { trades: [makeTrade()], accounts: [], payouts: null }, cursors: {} }],
+      stored: { history: [copy()], accountRows: MAPPED_ACCOUNTS, payouts: [] },
+    });
+
+    expect(payload.trades.map(t => t.external_trade_id)).toEqual(['1']);
+    expect(payload.removed_trades).toEqual([{ source: 'tradesyncer', external_trade_id: 'ts-1' }]);
+    expect(stats.totalTrades).toBe(1);
+  });
+
+  test('matches a TradeSyncer short against the Tradovate fill pair for it', () => {
+    // Fill pairs store the buy price and time as the entry, whatever the direction
+    const short = makeTrade({
+      side: 'sell', entryPrice: 4998, exitPrice: 5000, profit: 100,
+      openedAt: '2025-03-10T14:05:00.000Z', closedAt: '2025-03-10T14:00:00.000Z',
+    });
+    const { payload, stats } = buildMulti({
+      sources: [{
+        source: 'tradesyncer',
+        result: { trades: [copy({ side: 'short', entryPrice: 5000, exitPrice: 4998, closedAt: '2025-03-10T14:05:01.000Z' })], accounts: [], payouts: null },
+        cursors: {},
+      }],
+      stored: { history: [short], accountRows: MAPPED_ACCOUNTS, payouts: [] },
+    });
+
+    expect(payload.trades).toEqual([]);
+    expect(stats.totalTrades).toBe(1);
+  });
+
+  test('keeps copies on accounts the trader has not mapped together', () => {
+    const { payload, stats, duplicates } = buildMulti({
+      stored: { history: [makeTrade()], accountRows: [], payouts: [] },
+    });
+
+    expect(duplicates).toEqual([]);
+    expect(payload.trades.map(t => `${t.source}:${t.external_trade_id}`))
+      .toEqual(['tradovate:2', 'tradesyncer:ts-1', 'tradesyncer:ts-2']);
+    expect(stats.totalTrades).toBe(4);
+  });
+});
+
+describe('buildRecalculateWrite', () => {
+  test('recomputes stats per source from stored rows and removes stored duplicates', () => {
+    const { payload, stats } = buildRecalculateWrite({
+      trader: TRADER,
+      stored: {
+        history: [
+          makeTrade(),
+          makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-1', accountId: 'TS-9' }),
+          makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-2', accountId: 'TS-9', entryPrice: 4000, profit: -30 }),
+        ],
+        accountRows: MAPPED_ACCOUNTS,
+        payouts: [],
+      },
+      now: NOW,
+    });
+
+    expect(stats.totalTrades).toBe(2);
+    expect(stats.totalProfit).toBe(70);
+    expect(payload.removed_trades).toEqual([{ source: 'tradesyncer', external_trade_id: 'ts-1' }]);
+    expect(payload.accounts.statsOnly.map(a => `${a.source}:${a.account_id}`)).toEqual(['tradovate:101', 'tradesyncer:TS-9']);
+    expect(payload).not.toHaveProperty('trades');
+  });
+
+  describe('platform summary figures', () => {
+    const TS_TRADER = { ...TRADER, connection_type: 'tradesyncer' };
+    const stored = {
+      history: [
+        makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-1', accountId: 'TS-9' }),
+        makeTrade({ source: 'tradesyncer', externalTradeId: 'ts-2', accountId: 'TS-9', profit: -30 }),
+      ],
+      accountRows: [{ source: 'tradesyncer', account_id: 'TS-9', include_in_leaderboard: true }],
+      payouts: [],
+      statistics: { total_profit: 1234.5, win_rate: 62.5, platform_overrides: { totalProfit: 1234.5, winRate: 62.5 } },
+    };
+
+    test('a sync stores the overrides it applied', () => {
+      const write = buildSyncWrite({
+        trader: TS_TRADER,
+        source: 'tradesyncer',
+        result: { trades: [], accounts: [], payouts: null, statsOverrides: { totalProfit: 1234.5, winRate: 62.5 } },
+        cursors: {},
+        stored,
+        now: NOW,
+      });
+      expect(write.stats.totalProfit).toBe(1234.5);
+      expect(write.payload.statistics.platform_overrides).toEqual({ totalProfit: 1234.5, winRate: 62.5 });
+    });
+
+    test('are kept for a single-connection trader', () => {
+      const { stats, payload } = buildRecalculateWrite({ trader: TS_TRADER, stored, now: NOW });
+
+      expect(stats.totalTrades).toBe(2);
+      expect(stats.totalProfit).toBe(1234.5);
+      expect(stats.winRate).toBe(62.5);
+      // Left out: the stored overrides stay as they are
+      expect(payload.statistics).not.toHaveProperty('platform_overrides');
+    });
+
+    test('are dropped for a trader with several connections', () => {
+      const { stats } = buildRecalculateWrite({ trader: { ...TRADER, connection_type: 'multiple' }, stored, now: NOW });
+      expect(stats.totalProfit).toBe(70);
+    });
+
+    test('are dropped once an account is excluded', () => {
+      const { stats } = buildRecalculateWrite({
+        trader: TS_TRADER,
+        stored: {
+          ...stored,
+          accountRows: [
+            ...stored.accountRows,
+            { source: 'tradesyncer', account_id: 'TS-10', include_in_leaderboard: false },
+          ],
+        },
+        now: NOW,
+      });
+      expect(stats.totalProfit).toBe(70);
+    });
+  });
+});
+
+describe('buildStreamWrite', () => {
+  const stored = {
+    history: [makeTrade()],
+    accountRows: [{ source: 'tradovate', account_id: '101', balance: 50100, include_in_leaderboard: true }],
+    payouts: [],
+  };
+
+  test('stores streamed trades and recomputes stats without touching cursors or sync state', () => {
+    const { payload, stats } = buildStreamWrite({
+      trader: { ...TRADER, last_trade_at: '2025-03-10T14:05:00.000Z' },
+      trades: [makeTrade({ externalTradeId: '2', profit: 60, closedAt: '2025-03-12T14:59:00.000Z' })],
+      stored,
+      now: NOW,
+    });
+
+    expect(stats.totalTrades).toBe(2);
+    expect(stats.totalProfit).toBe(160);
+    expect(payload.trades.map(t => t.external_trade_id)).toEqual(['2']);
+    expect(payload.statistics.total_trades).toBe(2);
+    expect(payload.accounts.seen).toEqual([]);
+    expect(payload.accounts.statsOnly.map(a => a.account_id)).toEqual(['101']);
+    expect(payload.trader).toEqual({ last_trade_at: '2025-03-12T14:59:00.000Z', updated_at: NOW.toISOString() });
+    expect(payload).not.toHaveProperty('cursors');
+    expect(payload).not.toHaveProperty('sync_log');
+    expect(payload).not.toHaveProperty('equity_snapshot');
+  });
+});
+
+describe('buildStatisticsRow', () => {
+  test('maps stats and risk metrics to columns', () => {
+    const row = buildStatisticsRow('trader-1', { totalProfit: 10, totalTrades: 1, maxDrawdown: 5 }, NOW);
+    expect(row).toMatchObject({ trader_id: 'trader-1', total_profit: 10, total_trades: 1, max_drawdown: 5, sharpe_ratio: 0 });
+    expect(row.updated_at).toBe(NOW.toISOString());
+  });
+});
+
+describe('buildCursorRows', () => {
+  test('only returns accounts whose high-water mark moved forward', () => {
+    const rows = buildCursorRows('trader-1', 'tradovate', [
+      makeTrade({ accountId: '101', closedAt: '2025-03-09T00:00:00.000Z' }),
+      makeTrade({ accountId: '102', closedAt: '2025-03-11T00:00:00.000Z' }),
+    ], { 101: '2025-03-10T00:00:00.000Z' }, NOW);
+
+    expect(rows).toEqual([{
+      trader_id: 'trader-1',
+      source: 'tradovate',
+      account_id: '102',
+      last_closed_at: '2025-03-11T00:00:00.000Z',
+      updated_at: NOW.toISOString(),
+    }]);
+  });
+});
+
+describe('parseSyncWriteResult', () => {
+  test('normalizes the counts returned by apply_trader_sync', () => {
+    expect(parseSyncWriteResult({ trades_written: 4, trades_inserted: 3, trades_removed: 1, payouts_written: 1, accounts_written: 2, cursors_written: 1, sync_log_id: 'log-1' }))
+      .toEqual({ trades: 4, newTrades: 3, removedTrades: 1, payouts: 1, accounts: 2, cursors: 1, syncLogId: 'log-1' });
+    expect(parseSyncWriteResult(null)).toEqual({ trades: 0, newTrades: 0, removedTrades: 0, payouts: 0, accounts: 0, cursors: 0, syncLogId: null });
+  });
+});
+
+describe('latestCloseTime', () => {
+  test('ignores invalid close times', () => {
+    expect(latestCloseTime([makeTrade(), makeTrade({ closedAt: 'nope' })])).toBe('2025-03-10T14:05:00.000Z');
+    expect(latestCloseTime([])).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  getRenewalConfig,
+  isTokenExpired,
+  selectTokensToRenew,
+  isDefiniteRenewalFailure,
+  classifyRenewalFailure,
+  DEFAULT_RENEWAL,
+} = require('../utils/tokenRenewal');
+const { FetchError } = require('../adapters/httpClient');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const minutesFromNow = minutes => new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+
+const fetchError = (code, status = null) => new FetchError('renew failed', {
+  provider: 'tradovate', label: 'auth/renewaccesstoken', code, status,
+});
+
+describe('getRenewalConfig', () => {
+  test('uses defaults and reads overrides', () => {
+    expect(getRenewalConfig({})).toEqual(DEFAULT_RENEWAL);
+    expect(getRenewalConfig({ TOKEN_RENEW_BEFORE_MINUTES: '45', TOKEN_RENEWAL_CRON: '*/5 * * * *' }))
+      .toEqual({ renewalCron: '*/5 * * * *', renewBeforeMinutes: 45 });
+  });
+});
+
+describe('isTokenExpired', () => {
+  test('compares the stored expiry with now', () => {
+    expect(isTokenExpired({ tradovate_token_expires_at: minutesFromNow(-1) }, NOW)).toBe(true);
+    expect(isTokenExpired({ tradovate_token_expires_at: minutesFromNow(5) }, NOW)).toBe(false);
+    expect(isTokenExpired({}, NOW)).toBe(false);
+  });
+});
+
+describe('selectTokensToRenew', () => {
+  test('picks tokens inside the renewal window, soonest expiry first', () => {
+    const traders = [
+      { id: 'later', connection_type: 'tradovate', tradovate_access_token: 'enc', tradovate_token_expires_at: minutesFromNow(120) },
+      { id: 'soon', connection_type: 'tradovate', tradovate_access_token: 'enc', tradovate_token_expires_at: minutesFromNow(20) },
+      { id: 'sooner', connection_type: 'tradovate', tradovate_access_token: 'enc', tradovate_token_expires_at: minutesFromNow(5) },
+      { id: 'unknown', connection_type: 'tradovate', tradovate_access_token: 'enc' },
+      { id: 'expired', connection_type: 'tradovate', auth_status: 'expired', tradovate_access_token: 'enc', tradovate_token_expires_at: minutesFromNow(5) },
+      { id: 'no-token', connection_type: 'tradovate', tradovate_token_expires_at: minutesFromNow(5) },
+      { id: 'other', connection_type: 'tradesyncer', tradovate_access_token: 'enc' },
+    ];
+    expect(selectTokensToRenew(traders, NOW).map(t => t.id)).toEqual(['unknown', 'sooner', 'soon']);
+  });
+
+  test('includes traders linked to Tradovate among several connections', () => {
+    const traders = [
+      { id: 'both', connection_type: 'multiple', connections: [{ connection_type: 'tradesyncer' }, { connection_type: 'tradovate' }], tradovate_access_token: 'enc' },
+      { id: 'neither', connection_type: 'multiple', connections: [{ connection_type: 'tradesyncer' }], tradovate_access_token: 'enc' },
+    ];
+    expect(selectTokensToRenew(traders, NOW).map(t => t.id)).toEqual(['both']);
+  });
+});
+
+describe('isDefiniteRenewalFailure', () => {
+  test('treats rejections as definite', () => {
+    expect(isDefiniteRenewalFailure(fetchError('HTTP_ERROR', 401))).toBe(true);
+    expect(isDefiniteRenewalFailure(Object.assign(new Error('Expired'), { code: 'TOKEN_REJECTED' }))).toBe(true);
+  });
+
+  test('treats upstream problems as transient', () => {
+    expect(isDefiniteRenewalFailure(fetchError('TIMEOUT'))).toBe(false);
+    expect(isDefiniteRenewalFailure(fetchError('RATE_LIMITED', 429))).toBe(false);
+    expect(isDefiniteRenewalFailure(fetchError('UPSTREAM', 503))).toBe(false);
+    expect(isDefiniteRenewalFailure(fetchError('CIRCUIT_OPEN'))).toBe(false);
+  });
+});
+
+describe('classifyRenewalFailure', () => {
+  const live = { tradovate_token_expires_at: minutesFromNow(15) };
+  const stale = { tradovate_token_expires_at: minutesFromNow(-15) };
+
+  test('keeps the trader active after a transient failure', () => {
+    expect(classifyRenewalFailure(live, fetchError('UPSTREAM', 502), NOW)).toEqual({ expired: false, reason: 'transient' });
+  });
+
+  test('expires the trader when the token was rejected', () => {
+    expect(classifyRenewalFailure(live, fetchError('HTTP_ERROR', 401), NOW)).toEqual({ expired: true, reason: 'rejected' });
+  });
+
+  test('expires the trader once the token itself has expired', () => {
+    expect(classifyRenewalFailure(stale, fetchError('TIMEOUT'), NOW)).toEqual({ expired: true, reason: 'token_expired' });
+  });
+});
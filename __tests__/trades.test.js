@@ -0,0 +1,271 @@
+const {
+  rowToTrade,
+  tradesToRows,
+  mergeTrades,
+  groupTradesByTrader,
+  computeHighWaterMarks,
+  parseTradeQuery,
+  serializeTrade,
+  summarizeSymbolAggregates,
+  summarizeTrades,
+  MAX_TRADE_PAGE_SIZE,
+} = require('../utils/trades');
+const BaseAdapter = require('../adapters/base');
+const { makeTrade } = require('./fixtures/trades');
+
+// ============================================
+// tradesToRows / rowToTrade
+// ============================================
+
+describe('tradesToRows', () => {
+  test('maps to snake_case rows and back', () => {
+    const [row] = tradesToRows('trader-1', [makeTrade()]);
+    expect(row.trader_id).toBe('trader-1');
+    expect(row.external_trade_id).toBe('1');
+    expect(row.account_id).toBe('101');
+    expect(row.product_root).toBe('ES');
+    expect(rowToTrade(row)).toEqual({ ...makeTrade(), productRoot: 'ES' });
+  });
+
+  test('collapses duplicate keys within a batch', () => {
+    const rows = tradesToRows('trader-1', [
+      makeTrade({ profit: 50 }),
+      makeTrade({ profit: 75 }),
+      makeTrade({ externalTradeId: '2' }),
+    ]);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].profit).toBe(75);
+  });
+
+  test('keeps adapter-provided product root and leaves placeholders unrooted', () => {
+    const [resolved, unresolved] = tradesToRows('trader-1', [
+      makeTrade({ symbol: 'MESZ5', productRoot: 'MES' }),
+      makeTrade({ externalTradeId: '2', symbol: 'contract-123' }),
+    ]);
+    expect(resolved.product_root).toBe('MES');
+    expect(unresolved.product_root).toBeNull();
+  });
+
+  test('same external id from different sources is kept', () => {
+    const rows = tradesToRows('trader-1', [makeTrade(), makeTrade({ source: 'tradesyncer' })]);
+    expect(rows).toHaveLength(2);
+  });
+
+  test('handles empty input', () => {
+    expect(tradesToRows('trader-1', undefined)).toEqual([]);
+  });
+});
+
+describe('rowToTrade', () => {
+  test('parses DECIMAL strings', () => {
+    const trade = rowToTrade({ profit: '-12.50', entry_price: '5000.25', exit_price: null });
+    expect(trade.profit).toBe(-12.5);
+    expect(trade.entryPrice).toBe(5000.25);
+    expect(trade.exitPrice).toBeNull();
+  });
+});
+
+describe('groupTradesByTrader', () => {
+  test('groups rows by trader_id', () => {
+    const grouped = groupTradesByTrader([
+      { trader_id: 'a', profit: '1' },
+      { trader_id: 'b', profit: '2' },
+      { trader_id: 'a', profit: '3' },
+    ]);
+    expect(grouped.get('a').map(t => t.profit)).toEqual([1, 3]);
+    expect(grouped.get('b')).toHaveLength(1);
+  });
+});
+
+// ============================================
+// computeHighWaterMarks
+// ============================================
+
+describe('mergeTrades', () => {
+  test('replaces re-fetched trades and orders by close time', () => {
+    const history = [
+      rowToTrade(tradesToRows('trader-1', [makeTrade({ externalTradeId: '1', profit: 100 })])[0]),
+      rowToTrade(tradesToRows('trader-1', [makeTrade({ externalTradeId: '2', closedAt: '2025-03-11T14:05:00.000Z' })])[0]),
+    ];
+    const merged = mergeTrades(history, [
+      makeTrade({ externalTradeId: '1', profit: 150 }),
+      makeTrade({ externalTradeId: '3', closedAt: '2025-03-10T15:00:00.000Z' }),
+    ]);
+
+    expect(merged.map(t => t.externalTradeId)).toEqual(['1', '3', '2']);
+    expect(merged[0].profit).toBe(150);
+    expect(merged[1].productRoot).toBe('ES');
+  });
+
+  test('keeps stored rows without an external ID', () => {
+    const legacy = { ...makeTrade({ externalTradeId: null }), closedAt: null };
+    expect(mergeTrades([legacy, { ...legacy }], [])).toHaveLength(2);
+  });
+});
+
+describe('computeHighWaterMarks', () => {
+  test('returns the newest close time per account', () => {
+    const marks = computeHighWaterMarks([
+      makeTrade({ accountId: '101', closedAt: '2025-03-10T14:05:00.000Z' }),
+      makeTrade({ accountId: '101', closedAt: '2025-03-11T09:00:00.000Z' }),
+      makeTrade({ accountId: 202, closedAt: '2025-03-09T20:00:00.000Z' }),
+    ]);
+    expect(marks).toEqual({
+      101: '2025-03-11T09:00:00.000Z',
+      202: '2025-03-09T20:00:00.000Z',
+    });
+  });
+
+  test('only reports accounts that moved forward', () => {
+    const marks = computeHighWaterMarks(
+      [
+        makeTrade({ accountId: '101', closedAt: '2025-03-10T14:05:00.000Z' }),
+        makeTrade({ accountId: '202', closedAt: '2025-03-12T10:00:00.000Z' }),
+      ],
+      { 101: '2025-03-10T14:05:00.000Z', 202: '2025-03-11T00:00:00.000Z' }
+    );
+    expect(marks).toEqual({ 202: '2025-03-12T10:00:00.000Z' });
+  });
+
+  test('ignores trades without account or valid close time', () => {
+    expect(computeHighWaterMarks([
+      makeTrade({ accountId: null }),
+      makeTrade({ closedAt: null }),
+      makeTrade({ closedAt: 'garbage' }),
+    ])).toEqual({});
+  });
+});
+
+// ============================================
+// parseTradeQuery
+// ============================================
+
+describe('parseTradeQuery', () => {
+  test('applies defaults', () => {
+    const { valid, options } = parseTradeQuery({});
+    expect(valid).toBe(true);
+    expect(options.period.key).toBe('all');
+    expect(options.order).toBe('desc');
+    expect(options.limit).toBe(50);
+    expect(options.page).toBe(1);
+  });
+
+  test('accepts filters', () => {
+    const { options } = parseTradeQuery({ from: '2025-03-01', symbol: 'ESH6', side: 'sell', accountId: '101', order: 'asc', limit: '10', page: '3' });
+    expect(options.period.key).toBe('custom');
+    expect(options.symbol).toBe('ESH6');
+    expect(parseTradeQuery({ root: 'nq' }).options.root).toBe('NQ');
+    expect(options.side).toBe('sell');
+    expect(options.accountId).toBe('101');
+    expect(options.limit).toBe(10);
+    expect(options.page).toBe(3);
+  });
+
+  test('rejects invalid filters', () => {
+    expect(parseTradeQuery({ symbol: "ES'; DROP" }).valid).toBe(false);
+    expect(parseTradeQuery({ side: 'long' }).valid).toBe(false);
+    expect(parseTradeQuery({ root: 'E S' }).valid).toBe(false);
+    expect(parseTradeQuery({ accountId: '../101' }).valid).toBe(false);
+    expect(parseTradeQuery({ limit: String(MAX_TRADE_PAGE_SIZE + 1) }).valid).toBe(false);
+    expect(parseTradeQuery({ from: 'yesterday' }).valid).toBe(false);
+  });
+});
+
+// ============================================
+// serializeTrade / summarizeTrades
+// ============================================
+
+describe('serializeTrade', () => {
+  test('public view hides prices and identifiers', () => {
+    const serialized = serializeTrade(makeTrade(), false);
+    expect(serialized).toEqual({
+      symbol: 'ESH6',
+      side: 'buy',
+      quantity: 1,
+      profit: 100,
+      openedAt: '2025-03-10T14:00:00.000Z',
+      closedAt: '2025-03-10T14:05:00.000Z',
+    });
+  });
+
+  test('owner view includes prices and identifiers', () => {
+    const serialized = serializeTrade(makeTrade(), true);
+    expect(serialized.entryPrice).toBe(5000);
+    expect(serialized.exitPrice).toBe(5002);
+    expect(serialized.accountId).toBe('101');
+    expect(serialized.externalTradeId).toBe('1');
+  });
+});
+
+describe('summarizeTrades', () => {
+  test('aggregates totals and per-symbol breakdown', () => {
+    const summary = summarizeTrades([
+      makeTrade({ profit: 100 }),
+      makeTrade({ profit: -40, symbol: 'NQH6' }),
+      makeTrade({ profit: 60 }),
+    ]);
+    expect(summary.totalTrades).toBe(3);
+    expect(summary.totalProfit).toBe(120);
+    expect(summary.bySymbol).toEqual([
+      { symbol: 'ESH6', trades: 2, profit: 160 },
+      { symbol: 'NQH6', trades: 1, profit: -40 },
+    ]);
+  });
+
+  test('handles no trades', () => {
+    const summary = summarizeTrades([]);
+    expect(summary.totalTrades).toBe(0);
+    expect(summary.bySymbol).toEqual([]);
+  });
+
+  test('matches calculateStats totals', () => {
+    const trades = [
+      makeTrade({ profit: 100 }),
+      makeTrade({ profit: -40.25, symbol: 'NQH6' }),
+      makeTrade({ profit: 60.5 }),
+      makeTrade({ profit: 0, symbol: 'NQH6' }),
+    ];
+    const stats = BaseAdapter.calculateStats(trades);
+    expect(summarizeTrades(trades)).toMatchObject({
+      totalTrades: stats.totalTrades,
+      totalProfit: stats.totalProfit,
+      winRate: stats.winRate,
+      avgTradePnl: stats.avgTradePnl,
+      bestTrade: stats.bestTrade,
+      worstTrade: stats.worstTrade,
+      profitFactor: stats.profitFactor,
+    });
+  });
+
+  test('sorts trades without a symbol instead of throwing', () => {
+    const summary = summarizeTrades([makeTrade({ symbol: null }), makeTrade({ symbol: 'NQH6' })]);
+    expect(summary.bySymbol.map(entry => entry.symbol)).toEqual([null, 'NQH6']);
+  });
+});
+
+describe('summarizeSymbolAggregates', () => {
+  test('combines summarize_trade_history rows (numerics as strings)', () => {
+    const summary = summarizeSymbolAggregates([
+      { symbol: 'NQH6', trades: 1, profit: '-40.00', winners: 0, gross_wins: '0', gross_losses: '40.00', best_trade: '-40.00', worst_trade: '-40.00' },
+      { symbol: 'ESH6', trades: 2, profit: '160.00', winners: 2, gross_wins: '160.00', gross_losses: '0', best_trade: '100.00', worst_trade: '60.00' },
+    ]);
+
+    expect(summary).toEqual({
+      totalTrades: 3,
+      totalProfit: 120,
+      winRate: 66.67,
+      avgTradePnl: 40,
+      bestTrade: 100,
+      worstTrade: -40,
+      profitFactor: 4,
+      bySymbol: [
+        { symbol: 'ESH6', trades: 2, profit: 160 },
+        { symbol: 'NQH6', trades: 1, profit: -40 },
+      ],
+    });
+  });
+
+  test('is empty without rows', () => {
+    expect(summarizeSymbolAggregates(null)).toMatchObject({ totalTrades: 0, profitFactor: 0, bySymbol: [] });
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  TradovateContractResolver,
+  parseContractSymbol,
+  formatExpiryMonth,
+  fallbackSymbol,
+} = require('../adapters/tradovateContracts');
+
+const ITEMS = {
+  contract: [
+    { id: 1001, name: 'ESZ5', contractMaturityId: 51 },
+    { id: 1002, name: 'NQH6', contractMaturityId: 52 },
+  ],
+  contractMaturity: [
+    { id: 51, productId: 7, expirationMonth: 202512 },
+    { id: 52, productId: 8, expirationMonth: 202603 },
+  ],
+  product: [
+    { id: 7, name: 'ES', tickSize: 0.25, valuePerPoint: 50 },
+    { id: 8, name: 'NQ', tickSize: 0.25, valuePerPoint: 20 },
+  ],
+};
+
+function makeFetchItems() {
+  return jest.fn(async (entity, ids) =>
+    ITEMS[entity].filter(item => ids.map(String).includes(String(item.id)))
+  );
+}
+
+describe('parseContractSymbol', () => {
+  test('splits root, month code and year', () => {
+    expect(parseContractSymbol('ESZ5')).toEqual({ root: 'ES', monthCode: 'Z', year: '5' });
+    expect(parseContractSymbol('MNQH26')).toEqual({ root: 'MNQ', monthCode: 'H', year: '26' });
+    expect(parseContractSymbol('6EM5')).toEqual({ root: '6E', monthCode: 'M', year: '5' });
+  });
+
+  test('returns null for non-futures symbols', () => {
+    expect(parseContractSymbol('contract-123')).toBeNull();
+    expect(parseContractSymbol('UNKNOWN')).toBeNull();
+    expect(parseContractSymbol(null)).toBeNull();
+  });
+});
+
+describe('formatExpiryMonth', () => {
+  test('formats YYYYMM', () => {
+    expect(formatExpiryMonth(202512)).toBe('2025-12');
+    expect(formatExpiryMonth('202603')).toBe('2026-03');
+  });
+
+  test('returns null for missing or malformed values', () => {
+    expect(formatExpiryMonth(undefined)).toBeNull();
+    expect(formatExpiryMonth(2025)).toBeNull();
+  });
+});
+
+describe('fallbackSymbol', () => {
+  test('uses contract placeholder', () => {
+    expect(fallbackSymbol(1001)).toBe('contract-1001');
+    expect(fallbackSymbol(null)).toBe('UNKNOWN');
+  });
+});
+
+describe('TradovateContractResolver', () => {
+  test('resolves symbol, root, expiry, tick size and point value', async () => {
+    const resolver = new TradovateContractResolver(makeFetchItems(), new Map());
+    const resolved = await resolver.resolve({ accessToken: 't' }, [1001, 1002]);
+
+    expect(resolved.get('1001')).toEqual({
+      contractId: '1001',
+      symbol: 'ESZ5',
+      root: 'ES',
+      expiryMonth: '2025-12',
+      tickSize: 0.25,
+      pointValue: 50,
+    });
+    expect(resolved.get('1002').symbol).toBe('NQH6');
+    expect(resolved.get('1002').pointValue).toBe(20);
+  });
+
+  test('looks each contract up only once', async () => {
+    const fetchItems = makeFetchItems();
+    const resolver = new TradovateContractResolver(fetchItems, new Map());
+
+    await resolver.resolve({}, [1001]);
+    await resolver.resolve({}, [1001, 1001]);
+    expect(fetchItems.mock.calls.filter(([entity]) => entity === 'contract')).toHaveLength(1);
+
+    await resolver.resolve({}, [1001, 1002]);
+    const contractCalls = fetchItems.mock.calls.filter(([entity]) => entity === 'contract');
+    expect(contractCalls).toHaveLength(2);
+    expect(contractCalls[1][1]).toEqual(['1002']);
+  });
+
+  test('falls back to parsing the symbol when product lookup is empty', async () => {
+    const fetchItems = jest.fn(async (entity) => (entity === 'contract' ? [{ id: 9, name: 'CLF6', contractMaturityId: 99 }] : []));
+    const resolver = new TradovateContractResolver(fetchItems, new Map());
+    const resolved = await resolver.resolve({}, [9]);
+    expect(resolved.get('9')).toMatchObject({ symbol: 'CLF6', root: 'CL', pointValue: null });
+  });
+
+  test('lookup errors leave contracts unresolved', async () => {
+    const resolver = new TradovateContractResolver(jest.fn().mockRejectedValue(new Error('503')), new Map());
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const resolved = await resolver.resolve({}, [1001]);
+    spy.mockRestore();
+    expect(resolved.size).toBe(0);
+  });
+
+  test('applyToTrades rewrites placeholder symbols', async () => {
+    const resolver = new TradovateContractResolver(makeFetchItems(), new Map());
+    const trades = await resolver.applyToTrades({}, [
+      { externalTradeId: '1', contractId: 1001, symbol: 'contract-1001' },
+      { externalTradeId: '2', contractId: 4040, symbol: 'contract-4040' },
+    ]);
+    expect(trades[0]).toMatchObject({ symbol: 'ESZ5', productRoot: 'ES' });
+    expect(trades[1].symbol).toBe('contract-4040');
+    expect(trades[1].productRoot).toBeUndefined();
+  });
+});
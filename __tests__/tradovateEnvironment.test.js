@@ -0,0 +1,154 @@
+const {
+  environmentsOf,
+  summarizeEnvironments,
+  primaryEnvironment,
+} = require('../adapters/tradovateEnvironment');
+const TradovateAdapter = require('../adapters/tradovate');
+const { FetchError, HttpClient, CircuitBreaker } = require('../adapters/httpClient');
+
+// Adapter whose HTTP client answers account/list per environment host
+function makeAdapter(accountsByHost) {
+  const adapter = new TradovateAdapter();
+  const requested = [];
+  adapter.http = {
+    get: async url => {
+      requested.push(url);
+      const host = new URL(url).hostname.split('.')[0];
+      const accounts = accountsByHost[host];
+      if (accounts instanceof Error) throw accounts;
+      return { data: accounts || [] };
+    },
+  };
+  return { adapter, requested };
+}
+
+describe('environmentsOf / primaryEnvironment', () => {
+  test('maps stored values to environments to call', () => {
+    expect(environmentsOf('demo')).toEqual(['demo']);
+    expect(environmentsOf('live')).toEqual(['live']);
+    expect(environmentsOf('both')).toEqual(['demo', 'live']);
+    expect(environmentsOf(null)).toBeNull();
+    expect(environmentsOf('sim')).toBeNull();
+  });
+
+  test('prefers live for requests not tied to an account', () => {
+    expect(primaryEnvironment('both')).toBe('live');
+    expect(primaryEnvironment('live')).toBe('live');
+    expect(primaryEnvironment('demo')).toBe('demo');
+    expect(primaryEnvironment(null)).toBe('demo');
+  });
+});
+
+describe('summarizeEnvironments', () => {
+  test('is every environment holding accounts', () => {
+    expect(summarizeEnvironments({ demo: [{ id: 1 }], live: [] })).toBe('demo');
+    expect(summarizeEnvironments({ demo: [], live: [{ id: 2 }] })).toBe('live');
+    expect(summarizeEnvironments({ demo: [{ id: 1 }], live: [{ id: 2 }] })).toBe('both');
+  });
+
+  test('is unknown without accounts, and demo without live access', () => {
+    expect(summarizeEnvironments({ demo: [], live: [] })).toBeNull();
+    expect(summarizeEnvironments({}, false)).toBe('demo');
+  });
+});
+
+describe('TradovateAdapter environments', () => {
+  test('each call uses its own environment on the shared instance', async () => {
+    const { adapter, requested } = makeAdapter({ demo: [{ id: 1, name: 'D1' }], live: [{ id: 2, name: 'L1' }] });
+
+    const [demo, live] = await Promise.all([
+      adapter.getAccounts({ accessToken: 't' }),
+      adapter.getAccounts({ accessToken: 't', environment: 'live' }),
+    ]);
+
+    expect(demo).toEqual([expect.objectContaining({ id: 1, environment: 'demo' })]);
+    expect(live).toEqual([expect.objectContaining({ id: 2, environment: 'live' })]);
+    expect(requested).toEqual([
+      'https://demo.tradovateapi.com/v1/account/list',
+      'https://live.tradovateapi.com/v1/account/list',
+    ]);
+    expect(adapter.getUserSyncUrl('live')).toBe('wss://live.tradovateapi.com/v1/websocket');
+  });
+
+  test('detects and lists accounts from both environments', async () => {
+    const { adapter } = makeAdapter({ demo: [{ id: 1 }], live: [{ id: 2 }] });
+    const { environment, accounts } = await adapter.getEnvironmentAccounts({ accessToken: 't' }, null, true);
+
+    expect(environment).toBe('both');
+    expect(accounts.map(a => [a.id, a.environment])).toEqual([[1, 'demo'], [2, 'live']]);
+  });
+
+  test('uses a stored environment without detecting', async () => {
+    const { adapter, requested } = makeAdapter({ live: [{ id: 2 }] });
+    const { environment, accounts } = await adapter.getEnvironmentAccounts({ accessToken: 't' }, 'live');
+
+    expect(environment).toBe('live');
+    expect(accounts).toHaveLength(1);
+    expect(requested).toEqual(['https://live.tradovateapi.com/v1/account/list']);
+  });
+
+  test('skips live for users without live access', async () => {
+    const { adapter, requested } = makeAdapter({ demo: [{ id: 1 }] });
+    const { environment } = await adapter.getEnvironmentAccounts({ accessToken: 't' }, null, false);
+
+    expect(environment).toBe('demo');
+    expect(requested).toHaveLength(1);
+  });
+
+  test('treats a failed live request as no live access only when access is unknown', async () => {
+    const denied = new FetchError('Unauthorized', { status: 401 });
+    const { adapter } = makeAdapter({ demo: [{ id: 1 }], live: denied });
+
+    await expect(adapter.getEnvironmentAccounts({ accessToken: 't' }, null)).resolves
+      .toEqual({ environment: 'demo', accounts: [expect.objectContaining({ id: 1 })] });
+    await expect(adapter.getEnvironmentAccounts({ accessToken: 't' }, null, true)).rejects.toBe(denied);
+    await expect(adapter.getEnvironmentAccounts({ accessToken: 't' }, 'both')).rejects.toBe(denied);
+  });
+
+  test('fetches each account\'s trades and payouts in its environment', async () => {
+    const adapter = new TradovateAdapter();
+    const requested = [];
+    adapter.http = {
+      get: async url => {
+        requested.push(url);
+        return { data: [] };
+      },
+    };
+
+    await adapter.getAllTrades({ accessToken: 't' }, [{ id: 2, environment: 'live' }]);
+    expect(requested.length).toBeGreaterThan(0);
+    expect(requested.every(url => url.startsWith('https://live.'))).toBe(true);
+
+    requested.length = 0;
+    await adapter.getPayouts({ accessToken: 't' }, [{ id: 1, environment: 'demo' }, { id: 2, environment: 'live' }]);
+    expect(requested).toEqual([
+      'https://demo.tradovateapi.com/v1/cashBalance/list',
+      'https://live.tradovateapi.com/v1/cashBalance/list',
+    ]);
+  });
+});
+
+describe('TradovateAdapter token requests', () => {
+  test('are not repeated after an upstream error', async () => {
+    const adapter = new TradovateAdapter();
+    const requested = [];
+    adapter.http = new HttpClient('tradovate', {
+      breaker: new CircuitBreaker({ threshold: 5, resetMs: 1000 }),
+      sleep: async () => {},
+      transport: async request => {
+        requested.push(request.url);
+        throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {} } });
+      },
+    });
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(adapter.requestAccessToken({ username: 'trader1', password: 'pw' }, { environment: 'demo' })).rejects.toThrow();
+    await expect(adapter.renewToken('token', 'demo')).rejects.toThrow();
+    spy.mockRestore();
+
+    expect(requested).toEqual([
+      'https://demo.tradovateapi.com/v1/auth/accesstokenrequest',
+      'https://demo.tradovateapi.com/v1/auth/renewaccesstoken',
+    ]);
+  });
+});
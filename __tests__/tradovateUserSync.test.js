@@ -0,0 +1,165 @@
+const {
+  TradovateUserSyncClient,
+  getUserSyncUrl,
+  formatRequest,
+  parseFrame,
+} = require('../adapters/tradovateUserSync');
+const { startMockTradovateServer } = require('../scripts/mock-tradovate-ws');
+
+const FAST = {
+  heartbeatMs: 50,
+  staleAfterMs: 1000,
+  requestTimeoutMs: 1000,
+  reconnectBaseMs: 20,
+  reconnectMaxMs: 100,
+};
+
+// Resolve with the next emitted event's payload
+function nextEvent(emitter, name, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${name}`)), timeoutMs);
+    emitter.once(name, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+describe('getUserSyncUrl', () => {
+  test('swaps the scheme and appends /websocket', () => {
+    expect(getUserSyncUrl('https://demo.tradovateapi.com/v1')).toBe('wss://demo.tradovateapi.com/v1/websocket');
+    expect(getUserSyncUrl('http://localhost:8080/v1/')).toBe('ws://localhost:8080/v1/websocket');
+  });
+});
+
+describe('formatRequest / parseFrame', () => {
+  test('formats newline-delimited requests', () => {
+    expect(formatRequest('authorize', 0, '', 'token')).toBe('authorize\n0\n\ntoken');
+    expect(formatRequest('user/syncrequest', 1, '', { users: [7] })).toBe('user/syncrequest\n1\n\n{"users":[7]}');
+  });
+
+  test('parses open, heartbeat, data and close frames', () => {
+    expect(parseFrame('o')).toEqual({ type: 'open' });
+    expect(parseFrame('h')).toEqual({ type: 'heartbeat' });
+    expect(parseFrame('a[{"s":200,"i":0}]')).toEqual({ type: 'data', messages: [{ s: 200, i: 0 }] });
+    expect(parseFrame('c[1000,"bye"]')).toEqual({ type: 'close', code: 1000, reason: 'bye' });
+  });
+
+  test('treats malformed frames as unknown', () => {
+    expect(parseFrame('a[not json')).toEqual({ type: 'unknown' });
+    expect(parseFrame('x')).toEqual({ type: 'unknown' });
+  });
+});
+
+describe('TradovateUserSyncClient', () => {
+  let server;
+  let client;
+
+  afterEach(async () => {
+    if (client) client.stop();
+    client = null;
+    if (server) await server.close();
+    server = null;
+  });
+
+  test('authorizes, subscribes and emits pushed entities', async () => {
+    server = await startMockTradovateServer({
+      tokens: ['good-token'],
+      heartbeatMs: 50,
+      snapshot: { fillPairs: [{ id: 1, accountId: 101 }] },
+    });
+    client = new TradovateUserSyncClient({
+      url: server.url,
+      userId: 7,
+      getAccessToken: async () => 'good-token',
+      config: FAST,
+    });
+
+    const subscribed = nextEvent(client, 'subscribed');
+    client.start();
+    const { snapshot } = await subscribed;
+
+    expect(snapshot.fillPairs).toEqual([{ id: 1, accountId: 101 }]);
+    expect(server.requests.map(r => r.endpoint)).toEqual(['authorize', 'user/syncrequest']);
+    expect(JSON.parse(server.requests[1].body)).toEqual({ users: [7] });
+
+    const entity = nextEvent(client, 'entity');
+    server.pushEntity('fillPair', { id: 2, accountId: 101, pnl: 50 });
+    expect(await entity).toEqual({
+      entityType: 'fillPair',
+      eventType: 'Created',
+      entity: { id: 2, accountId: 101, pnl: 50 },
+    });
+  });
+
+  test('reconnects and resubscribes with a fresh token after a dropped connection', async () => {
+    server = await startMockTradovateServer({ heartbeatMs: 50 });
+    let calls = 0;
+    client = new TradovateUserSyncClient({
+      url: server.url,
+      userId: 7,
+      getAccessToken: async () => `token-${++calls}`,
+      config: FAST,
+      random: () => 0.5,
+    });
+
+    const first = nextEvent(client, 'subscribed');
+    client.start();
+    await first;
+
+    const disconnected = nextEvent(client, 'disconnected');
+    const resubscribed = nextEvent(client, 'subscribed');
+    server.dropConnections();
+
+    expect((await disconnected).reconnectInMs).toBeGreaterThan(0);
+    await resubscribed;
+
+    const authorizations = server.requests.filter(r => r.endpoint === 'authorize').map(r => r.body);
+    expect(authorizations).toEqual(['token-1', 'token-2']);
+    expect(server.clientCount()).toBe(1);
+
+    // Events after the reconnect still arrive
+    const entity = nextEvent(client, 'entity');
+    server.pushEntity('fill', { id: 9, accountId: 101 });
+    expect((await entity).entity.id).toBe(9);
+  });
+
+  test('reports a rejected token and keeps retrying', async () => {
+    server = await startMockTradovateServer({ tokens: ['good-token'], heartbeatMs: 50 });
+    client = new TradovateUserSyncClient({
+      url: server.url,
+      userId: 7,
+      getAccessToken: async () => 'bad-token',
+      config: FAST,
+    });
+
+    const authFailed = nextEvent(client, 'authFailed');
+    const disconnected = nextEvent(client, 'disconnected');
+    client.start();
+
+    expect(await authFailed).toMatchObject({ status: 401 });
+    expect((await disconnected).reason).toMatch(/authorize failed/);
+    expect(client.subscribed).toBe(false);
+  });
+
+  test('stop() closes the connection and cancels reconnects', async () => {
+    server = await startMockTradovateServer({ heartbeatMs: 50 });
+    client = new TradovateUserSyncClient({
+      url: server.url,
+      userId: 7,
+      getAccessToken: async () => 'token',
+      config: FAST,
+    });
+
+    const subscribed = nextEvent(client, 'subscribed');
+    client.start();
+    await subscribed;
+
+    client.stop();
+    expect(client.socket).toBeNull();
+    expect(client.reconnectTimer).toBeNull();
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(server.clientCount()).toBe(0);
+  });
+});
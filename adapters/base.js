@@ -1,7 +1,120 @@
 /**
  * Base Adapter Interface
- * All platform adapters (Tradovate, TradeSyncer) must implement these methods.
+ * All platform adapters (Tradovate, ProjectX, TradeSyncer) must implement these methods,
+ * and describe their connection in a static `connection` (see ./registry).
  */
+const { FetchError, describeFetchError } = require('./httpClient');
+
+// Cap for ratios with a zero denominator (matches profitFactor)
+const RATIO_CAP = 999;
+const TRADING_DAYS_PER_YEAR = 252;
+
+const EMPTY_RISK_METRICS = {
+  maxDrawdown: 0,
+  maxDrawdownPercent: 0,
+  sharpeRatio: 0,
+  sortinoRatio: 0,
+  expectancy: 0,
+  avgWin: 0,
+  avgLoss: 0,
+  avgWinLossRatio: 0,
+  longestWinStreak: 0,
+  longestLossStreak: 0,
+  largestLosingDay: 0,
+};
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+function ratio(numerator, denominator) {
+  if (denominator > 0) return round(numerator / denominator);
+  return numerator > 0 ? RATIO_CAP : 0;
+}
+
+/**
+ * Realized P&L per UTC calendar day, in date order.
+ */
+function dailyPnl(trades) {
+  const byDay = new Map();
+  for (const trade of trades) {
+    const closedAt = new Date(trade.closedAt);
+    if (isNaN(closedAt.getTime())) continue;
+    const day = closedAt.toISOString().slice(0, 10);
+    byDay.set(day, (byDay.get(day) || 0) + (parseFloat(trade.profit) || 0));
+  }
+  return [...byDay.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, pnl]) => pnl);
+}
+
+/**
+ * Drawdown, daily-return ratios, expectancy and streaks for calculateStats().
+ */
+function calculateRiskMetrics(trades, startingBalance = 0) {
+  const ordered = [...trades].sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+  const profits = ordered.map(t => parseFloat(t.profit) || 0);
+
+  // Drawdown over the trade-by-trade equity curve
+  const start = startingBalance > 0 ? startingBalance : 0;
+  let equity = start;
+  let peak = start;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  for (const profit of profits) {
+    equity += profit;
+    peak = Math.max(peak, equity);
+    const drawdown = peak - equity;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    if (peak > 0 && drawdown / peak > maxDrawdownPercent) maxDrawdownPercent = drawdown / peak;
+  }
+
+  // Streaks (break-even trades end both)
+  let longestWinStreak = 0;
+  let longestLossStreak = 0;
+  let winStreak = 0;
+  let lossStreak = 0;
+  for (const profit of profits) {
+    winStreak = profit > 0 ? winStreak + 1 : 0;
+    lossStreak = profit < 0 ? lossStreak + 1 : 0;
+    longestWinStreak = Math.max(longestWinStreak, winStreak);
+    longestLossStreak = Math.max(longestLossStreak, lossStreak);
+  }
+
+  // Expectancy and average win/loss
+  const winners = profits.filter(p => p > 0);
+  const losers = profits.filter(p => p < 0);
+  const avgWin = winners.length > 0 ? winners.reduce((sum, p) => sum + p, 0) / winners.length : 0;
+  const avgLoss = losers.length > 0 ? losers.reduce((sum, p) => sum + p, 0) / losers.length : 0;
+  const expectancy = (winners.length / profits.length) * avgWin + (losers.length / profits.length) * avgLoss;
+
+  // Sharpe / Sortino from daily P&L (risk-free rate taken as 0)
+  const days = dailyPnl(ordered);
+  const mean = days.reduce((sum, p) => sum + p, 0) / (days.length || 1);
+  const variance = days.length > 1
+    ? days.reduce((sum, p) => sum + (p - mean) ** 2, 0) / (days.length - 1)
+    : 0;
+  const downsideDeviation = Math.sqrt(
+    days.reduce((sum, p) => sum + Math.min(p, 0) ** 2, 0) / (days.length || 1)
+  );
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+  // A single day has no spread to measure
+  const sharpeRatio = days.length > 1 ? ratio(mean * annualize, Math.sqrt(variance)) : 0;
+  const sortinoRatio = days.length > 1 ? ratio(mean * annualize, downsideDeviation) : 0;
+
+  return {
+    maxDrawdown: round(maxDrawdown),
+    maxDrawdownPercent: round(maxDrawdownPercent * 100),
+    sharpeRatio,
+    sortinoRatio,
+    expectancy: round(expectancy),
+    avgWin: round(avgWin),
+    avgLoss: round(avgLoss),
+    avgWinLossRatio: ratio(avgWin, Math.abs(avgLoss)),
+    longestWinStreak,
+    longestLossStreak,
+    largestLosingDay: round(days.reduce((worst, p) => Math.min(worst, p), 0)),
+  };
+}
+
 class BaseAdapter {
   constructor() {
     if (this.constructor === BaseAdapter) {
@@ -41,9 +154,37 @@ class BaseAdapter {
   /**
    * Calculate statistics from trades
    * @param {Array} trades - Array of normalized trade objects
+   * @param {Object} [options] - See BaseAdapter.calculateStats
    * @returns {Object} - Calculated statistics
    */
-  calculateStats(trades) {
+  calculateStats(trades, options = {}) {
+    return BaseAdapter.calculateStats(trades, options);
+  }
+
+  /**
+   * Adapter-independent stats calculation, so stored trade_history rows
+   * can be re-aggregated (e.g. for time-windowed leaderboards).
+   *
+   * Risk metrics:
+   *   maxDrawdown        - largest peak-to-trough drop in cumulative P&L ($)
+   *   maxDrawdownPercent - that drop as a % of peak equity, where equity
+   *                        starts at options.startingBalance (0 if unknown)
+   *   sharpeRatio        - mean / stdev of daily P&L, annualized (252 days)
+   *   sortinoRatio       - mean / downside deviation of daily P&L, annualized
+   *   expectancy         - winRate x avgWin - lossRate x avgLoss, per trade
+   *   avgWinLossRatio    - avgWin / |avgLoss|
+   *   longestWinStreak / longestLossStreak - consecutive trades by close time
+   *   largestLosingDay   - worst UTC day of realized P&L (0 if none lost)
+   *
+   * Daily figures only use days with closed trades. Ratios with nothing to
+   * divide by follow profitFactor: 999 when the numerator is positive, else 0.
+   *
+   * @param {Array} trades - Array of normalized trade objects
+   * @param {Object} [options]
+   * @param {number} [options.startingBalance] - Account equity before the first trade
+   * @returns {Object} - Calculated statistics
+   */
+  static calculateStats(trades, options = {}) {
     if (!trades || trades.length === 0) {
       return {
         totalProfit: 0,
@@ -55,6 +196,8 @@ class BaseAdapter {
         worstTrade: 0,
         profitFactor: 0,
         verifiedPayouts: 0,
+        totalPayouts: 0,
+        ...EMPTY_RISK_METRICS,
       };
     }
 
@@ -77,21 +220,107 @@ class BaseAdapter {
       winRate: parseFloat(((winners.length / trades.length) * 100).toFixed(2)),
       totalTrades: trades.length,
       avgTradePnl: parseFloat((totalProfit / trades.length).toFixed(2)),
-      bestTrade: parseFloat(Math.max(...profits, 0).toFixed(2)),
-      worstTrade: parseFloat(Math.min(...profits, 0).toFixed(2)),
-      profitFactor: grossLosses > 0 ? parseFloat((grossWins / grossLosses).toFixed(2)) : grossWins > 0 ? 999 : 0,
+      // reduce, not Math.max(...profits): spreading a long history overflows the call stack
+      bestTrade: parseFloat(profits.reduce((best, p) => Math.max(best, p), 0).toFixed(2)),
+      worstTrade: parseFloat(profits.reduce((worst, p) => Math.min(worst, p), 0).toFixed(2)),
+      profitFactor: ratio(grossWins, grossLosses),
       verifiedPayouts: 0,
+      totalPayouts: 0,
+      ...calculateRiskMetrics(trades, options.startingBalance),
     };
   }
 
+  /**
+   * Fetch trades account by account. An account whose fetch fails is
+   * recorded in fetchErrors and skipped, so the rest of the sync still lands
+   * (a partial sync). If every account fails, the first error is thrown.
+   *
+   * fetchTrades also receives a report(error) callback for problems that
+   * leave the account's trades incomplete without failing the fetch (e.g.
+   * round trips that couldn't be priced); those are recorded the same way.
+   *
+   * @param {Array} accounts - From getAccounts()
+   * @param {Function} fetchTrades - (account, report) => Promise<Array>
+   * @returns {Promise<{ trades: Array, fetchErrors: Array<Object> }>}
+   */
+  async fetchTradesByAccount(accounts, fetchTrades) {
+    const trades = [];
+    const fetchErrors = [];
+    let firstError = null;
+    let failed = 0;
+
+    for (const account of accounts) {
+      const accountId = String(account.id);
+      const report = error => fetchErrors.push(describeFetchError(error, { accountId }));
+      try {
+        trades.push(...await fetchTrades(account, report));
+      } catch (error) {
+        if (!(error instanceof FetchError)) throw error;
+        firstError = firstError || error;
+        failed++;
+        report(error);
+      }
+    }
+
+    if (accounts.length > 0 && failed === accounts.length) throw firstError;
+    return { trades, fetchErrors };
+  }
+
+  /**
+   * Run an optional fetch (payouts, platform summaries). A FetchError is
+   * recorded in fetchErrors and null returned, meaning "unknown" rather than
+   * "none".
+   *
+   * @param {Array<Object>} fetchErrors - Collects failures
+   * @param {Function} fetch - () => Promise<*>
+   * @returns {Promise<*|null>}
+   */
+  async fetchOptional(fetchErrors, fetch) {
+    try {
+      return await fetch();
+    } catch (error) {
+      if (!(error instanceof FetchError)) throw error;
+      fetchErrors.push(describeFetchError(error));
+      return null;
+    }
+  }
+
   /**
    * Full sync: authenticate, fetch accounts, fetch trades, calculate stats.
+   * Each returned trade carries the accountId it belongs to.
+   *
+   * Failed fetches for individual accounts or optional data are listed in
+   * fetchErrors instead of failing the sync; payouts is null when they
+   * couldn't be fetched.
+   *
    * @param {Object} credentials - Platform credentials
-   * @returns {Promise<Object>} - { stats, trades, accounts }
+   * @param {Object} [options]
+   * @param {Object} [options.since] - accountId -> ISO high-water mark; only
+   *   trades closed at or after it need to be returned (incremental sync)
+   * @returns {Promise<Object>} - { stats, trades, accounts, fetchErrors, payouts?, statsOverrides? }
    */
-  async sync(credentials) {
+  async sync(credentials, options = {}) {
     throw new Error('sync() must be implemented by subclass');
   }
 }
 
+// Capped ratio calculateStats() uses for profit factor, for stats built from
+// aggregates instead of trades (see utils/trades.summarizeSymbolAggregates)
+BaseAdapter.ratio = ratio;
+
+// calculateStats() risk metric -> statistics column
+BaseAdapter.RISK_METRIC_COLUMNS = {
+  maxDrawdown: 'max_drawdown',
+  maxDrawdownPercent: 'max_drawdown_percent',
+  sharpeRatio: 'sharpe_ratio',
+  sortinoRatio: 'sortino_ratio',
+  expectancy: 'expectancy',
+  avgWin: 'avg_win',
+  avgLoss: 'avg_loss',
+  avgWinLossRatio: 'avg_win_loss_ratio',
+  longestWinStreak: 'longest_win_streak',
+  longestLossStreak: 'longest_loss_streak',
+  largestLosingDay: 'largest_losing_day',
+};
+
 module.exports = BaseAdapter;
@@ -0,0 +1,226 @@
+/**
+ * FIFO Fill Matcher
+ *
+ * Rebuilds round-trip trades from raw executions when a platform only gives
+ * us individual fills (e.g. Tradovate fill/list without fillPair data).
+ *
+ * Fills are grouped per account + contract and replayed in time order.
+ * Opening fills (and scale-ins) queue up as lots; closing fills consume lots
+ * oldest-first, realizing (exit - entry) x qty x pointValue per matched unit.
+ * A round trip runs from flat to flat, so one scaled-in / scaled-out position
+ * is one trade. A fill that crosses through zero closes the current round
+ * trip and opens a new one in the other direction with the remainder.
+ * Positions still open at the end are not emitted (nothing realized yet).
+ * Round trips on a contract without a known point value have profit null:
+ * the caller must price them (e.g. with platform P&L) or leave them out.
+ *
+ * Fill lists only reach back so far. When a position was already open at
+ * the first fill (see startingPositions), that position is replayed as a
+ * lot with no known entry: the round trip that closes it can't be priced
+ * and is returned in `carriedOver` instead of `trades`.
+ */
+
+/**
+ * @typedef {Object} Fill
+ * @property {string|number} id
+ * @property {string|number} accountId
+ * @property {string|number} contractId
+ * @property {'buy'|'sell'} side
+ * @property {number} qty
+ * @property {number} price
+ * @property {string} timestamp - ISO timestamp
+ */
+
+function groupKey(fill) {
+  return `${fill.accountId}:${fill.contractId}`;
+}
+
+function compareFills(a, b) {
+  const byTime = new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+  if (byTime !== 0) return byTime;
+  // Same timestamp: fall back to ID order, which Tradovate assigns sequentially
+  return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+}
+
+/**
+ * Start an empty round trip opened by the given fill.
+ */
+function openRoundTrip(fill, direction) {
+  return {
+    firstFillId: fill.id,
+    accountId: fill.accountId,
+    contractId: fill.contractId,
+    direction,
+    openedAt: fill.timestamp,
+    openedQty: 0,
+    entryNotional: 0,
+    exitQty: 0,
+    exitNotional: 0,
+    pnlPoints: 0,
+  };
+}
+
+/**
+ * Convert a completed round trip to the normalized trade shape.
+ */
+function closeRoundTrip(roundTrip, closingFill, pointValue) {
+  const entryPrice = roundTrip.entryNotional / roundTrip.openedQty;
+  const exitPrice = roundTrip.exitNotional / roundTrip.exitQty;
+  const profit = pointValue != null ? parseFloat((roundTrip.pnlPoints * pointValue).toFixed(2)) : null;
+
+  return {
+    // Opening and closing fill IDs identify the round trip across syncs
+    externalTradeId: `rt-${roundTrip.firstFillId}-${closingFill.id}`,
+    accountId: String(roundTrip.accountId),
+    contractId: roundTrip.contractId,
+    side: roundTrip.direction > 0 ? 'buy' : 'sell',
+    quantity: roundTrip.openedQty,
+    entryPrice: parseFloat(entryPrice.toFixed(4)),
+    exitPrice: parseFloat(exitPrice.toFixed(4)),
+    profit,
+    openedAt: roundTrip.openedAt,
+    closedAt: closingFill.timestamp,
+  };
+}
+
+/**
+ * Position each account + contract held before the first fill: the
+ * platform's current net position minus what the fills added up to.
+ *
+ * @param {Array<Fill>} fills
+ * @param {Array<{ accountId, contractId, netPos: number }>} positions - Current net positions
+ * @returns {Map<string, number>} - 'accountId:contractId' -> signed quantity (non-zero only)
+ */
+function startingPositions(fills, positions) {
+  const start = new Map();
+  for (const position of positions || []) {
+    const netPos = Number(position.netPos) || 0;
+    if (netPos !== 0) start.set(groupKey(position), netPos);
+  }
+  for (const fill of fills || []) {
+    const qty = Number(fill.qty);
+    if (!(qty > 0)) continue;
+    const key = groupKey(fill);
+    start.set(key, (start.get(key) || 0) - (fill.side === 'buy' ? qty : -qty));
+  }
+  for (const [key, qty] of start) {
+    if (qty === 0) start.delete(key);
+  }
+  return start;
+}
+
+/**
+ * Match fills into round-trip trades.
+ *
+ * @param {Array<Fill>} fills
+ * @param {Map<string, number>|Object} [pointValues] - contractId -> dollars per point.
+ *   Round trips on contracts without a known point value get profit null
+ *   rather than a number in the wrong units (or a made-up 0).
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.startPositions] - From startingPositions()
+ * @returns {{ trades: Array<Object>, openPositions: Array<Object>, carriedOver: Array<Object> }}
+ */
+function matchFills(fills, pointValues = new Map(), options = {}) {
+  const startPositions = options.startPositions || new Map();
+  const getPointValue = (contractId) => {
+    const key = String(contractId);
+    const value = pointValues instanceof Map ? pointValues.get(key) : pointValues[key];
+    return value != null ? value : null;
+  };
+
+  const groups = new Map();
+  for (const fill of fills || []) {
+    const qty = Number(fill.qty);
+    const price = Number(fill.price);
+    if (!(qty > 0) || !Number.isFinite(price)) continue;
+    if (fill.side !== 'buy' && fill.side !== 'sell') continue;
+
+    const key = groupKey(fill);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...fill, qty, price });
+  }
+
+  const trades = [];
+  const openPositions = [];
+  const carriedOver = [];
+
+  for (const [key, groupFills] of groups) {
+    groupFills.sort(compareFills);
+
+    const lots = [];
+    let direction = 0;
+    let roundTrip = null;
+
+    // Opened before the first fill: entry price unknown
+    const start = startPositions.get(key) || 0;
+    if (start !== 0) {
+      direction = Math.sign(start);
+      roundTrip = { ...openRoundTrip(groupFills[0], direction), carried: true, openedAt: null };
+      lots.push({ qty: Math.abs(start), price: null });
+      roundTrip.openedQty += Math.abs(start);
+    }
+
+    for (const fill of groupFills) {
+      const signed = fill.side === 'buy' ? 1 : -1;
+      let remaining = fill.qty;
+
+      if (direction !== 0 && signed !== direction) {
+        // Closing (or reversing): consume open lots oldest-first
+        while (remaining > 0 && lots.length > 0) {
+          const lot = lots[0];
+          const matched = Math.min(lot.qty, remaining);
+
+          if (lot.price != null) roundTrip.pnlPoints += (fill.price - lot.price) * matched * direction;
+          roundTrip.exitQty += matched;
+          roundTrip.exitNotional += matched * fill.price;
+
+          lot.qty -= matched;
+          remaining -= matched;
+          if (lot.qty === 0) lots.shift();
+        }
+
+        if (lots.length === 0) {
+          if (roundTrip.carried) {
+            carriedOver.push({
+              accountId: String(roundTrip.accountId),
+              contractId: roundTrip.contractId,
+              side: direction > 0 ? 'buy' : 'sell',
+              quantity: roundTrip.openedQty,
+              closedAt: fill.timestamp,
+            });
+          } else {
+            trades.push(closeRoundTrip(roundTrip, fill, getPointValue(fill.contractId)));
+          }
+          direction = 0;
+          roundTrip = null;
+        }
+      }
+
+      if (remaining > 0) {
+        // Opening, scaling in, or the leftover of a reversal
+        if (direction === 0) {
+          direction = signed;
+          roundTrip = openRoundTrip(fill, direction);
+        }
+        lots.push({ qty: remaining, price: fill.price });
+        roundTrip.openedQty += remaining;
+        roundTrip.entryNotional += remaining * fill.price;
+      }
+    }
+
+    if (roundTrip) {
+      openPositions.push({
+        accountId: String(roundTrip.accountId),
+        contractId: roundTrip.contractId,
+        side: direction > 0 ? 'buy' : 'sell',
+        quantity: lots.reduce((sum, lot) => sum + lot.qty, 0),
+        openedAt: roundTrip.openedAt,
+      });
+    }
+  }
+
+  trades.sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+  return { trades, openPositions, carriedOver };
+}
+
+module.exports = { matchFills, startingPositions };
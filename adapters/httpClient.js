@@ -0,0 +1,430 @@
+const axios = require('axios');
+const { parsePositiveInt, parseNonNegativeInt } = require('../utils/env');
+
+/**
+ * Resilient HTTP client shared by the platform adapters.
+ *
+ * Wraps axios with:
+ *   - a per-request timeout
+ *   - retries with jittered exponential backoff for network errors, timeouts,
+ *     429 and 5xx responses, honouring Retry-After when the platform sends it
+ *   - a per-provider circuit breaker: after repeated failed requests, calls to
+ *     that provider fail fast until a cool-down has passed
+ *
+ * Every failure is thrown as a FetchError, so adapters can tell "the request
+ * failed" apart from "the platform returned no data".
+ */
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+
+const DEFAULT_HTTP_CONFIG = {
+  timeoutMs: 15 * 1000,
+  maxRetries: 3,
+  retryBaseMs: 500,
+  retryMaxMs: 10 * 1000,
+  // A Retry-After longer than this fails the request instead of waiting
+  maxRetryAfterMs: 60 * 1000,
+  breakerThreshold: 5,
+  breakerResetMs: 60 * 1000,
+};
+
+/**
+ * Read HTTP client settings from environment variables:
+ *   HTTP_TIMEOUT_MS          - per-request timeout (default 15000)
+ *   HTTP_MAX_RETRIES         - retries after the first attempt (default 3, 0 disables)
+ *   HTTP_RETRY_BASE_MS       - first backoff step (default 500)
+ *   HTTP_RETRY_MAX_MS        - backoff cap (default 10000)
+ *   HTTP_MAX_RETRY_AFTER_MS  - longest Retry-After we wait for (default 60000)
+ *   HTTP_BREAKER_THRESHOLD   - consecutive failed requests that open a provider's circuit (default 5)
+ *   HTTP_BREAKER_RESET_MS    - how long the circuit stays open (default 60000)
+ *
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+function getHttpConfig(env = process.env) {
+  return {
+    timeoutMs: parsePositiveInt(env.HTTP_TIMEOUT_MS, DEFAULT_HTTP_CONFIG.timeoutMs),
+    maxRetries: parseNonNegativeInt(env.HTTP_MAX_RETRIES, DEFAULT_HTTP_CONFIG.maxRetries),
+    retryBaseMs: parsePositiveInt(env.HTTP_RETRY_BASE_MS, DEFAULT_HTTP_CONFIG.retryBaseMs),
+    retryMaxMs: parsePositiveInt(env.HTTP_RETRY_MAX_MS, DEFAULT_HTTP_CONFIG.retryMaxMs),
+    maxRetryAfterMs: parsePositiveInt(env.HTTP_MAX_RETRY_AFTER_MS, DEFAULT_HTTP_CONFIG.maxRetryAfterMs),
+    breakerThreshold: parsePositiveInt(env.HTTP_BREAKER_THRESHOLD, DEFAULT_HTTP_CONFIG.breakerThreshold),
+    breakerResetMs: parsePositiveInt(env.HTTP_BREAKER_RESET_MS, DEFAULT_HTTP_CONFIG.breakerResetMs),
+  };
+}
+
+/**
+ * A request to a platform API that failed (as opposed to succeeding with no data).
+ *
+ * code is one of:
+ *   TIMEOUT       - no response within the timeout
+ *   NETWORK       - connection refused/reset, DNS failure, etc.
+ *   RATE_LIMITED  - HTTP 429
+ *   UPSTREAM      - HTTP 5xx
+ *   HTTP_ERROR    - any other non-2xx status (401, 404, ...)
+ *   CIRCUIT_OPEN  - not attempted; the provider's circuit breaker is open
+ *   ABORTED       - cancelled by the caller's AbortSignal (e.g. the sync timed out)
+ *   UNPRICED      - data arrived but some trades couldn't be priced and were skipped
+ *   UNMATCHED     - data arrived but some fills closed positions opened before the
+ *                   fetched history; those round trips were skipped
+ */
+class FetchError extends Error {
+  constructor(message, { provider, label, code, status = null, retryable = false, retryAfterMs = null, detail = null }) {
+    super(message);
+    this.name = 'FetchError';
+    this.provider = provider;
+    this.label = label;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    // Upstream error text, when the platform sent one
+    this.detail = detail;
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds, or an HTTP date).
+ * @param {string|number|undefined} value
+ * @param {number} [now] - epoch ms
+ * @returns {number|null} - Delay in ms
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the step is fixed and half
+ * random, so concurrent retries spread out but never retry immediately.
+ *
+ * @param {number} attempt - 0 for the first retry
+ * @param {Object} config - { retryBaseMs, retryMaxMs }
+ * @param {Function} [random]
+ * @returns {number} - Delay in ms
+ */
+function backoffDelay(attempt, config, random = Math.random) {
+  const step = Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+/**
+ * Upstream error text from a response body, if any.
+ */
+function responseDetail(data) {
+  if (!data) return null;
+  if (typeof data === 'string') return data.slice(0, 200);
+  const text = data.errorText || data.errorMessage || data.message || data.error;
+  return typeof text === 'string' ? text : null;
+}
+
+/**
+ * Convert an axios error into a FetchError.
+ */
+function toFetchError(error, provider, displayName, label) {
+  const context = { provider, label };
+  const prefix = `${displayName} ${label} request failed`;
+
+  if (error.response) {
+    const { status, headers, data } = error.response;
+    const code = status === 429 ? 'RATE_LIMITED' : status >= 500 ? 'UPSTREAM' : 'HTTP_ERROR';
+    return new FetchError(`${prefix}: HTTP ${status}`, {
+      ...context,
+      code,
+      status,
+      retryable: RETRYABLE_STATUSES.has(status),
+      retryAfterMs: parseRetryAfter(headers?.['retry-after']),
+      detail: responseDetail(data),
+    });
+  }
+
+  if (TIMEOUT_CODES.has(error.code) || /timeout/i.test(error.message || '')) {
+    return new FetchError(`${prefix}: timed out`, { ...context, code: 'TIMEOUT', retryable: true });
+  }
+
+  return new FetchError(`${prefix}: ${error.code || error.message}`, { ...context, code: 'NETWORK', retryable: true });
+}
+
+/**
+ * Summary of a FetchError for sync results and logs.
+ * @param {FetchError} error
+ * @param {Object} [extra] - e.g. { accountId }
+ * @returns {Object}
+ */
+function describeFetchError(error, extra = {}) {
+  return {
+    endpoint: error.label,
+    code: error.code,
+    status: error.status,
+    message: error.message,
+    ...extra,
+  };
+}
+
+/**
+ * Per-provider circuit breaker.
+ *
+ *   closed    - requests flow; consecutive failed requests are counted
+ *   open      - requests fail fast until resetMs has passed
+ *   half-open - one trial request is let through; success closes, failure reopens
+ *
+ * Only failures that mean "the provider is unavailable" count (retryable
+ * ones). A 401 or 404 is an answer, and resets the count.
+ */
+class CircuitBreaker {
+  constructor({ threshold, resetMs }, now = Date.now) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a new request may start. Moves an expired open circuit to half-open.
+   */
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.resetMs) return false;
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  isOpen() {
+    return this.state === 'open' && this.now() - this.openedAt < this.resetMs;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * A request that ended without an answer (cancelled by its caller): it
+   * neither closes nor opens the circuit, but frees a half-open trial.
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+}
+
+// One breaker per provider, shared by every client for that provider
+const breakers = new Map();
+
+function getCircuitBreaker(provider, config = getHttpConfig()) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, new CircuitBreaker({
+      threshold: config.breakerThreshold,
+      resetMs: config.breakerResetMs,
+    }));
+  }
+  return breakers.get(provider);
+}
+
+/**
+ * Wait ms, or less if signal aborts first.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function abortableSleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+class HttpClient {
+  /**
+   * @param {string} provider - Circuit breaker key, e.g. 'tradovate'
+   * @param {Object} [options]
+   * @param {string} [options.displayName] - Used in error messages, e.g. 'Tradovate'
+   * @param {Object} [options.config] - Overrides for getHttpConfig() values
+   * @param {Function} [options.transport] - (axiosRequestConfig) => Promise<response>; defaults to axios
+   * @param {CircuitBreaker} [options.breaker] - Defaults to the shared breaker for the provider
+   * @param {Function} [options.sleep] - (ms, signal) => Promise; resolves early once signal aborts
+   * @param {Function} [options.random] - () => number in [0, 1)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.displayName = options.displayName || provider;
+    this.config = { ...getHttpConfig(), ...options.config };
+    this.transport = options.transport || (request => axios.request(request));
+    this.breaker = options.breaker || getCircuitBreaker(provider, this.config);
+    this.sleep = options.sleep || abortableSleep;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Send a request, retrying transient failures.
+   *
+   * @param {Object} request
+   * @param {string} request.url - Absolute URL
+   * @param {string} [request.method] - Default 'get'
+   * @param {string} [request.label] - Short endpoint name for errors, e.g. 'fillPair/list'
+   * @param {Object} [request.headers]
+   * @param {Object} [request.params]
+   * @param {*} [request.data]
+   * @param {boolean} [request.retry] - false to make a single attempt. Use it for
+   *   requests that aren't safe to repeat, such as logins and token renewals: a
+   *   retry after a lost response can issue a second token or count as another
+   *   failed login against the account's lockout limit.
+   * @param {Object} [request.telemetry] - SyncTelemetry; gets one recordRequest() per call
+   * @param {AbortSignal} [request.signal] - Cancels the request in flight and any retry wait
+   * @returns {Promise<Object>} - axios response
+   * @throws {FetchError}
+   */
+  async request({ url, method = 'get', label, headers, params, data, retry = true, telemetry, signal }) {
+    const name = label || url;
+    const maxRetries = retry ? this.config.maxRetries : 0;
+    const startedAt = Date.now();
+    const record = (attempts, error) => {
+      if (!telemetry) return;
+      telemetry.recordRequest({
+        endpoint: name,
+        ok: !error,
+        status: error ? error.status : null,
+        code: error ? error.code : null,
+        attempts,
+        durationMs: Date.now() - startedAt,
+      });
+    };
+
+    if (signal?.aborted) {
+      const error = this.abortedError(name);
+      record(0, error);
+      throw error;
+    }
+
+    if (!this.breaker.tryAcquire()) {
+      const error = this.circuitOpenError(name);
+      record(0, error);
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.transport({
+          method,
+          url,
+          headers,
+          params,
+          data,
+          timeout: this.config.timeoutMs,
+          signal,
+        });
+        this.breaker.recordSuccess();
+        record(attempt + 1, null);
+        return response;
+      } catch (error) {
+        if (signal?.aborted) {
+          this.breaker.release();
+          const abortedError = this.abortedError(name);
+          record(attempt + 1, abortedError);
+          throw abortedError;
+        }
+
+        const fetchError = toFetchError(error, this.provider, this.displayName, name);
+
+        if (!fetchError.retryable) {
+          this.breaker.recordSuccess();
+          record(attempt + 1, fetchError);
+          throw fetchError;
+        }
+
+        const delay = fetchError.retryAfterMs != null
+          ? fetchError.retryAfterMs
+          : backoffDelay(attempt, this.config, this.random);
+
+        if (attempt >= maxRetries || delay > this.config.maxRetryAfterMs) {
+          this.breaker.recordFailure();
+          if (this.breaker.isOpen()) {
+            console.error(`[${this.displayName}] Circuit open after ${this.breaker.failures} failed requests; pausing for ${this.breaker.resetMs}ms`);
+          }
+          record(attempt + 1, fetchError);
+          throw fetchError;
+        }
+
+        console.log(`[${this.displayName}] ${name}: ${fetchError.code}${fetchError.status ? ` (HTTP ${fetchError.status})` : ''}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await this.sleep(delay, signal);
+
+        if (signal?.aborted) {
+          this.breaker.release();
+          const abortedError = this.abortedError(name);
+          record(attempt + 1, abortedError);
+          throw abortedError;
+        }
+
+        // Other requests may have opened the circuit while we waited
+        if (this.breaker.isOpen()) {
+          const openError = this.circuitOpenError(name);
+          record(attempt + 1, openError);
+          throw openError;
+        }
+      }
+    }
+  }
+
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  circuitOpenError(label) {
+    return new FetchError(`${this.displayName} ${label} request skipped: circuit open`, {
+      provider: this.provider,
+      label,
+      code: 'CIRCUIT_OPEN',
+    });
+  }
+
+  abortedError(label) {
+    return new FetchError(`${this.displayName} ${label} request cancelled`, {
+      provider: this.provider,
+      label,
+      code: 'ABORTED',
+    });
+  }
+}
+
+module.exports = {
+  HttpClient,
+  FetchError,
+  CircuitBreaker,
+  getHttpConfig,
+  getCircuitBreaker,
+  parseRetryAfter,
+  backoffDelay,
+  describeFetchError,
+  DEFAULT_HTTP_CONFIG,
+};
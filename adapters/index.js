@@ -1,49 +1,74 @@
 const TradovateAdapter = require('./tradovate');
+const ProjectXAdapter = require('./projectx');
 const TradeSyncerAdapter = require('./tradesyncer');
+const StatementImportAdapter = require('./statementImport');
+const registry = require('./registry');
 
 /**
- * Supported connection types and their adapters.
- * Traders connect via Tradovate (execution platform) or TradeSyncer (sync service).
+ * Supported connection types. Each adapter describes its own credentials,
+ * stored columns and capabilities (see adapters/registry); adding a
+ * platform means adding its adapter here.
+ * Traders connect via Tradovate or ProjectX (execution platforms) or
+ * TradeSyncer (sync service), or upload platform statements (self-reported
+ * imports).
+ * Registration order is also the order sources win in when two report the
+ * same trade (utils/connections).
  */
-const adapters = {
-  tradovate: new TradovateAdapter(),
-  tradesyncer: new TradeSyncerAdapter(),
-};
+registry.registerAdapter(TradovateAdapter);
+registry.registerAdapter(ProjectXAdapter);
+registry.registerAdapter(TradeSyncerAdapter);
+registry.registerAdapter(StatementImportAdapter);
 
 /**
- * Prop firms and which connection types they support.
- * Most firms flow through Tradovate for execution.
- * TradeSyncer works across all of them as a third-party sync layer.
+ * Prop firms. Which connection types each firm supports comes from the
+ * adapters' `propFirms` (most firms flow through Tradovate for execution,
+ * Topstep also through ProjectX (TopstepX); TradeSyncer works across all of
+ * them as a third-party sync layer, and statements from any firm can be
+ * imported).
  */
 const PROP_FIRMS = {
-  'topstep':             { display: 'Topstep',               connections: ['tradovate', 'tradesyncer'] },
-  'apex':                { display: 'Apex Trader Funding',    connections: ['tradovate', 'tradesyncer'] },
-  'tradeday':            { display: 'TradeDay',               connections: ['tradovate', 'tradesyncer'] },
-  'take-profit-trader':  { display: 'Take Profit Trader',     connections: ['tradovate', 'tradesyncer'] },
-  'my-funded-futures':   { display: 'My Funded Futures',      connections: ['tradovate', 'tradesyncer'] },
-  'elite-trader-funding':{ display: 'Elite Trader Funding',   connections: ['tradovate', 'tradesyncer'] },
-  'bulenox':             { display: 'Bulenox',                connections: ['tradovate', 'tradesyncer'] },
-  'tradeify':            { display: 'Tradeify',               connections: ['tradovate', 'tradesyncer'] },
-  'fundednext-futures':  { display: 'FundedNext Futures',     connections: ['tradovate', 'tradesyncer'] },
-  'oneup-trader':        { display: 'OneUp Trader',           connections: ['tradovate', 'tradesyncer'] },
-  'blusky-trading':      { display: 'BluSky Trading',         connections: ['tradovate', 'tradesyncer'] },
-  'fxify-futures':       { display: 'FXIFY Futures',          connections: ['tradovate', 'tradesyncer'] },
-  'the-trading-pit':     { display: 'The Trading Pit',        connections: ['tradovate', 'tradesyncer'] },
-  'leeloo-trading':      { display: 'Leeloo Trading',         connections: ['tradovate', 'tradesyncer'] },
-  'other':               { display: 'Other',                  connections: ['tradovate', 'tradesyncer'] },
+  'topstep':             { display: 'Topstep' },
+  'apex':                { display: 'Apex Trader Funding' },
+  'tradeday':            { display: 'TradeDay' },
+  'take-profit-trader':  { display: 'Take Profit Trader' },
+  'my-funded-futures':   { display: 'My Funded Futures' },
+  'elite-trader-funding':{ display: 'Elite Trader Funding' },
+  'bulenox':             { display: 'Bulenox' },
+  'tradeify':            { display: 'Tradeify' },
+  'fundednext-futures':  { display: 'FundedNext Futures' },
+  'oneup-trader':        { display: 'OneUp Trader' },
+  'blusky-trading':      { display: 'BluSky Trading' },
+  'fxify-futures':       { display: 'FXIFY Futures' },
+  'the-trading-pit':     { display: 'The Trading Pit' },
+  'leeloo-trading':      { display: 'Leeloo Trading' },
+  'other':               { display: 'Other' },
 };
 
+for (const [key, firm] of Object.entries(PROP_FIRMS)) {
+  firm.connections = registry.listConnections()
+    .filter(connection => registry.supportsFirm(connection, key))
+    .map(connection => connection.type);
+}
+
 /**
  * Get the adapter instance for a connection type
- * @param {string} connectionType - 'tradovate' or 'tradesyncer'
+ * @param {string} connectionType - A registered connection type, e.g. 'tradovate'
  * @returns {BaseAdapter}
  */
 function getAdapter(connectionType) {
-  const adapter = adapters[connectionType];
-  if (!adapter) {
-    throw new Error(`Unknown connection type: ${connectionType}. Use 'tradovate' or 'tradesyncer'.`);
+  const connection = registry.getConnection(connectionType);
+  if (!connection) {
+    throw new Error(`Unknown connection type: ${connectionType}. Use one of: ${getConnectionTypes().join(', ')}.`);
   }
-  return adapter;
+  return connection.adapter;
+}
+
+/**
+ * Registered connection types, e.g. ['tradovate', 'tradesyncer']
+ * @returns {Array<string>}
+ */
+function getConnectionTypes() {
+  return registry.listConnections().map(connection => connection.type);
 }
 
 /**
@@ -73,11 +98,16 @@ function getSupportedFirms() {
  * @returns {boolean}
  */
 function isConnectionSupported(type) {
-  return type in adapters;
+  return registry.getConnection(type) !== null;
 }
 
 module.exports = {
   getAdapter,
+  getConnection: registry.getConnection,
+  getConnectionTypes,
+  listConnections: registry.listConnections,
+  hasCapability: registry.hasCapability,
+  describeConnection: registry.describeConnection,
   getPropFirm,
   getSupportedFirms,
   isConnectionSupported,
@@ -0,0 +1,580 @@
+const crypto = require('crypto');
+const BaseAdapter = require('./base');
+const { HttpClient, FetchError } = require('./httpClient');
+const { matchFills } = require('./fillMatcher');
+const { parsePositiveInt } = require('../utils/env');
+
+/**
+ * ProjectX Gateway API Adapter
+ *
+ * ProjectX is the trading platform behind TopstepX (and other prop firms'
+ * "X" platforms). Each firm runs the same Gateway API on its own host;
+ * PROJECTX_API_URL picks it (TopstepX by default).
+ *
+ * API Docs: https://gateway.docs.projectx.com
+ *
+ * Auth flow:
+ *   1. POST /api/Auth/loginKey with userName + API key
+ *   2. Receive a session token, valid for 24 hours
+ *   3. Use Bearer token for all subsequent requests (every endpoint is a POST)
+ *   4. POST /api/Auth/validate renews a token before it expires (newToken)
+ *
+ * The API key is stored (encrypted); session tokens are kept in memory per
+ * user and reused across syncs, renewed when close to expiry and replaced by
+ * a new login when renewal is refused.
+ *
+ * Responses carry { success, errorCode, errorMessage } alongside the data,
+ * and a failed call can still be HTTP 200, so every response is checked.
+ *
+ * Trades: Trade/search returns half-turn executions (profitAndLoss is null
+ * on opening fills) for one account and a date range. Ranges are searched in
+ * windows and fills are matched FIFO into round trips (see fillMatcher);
+ * each round trip's profit is the platform's P&L on its closing fills
+ * (before fees, like Tradovate fill pairs).
+ */
+
+const DEFAULT_PROJECTX_URL = 'https://api.topstepx.com';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session tokens last 24 hours
+const TOKEN_LIFETIME_MS = DAY_MS;
+
+// Renew cached tokens with less than this left
+const TOKEN_RENEW_BEFORE_MS = 2 * 60 * 60 * 1000;
+
+// Trade/search side: 0 = bid (buy), 1 = ask (sell)
+const SIDES = { 0: 'buy', 1: 'sell' };
+
+// Incremental syncs search this far before an account's high-water mark,
+// so positions opened before it still match their opening fills. A search
+// that starts mid-position is realigned by dropUnmatchedFills().
+const OPEN_POSITION_LOOKBACK_DAYS = 7;
+
+const DEFAULT_PROJECTX_CONFIG = {
+  // First sync of an account searches this far back
+  historyDays: 365,
+  // Trade/search date range per request
+  windowDays: 30,
+};
+
+/**
+ * Read ProjectX settings from environment variables:
+ *   PROJECTX_API_URL          - Gateway API host (default TopstepX)
+ *   PROJECTX_HISTORY_DAYS     - days of history on an account's first sync (default 365)
+ *   PROJECTX_TRADE_WINDOW_DAYS - days per Trade/search request (default 30)
+ *
+ * @param {Object} [env]
+ * @returns {{ baseURL: string, historyDays: number, windowDays: number }}
+ */
+function getProjectXConfig(env = process.env) {
+  return {
+    baseURL: (env.PROJECTX_API_URL || DEFAULT_PROJECTX_URL).replace(/\/+$/, ''),
+    historyDays: parsePositiveInt(env.PROJECTX_HISTORY_DAYS, DEFAULT_PROJECTX_CONFIG.historyDays),
+    windowDays: parsePositiveInt(env.PROJECTX_TRADE_WINDOW_DAYS, DEFAULT_PROJECTX_CONFIG.windowDays),
+  };
+}
+
+/**
+ * Split [start, end) into consecutive search windows, oldest first.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} windowDays
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function tradeSearchWindows(start, end, windowDays) {
+  const windows = [];
+  const step = windowDays * DAY_MS;
+  for (let from = start.getTime(); from < end.getTime(); from += step) {
+    windows.push({ start: new Date(from), end: new Date(Math.min(from + step, end.getTime())) });
+  }
+  return windows;
+}
+
+/**
+ * When a session token expires: its JWT exp claim, or 24 hours from now
+ * when the token can't be read.
+ * @param {string} token
+ * @param {number} now - epoch ms
+ * @returns {number} - epoch ms
+ */
+function tokenExpiry(token, now) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    if (Number.isFinite(payload.exp)) return payload.exp * 1000;
+  } catch {}
+  return now + TOKEN_LIFETIME_MS;
+}
+
+/**
+ * Cache key for a user's session. The API key is part of it, so a changed
+ * key never reuses the old key's session.
+ */
+function sessionKey(credentials) {
+  return crypto.createHash('sha256').update(`${credentials.username}\n${credentials.apiKey}`).digest('hex');
+}
+
+class ProjectXAdapter extends BaseAdapter {
+  /**
+   * @param {Object} [config] - Overrides for getProjectXConfig() values
+   */
+  constructor(config = {}) {
+    super();
+    const { baseURL, historyDays, windowDays } = { ...getProjectXConfig(), ...config };
+    this.baseURL = baseURL;
+    this.historyDays = historyDays;
+    this.windowDays = windowDays;
+    this.http = new HttpClient('projectx', { displayName: 'ProjectX' });
+    // sessionKey -> { token, expiresAt }
+    this.sessions = new Map();
+    // contractId -> symbol, e.g. 'CON.F.US.EP.U25' -> 'ESU5'
+    this.contractSymbols = new Map();
+    this.now = Date.now;
+  }
+
+  /**
+   * POST an API endpoint, with the session token when there is one.
+   *
+   * @param {string} path - e.g. '/api/Account/search'
+   * @param {Object} authContext - { token?, telemetry?, signal? }
+   * @param {Object} body
+   * @param {Object} [options] - { retry }, see HttpClient.request()
+   * @returns {Promise<Object>} - Response data (success checked)
+   * @throws {FetchError} - Including responses with success: false
+   */
+  async apiPost(path, authContext, body, options = {}) {
+    const label = path.replace(/^\/api\//, '');
+    const response = await this.post(path, authContext, body, options);
+
+    const data = response.data || {};
+    if (data.success === false) {
+      throw new FetchError(`ProjectX ${label} request failed: error ${data.errorCode}`, {
+        provider: 'projectx',
+        label,
+        code: 'HTTP_ERROR',
+        detail: data.errorMessage || null,
+      });
+    }
+    return data;
+  }
+
+  /**
+   * POST without checking `success` (see apiPost()).
+   * @returns {Promise<Object>} - axios response
+   * @throws {FetchError}
+   */
+  post(path, authContext, body, options = {}) {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (authContext.token) headers['Authorization'] = `Bearer ${authContext.token}`;
+
+    return this.http.post(`${this.baseURL}${path}`, body, {
+      ...options,
+      label: path.replace(/^\/api\//, ''),
+      headers,
+      telemetry: authContext.telemetry,
+      signal: authContext.signal,
+    });
+  }
+
+  /**
+   * Authenticate with a ProjectX API key.
+   *
+   * Reuses this user's cached session token while it has more than
+   * TOKEN_RENEW_BEFORE_MS left; renews it through Auth/validate when it is
+   * closer to expiry, and logs in again when there is no session or the
+   * platform won't renew it. Sessions whose tokens have expired are evicted
+   * here, so the cache holds only users whose tokens are still usable.
+   *
+   * @param {Object} credentials
+   * @param {string} credentials.username - ProjectX username
+   * @param {string} credentials.apiKey - ProjectX API key
+   * @param {Object} [options] - { telemetry, signal }
+   * @returns {Promise<Object>} - { token, expirationTime, username }
+   */
+  async authenticate(credentials, options = {}) {
+    const key = sessionKey(credentials);
+    const now = this.now();
+    for (const [cachedKey, { expiresAt }] of this.sessions) {
+      if (expiresAt <= now) this.sessions.delete(cachedKey);
+    }
+    const cached = this.sessions.get(key);
+
+    let session = null;
+    if (cached && cached.expiresAt - now > TOKEN_RENEW_BEFORE_MS) {
+      session = cached;
+    } else if (cached && cached.expiresAt > now) {
+      session = await this.renewSession(cached, options);
+    }
+    if (!session) session = await this.login(credentials, options);
+
+    this.sessions.set(key, session);
+    return {
+      token: session.token,
+      expirationTime: new Date(session.expiresAt).toISOString(),
+      username: credentials.username,
+    };
+  }
+
+  /**
+   * POST /api/Auth/loginKey (see authenticate()).
+   * @returns {Promise<{ token: string, expiresAt: number }>}
+   */
+  async login(credentials, options = {}) {
+    try {
+      // Not repeated: see HttpClient.request() retry
+      const data = await this.apiPost('/api/Auth/loginKey', { telemetry: options.telemetry, signal: options.signal }, {
+        userName: credentials.username,
+        apiKey: credentials.apiKey,
+      }, { retry: false });
+
+      if (!data.token) {
+        throw new Error('No session token received from ProjectX');
+      }
+
+      return { token: data.token, expiresAt: tokenExpiry(data.token, this.now()) };
+    } catch (error) {
+      const msg = error.detail || error.message;
+      console.error('[ProjectX] Authentication error:', msg);
+      throw new Error(`ProjectX authentication failed: ${msg}`, { cause: error });
+    }
+  }
+
+  /**
+   * Check a session token with POST /api/Auth/validate. A valid token comes
+   * back renewed when the platform issues a new one.
+   *
+   * @param {string} token
+   * @param {Object} [options] - { telemetry, signal }
+   * @returns {Promise<{ valid: boolean, token?: string, expiresAt?: number }>}
+   * @throws {FetchError} - The check itself failed (timeout, 5xx, ...)
+   */
+  async validateToken(token, options = {}) {
+    let response;
+    try {
+      response = await this.post('/api/Auth/validate', { token, telemetry: options.telemetry, signal: options.signal }, {}, { retry: false });
+    } catch (error) {
+      if (error.status === 401) return { valid: false };
+      throw error;
+    }
+
+    if (!response.data || response.data.success === false) return { valid: false };
+    const renewed = response.data.newToken || token;
+    return { valid: true, token: renewed, expiresAt: tokenExpiry(renewed, this.now()) };
+  }
+
+  /**
+   * Renew a cached session that is close to expiry. Null when it can't be
+   * renewed, so the caller logs in again.
+   */
+  async renewSession(session, options) {
+    try {
+      const result = await this.validateToken(session.token, options);
+      return result.valid ? { token: result.token, expiresAt: result.expiresAt } : null;
+    } catch (error) {
+      console.error('[ProjectX] Token renewal failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get every account the user has, including closed ones, so their trades
+   * still count.
+   * @param {Object} authContext - { token, telemetry? }
+   * @throws {FetchError}
+   */
+  async getAccounts(authContext) {
+    try {
+      const data = await this.apiPost('/api/Account/search', authContext, { onlyActiveAccounts: false });
+
+      return (Array.isArray(data.accounts) ? data.accounts : []).map(account => ({
+        id: account.id,
+        name: account.name,
+        displayName: account.name,
+        balance: parseFloat(account.balance) || 0,
+        active: account.canTrade !== false,
+        accountType: account.simulated === true ? 'simulated' : account.simulated === false ? 'live' : null,
+      }));
+    } catch (error) {
+      console.error('[ProjectX] getAccounts error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Raw executions for one account, searched window by window.
+   *
+   * @param {Object} authContext - { token, telemetry? }
+   * @param {string|number} accountId
+   * @param {Object} options - { startDate, endDate } (Date or ISO)
+   * @returns {Promise<Array<Object>>} - Trade/search entries, voided ones removed
+   * @throws {FetchError}
+   */
+  async searchExecutions(authContext, accountId, options) {
+    const end = options.endDate ? new Date(options.endDate) : new Date(this.now());
+    const start = new Date(options.startDate);
+    const executions = [];
+
+    for (const window of tradeSearchWindows(start, end, this.windowDays)) {
+      const data = await this.apiPost('/api/Trade/search', authContext, {
+        accountId: Number(accountId),
+        startTimestamp: window.start.toISOString(),
+        endTimestamp: window.end.toISOString(),
+      });
+      executions.push(...(Array.isArray(data.trades) ? data.trades : []).filter(t => !t.voided));
+    }
+
+    // Windows share their boundaries: keep each execution once
+    const byId = new Map(executions.map(execution => [String(execution.id), execution]));
+    return [...byId.values()];
+  }
+
+  /**
+   * Get round-trip trades for one account.
+   *
+   * The search starts OPEN_POSITION_LOOKBACK_DAYS before `since` (or
+   * historyDays back on the first sync), and only round trips closed at or
+   * after `since` are returned. Fills of a position opened before the search
+   * are dropped (see dropUnmatchedFills), so a search that starts
+   * mid-position can't invert later round trips. Dropped closing fills at or
+   * after `since` are reported through options.report, since the round trips
+   * they close are missing from the result.
+   *
+   * @param {Object} authContext - { token, telemetry? }
+   * @param {string|number} accountId
+   * @param {Object} [options] - { since, endDate, report }
+   * @param {Function} [options.report] - (FetchError) => void, see BaseAdapter.fetchTradesByAccount
+   * @throws {FetchError}
+   */
+  async getTrades(authContext, accountId, options = {}) {
+    try {
+      const now = this.now();
+      const since = options.since ? new Date(options.since).getTime() : null;
+      const startDate = since != null && !isNaN(since)
+        ? new Date(since - OPEN_POSITION_LOOKBACK_DAYS * DAY_MS)
+        : new Date(now - this.historyDays * DAY_MS);
+
+      const executions = await this.searchExecutions(authContext, accountId, { startDate, endDate: options.endDate });
+      const fills = executions
+        .filter(execution => SIDES[execution.side])
+        .map(execution => ({
+          id: execution.id,
+          accountId: execution.accountId != null ? execution.accountId : accountId,
+          contractId: execution.contractId,
+          side: SIDES[execution.side],
+          qty: execution.size,
+          price: parseFloat(execution.price),
+          timestamp: execution.creationTimestamp,
+          pnl: execution.profitAndLoss,
+        }));
+
+      const { kept: matched, dropped } = dropUnmatchedFills(fills);
+      // Closes before `since` belong to round trips stored by an earlier sync
+      const unmatched = dropped.filter(fill => fill.pnl != null &&
+        (since == null || isNaN(since) || new Date(fill.timestamp).getTime() >= since));
+      if (unmatched.length > 0) {
+        options.report?.(new FetchError(
+          `ProjectX Trade/search: ${unmatched.length} closing fill(s) skipped, position opened before the search`,
+          { provider: 'projectx', label: 'Trade/search', code: 'UNMATCHED' }
+        ));
+      }
+      const { trades, openPositions } = matchFills(matched);
+      if (openPositions.length > 0) {
+        console.log(`[ProjectX] Account ${accountId}: ${openPositions.length} open position(s) not yet realized`);
+      }
+
+      const symbols = await this.resolveContracts(authContext, trades.map(trade => trade.contractId));
+      let roundTrips = trades.map(trade => ({
+        ...trade,
+        symbol: symbols.get(String(trade.contractId)) || String(trade.contractId),
+        profit: realizedPnl(matched, trade),
+        source: 'projectx',
+      }));
+
+      if (since != null && !isNaN(since)) {
+        // Inclusive, like the other adapters; re-seen trades are upserted
+        roundTrips = roundTrips.filter(trade => new Date(trade.closedAt).getTime() >= since);
+      }
+
+      authContext.telemetry?.recordAccount(accountId, {
+        dataSource: executions.length > 0 ? 'projectx' : 'none',
+        fetched: executions.length,
+        returned: roundTrips.length,
+      });
+
+      return roundTrips;
+    } catch (error) {
+      console.error('[ProjectX] getTrades error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Contract names for contract IDs (Contract/searchById), cached for the
+   * life of the process. A contract that can't be looked up keeps its ID
+   * as the symbol.
+   *
+   * @param {Object} authContext
+   * @param {Array<string>} contractIds
+   * @returns {Promise<Map<string, string>>}
+   */
+  async resolveContracts(authContext, contractIds) {
+    for (const contractId of new Set(contractIds.map(String))) {
+      if (this.contractSymbols.has(contractId)) continue;
+      try {
+        const data = await this.apiPost('/api/Contract/searchById', authContext, { contractId });
+        if (data.contract && data.contract.name) this.contractSymbols.set(contractId, data.contract.name);
+      } catch (error) {
+        if (!(error instanceof FetchError)) throw error;
+        console.error(`[ProjectX] Contract ${contractId} lookup failed:`, error.message);
+      }
+    }
+    return this.contractSymbols;
+  }
+
+  /**
+   * Full sync process for ProjectX
+   * @param {Object} credentials - { username, apiKey }
+   * @param {Object} [options] - { since: { [accountId]: ISO timestamp }, telemetry, signal }
+   */
+  async sync(credentials, options = {}) {
+    try {
+      console.log('[ProjectX] Starting sync...');
+
+      // Step 1: Authenticate (reusing a cached session when possible)
+      let auth = { ...await this.authenticate(credentials, options), telemetry: options.telemetry, signal: options.signal };
+      console.log(`[ProjectX] Authenticated as ${auth.username}`);
+
+      // Step 2: Get accounts
+      let accounts;
+      try {
+        accounts = await this.getAccounts(auth);
+      } catch (error) {
+        if (error.status !== 401) throw error;
+        // A cached session can be revoked before it expires: log in once more
+        this.sessions.delete(sessionKey(credentials));
+        auth = { ...await this.authenticate(credentials, options), telemetry: options.telemetry, signal: options.signal };
+        accounts = await this.getAccounts(auth);
+      }
+      console.log(`[ProjectX] Found ${accounts.length} accounts`);
+
+      // Step 3: Get trades per account (only newer than each account's high-water mark)
+      const since = options.since || {};
+      const { trades, fetchErrors } = await this.fetchTradesByAccount(accounts, (account, report) =>
+        this.getTrades(auth, account.id, { since: since[String(account.id)], report }));
+      console.log(`[ProjectX] Found ${trades.length} total trades`);
+
+      // Step 4: Calculate statistics
+      const stats = this.calculateStats(trades);
+
+      return {
+        stats,
+        trades,
+        accounts,
+        // The Gateway API doesn't report payouts: unknown, so stored payouts are kept
+        payouts: null,
+        fetchErrors,
+      };
+    } catch (error) {
+      console.error('[ProjectX] Sync failed:', error.message);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Drop fills that belong to a position opened before the trade search.
+ *
+ * ProjectX reports realized P&L only on fills that close (part of) a
+ * position; opening fills have profitAndLoss null. Replaying each account
+ * and contract in time order:
+ *   - a fill with P&L while flat closes a position whose opening fill is
+ *     outside the search: dropped
+ *   - a fill without P&L against the open position means that position was
+ *     really flat (it was built from such leftovers): the fills since the
+ *     last flat point are dropped and the fill opens a new position
+ * Consistent fills never trigger either rule, so only leading fills go.
+ *
+ * @param {Array<Object>} fills - Mapped executions (with pnl)
+ * @returns {{ kept: Array<Object>, dropped: Array<Object> }} - Both in input order
+ */
+function dropUnmatchedFills(fills) {
+  const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp) ||
+    String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+
+  const groups = new Map();
+  for (const fill of fills) {
+    const key = `${fill.accountId}:${fill.contractId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(fill);
+  }
+
+  const dropped = new Set();
+  for (const group of groups.values()) {
+    let position = 0;
+    let sinceFlat = [];
+
+    for (const fill of [...group].sort(byTime)) {
+      const signed = (fill.side === 'buy' ? 1 : -1) * (Number(fill.qty) || 0);
+      if (signed === 0) continue;
+      const closes = fill.pnl != null;
+
+      if (position === 0 && closes) {
+        dropped.add(fill);
+        continue;
+      }
+      if (position !== 0 && !closes && Math.sign(signed) !== Math.sign(position)) {
+        for (const stale of sinceFlat) dropped.add(stale);
+        position = 0;
+        sinceFlat = [];
+      }
+
+      position += signed;
+      if (position === 0) sinceFlat = [];
+      else sinceFlat.push(fill);
+    }
+  }
+
+  return {
+    kept: fills.filter(fill => !dropped.has(fill)),
+    dropped: fills.filter(fill => dropped.has(fill)),
+  };
+}
+
+/**
+ * Platform P&L realized by one round trip: its fills' profitAndLoss after
+ * the opening fill, up to and including the closing fill.
+ */
+function realizedPnl(fills, trade) {
+  const openedAt = new Date(trade.openedAt).getTime();
+  const closedAt = new Date(trade.closedAt).getTime();
+  const profit = fills
+    .filter(fill =>
+      String(fill.accountId) === trade.accountId &&
+      fill.contractId === trade.contractId &&
+      fill.pnl != null)
+    .filter(fill => {
+      const time = new Date(fill.timestamp).getTime();
+      return time > openedAt && time <= closedAt;
+    })
+    .reduce((sum, fill) => sum + (parseFloat(fill.pnl) || 0), 0);
+  return parseFloat(profit.toFixed(2));
+}
+
+// Connection description (see adapters/registry)
+ProjectXAdapter.connection = {
+  type: 'projectx',
+  displayName: 'ProjectX (TopstepX)',
+  credentials: [
+    { name: 'username', field: 'projectXUsername', label: 'ProjectX username', required: true },
+    { name: 'apiKey', field: 'projectXApiKey', label: 'ProjectX API key', required: true, secret: true },
+  ],
+  stored: [
+    { column: 'projectx_username', credential: 'username' },
+    { column: 'projectx_api_key', credential: 'apiKey', encrypted: true },
+  ],
+  // Session tokens are renewed in memory (see authenticate()), not stored
+  capabilities: { tokenRenewal: false, payouts: false, streaming: false },
+  propFirms: ['topstep'],
+};
+
+module.exports = ProjectXAdapter;
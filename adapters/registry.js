@@ -0,0 +1,230 @@
+/**
+ * Adapter Registry
+ *
+ * Every platform adapter describes its connection on the class
+ * (`AdapterClass.connection`) and is registered once in adapters/index.js.
+ * Routes and the sync service read the description instead of branching on
+ * connection type, so a new platform only needs its adapter file.
+ *
+ * Connection description:
+ *   type         - connection_type stored on the trader, e.g. 'tradovate'
+ *   displayName  - Shown in the UI and error messages
+ *   credentials  - Fields the trader submits to link the platform:
+ *                    { name, field, label, required?, secret?, raw? }
+ *                  `name` is the key passed to authenticate(); `field` is the
+ *                  flat request body name (e.g. tradovateUsername). `raw`
+ *                  values (passwords, secrets) are not trimmed or cleaned.
+ *   stored       - traders columns written when linking (and cleared when
+ *                  the connection is removed):
+ *                    { column, credential | auth, encrypted? }
+ *                  Values come from a submitted credential or from the
+ *                  authenticate() result. Credentials without a stored
+ *                  column (passwords) are never persisted.
+ *   capabilities - { tokenRenewal, payouts, streaming }
+ *                    tokenRenewal - syncs use a stored access token that is
+ *                                   renewed ahead of expiry (services/tokenRenewal)
+ *                    payouts      - sync() reports payouts
+ *                    streaming    - real-time fills (services/fillStream)
+ *   selfReported - Data is uploaded by the trader rather than fetched from
+ *                  the platform (statement imports): scheduled syncs skip
+ *                  the connection and its trades count as self-reported
+ *   propFirms    - Prop firm keys the connection supports, or '*' for all
+ */
+
+const CAPABILITIES = ['tokenRenewal', 'payouts', 'streaming'];
+
+// type -> { ...connection, adapter }
+const connections = new Map();
+
+/**
+ * Register an adapter class under its connection description.
+ * @param {Function} AdapterClass - BaseAdapter subclass with a static `connection`
+ * @param {Object} [adapter] - Instance to use (defaults to a new one)
+ * @returns {Object} - The registered connection
+ */
+function registerAdapter(AdapterClass, adapter = new AdapterClass()) {
+  const connection = AdapterClass.connection;
+  if (!connection || !connection.type) {
+    throw new Error(`${AdapterClass.name} has no connection description`);
+  }
+  if (connection.type === 'none' || connections.has(connection.type)) {
+    throw new Error(`Connection type already registered: ${connection.type}`);
+  }
+
+  const capabilities = {};
+  for (const capability of CAPABILITIES) {
+    capabilities[capability] = Boolean(connection.capabilities && connection.capabilities[capability]);
+  }
+
+  const registered = {
+    type: connection.type,
+    displayName: connection.displayName || connection.type,
+    credentials: connection.credentials || [],
+    stored: connection.stored || [],
+    capabilities,
+    selfReported: Boolean(connection.selfReported),
+    propFirms: connection.propFirms || '*',
+    adapter,
+  };
+  connections.set(registered.type, registered);
+  return registered;
+}
+
+/**
+ * @param {string} type - Connection type
+ * @returns {Object|null} - Registered connection
+ */
+function getConnection(type) {
+  return connections.get(type) || null;
+}
+
+/**
+ * All registered connections, in registration order.
+ * @returns {Array<Object>}
+ */
+function listConnections() {
+  return [...connections.values()];
+}
+
+/**
+ * Whether a connection type has a capability.
+ * @param {string} type
+ * @param {'tokenRenewal'|'payouts'|'streaming'} capability
+ * @returns {boolean}
+ */
+function hasCapability(type, capability) {
+  const connection = connections.get(type);
+  return Boolean(connection && connection.capabilities[capability]);
+}
+
+/**
+ * Whether a connection can be used with a prop firm.
+ * @param {Object} connection
+ * @param {string} firmKey
+ * @returns {boolean}
+ */
+function supportsFirm(connection, firmKey) {
+  return connection.propFirms === '*' || connection.propFirms.includes(firmKey);
+}
+
+/**
+ * Read and validate a connection's credentials from a request body.
+ * Values are taken from `body.credentials[name]`, falling back to the flat
+ * `body[field]` names the frontend has always sent.
+ *
+ * @param {Object} connection - Registered connection
+ * @param {Object} body - Request body
+ * @param {Function} sanitize - sanitizeString (middleware/inputSanitizer)
+ * @returns {{ credentials?: Object, error?: string }}
+ */
+function readCredentials(connection, body, sanitize) {
+  const nested = body && typeof body.credentials === 'object' && body.credentials !== null ? body.credentials : {};
+  const credentials = {};
+
+  for (const field of connection.credentials) {
+    const value = nested[field.name] !== undefined ? nested[field.name] : body && body[field.field];
+
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: `${field.label} must be a string` };
+    }
+    const text = field.raw ? (value || '') : sanitize(value || '');
+    if (field.required && !text) {
+      return { error: `${field.label} is required` };
+    }
+    credentials[field.name] = text;
+  }
+
+  return { credentials };
+}
+
+/**
+ * traders columns to write when a connection is linked.
+ * Empty credential values are left out; values from the authenticate()
+ * result are always written (null if missing).
+ *
+ * @param {Object} connection - Registered connection
+ * @param {Object} credentials - From readCredentials()
+ * @param {Object} authResult - From adapter.authenticate()
+ * @param {Function} encrypt - utils/encryption encrypt()
+ * @returns {Object}
+ */
+function buildStoredColumns(connection, credentials, authResult, encrypt) {
+  const columns = {};
+
+  for (const entry of connection.stored) {
+    let value;
+    if (entry.credential) {
+      value = credentials[entry.credential];
+      if (!value) continue;
+    } else {
+      value = authResult ? authResult[entry.auth] : null;
+      if (value === undefined || value === '') value = null;
+    }
+    columns[entry.column] = entry.encrypted && value != null ? encrypt(String(value)) : value;
+  }
+
+  return columns;
+}
+
+/**
+ * traders columns to clear when a connection is removed.
+ * @param {Object} connection - Registered connection
+ * @returns {Object} - column -> null
+ */
+function clearStoredColumns(connection) {
+  return Object.fromEntries(connection.stored.map(entry => [entry.column, null]));
+}
+
+/**
+ * Rebuild stored credentials from a traders row (for syncs).
+ * @param {Object} connection - Registered connection
+ * @param {Object} trader - traders row
+ * @param {Function} decrypt - utils/encryption decrypt()
+ * @returns {Object} - credential name -> value ('' when not stored)
+ */
+function credentialsFromTrader(connection, trader, decrypt) {
+  const credentials = {};
+  for (const entry of connection.stored) {
+    if (!entry.credential) continue;
+    const stored = trader[entry.column];
+    credentials[entry.credential] = stored ? (entry.encrypted ? decrypt(stored) : stored) : '';
+  }
+  return credentials;
+}
+
+/**
+ * Public description of a connection for the signup form: which fields to
+ * ask for and what the platform supports. Storage details stay private.
+ *
+ * @param {Object} connection - Registered connection
+ * @returns {Object}
+ */
+function describeConnection(connection) {
+  return {
+    type: connection.type,
+    displayName: connection.displayName,
+    credentials: connection.credentials.map(field => ({
+      name: field.name,
+      field: field.field,
+      label: field.label,
+      required: Boolean(field.required),
+      secret: Boolean(field.secret),
+    })),
+    capabilities: { ...connection.capabilities },
+    selfReported: connection.selfReported,
+  };
+}
+
+module.exports = {
+  registerAdapter,
+  getConnection,
+  listConnections,
+  hasCapability,
+  supportsFirm,
+  readCredentials,
+  buildStoredColumns,
+  clearStoredColumns,
+  credentialsFromTrader,
+  describeConnection,
+  CAPABILITIES,
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { readCsvRecords } = require('../utils/csv');
+
+/**
+ * Statement formats for the import connection (see ./statementImport)
+ *
+ * Each format maps one row of a platform's CSV export to the normalized
+ * trade shape the API adapters return (see BaseAdapter):
+ *
+ *   tradovate-performance - Tradovate Reports > Performance export: one row
+ *                           per fill pair (symbol, qty, buyPrice, sellPrice,
+ *                           pnl, boughtTimestamp, soldTimestamp). The export
+ *                           has no account column; rows go to the account
+ *                           named at upload.
+ *   ninjatrader           - NinjaTrader Trade Performance > Trades export
+ *                           (Instrument, Account, Market pos., Qty, Entry
+ *                           price, Exit price, Entry time, Exit time, Profit)
+ *   tradesyncer           - TradeSyncer trade history export (Account,
+ *                           Symbol, Side, Quantity, Entry/Exit Price,
+ *                           Entry/Exit Time, P&L)
+ *
+ * Headers are matched case- and punctuation-insensitively. Times without a
+ * UTC offset are read in the uploader's timezone (utcOffsetMinutes).
+ * Trades without a platform ID get one hashed from their contents, so
+ * uploading an overlapping statement again updates rows instead of
+ * duplicating them.
+ */
+
+// CME month codes: F=Jan ... Z=Dec
+const MONTH_CODES = 'FGHJKMNQUVXZ';
+
+// Account for statements without an account column
+const DEFAULT_STATEMENT_ACCOUNT = 'statement';
+
+// 'Entry price' -> 'entryprice', 'P&L' -> 'pl'
+function headerKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse a money or number cell: "$1,234.50", "($50.00)", "$(50.00)", "-50".
+ * @param {string} text
+ * @returns {number|null} - null when the cell isn't a number
+ */
+function parseAmount(text) {
+  const raw = String(text == null ? '' : text).trim();
+  if (!raw) return null;
+
+  const negative = /^-|^\(.*\)$|^\$\(.*\)$/.test(raw);
+  const digits = raw.replace(/[$,()\s-]/g, '');
+  if (!/^\d*\.?\d+$/.test(digits)) return null;
+
+  const value = parseFloat(digits);
+  return negative ? -value : value;
+}
+
+/**
+ * Parse a statement timestamp to ISO. Accepts ISO 8601 (an explicit offset
+ * wins), 'YYYY-MM-DD HH:mm[:ss]' and 'M/D/YYYY h:mm[:ss][ AM|PM]'.
+ *
+ * @param {string} text
+ * @param {number} [utcOffsetMinutes] - Uploader's offset from UTC, e.g. -300 for US Eastern (EST)
+ * @returns {string|null}
+ */
+function parseStatementTime(text, utcOffsetMinutes = 0) {
+  const raw = String(text == null ? '' : text).trim();
+  if (!raw) return null;
+
+  if (/[T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    const date = new Date(raw.replace(' ', 'T'));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  let parts = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+  let year, month, day, hour, minute, second;
+  if (parts) {
+    [, year, month, day, hour, minute, second] = parts;
+  } else {
+    parts = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?$/i);
+    if (!parts) return null;
+    let meridiem;
+    [, month, day, year, hour, minute, second, meridiem] = parts;
+    hour = Number(hour) % 12 === 0 && meridiem ? 0 : Number(hour);
+    if (meridiem && meridiem.toUpperCase() === 'PM') hour += 12;
+  }
+
+  const local = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second || 0));
+  if (isNaN(local)) return null;
+  return new Date(local - (Number(utcOffsetMinutes) || 0) * 60 * 1000).toISOString();
+}
+
+/**
+ * NinjaTrader instrument to a futures symbol: 'ES 03-25' -> 'ESH5'.
+ * Anything else is returned as given.
+ * @param {string} instrument
+ * @returns {string}
+ */
+function ninjaTraderSymbol(instrument) {
+  const match = String(instrument || '').trim().toUpperCase().match(/^([A-Z0-9]+)\s+(\d{2})-(\d{2})$/);
+  if (!match) return String(instrument || '').trim();
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return String(instrument).trim();
+  return `${match[1]}${MONTH_CODES[month - 1]}${match[3].slice(-1)}`;
+}
+
+function parseSide(text) {
+  const side = String(text || '').trim().toLowerCase();
+  if (side === 'long' || side === 'buy' || side === 'b') return 'buy';
+  if (side === 'short' || side === 'sell' || side === 's') return 'sell';
+  return null;
+}
+
+/**
+ * Give rows without a platform ID one derived from their contents, so a
+ * re-upload updates them instead of adding copies. Identical rows (e.g. two
+ * 1-lot scalps at the same prices within a second) also get their position
+ * among the identical rows in the file, so each one is kept.
+ * @param {Array<Object>} trades - In file order; updated in place
+ */
+function assignContentIds(trades) {
+  const occurrences = new Map();
+  for (const trade of trades) {
+    if (trade.externalTradeId) continue;
+    const key = [trade.accountId, trade.symbol, trade.side, trade.quantity, trade.entryPrice, trade.exitPrice, trade.openedAt, trade.closedAt].join('|');
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    // The first keeps the plain key, so IDs from earlier uploads still match
+    const hashed = occurrence > 0 ? `${key}|${occurrence}` : key;
+    trade.externalTradeId = crypto.createHash('sha1').update(hashed).digest('hex').slice(0, 20);
+  }
+}
+
+// Read the first present column among aliases (normalized header keys)
+function cell(values, aliases) {
+  for (const alias of aliases) {
+    if (values[alias] !== undefined && values[alias] !== '') return values[alias];
+  }
+  return '';
+}
+
+/**
+ * Build a normalized trade, or throw with the first problem found.
+ */
+function buildTrade(fields, options) {
+  const quantity = parseAmount(fields.quantity);
+  const entryPrice = parseAmount(fields.entryPrice);
+  const exitPrice = parseAmount(fields.exitPrice);
+  const profit = parseAmount(fields.profit);
+  const openedAt = parseStatementTime(fields.openedAt, options.utcOffsetMinutes);
+  const closedAt = parseStatementTime(fields.closedAt, options.utcOffsetMinutes);
+
+  if (!fields.symbol) throw new Error('missing symbol');
+  if (!fields.side) throw new Error('unknown side');
+  if (!quantity || quantity <= 0) throw new Error('invalid quantity');
+  if (entryPrice === null || exitPrice === null) throw new Error('invalid price');
+  if (profit === null) throw new Error('invalid profit');
+  if (!closedAt) throw new Error('invalid exit time');
+
+  const trade = {
+    externalTradeId: null,
+    symbol: fields.symbol,
+    side: fields.side,
+    quantity: Math.abs(quantity),
+    entryPrice,
+    exitPrice,
+    profit,
+    openedAt: openedAt || closedAt,
+    closedAt,
+    accountId: String(fields.accountId || options.account || DEFAULT_STATEMENT_ACCOUNT),
+    source: options.source,
+  };
+  // Rows without one get a content ID once the whole file is read (assignContentIds)
+  if (fields.externalTradeId) trade.externalTradeId = String(fields.externalTradeId);
+  return trade;
+}
+
+const STATEMENT_FORMATS = {
+  'tradovate-performance': {
+    displayName: 'Tradovate Performance',
+    required: ['symbol', 'qty', 'buyprice', 'sellprice', 'pnl', 'boughttimestamp', 'soldtimestamp'],
+    toTrade(values, options) {
+      const bought = parseStatementTime(values.boughttimestamp, options.utcOffsetMinutes);
+      const sold = parseStatementTime(values.soldtimestamp, options.utcOffsetMinutes);
+      // Bought first: long. Sold first: short, opened at the sale
+      const long = !bought || !sold || bought <= sold;
+      return buildTrade({
+        externalTradeId: values.buyfillid && values.sellfillid ? `${values.buyfillid}-${values.sellfillid}` : null,
+        symbol: values.symbol,
+        side: long ? 'buy' : 'sell',
+        quantity: values.qty,
+        entryPrice: long ? values.buyprice : values.sellprice,
+        exitPrice: long ? values.sellprice : values.buyprice,
+        profit: values.pnl,
+        openedAt: long ? values.boughttimestamp : values.soldtimestamp,
+        closedAt: long ? values.soldtimestamp : values.boughttimestamp,
+      }, options);
+    },
+  },
+
+  ninjatrader: {
+    displayName: 'NinjaTrader',
+    required: ['instrument', 'account', 'marketpos', 'qty', 'entryprice', 'exitprice', 'entrytime', 'exittime', 'profit'],
+    toTrade(values, options) {
+      return buildTrade({
+        symbol: ninjaTraderSymbol(values.instrument),
+        side: parseSide(values.marketpos),
+        quantity: values.qty,
+        entryPrice: values.entryprice,
+        exitPrice: values.exitprice,
+        profit: values.profit,
+        openedAt: values.entrytime,
+        closedAt: values.exittime,
+        accountId: values.account,
+      }, options);
+    },
+  },
+
+  tradesyncer: {
+    displayName: 'TradeSyncer',
+    required: ['account', 'symbol', 'side', 'entryprice', 'exitprice', 'exittime'],
+    toTrade(values, options) {
+      return buildTrade({
+        externalTradeId: cell(values, ['tradeid', 'id']),
+        symbol: values.symbol,
+        side: parseSide(values.side),
+        quantity: cell(values, ['quantity', 'qty', 'contracts']),
+        entryPrice: values.entryprice,
+        exitPrice: values.exitprice,
+        profit: cell(values, ['pl', 'pnl', 'netpnl', 'netpl', 'profit']),
+        openedAt: cell(values, ['entrytime', 'opentime']),
+        closedAt: values.exittime,
+        accountId: values.account,
+      }, options);
+    },
+  },
+};
+
+/**
+ * Which format a header row belongs to.
+ * @param {Array<string>} headers
+ * @returns {string|null} - STATEMENT_FORMATS key
+ */
+function detectStatementFormat(headers) {
+  const keys = new Set((headers || []).map(headerKey));
+  for (const [format, definition] of Object.entries(STATEMENT_FORMATS)) {
+    if (definition.required.every(column => keys.has(column))) return format;
+  }
+  return null;
+}
+
+/**
+ * Parse an uploaded statement into normalized trades.
+ *
+ * Rows that can't be read are reported in skippedRows (with their CSV line)
+ * instead of failing the upload; an unknown or mismatched format throws.
+ *
+ * @param {string} text - CSV contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - STATEMENT_FORMATS key; detected from the headers when omitted
+ * @param {string} [options.account] - Account for rows without one
+ * @param {number} [options.utcOffsetMinutes] - Offset for times without one
+ * @param {string} [options.source] - trade source (connection type)
+ * @returns {{ format: string, trades: Array<Object>, accounts: Array<Object>, rows: number, skippedRows: Array<{ line: number, error: string }> }}
+ * @throws {Error} - code 'STATEMENT_FORMAT' when the format isn't recognized
+ */
+function parseStatement(text, options = {}) {
+  const { headers, records } = readCsvRecords(text);
+  const format = options.format || detectStatementFormat(headers);
+  const definition = format ? STATEMENT_FORMATS[format] : null;
+
+  if (!definition || detectStatementFormat(headers) !== format) {
+    const error = new Error(options.format
+      ? `File doesn't look like a ${definition ? definition.displayName : options.format} export`
+      : `Unrecognized statement. Supported: ${Object.values(STATEMENT_FORMATS).map(f => f.displayName).join(', ')}`);
+    error.code = 'STATEMENT_FORMAT';
+    throw error;
+  }
+
+  const trades = [];
+  const skippedRows = [];
+  for (const record of records) {
+    const values = {};
+    for (const [name, value] of Object.entries(record.values)) values[headerKey(name)] = value;
+    try {
+      trades.push(definition.toTrade(values, options));
+    } catch (error) {
+      skippedRows.push({ line: record.line, error: error.message });
+    }
+  }
+  assignContentIds(trades);
+
+  // Accounts as the statement names them; balances aren't in the exports
+  const accountIds = [...new Set(trades.map(trade => trade.accountId))];
+  const accounts = accountIds.map(id => ({ id, name: id, displayName: id, active: true }));
+
+  return { format, trades, accounts, rows: records.length, skippedRows };
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  DEFAULT_STATEMENT_ACCOUNT,
+  detectStatementFormat,
+  parseStatement,
+  parseAmount,
+  parseStatementTime,
+  ninjaTraderSymbol,
+};
@@ -0,0 +1,91 @@
+const BaseAdapter = require('./base');
+const { parseStatement, STATEMENT_FORMATS } = require('./statementFormats');
+
+/**
+ * Statement Import Adapter
+ *
+ * For traders whose firm or platform has no supported API: they upload the
+ * CSV their platform exports (see ./statementFormats) and it is stored like
+ * any other sync. Nothing is fetched from a platform, so there are no
+ * credentials and scheduled syncs skip the connection; each upload is one
+ * sync (POST /api/traders/me/imports).
+ *
+ * Trades are stored with source 'import', and profiles with imported trades
+ * are shown as self-reported rather than API-verified.
+ */
+class StatementImportAdapter extends BaseAdapter {
+  /**
+   * Nothing to verify: uploads are tied to the signed-in trader.
+   * @returns {Promise<Object>}
+   */
+  async authenticate() {
+    return {};
+  }
+
+  /**
+   * Accounts come from the statement itself (see sync()).
+   * @returns {Promise<Array>}
+   */
+  async getAccounts() {
+    return [];
+  }
+
+  /**
+   * Parse an uploaded statement into a sync result.
+   *
+   * @param {Object} credentials - Unused
+   * @param {Object} options
+   * @param {Object} options.statement - { csv, format?, account?, utcOffsetMinutes? }
+   * @returns {Promise<Object>} - { stats, trades, accounts, payouts: null, fetchErrors, statement }
+   * @throws {Error} - code 'STATEMENT_FORMAT' for an unrecognized file
+   */
+  async sync(credentials, options = {}) {
+    const { statement } = options;
+    if (!statement || typeof statement.csv !== 'string') {
+      throw new Error('Statement imports only sync when a statement is uploaded');
+    }
+
+    const parsed = parseStatement(statement.csv, {
+      format: statement.format,
+      account: statement.account,
+      utcOffsetMinutes: statement.utcOffsetMinutes,
+      source: StatementImportAdapter.connection.type,
+    });
+    console.log(`[Import] Parsed ${parsed.trades.length} trades from a ${STATEMENT_FORMATS[parsed.format].displayName} statement (${parsed.skippedRows.length} rows skipped)`);
+
+    options.telemetry?.recordAccount('statement', {
+      dataSource: 'import',
+      fetched: parsed.rows,
+      returned: parsed.trades.length,
+    });
+
+    return {
+      stats: this.calculateStats(parsed.trades),
+      trades: parsed.trades,
+      accounts: parsed.accounts,
+      // Statements don't list payouts: unknown, so stored payouts are kept
+      payouts: null,
+      fetchErrors: [],
+      statement: {
+        format: parsed.format,
+        rows: parsed.rows,
+        trades: parsed.trades.length,
+        skippedRows: parsed.skippedRows,
+      },
+    };
+  }
+}
+
+// Connection description (see adapters/registry)
+StatementImportAdapter.connection = {
+  type: 'import',
+  displayName: 'Statement import',
+  credentials: [],
+  stored: [],
+  capabilities: {},
+  // Uploaded by the trader, not fetched from a platform
+  selfReported: true,
+  propFirms: '*',
+};
+
+module.exports = StatementImportAdapter;
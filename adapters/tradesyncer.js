@@ -1,5 +1,6 @@
-const axios = require('axios');
 const BaseAdapter = require('./base');
+const { HttpClient } = require('./httpClient');
+const { normalizeTradeSyncerPayouts } = require('../utils/payouts');
 
 /**
  * TradeSyncer API Adapter
@@ -20,6 +21,28 @@ class TradeSyncerAdapter extends BaseAdapter {
   constructor() {
     super();
     this.baseURL = process.env.TRADESYNCER_API_URL || 'https://api.tradesyncer.com/v1';
+    this.http = new HttpClient('tradesyncer', { displayName: 'TradeSyncer' });
+  }
+
+  /**
+   * GET an API endpoint with the user's API key.
+   * @param {string} path - e.g. '/accounts'
+   * @param {Object} authContext - { apiKey, telemetry?, signal? }
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object>} - axios response
+   * @throws {FetchError}
+   */
+  apiGet(path, authContext, params) {
+    return this.http.get(`${this.baseURL}${path}`, {
+      label: path.slice(1),
+      headers: {
+        'Authorization': `Bearer ${authContext.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      params,
+      telemetry: authContext.telemetry,
+      signal: authContext.signal,
+    });
   }
 
   /**
@@ -28,19 +51,12 @@ class TradeSyncerAdapter extends BaseAdapter {
    *
    * @param {Object} credentials
    * @param {string} credentials.apiKey - TradeSyncer API key
+   * @param {Object} [options] - { telemetry, signal }
    * @returns {Promise<Object>} - { apiKey, user }
    */
-  async authenticate(credentials) {
+  async authenticate(credentials, options = {}) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/user/me`,
-        {
-          headers: {
-            'Authorization': `Bearer ${credentials.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await this.apiGet('/user/me', { apiKey: credentials.apiKey, telemetry: options.telemetry, signal: options.signal });
 
       if (!response.data || !response.data.id) {
         throw new Error('Invalid API key or user not found');
@@ -52,26 +68,19 @@ class TradeSyncerAdapter extends BaseAdapter {
         username: response.data.username || response.data.email,
       };
     } catch (error) {
-      const msg = error.response?.data?.message || error.message;
+      const msg = error.detail || error.message;
       console.error('[TradeSyncer] Authentication error:', msg);
-      throw new Error(`TradeSyncer authentication failed: ${msg}`);
+      throw new Error(`TradeSyncer authentication failed: ${msg}`, { cause: error });
     }
   }
 
   /**
    * Get all connected accounts from TradeSyncer
+   * @throws {FetchError}
    */
   async getAccounts(authContext) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/accounts`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await this.apiGet('/accounts', authContext);
 
       if (!Array.isArray(response.data)) {
         return [];
@@ -87,14 +96,15 @@ class TradeSyncerAdapter extends BaseAdapter {
         propFirm: account.propFirm || null,
       }));
     } catch (error) {
-      console.error('[TradeSyncer] getAccounts error:', error.response?.data || error.message);
-      throw new Error(`Failed to fetch TradeSyncer accounts: ${error.message}`);
+      console.error('[TradeSyncer] getAccounts error:', error.message);
+      throw error;
     }
   }
 
   /**
    * Get trade history from TradeSyncer.
    * TradeSyncer typically provides clean, paired trades (round trips) with P&L.
+   * @throws {FetchError} - The request failed (distinct from an empty list)
    */
   async getTrades(authContext, accountId, options = {}) {
     try {
@@ -104,16 +114,7 @@ class TradeSyncerAdapter extends BaseAdapter {
       if (options.endDate) params.endDate = options.endDate;
       if (options.limit) params.limit = options.limit;
 
-      const response = await axios.get(
-        `${this.baseURL}/trades`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          params,
-        }
-      );
+      const response = await this.apiGet('/trades', authContext, params);
 
       const trades = Array.isArray(response.data) ? response.data : (response.data?.trades || []);
 
@@ -127,111 +128,110 @@ class TradeSyncerAdapter extends BaseAdapter {
         profit: parseFloat(trade.profit || trade.pnl || trade.realizedPnl) || 0,
         openedAt: trade.openTime || trade.entryTime,
         closedAt: trade.closeTime || trade.exitTime,
+        accountId: String(trade.accountId || accountId),
         source: 'tradesyncer',
       }));
     } catch (error) {
-      console.error('[TradeSyncer] getTrades error:', error.response?.data || error.message);
-      return [];
+      console.error('[TradeSyncer] getTrades error:', error.message);
+      throw error;
     }
   }
 
   /**
    * Get performance summary from TradeSyncer (if available).
    * Some TradeSyncer API versions provide pre-calculated stats.
+   * @returns {Promise<Object|null>} - null if the endpoint doesn't exist
+   * @throws {FetchError}
    */
   async getPerformanceSummary(authContext) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/performance/summary`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await this.apiGet('/performance/summary', authContext);
       return response.data;
     } catch (error) {
       // Not all TradeSyncer setups have this endpoint
-      return null;
+      if (error.status === 404) return null;
+      throw error;
     }
   }
 
   /**
    * Get payout records from TradeSyncer
+   * @returns {Promise<Array>} - Normalized payouts (see utils/payouts)
+   * @throws {FetchError}
    */
   async getPayouts(authContext) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/payouts`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-      return Array.isArray(response.data) ? response.data : [];
+      const response = await this.apiGet('/payouts', authContext);
+      return normalizeTradeSyncerPayouts(Array.isArray(response.data) ? response.data : []);
     } catch (error) {
       // Payouts endpoint might not exist in all setups
-      return [];
+      if (error.status === 404) return [];
+      throw error;
     }
   }
 
   /**
    * Full sync process for TradeSyncer
+   * @param {Object} credentials - { apiKey }
+   * @param {Object} [options] - { since: { [accountId]: ISO timestamp } } for incremental sync, telemetry, signal
    */
-  async sync(credentials) {
+  async sync(credentials, options = {}) {
     try {
       console.log('[TradeSyncer] Starting sync...');
 
       // Step 1: Authenticate
-      const auth = await this.authenticate(credentials);
+      const auth = { ...await this.authenticate(credentials, options), telemetry: options.telemetry, signal: options.signal };
       console.log(`[TradeSyncer] Authenticated as ${auth.username}`);
 
       // Step 2: Get accounts
       const accounts = await this.getAccounts(auth);
       console.log(`[TradeSyncer] Found ${accounts.length} connected accounts`);
 
-      // Step 3: Get all trades across accounts
-      const allTrades = [];
-      for (const account of accounts) {
-        const trades = await this.getTrades(auth, account.id);
-        allTrades.push(...trades);
-      }
+      // Step 3: Get all trades across accounts (only newer than each account's high-water mark)
+      const since = options.since || {};
+      const { trades: allTrades, fetchErrors } = await this.fetchTradesByAccount(accounts, async account => {
+        const trades = await this.getTrades(auth, account.id, { startDate: since[String(account.id)] });
+        auth.telemetry?.recordAccount(account.id, { dataSource: 'tradesyncer', fetched: trades.length, returned: trades.length });
+        return trades;
+      });
       console.log(`[TradeSyncer] Found ${allTrades.length} total trades`);
 
       // Step 4: Try to get pre-calculated performance
-      const perfSummary = await this.getPerformanceSummary(auth);
+      const perfSummary = await this.fetchOptional(fetchErrors, () => this.getPerformanceSummary(auth));
 
       // Step 5: Get payouts
-      const payouts = await this.getPayouts(auth);
+      const payouts = await this.fetchOptional(fetchErrors, () => this.getPayouts(auth));
 
       // Step 6: Calculate statistics (use our own calc, augmented with platform data)
       const stats = this.calculateStats(allTrades);
 
-      // Override payout count if we got it from the API
-      if (payouts.length > 0) {
-        stats.verifiedPayouts = payouts.length;
-      }
+      stats.verifiedPayouts = payouts ? payouts.length : 0;
+
+      // Platform-provided numbers win over our own calc. They are returned
+      // separately too, since incremental syncs recompute stats from stored history.
+      const statsOverrides = {};
 
       // Use platform stats if they're more accurate
       if (perfSummary) {
-        if (perfSummary.totalProfit != null) {
-          stats.totalProfit = parseFloat(perfSummary.totalProfit) || stats.totalProfit;
+        if (perfSummary.totalProfit != null && parseFloat(perfSummary.totalProfit)) {
+          statsOverrides.totalProfit = parseFloat(perfSummary.totalProfit);
         }
-        if (perfSummary.winRate != null) {
-          stats.winRate = parseFloat(perfSummary.winRate) || stats.winRate;
+        if (perfSummary.winRate != null && parseFloat(perfSummary.winRate)) {
+          statsOverrides.winRate = parseFloat(perfSummary.winRate);
         }
       }
 
+      Object.assign(stats, statsOverrides);
+
       console.log('[TradeSyncer] Stats:', stats);
 
       return {
         stats,
+        statsOverrides,
         trades: allTrades,
         accounts,
         payouts,
+        fetchErrors,
       };
     } catch (error) {
       console.error(`[TradeSyncer] Sync failed:`, error.message);
@@ -240,4 +240,18 @@ class TradeSyncerAdapter extends BaseAdapter {
   }
 }
 
+// Connection description (see adapters/registry)
+TradeSyncerAdapter.connection = {
+  type: 'tradesyncer',
+  displayName: 'TradeSyncer',
+  credentials: [
+    { name: 'apiKey', field: 'tradeSyncerApiKey', label: 'TradeSyncer API key', required: true, secret: true },
+  ],
+  stored: [
+    { column: 'tradesyncer_api_key', credential: 'apiKey', encrypted: true },
+  ],
+  capabilities: { tokenRenewal: false, payouts: true, streaming: false },
+  propFirms: '*',
+};
+
 module.exports = TradeSyncerAdapter;
@@ -1,5 +1,10 @@
-const axios = require('axios');
 const BaseAdapter = require('./base');
+const { HttpClient, FetchError } = require('./httpClient');
+const { TradovateContractResolver, fallbackSymbol } = require('./tradovateContracts');
+const { matchFills, startingPositions } = require('./fillMatcher');
+const { getUserSyncUrl } = require('./tradovateUserSync');
+const { TRADOVATE_BASE_URLS, environmentsOf, summarizeEnvironments } = require('./tradovateEnvironment');
+const { extractTradovatePayouts } = require('../utils/payouts');
 
 /**
  * Tradovate API Adapter
@@ -18,20 +23,60 @@ const BaseAdapter = require('./base');
  * Environments:
  *   - Demo: https://demo.tradovateapi.com/v1
  *   - Live: https://live.tradovateapi.com/v1
+ * The adapter instance is shared, so the environment travels with each
+ * call: authContext.environment picks the base URL (demo when unset), and
+ * each account carries the environment it was listed from. Which
+ * environments a trader uses is detected at link time (see
+ * tradovateEnvironment).
+ *
+ * Real-time fills: see tradovateUserSync (user-sync WebSocket) and services/fillStream.
  */
 class TradovateAdapter extends BaseAdapter {
   constructor() {
     super();
-    this.demoURL = 'https://demo.tradovateapi.com/v1';
-    this.liveURL = 'https://live.tradovateapi.com/v1';
-    this.baseURL = this.demoURL; // Default to demo (most prop firms use demo env)
+    this.baseURLs = { ...TRADOVATE_BASE_URLS };
+    this.contracts = new TradovateContractResolver((entity, ids, auth) => this.getItems(entity, ids, auth));
+    this.http = new HttpClient('tradovate', { displayName: 'Tradovate' });
+  }
+
+  /**
+   * GET an API endpoint with the user's Bearer token.
+   * @param {string} path - e.g. '/account/list'
+   * @param {Object} authContext - Auth context with accessToken (and optional environment, telemetry, signal)
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object>} - axios response
+   * @throws {FetchError}
+   */
+  apiGet(path, authContext, params) {
+    return this.http.get(`${this.baseUrlFor(authContext.environment)}${path}`, {
+      label: path.slice(1),
+      headers: {
+        'Authorization': `Bearer ${authContext.accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      params,
+      telemetry: authContext.telemetry,
+      signal: authContext.signal,
+    });
   }
 
   /**
-   * Set the environment (demo or live)
+   * REST base URL for an environment.
+   * @param {string} [environment] - 'demo' (default) or 'live'
+   * @returns {string}
    */
-  setEnvironment(env) {
-    this.baseURL = env === 'live' ? this.liveURL : this.demoURL;
+  baseUrlFor(environment) {
+    return environment === 'live' ? this.baseURLs.live : this.baseURLs.demo;
+  }
+
+  /**
+   * The same auth context, pointed at another environment.
+   * @param {Object} authContext
+   * @param {string} environment
+   * @returns {Object}
+   */
+  inEnvironment(authContext, environment) {
+    return { ...authContext, environment };
   }
 
   /**
@@ -46,9 +91,22 @@ class TradovateAdapter extends BaseAdapter {
    * @param {string} [credentials.deviceId] - Unique device identifier
    * @param {string} [credentials.appId] - Application identifier
    * @param {number} [credentials.appVersion] - App version string
-   * @returns {Promise<Object>} - { accessToken, expirationTime, userId }
+   * The environments holding the user's accounts are detected with the new
+   * token and returned as `environment` (see tradovateEnvironment); null
+   * when detection failed, so the next sync detects it instead.
+   *
+   * @param {Object} [options] - { telemetry, signal, environment }
+   * @returns {Promise<Object>} - { accessToken, expirationTime, userId, hasLive, environment }
+   */
+  async authenticate(credentials, options = {}) {
+    const auth = await this.requestAccessToken(credentials, options);
+    return { ...auth, environment: await this.detectEnvironment(auth, options) };
+  }
+
+  /**
+   * POST /auth/accesstokenrequest (see authenticate()).
    */
-  async authenticate(credentials) {
+  async requestAccessToken(credentials, options = {}) {
     try {
       const body = {
         name: credentials.username,
@@ -60,10 +118,17 @@ class TradovateAdapter extends BaseAdapter {
         sec: credentials.secretKey || '',
       };
 
-      const response = await axios.post(
-        `${this.baseURL}/auth/accesstokenrequest`,
+      const response = await this.http.post(
+        `${this.baseUrlFor(options.environment)}/auth/accesstokenrequest`,
         body,
-        { headers: { 'Content-Type': 'application/json' } }
+        {
+          label: 'auth/accesstokenrequest',
+          headers: { 'Content-Type': 'application/json' },
+          // Not repeated: see HttpClient.request() retry
+          retry: false,
+          telemetry: options.telemetry,
+          signal: options.signal,
+        }
       );
 
       if (!response.data || !response.data.accessToken) {
@@ -79,51 +144,98 @@ class TradovateAdapter extends BaseAdapter {
         userStatus: response.data.userStatus || 'Unknown',
       };
     } catch (error) {
-      const msg = error.response?.data?.errorText || error.response?.data?.['p-ticket'] || error.message;
+      const msg = error.detail || error.message;
       console.error('[Tradovate] Authentication error:', msg);
-      throw new Error(`Tradovate authentication failed: ${msg}`);
+      throw new Error(`Tradovate authentication failed: ${msg}`, { cause: error });
     }
   }
 
   /**
-   * Renew an existing access token
+   * Which environments hold a freshly authenticated user's accounts.
+   * Never throws: a failed lookup returns null.
+   * @param {Object} auth - From requestAccessToken()
+   * @param {Object} [options] - { telemetry, signal }
+   * @returns {Promise<string|null>}
    */
-  async renewToken(accessToken) {
+  async detectEnvironment(auth, options = {}) {
     try {
-      const response = await axios.post(
-        `${this.baseURL}/auth/renewaccesstoken`,
+      const authContext = { accessToken: auth.accessToken, telemetry: options.telemetry, signal: options.signal };
+      const { environment } = await this.getEnvironmentAccounts(authContext, null, auth.hasLive);
+      return environment;
+    } catch (error) {
+      console.error('[Tradovate] Environment detection failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Renew an existing access token.
+   *
+   * Errors keep their cause so callers can tell a rejected token (FetchError
+   * with a 4xx status, or code TOKEN_REJECTED when Tradovate answers without
+   * a token) from a transient failure worth retrying.
+   *
+   * @param {string} accessToken
+   * @param {string} [environment] - See tradovateEnvironment.primaryEnvironment()
+   * @returns {Promise<{ accessToken: string, expirationTime: string }>}
+   * @throws {FetchError|Error}
+   */
+  async renewToken(accessToken, environment) {
+    try {
+      const response = await this.http.post(
+        `${this.baseUrlFor(environment)}/auth/renewaccesstoken`,
         {},
         {
+          label: 'auth/renewaccesstoken',
           headers: {
             'Authorization': `Bearer ${accessToken}`,
             'Content-Type': 'application/json',
           },
+          retry: false,
         }
       );
+
+      if (!response.data || !response.data.accessToken) {
+        const rejected = new Error(response.data?.errorText || 'No access token in renewal response');
+        rejected.code = 'TOKEN_REJECTED';
+        throw rejected;
+      }
+
       return {
         accessToken: response.data.accessToken,
         expirationTime: response.data.expirationTime,
       };
     } catch (error) {
       console.error('[Tradovate] Token renewal error:', error.message);
-      throw new Error('Failed to renew Tradovate access token');
+      throw error;
     }
   }
 
   /**
-   * Get all accounts for the authenticated user
+   * The authenticated user (userId, name), for the user-sync subscription.
+   * @throws {FetchError}
+   */
+  async getMe(authContext) {
+    const response = await this.apiGet('/auth/me', authContext);
+    return response.data || {};
+  }
+
+  /**
+   * User-sync WebSocket URL for an environment.
+   * @param {string} [environment] - 'demo' (default) or 'live'
+   */
+  getUserSyncUrl(environment) {
+    return getUserSyncUrl(this.baseUrlFor(environment));
+  }
+
+  /**
+   * Get all accounts for the authenticated user in authContext's environment.
+   * Each account records that environment, so its trades are fetched there.
+   * @throws {FetchError}
    */
   async getAccounts(authContext) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/account/list`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await this.apiGet('/account/list', authContext);
 
       if (!Array.isArray(response.data)) {
         return [];
@@ -136,13 +248,28 @@ class TradovateAdapter extends BaseAdapter {
         balance: parseFloat(account.cashBalance) || 0,
         active: account.active,
         accountType: account.accountType,
+        environment: authContext.environment || 'demo',
       }));
     } catch (error) {
-      console.error('[Tradovate] getAccounts error:', error.response?.data || error.message);
-      throw new Error(`Failed to fetch Tradovate accounts: ${error.message}`);
+      console.error('[Tradovate] getAccounts error:', error.message);
+      throw error;
     }
   }
 
+  /**
+   * Batch-fetch entities by ID via /{entity}/items?ids=1,2,3
+   * Used for contract, contractMaturity and product metadata.
+   *
+   * @param {string} entity - Tradovate entity name, e.g. 'contract'
+   * @param {Array<number|string>} ids
+   * @param {Object} authContext - Auth context with accessToken
+   * @returns {Promise<Array>}
+   */
+  async getItems(entity, ids, authContext) {
+    const response = await this.apiGet(`/${entity}/items`, authContext, { ids: ids.join(',') });
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
   /**
    * Get fill pairs (round-trip trades) for a specific account.
    * fillPair/list returns matched entry+exit fills with proper P&L.
@@ -151,18 +278,11 @@ class TradovateAdapter extends BaseAdapter {
    * @param {Object} authContext - Auth context with accessToken
    * @param {string|number} accountId - Tradovate account ID
    * @returns {Promise<Array>} - Normalized trades with entry/exit and P&L
+   * @throws {FetchError} - The request failed (distinct from an empty list)
    */
   async getFillPairs(authContext, accountId) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/fillPair/list`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await this.apiGet('/fillPair/list', authContext);
 
       if (!Array.isArray(response.data)) {
         return [];
@@ -171,94 +291,158 @@ class TradovateAdapter extends BaseAdapter {
       // Filter for this account and normalize to our format
       return response.data
         .filter(pair => pair.accountId === accountId)
-        .map(pair => ({
-          externalTradeId: String(pair.id),
-          symbol: pair.contractId ? `contract-${pair.contractId}` : 'UNKNOWN',
-          side: pair.isBuy ? 'buy' : 'sell',
-          quantity: pair.qty || 1,
-          entryPrice: parseFloat(pair.buyPrice || pair.price) || 0,
-          exitPrice: parseFloat(pair.sellPrice) || 0,
-          profit: parseFloat(pair.pnl) || 0,
-          openedAt: pair.buyTimestamp || pair.timestamp,
-          closedAt: pair.sellTimestamp || pair.timestamp,
-          source: 'tradovate',
-        }));
+        .map(pair => this.normalizeFillPair(pair));
     } catch (error) {
-      console.error('[Tradovate] getFillPairs error:', error.response?.data || error.message);
-      return [];
+      console.error('[Tradovate] getFillPairs error:', error.message);
+      throw error;
     }
   }
 
   /**
-   * Get individual fills (executed trades) for a specific account.
+   * Normalize a fillPair entity (from fillPair/list or the user-sync stream).
+   * Symbols are contract-<id> placeholders until contracts.applyToTrades().
+   * @param {Object} pair
+   * @returns {Object} - Normalized trade
+   */
+  normalizeFillPair(pair) {
+    return {
+      externalTradeId: String(pair.id),
+      symbol: fallbackSymbol(pair.contractId),
+      contractId: pair.contractId || null,
+      side: pair.isBuy ? 'buy' : 'sell',
+      quantity: pair.qty || 1,
+      entryPrice: parseFloat(pair.buyPrice || pair.price) || 0,
+      exitPrice: parseFloat(pair.sellPrice) || 0,
+      profit: parseFloat(pair.pnl) || 0,
+      openedAt: pair.buyTimestamp || pair.timestamp,
+      closedAt: pair.sellTimestamp || pair.timestamp,
+      accountId: String(pair.accountId),
+      source: 'tradovate',
+    };
+  }
+
+  /**
+   * Get round-trip trades rebuilt from individual fills for a specific account.
    * Used as fallback when fillPair/list returns no data.
    *
+   * Raw fills are matched FIFO per contract (see fillMatcher), and realized
+   * P&L uses each contract's point value from the contract resolver. Round
+   * trips on contracts whose point value couldn't be resolved are left out
+   * (a made-up profit would skew win rate and profit factor) and reported
+   * through options.report as a fetch error.
+   *
+   * fill/list only holds recent fills, so a position can be older than the
+   * first one. position/list gives each contract's current net position;
+   * what the fills don't account for was open before them, and the round
+   * trip closing it (its entry unknown) is left out and reported the same way.
+   *
    * @param {Object} authContext - Auth context with accessToken
    * @param {string|number} accountId - Tradovate account ID
-   * @param {Object} options - { startDate, endDate }
+   * @param {Object} [options]
+   * @param {Function} [options.report] - (FetchError) => void, see BaseAdapter.fetchTradesByAccount
+   * @throws {FetchError}
    */
   async getTrades(authContext, accountId, options = {}) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/fill/list`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await this.apiGet('/fill/list', authContext);
 
       if (!Array.isArray(response.data)) {
         return [];
       }
 
-      // Filter fills for this specific account
-      const accountFills = response.data.filter(fill => fill.accountId === accountId);
-
-      return accountFills.map(fill => ({
-        externalTradeId: String(fill.id),
-        symbol: fill.contractId ? `contract-${fill.contractId}` : 'UNKNOWN',
-        side: fill.action === 'Buy' ? 'buy' : 'sell',
-        quantity: fill.qty || 1,
-        entryPrice: parseFloat(fill.price) || 0,
-        exitPrice: null,
-        profit: parseFloat(fill.pnl) || 0,
-        openedAt: fill.timestamp,
-        closedAt: fill.timestamp,
-        source: 'tradovate',
-      }));
+      // Filter fills for this specific account (skip busted/inactive fills)
+      const accountFills = response.data
+        .filter(fill => fill.accountId === accountId && fill.active !== false)
+        .map(fill => ({
+          id: fill.id,
+          accountId: fill.accountId,
+          contractId: fill.contractId,
+          side: fill.action === 'Buy' ? 'buy' : 'sell',
+          qty: fill.qty,
+          price: parseFloat(fill.price),
+          timestamp: fill.timestamp,
+        }));
+
+      if (accountFills.length === 0) {
+        return [];
+      }
+
+      const contracts = await this.contracts.resolve(authContext, accountFills.map(f => f.contractId));
+      const pointValues = new Map([...contracts].map(([id, c]) => [id, c.pointValue]));
+      const positions = (await this.getPositions(authContext)).filter(position => position.accountId === accountId);
+
+      const { trades, openPositions, carriedOver } = matchFills(accountFills, pointValues, {
+        startPositions: startingPositions(accountFills, positions),
+      });
+      if (openPositions.length > 0) {
+        console.log(`[Tradovate] Account ${accountId}: ${openPositions.length} open position(s) not yet realized`);
+      }
+      if (carriedOver.length > 0) {
+        options.report?.(new FetchError(
+          `Tradovate fill/list: ${carriedOver.length} round trip(s) skipped, opened before the earliest fill`,
+          { provider: 'tradovate', label: 'fill/list', code: 'UNMATCHED' }
+        ));
+      }
+
+      const unpriced = trades.filter(trade => trade.profit == null);
+      if (unpriced.length > 0) {
+        const contractIds = [...new Set(unpriced.map(trade => String(trade.contractId)))];
+        options.report?.(new FetchError(
+          `Tradovate fill/list: ${unpriced.length} round trip(s) skipped, no point value for contract(s) ${contractIds.join(', ')}`,
+          { provider: 'tradovate', label: 'fill/list', code: 'UNPRICED' }
+        ));
+      }
+
+      return trades
+        .filter(trade => trade.profit != null)
+        .map(trade => ({
+          ...trade,
+          symbol: fallbackSymbol(trade.contractId),
+          source: 'tradovate',
+        }));
     } catch (error) {
-      console.error('[Tradovate] getTrades error:', error.response?.data || error.message);
-      return [];
+      console.error('[Tradovate] getTrades error:', error.message);
+      throw error;
     }
   }
 
+  /**
+   * Get current net positions (all of the user's accounts).
+   * @param {Object} authContext - Auth context with accessToken
+   * @returns {Promise<Array>} - position entities ({ accountId, contractId, netPos, ... })
+   * @throws {FetchError}
+   */
+  async getPositions(authContext) {
+    const response = await this.apiGet('/position/list', authContext);
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  /**
+   * Get raw cashBalance/list entries (all of the user's accounts).
+   * @param {Object} authContext - Auth context with accessToken
+   * @returns {Promise<Array>}
+   * @throws {FetchError}
+   */
+  async getCashBalanceEntries(authContext) {
+    const response = await this.apiGet('/cashBalance/list', authContext);
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
   /**
    * Get cash balance P&L entries as last-resort fallback.
    * Less detailed than fillPairs but always available.
+   * @throws {FetchError}
    */
   async getCashBalanceTrades(authContext, accountId) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/cashBalance/list`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authContext.accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const entries = await this.getCashBalanceEntries(authContext);
 
-      if (!Array.isArray(response.data)) {
-        return [];
-      }
-
-      return response.data
+      return entries
         .filter(entry => entry.accountId === accountId && entry.cashChangeType === 'TradePnL')
         .map(entry => ({
           externalTradeId: String(entry.id),
-          symbol: entry.contractId ? `contract-${entry.contractId}` : 'UNKNOWN',
+          symbol: fallbackSymbol(entry.contractId),
+          contractId: entry.contractId || null,
           side: 'unknown',
           quantity: 1,
           entryPrice: 0,
@@ -266,44 +450,170 @@ class TradovateAdapter extends BaseAdapter {
           profit: parseFloat(entry.amount) || 0,
           openedAt: entry.timestamp,
           closedAt: entry.timestamp,
+          accountId: String(entry.accountId),
           source: 'tradovate',
         }));
     } catch (error) {
       console.error('[Tradovate] getCashBalanceTrades error:', error.message);
-      return [];
+      throw error;
     }
   }
 
+  /**
+   * Get payouts: withdrawal-type cash balance entries on the given accounts.
+   * Always returns the full list; the payouts upsert makes repeats harmless.
+   *
+   * @param {Object} authContext - Auth context with accessToken
+   * @param {Array} accounts - From getAccounts()
+   * @returns {Promise<Array>} - Normalized payouts (see utils/payouts)
+   * @throws {FetchError}
+   */
+  async getPayouts(authContext, accounts) {
+    try {
+      const payouts = [];
+      for (const environment of [...new Set(accounts.map(a => a.environment))]) {
+        const entries = await this.getCashBalanceEntries(this.inEnvironment(authContext, environment));
+        const ids = accounts.filter(a => a.environment === environment).map(a => a.id);
+        payouts.push(...extractTradovatePayouts(entries, ids));
+      }
+      return payouts;
+    } catch (error) {
+      console.error('[Tradovate] getPayouts error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get trades for one account using the best available data source.
+   *
+   * Trade data priority:
+   *   1. fillPair/list - round-trip trades with entry/exit/P&L (best)
+   *   2. fill/list     - individual fills, matched FIFO into round trips
+   *   3. cashBalance/list - realized P&L entries (last resort)
+   *
+   * Tradovate's list endpoints have no date filter, so the fallback decision
+   * is made on the full response and `since` is applied afterwards. This keeps
+   * an account on the same data source between incremental syncs. Only an
+   * empty response falls through to the next source; a failed request is
+   * thrown, so an outage never switches an account to a different source.
+   *
+   * Contract IDs are then resolved to real symbols (e.g. ESZ5) with a productRoot.
+   * The source used and trade counts are reported to authContext.telemetry.
+   *
+   * @param {Object} authContext - Auth context with accessToken
+   * @param {string|number} accountId - Tradovate account ID
+   * @param {string} [since] - ISO timestamp; only trades closed at or after it are returned
+   * @param {Function} [report] - Records trades that were skipped (see getTrades)
+   * @returns {Promise<Array>}
+   */
+  async getAccountTrades(authContext, accountId, since, report) {
+    let dataSource = 'fillPair';
+    let trades = await this.getFillPairs(authContext, accountId);
+
+    if (trades.length === 0) {
+      dataSource = 'fill';
+      trades = await this.getTrades(authContext, accountId, { report });
+    }
+
+    if (trades.length === 0) {
+      dataSource = 'cashBalance';
+      trades = await this.getCashBalanceTrades(authContext, accountId);
+    }
+
+    const fetched = trades.length;
+
+    if (since) {
+      // Inclusive so trades sharing the high-water timestamp aren't missed;
+      // the trade_history upsert makes re-seen trades harmless.
+      const sinceTime = new Date(since).getTime();
+      trades = trades.filter(t => !t.closedAt || new Date(t.closedAt).getTime() >= sinceTime);
+    }
+
+    authContext.telemetry?.recordAccount(accountId, {
+      dataSource: fetched > 0 ? dataSource : 'none',
+      fetched,
+      returned: trades.length,
+    });
+
+    return this.contracts.applyToTrades(authContext, trades);
+  }
+
+  /**
+   * Get trades across all accounts (see BaseAdapter.fetchTradesByAccount).
+   * @param {Object} authContext - Auth context with accessToken
+   * @param {Array} accounts - From getAccounts(); each is fetched in its own environment
+   * @param {Object} [options]
+   * @param {Object} [options.since] - accountId -> ISO high-water mark
+   * @returns {Promise<{ trades: Array, fetchErrors: Array<Object> }>}
+   */
+  async getAllTrades(authContext, accounts, options = {}) {
+    const since = options.since || {};
+    return this.fetchTradesByAccount(accounts, (account, report) =>
+      this.getAccountTrades(this.inEnvironment(authContext, account.environment), account.id, since[String(account.id)], report));
+  }
+
+  /**
+   * Get accounts from every environment a trader uses.
+   *
+   * A stored environment (traders.tradovate_environment) is used as is.
+   * Without one, both environments are listed and the result says which
+   * hold accounts; with hasLive unknown (a stored token), a failed live
+   * request is taken as no live access rather than failing the sync.
+   *
+   * @param {Object} authContext - Auth context with accessToken
+   * @param {string|null} [stored] - traders.tradovate_environment
+   * @param {boolean} [hasLive] - From authenticate()
+   * @returns {Promise<{ environment: string|null, accounts: Array }>}
+   * @throws {FetchError}
+   */
+  async getEnvironmentAccounts(authContext, stored, hasLive) {
+    const known = environmentsOf(stored);
+    const environments = known || (hasLive === false ? ['demo'] : ['demo', 'live']);
+    const accountsByEnvironment = {};
+
+    for (const environment of environments) {
+      try {
+        accountsByEnvironment[environment] = await this.getAccounts(this.inEnvironment(authContext, environment));
+      } catch (error) {
+        if (known || environment !== 'live' || hasLive) throw error;
+        console.log(`[Tradovate] Live environment unavailable (${error.message}); using demo only`);
+        accountsByEnvironment[environment] = [];
+      }
+    }
+
+    return {
+      environment: known ? stored : summarizeEnvironments(accountsByEnvironment, hasLive),
+      accounts: environments.flatMap(environment => accountsByEnvironment[environment]),
+    };
+  }
+
   /**
    * Sync using a pre-existing access token (no re-authentication).
    * Used by the hourly cron when we already have a valid token stored.
    *
    * @param {Object} authContext - { accessToken }
-   * @returns {Promise<Object>} - { stats, trades, accounts }
+   * @param {Object} [options]
+   * @param {Object} [options.since] - { [accountId]: ISO timestamp } for incremental sync
+   * @param {string|null} [options.environment] - traders.tradovate_environment; detected when unset
+   * @returns {Promise<Object>} - { stats, trades, accounts, payouts, fetchErrors, environment }
    */
-  async syncWithToken(authContext) {
+  async syncWithToken(authContext, options = {}) {
     try {
       console.log(`[Tradovate] Starting token-based sync`);
 
-      const accounts = await this.getAccounts(authContext);
-      console.log(`[Tradovate] Found ${accounts.length} accounts`);
+      const { environment, accounts } = await this.getEnvironmentAccounts(authContext, options.environment);
+      console.log(`[Tradovate] Found ${accounts.length} accounts (environment: ${environment || 'unknown'})`);
 
-      const allTrades = [];
-      for (const account of accounts) {
-        let trades = await this.getFillPairs(authContext, account.id);
-        if (trades.length === 0) {
-          trades = await this.getTrades(authContext, account.id);
-        }
-        if (trades.length === 0) {
-          trades = await this.getCashBalanceTrades(authContext, account.id);
-        }
-        allTrades.push(...trades);
-      }
+      const { trades: allTrades, fetchErrors } = await this.getAllTrades(authContext, accounts, options);
       console.log(`[Tradovate] Found ${allTrades.length} total trades`);
 
+      const payouts = await this.fetchOptional(fetchErrors, () => this.getPayouts(authContext, accounts));
+      console.log(`[Tradovate] Found ${payouts ? payouts.length : 'unknown'} payouts`);
+
       const stats = this.calculateStats(allTrades);
+      stats.verifiedPayouts = payouts ? payouts.length : 0;
 
-      return { stats, trades: allTrades, accounts };
+      return { stats, trades: allTrades, accounts, payouts, fetchErrors, environment };
     } catch (error) {
       console.error(`[Tradovate] Token-based sync failed:`, error.message);
       throw error;
@@ -313,56 +623,47 @@ class TradovateAdapter extends BaseAdapter {
   /**
    * Full sync process for Tradovate (with authentication).
    * Used during initial registration when we have the password.
+   * See getAccountTrades() for the trade data priority.
    *
-   * Trade data priority:
-   *   1. fillPair/list - round-trip trades with entry/exit/P&L (best)
-   *   2. fill/list     - individual fills (less context)
-   *   3. cashBalance/list - realized P&L entries (last resort)
+   * @param {Object} credentials - See authenticate()
+   * @param {Object} [options] - { since: { [accountId]: ISO timestamp } } for incremental sync, telemetry, signal
    */
-  async sync(credentials) {
+  async sync(credentials, options = {}) {
     try {
       console.log(`[Tradovate] Starting sync for ${credentials.username}`);
 
       // Step 1: Authenticate
-      const auth = await this.authenticate(credentials);
+      const auth = { ...await this.authenticate(credentials, options), telemetry: options.telemetry, signal: options.signal };
       console.log(`[Tradovate] Authenticated as ${auth.name} (userId: ${auth.userId}, hasLive: ${auth.hasLive})`);
 
-      // Step 2: Get all accounts
-      const accounts = await this.getAccounts(auth);
-      console.log(`[Tradovate] Found ${accounts.length} accounts`);
+      // Step 2: Get all accounts, detecting which environments hold them
+      const { environment, accounts } = await this.getEnvironmentAccounts(auth, auth.environment, auth.hasLive);
+      console.log(`[Tradovate] Found ${accounts.length} accounts (environment: ${environment || 'unknown'})`);
 
       // Step 3: Get trades for all accounts (priority: fillPairs > fills > cashBalance)
-      const allTrades = [];
-      for (const account of accounts) {
-        // Try fillPair/list first (round-trip trades with proper P&L)
-        let trades = await this.getFillPairs(auth, account.id);
-
-        if (trades.length === 0) {
-          // Fallback to individual fills
-          trades = await this.getTrades(auth, account.id);
-        }
-
-        if (trades.length === 0) {
-          // Last resort: cash balance P&L entries
-          trades = await this.getCashBalanceTrades(auth, account.id);
-        }
-
-        allTrades.push(...trades);
-      }
+      const { trades: allTrades, fetchErrors } = await this.getAllTrades(auth, accounts, options);
       console.log(`[Tradovate] Found ${allTrades.length} total trades`);
 
-      // Step 4: Calculate statistics
+      // Step 4: Detect payouts from cash balance withdrawals
+      const payouts = await this.fetchOptional(fetchErrors, () => this.getPayouts(auth, accounts));
+      console.log(`[Tradovate] Found ${payouts ? payouts.length : 'unknown'} payouts`);
+
+      // Step 5: Calculate statistics
       const stats = this.calculateStats(allTrades);
+      stats.verifiedPayouts = payouts ? payouts.length : 0;
 
       return {
         stats,
         trades: allTrades,
         accounts,
+        payouts,
+        fetchErrors,
         auth: {
           accessToken: auth.accessToken,
           expirationTime: auth.expirationTime,
           hasLive: auth.hasLive,
           userStatus: auth.userStatus,
+          environment,
         },
       };
     } catch (error) {
@@ -372,4 +673,27 @@ class TradovateAdapter extends BaseAdapter {
   }
 }
 
+// Connection description (see adapters/registry)
+TradovateAdapter.connection = {
+  type: 'tradovate',
+  displayName: 'Tradovate',
+  credentials: [
+    { name: 'username', field: 'tradovateUsername', label: 'Tradovate username', required: true },
+    { name: 'password', field: 'tradovatePassword', label: 'Tradovate password', secret: true, raw: true },
+    { name: 'clientId', field: 'tradovateClientId', label: 'Tradovate API client ID' },
+    { name: 'secretKey', field: 'tradovateSecretKey', label: 'Tradovate API secret key', secret: true, raw: true },
+  ],
+  // The ACCESS TOKEN is stored, never the password
+  stored: [
+    { column: 'tradovate_username', credential: 'username' },
+    { column: 'tradovate_client_id', credential: 'clientId' },
+    { column: 'tradovate_refresh_token', credential: 'secretKey', encrypted: true },
+    { column: 'tradovate_access_token', auth: 'accessToken', encrypted: true },
+    { column: 'tradovate_token_expires_at', auth: 'expirationTime' },
+    { column: 'tradovate_environment', auth: 'environment' },
+  ],
+  capabilities: { tokenRenewal: true, payouts: true, streaming: true },
+  propFirms: '*',
+};
+
 module.exports = TradovateAdapter;
@@ -0,0 +1,152 @@
+/**
+ * Tradovate Contract Resolver
+ *
+ * Tradovate fills, fill pairs and cash balance entries only carry a numeric
+ * contractId. This resolves IDs to real futures symbols and product metadata:
+ *
+ *   contract/items?ids=         -> { id, name: 'ESZ5', contractMaturityId }
+ *   contractMaturity/items?ids= -> { id, productId, expirationMonth: 202512 }
+ *   product/items?ids=          -> { id, name: 'ES', tickSize, valuePerPoint }
+ *
+ * Contract metadata never changes, so resolved contracts are cached for the
+ * life of the process and each ID is only looked up once.
+ */
+
+// CME month codes: F=Jan ... Z=Dec
+const MONTH_CODES = 'FGHJKMNQUVXZ';
+
+// Root + month code + 1-2 digit year, e.g. ESZ5, MNQH26, 6EM5
+const CONTRACT_SYMBOL_REGEX = new RegExp(`^([A-Z0-9]+?)([${MONTH_CODES}])(\\d{1,2})$`);
+
+// Shared across resolver instances: contract IDs identify the same contract everywhere
+const sharedCache = new Map();
+
+/**
+ * Split a futures symbol into root, month code and year digits.
+ * @param {string} symbol - e.g. 'ESZ5'
+ * @returns {{ root: string, monthCode: string, year: string }|null}
+ */
+function parseContractSymbol(symbol) {
+  if (!symbol || typeof symbol !== 'string') return null;
+  const match = symbol.toUpperCase().match(CONTRACT_SYMBOL_REGEX);
+  if (!match) return null;
+  return { root: match[1], monthCode: match[2], year: match[3] };
+}
+
+/**
+ * Format Tradovate's numeric expirationMonth (e.g. 202512) as 'YYYY-MM'.
+ * @param {number|string} expirationMonth
+ * @returns {string|null}
+ */
+function formatExpiryMonth(expirationMonth) {
+  const digits = String(expirationMonth || '');
+  if (!/^\d{6}$/.test(digits)) return null;
+  return `${digits.slice(0, 4)}-${digits.slice(4, 6)}`;
+}
+
+/**
+ * Placeholder symbol used when a contract cannot be resolved.
+ */
+function fallbackSymbol(contractId) {
+  return contractId ? `contract-${contractId}` : 'UNKNOWN';
+}
+
+class TradovateContractResolver {
+  /**
+   * @param {Function} fetchItems - (entity, ids, authContext) => Promise<Array>,
+   *   where entity is 'contract', 'contractMaturity' or 'product'
+   * @param {Map} [cache] - contractId -> resolved contract (defaults to a process-wide cache)
+   */
+  constructor(fetchItems, cache = sharedCache) {
+    this.fetchItems = fetchItems;
+    this.cache = cache;
+  }
+
+  /**
+   * Resolve contract IDs, fetching only those not already cached.
+   * Lookup failures leave IDs unresolved rather than failing the sync.
+   *
+   * @param {Object} authContext - Auth context with accessToken
+   * @param {Array<number|string>} contractIds
+   * @returns {Promise<Map<string, Object>>} - contractId -> { contractId, symbol, root, expiryMonth, tickSize, pointValue }
+   */
+  async resolve(authContext, contractIds) {
+    const ids = [...new Set((contractIds || []).filter(Boolean).map(String))];
+    const missing = ids.filter(id => !this.cache.has(id));
+
+    if (missing.length > 0) {
+      try {
+        await this.load(authContext, missing);
+      } catch (error) {
+        console.error('[Tradovate] Contract lookup error:', error.message);
+      }
+    }
+
+    const resolved = new Map();
+    for (const id of ids) {
+      if (this.cache.has(id)) resolved.set(id, this.cache.get(id));
+    }
+    return resolved;
+  }
+
+  /**
+   * Fetch contracts, their maturities and products, and cache the result.
+   */
+  async load(authContext, contractIds) {
+    const contracts = await this.fetchItems('contract', contractIds, authContext);
+    if (!Array.isArray(contracts) || contracts.length === 0) return;
+
+    const maturityIds = [...new Set(contracts.map(c => c.contractMaturityId).filter(Boolean))];
+    const maturities = maturityIds.length > 0
+      ? await this.fetchItems('contractMaturity', maturityIds, authContext)
+      : [];
+    const maturityById = new Map((maturities || []).map(m => [m.id, m]));
+
+    const productIds = [...new Set((maturities || []).map(m => m.productId).filter(Boolean))];
+    const products = productIds.length > 0
+      ? await this.fetchItems('product', productIds, authContext)
+      : [];
+    const productById = new Map((products || []).map(p => [p.id, p]));
+
+    for (const contract of contracts) {
+      if (!contract || !contract.id || !contract.name) continue;
+
+      const maturity = maturityById.get(contract.contractMaturityId);
+      const product = maturity ? productById.get(maturity.productId) : null;
+      const parsed = parseContractSymbol(contract.name);
+
+      this.cache.set(String(contract.id), {
+        contractId: String(contract.id),
+        symbol: contract.name,
+        root: product?.name || parsed?.root || contract.name,
+        expiryMonth: formatExpiryMonth(maturity?.expirationMonth),
+        tickSize: product?.tickSize != null ? parseFloat(product.tickSize) : null,
+        pointValue: product?.valuePerPoint != null ? parseFloat(product.valuePerPoint) : null,
+      });
+    }
+  }
+
+  /**
+   * Replace contract-<id> placeholder symbols on normalized trades with
+   * resolved symbols and set productRoot. Unresolved trades keep the placeholder.
+   *
+   * @param {Object} authContext
+   * @param {Array<Object>} trades - Normalized trades carrying contractId
+   * @returns {Promise<Array<Object>>}
+   */
+  async applyToTrades(authContext, trades) {
+    const resolved = await this.resolve(authContext, trades.map(t => t.contractId));
+    return trades.map(trade => {
+      const contract = resolved.get(String(trade.contractId));
+      if (!contract) return trade;
+      return { ...trade, symbol: contract.symbol, productRoot: contract.root };
+    });
+  }
+}
+
+module.exports = {
+  TradovateContractResolver,
+  parseContractSymbol,
+  formatExpiryMonth,
+  fallbackSymbol,
+};
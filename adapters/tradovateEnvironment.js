@@ -0,0 +1,69 @@
+/**
+ * Tradovate environments
+ *
+ * Tradovate runs separate demo and live environments with the same API.
+ * Evaluation and most funded prop firm accounts live on demo; accounts
+ * funded with real capital live on live. One access token works on both,
+ * so a trader with accounts on each is synced from both.
+ *
+ * Each trader's environments are detected when Tradovate is linked and
+ * stored in traders.tradovate_environment:
+ *   'demo' | 'live' | 'both' - which environments hold the trader's accounts
+ *   NULL                     - not known yet (linked before detection, or no
+ *                              accounts found); detected again on the next sync
+ */
+
+const TRADOVATE_ENVIRONMENTS = ['demo', 'live'];
+
+const TRADOVATE_BASE_URLS = {
+  demo: 'https://demo.tradovateapi.com/v1',
+  live: 'https://live.tradovateapi.com/v1',
+};
+
+/**
+ * Environments to call for a stored tradovate_environment value.
+ * @param {string|null} stored - traders.tradovate_environment
+ * @returns {Array<string>|null} - null when the environment must be detected
+ */
+function environmentsOf(stored) {
+  if (stored === 'both') return [...TRADOVATE_ENVIRONMENTS];
+  if (TRADOVATE_ENVIRONMENTS.includes(stored)) return [stored];
+  return null;
+}
+
+/**
+ * tradovate_environment value for the accounts found in each environment.
+ *
+ * A user without live access (authenticate() reported hasLive: false) is
+ * demo only. Otherwise it's every environment with at least one account,
+ * or null when none had any, so the next sync checks again.
+ *
+ * @param {Object<string, Array>} accountsByEnvironment - environment -> accounts
+ * @param {boolean} [hasLive] - From authenticate(); unknown for stored tokens
+ * @returns {string|null}
+ */
+function summarizeEnvironments(accountsByEnvironment, hasLive) {
+  if (hasLive === false) return 'demo';
+
+  const found = TRADOVATE_ENVIRONMENTS.filter(env => (accountsByEnvironment[env] || []).length > 0);
+  if (found.length === 0) return null;
+  return found.length === 1 ? found[0] : 'both';
+}
+
+/**
+ * Environment used for requests that aren't about an account (token
+ * renewal, auth/me): live for traders with live accounts, otherwise demo.
+ * @param {string|null} stored - traders.tradovate_environment
+ * @returns {string}
+ */
+function primaryEnvironment(stored) {
+  return (environmentsOf(stored) || []).includes('live') ? 'live' : 'demo';
+}
+
+module.exports = {
+  TRADOVATE_ENVIRONMENTS,
+  TRADOVATE_BASE_URLS,
+  environmentsOf,
+  summarizeEnvironments,
+  primaryEnvironment,
+};
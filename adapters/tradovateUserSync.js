@@ -0,0 +1,308 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { backoffDelay } = require('./httpClient');
+
+/**
+ * Tradovate user-sync WebSocket client
+ *
+ * Subscribes to one user's account data and emits entity events (fill,
+ * fillPair, ...) as Tradovate pushes them, so trades can be stored without
+ * waiting for the next REST poll.
+ *
+ * Protocol (SockJS-style text frames):
+ *   server 'o'            - socket open; client sends `authorize`
+ *   server 'h'            - heartbeat; the client sends '[]' every 2.5s as well
+ *   server 'a[...]'       - JSON array of responses { s, i, d } and events { e: 'props', d }
+ *   server 'c[code,text]' - server is closing the connection
+ *   client request        - `${endpoint}\n${id}\n${query}\n${body}`
+ *
+ * After authorizing, `user/syncrequest` with { users: [userId] } returns the
+ * user's current entities and subscribes to every later change.
+ *
+ * Dropped connections reconnect with jittered exponential backoff and
+ * re-authorize and resubscribe from scratch; the access token is read again
+ * on every connect so renewed tokens are picked up.
+ *
+ * Events:
+ *   'subscribed'   ({ snapshot })                       - subscription (re)established
+ *   'entity'       ({ entityType, eventType, entity })  - pushed change
+ *   'disconnected' ({ code, reason, reconnectInMs })
+ *   'authFailed'   ({ status, message })                - token rejected; will retry
+ */
+
+const DEFAULT_USER_SYNC_CONFIG = {
+  heartbeatMs: 2500,
+  // No frame from the server for this long means the connection is dead
+  staleAfterMs: 10000,
+  requestTimeoutMs: 10000,
+  reconnectBaseMs: 1000,
+  reconnectMaxMs: 60000,
+};
+
+/**
+ * User-sync WebSocket URL for a REST base URL,
+ * e.g. https://demo.tradovateapi.com/v1 -> wss://demo.tradovateapi.com/v1/websocket
+ * @param {string} restBaseUrl
+ * @returns {string}
+ */
+function getUserSyncUrl(restBaseUrl) {
+  return `${restBaseUrl.replace(/^http/, 'ws').replace(/\/+$/, '')}/websocket`;
+}
+
+/**
+ * Format a client request frame.
+ * @param {string} endpoint - e.g. 'user/syncrequest'
+ * @param {number} id - Request ID, echoed back as `i` in the response
+ * @param {string} [query]
+ * @param {Object|string} [body]
+ * @returns {string}
+ */
+function formatRequest(endpoint, id, query = '', body = '') {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return `${endpoint}\n${id}\n${query}\n${text}`;
+}
+
+/**
+ * Parse a server frame.
+ * @param {string|Buffer} raw
+ * @returns {{ type: 'open'|'heartbeat'|'data'|'close'|'unknown', messages?: Array<Object>, code?: number, reason?: string }}
+ */
+function parseFrame(raw) {
+  const text = String(raw);
+  const type = text.charAt(0);
+
+  if (type === 'o') return { type: 'open' };
+  if (type === 'h') return { type: 'heartbeat' };
+
+  try {
+    if (type === 'a') {
+      const messages = JSON.parse(text.slice(1));
+      return { type: 'data', messages: Array.isArray(messages) ? messages : [] };
+    }
+    if (type === 'c') {
+      const [code, reason] = JSON.parse(text.slice(1));
+      return { type: 'close', code, reason };
+    }
+  } catch (_) {
+    // Malformed frame: ignored like any other unknown frame
+  }
+  return { type: 'unknown' };
+}
+
+class TradovateUserSyncClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - User-sync WebSocket URL (see getUserSyncUrl)
+   * @param {Function} options.getAccessToken - async () => current access token
+   * @param {number|string} options.userId - Tradovate user ID to subscribe to
+   * @param {Object} [options.config] - Overrides for DEFAULT_USER_SYNC_CONFIG
+   * @param {Function} [options.WebSocketImpl] - For tests
+   * @param {Function} [options.random]
+   */
+  constructor({ url, getAccessToken, userId, config = {}, WebSocketImpl = WebSocket, random = Math.random }) {
+    super();
+    this.url = url;
+    this.getAccessToken = getAccessToken;
+    this.userId = userId;
+    this.config = { ...DEFAULT_USER_SYNC_CONFIG, ...config };
+    this.WebSocketImpl = WebSocketImpl;
+    this.random = random;
+
+    this.socket = null;
+    this.stopped = true;
+    this.subscribed = false;
+    this.attempt = 0;
+    this.nextRequestId = 0;
+    this.pending = new Map();
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.lastFrameAt = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Connect and keep the subscription alive until stop().
+   */
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.connect();
+  }
+
+  /**
+   * Close the connection and stop reconnecting.
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.teardown();
+  }
+
+  connect() {
+    if (this.stopped) return;
+
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+    this.lastFrameAt = Date.now();
+
+    socket.on('message', data => {
+      if (socket === this.socket) this.handleFrame(data);
+    });
+    socket.on('close', (code, reason) => {
+      if (socket === this.socket) this.handleDisconnect(code, String(reason || ''));
+    });
+    socket.on('error', error => {
+      // 'close' follows every 'error'; reconnecting happens there
+      if (socket === this.socket) this.lastError = error;
+    });
+  }
+
+  handleFrame(data) {
+    this.lastFrameAt = Date.now();
+    const frame = parseFrame(data);
+
+    if (frame.type === 'open') {
+      this.subscribe().catch(error => this.dropConnection(error.message));
+    } else if (frame.type === 'data') {
+      for (const message of frame.messages) this.handleMessage(message);
+    } else if (frame.type === 'close') {
+      this.dropConnection(frame.reason || `Server closed the connection (${frame.code})`);
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    // Response to one of our requests
+    if (message.i !== undefined && this.pending.has(message.i)) {
+      const { resolve, timer } = this.pending.get(message.i);
+      clearTimeout(timer);
+      this.pending.delete(message.i);
+      resolve(message);
+      return;
+    }
+
+    // Pushed change to a subscribed entity
+    if (message.e === 'props' && message.d && message.d.entityType) {
+      this.emit('entity', {
+        entityType: message.d.entityType,
+        eventType: message.d.eventType,
+        entity: message.d.entity,
+      });
+    }
+  }
+
+  /**
+   * Authorize, then subscribe to the user's data.
+   */
+  async subscribe() {
+    const accessToken = await this.getAccessToken();
+
+    const auth = await this.request('authorize', accessToken);
+    if (auth.s !== 200) {
+      this.emit('authFailed', { status: auth.s, message: auth.d || 'authorize rejected' });
+      throw new Error(`Tradovate user sync authorize failed (${auth.s})`);
+    }
+
+    const sync = await this.request('user/syncrequest', { users: [this.userId] });
+    if (sync.s !== 200) {
+      throw new Error(`Tradovate user/syncrequest failed (${sync.s})`);
+    }
+
+    this.subscribed = true;
+    this.attempt = 0;
+    this.lastError = null;
+    this.startHeartbeat();
+    this.emit('subscribed', { snapshot: sync.d || {} });
+  }
+
+  /**
+   * Send a request and wait for its response.
+   * @returns {Promise<Object>} - { s, i, d }
+   */
+  request(endpoint, body) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Tradovate ${endpoint} timed out`));
+      }, this.config.requestTimeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send(formatRequest(endpoint, id, '', body));
+    });
+  }
+
+  send(text) {
+    if (this.socket && this.socket.readyState === this.WebSocketImpl.OPEN) {
+      this.socket.send(text);
+    }
+  }
+
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastFrameAt > this.config.staleAfterMs) {
+        this.dropConnection('No frames from server');
+        return;
+      }
+      this.send('[]');
+    }, this.config.heartbeatMs);
+  }
+
+  /**
+   * Close the current socket and schedule a reconnect.
+   */
+  dropConnection(reason) {
+    const socket = this.socket;
+    this.teardown();
+    this.handleDisconnect(socket ? 1006 : 0, reason);
+  }
+
+  teardown() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.subscribed = false;
+
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error('Connection closed'));
+    }
+    this.pending.clear();
+
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.removeAllListeners('message');
+      socket.on('error', () => { /* closing anyway */ });
+      try {
+        socket.terminate ? socket.terminate() : socket.close();
+      } catch (_) { /* already closed */ }
+    }
+  }
+
+  handleDisconnect(code, reason) {
+    if (this.socket) this.teardown();
+    if (this.stopped || this.reconnectTimer) return;
+
+    const reconnectInMs = backoffDelay(this.attempt, {
+      retryBaseMs: this.config.reconnectBaseMs,
+      retryMaxMs: this.config.reconnectMaxMs,
+    }, this.random);
+    this.attempt += 1;
+
+    this.emit('disconnected', { code, reason: reason || (this.lastError && this.lastError.message) || '', reconnectInMs });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, reconnectInMs);
+  }
+}
+
+module.exports = {
+  TradovateUserSyncClient,
+  getUserSyncUrl,
+  formatRequest,
+  parseFrame,
+  DEFAULT_USER_SYNC_CONFIG,
+};
@@ -1,67 +1,68 @@
 // backend/cron-sync.js
-// Cron job that runs every hour to sync all traders
+// Starts the in-process sync scheduler (see services/syncScheduler) and the
+// Tradovate token renewal pass (see services/tokenRenewal)
 // CJIS 5.4: All sync operations are logged with structured audit entries
 
 const cron = require('node-cron');
-const axios = require('axios');
+const { runScheduledSync } = require('./services/syncScheduler');
+const { runTokenRenewalPass } = require('./services/tokenRenewal');
+const { getScheduleConfig } = require('./utils/syncSchedule');
+const { getRenewalConfig } = require('./utils/tokenRenewal');
 
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3001';
-const SYNC_API_KEY = process.env.SYNC_API_KEY;
-
-async function syncAllTraders() {
-  if (!SYNC_API_KEY) {
+async function runSchedulerTick() {
+  try {
+    const job = await runScheduledSync();
+    if (job) {
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'INFO',
+        event: 'CRON_SYNC_QUEUED',
+        jobId: job.id,
+        traders: job.total,
+      }));
+    }
+  } catch (error) {
     console.error(JSON.stringify({
       timestamp: new Date().toISOString(),
       level: 'ERROR',
-      event: 'CRON_SYNC_SKIPPED',
-      reason: 'SYNC_API_KEY not configured',
+      event: 'CRON_SYNC_FAILED',
+      message: error.message,
     }));
-    return;
   }
+}
 
+async function runRenewalTick() {
   try {
-    console.log(JSON.stringify({
-      timestamp: new Date().toISOString(),
-      level: 'INFO',
-      event: 'CRON_SYNC_START',
-    }));
-
-    const response = await axios.post(`${BACKEND_URL}/api/sync/all`, {}, {
-      headers: {
-        'Authorization': `Bearer ${SYNC_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    console.log(JSON.stringify({
-      timestamp: new Date().toISOString(),
-      level: 'INFO',
-      event: 'CRON_SYNC_COMPLETE',
-      traderssynced: response.data?.results?.length || 0,
-    }));
+    await runTokenRenewalPass();
   } catch (error) {
     console.error(JSON.stringify({
       timestamp: new Date().toISOString(),
       level: 'ERROR',
-      event: 'CRON_SYNC_FAILED',
+      event: 'CRON_TOKEN_RENEWAL_FAILED',
       message: error.message,
     }));
   }
 }
 
 function startCronJobs() {
+  const { tickCron } = getScheduleConfig();
+  const { renewalCron } = getRenewalConfig();
+
   console.log(JSON.stringify({
     timestamp: new Date().toISOString(),
     level: 'INFO',
     event: 'CRON_JOBS_STARTED',
-    schedule: 'Every hour at :00 UTC',
+    schedule: tickCron,
+    tokenRenewalSchedule: renewalCron,
   }));
 
-  cron.schedule('0 * * * *', async () => {
-    await syncAllTraders();
-  }, {
+  cron.schedule(tickCron, runSchedulerTick, {
+    timezone: "UTC"
+  });
+
+  cron.schedule(renewalCron, runRenewalTick, {
     timezone: "UTC"
   });
 }
 
-module.exports = { startCronJobs, syncAllTraders };
+module.exports = { startCronJobs, runSchedulerTick, runRenewalTick };
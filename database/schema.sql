@@ -9,7 +9,8 @@
 -- TRADERS TABLE
 -- ============================================
 -- Stores trader identity and connection method.
--- Traders connect via Tradovate or TradeSyncer (or both).
+-- Traders connect one or more platforms (see trader_connections); each
+-- platform's credentials live in its own columns below.
 -- ============================================
 
 CREATE TABLE IF NOT EXISTS traders (
@@ -17,15 +18,23 @@ CREATE TABLE IF NOT EXISTS traders (
   twitter_username TEXT UNIQUE NOT NULL,
   avatar TEXT DEFAULT '👤',
 
-  -- Connection method: 'tradovate', 'tradesyncer', or 'both'
+  -- Connection method: a platform ('tradovate', 'projectx', 'tradesyncer'), 'multiple'
+  -- when trader_connections has more than one row, or 'none'
   connection_type TEXT NOT NULL DEFAULT 'tradovate',
 
   -- Tradovate credentials (encrypted)
   tradovate_username TEXT,
   tradovate_access_token TEXT,       -- OAuth access token (encrypted)
   tradovate_refresh_token TEXT,      -- OAuth refresh token (encrypted)
-  tradovate_token_expiry TIMESTAMP WITH TIME ZONE,
+  tradovate_token_expires_at TIMESTAMP WITH TIME ZONE,
   tradovate_account_ids TEXT[],      -- Array of linked Tradovate account IDs
+  tradovate_environment TEXT,        -- 'demo', 'live' or 'both'; NULL = detect on next sync
+  token_last_renewed_at TIMESTAMP WITH TIME ZONE,
+  token_renewal_failures INTEGER DEFAULT 0, -- Consecutive failed renewals (reset on success)
+
+  -- ProjectX (TopstepX) credentials; session tokens are not stored
+  projectx_username TEXT,
+  projectx_api_key TEXT,             -- Encrypted API key
 
   -- TradeSyncer credentials (encrypted)
   tradesyncer_api_key TEXT,          -- Encrypted API key
@@ -35,16 +44,52 @@ CREATE TABLE IF NOT EXISTS traders (
   prop_firm TEXT,                     -- e.g., 'topstep', 'apex', 'tradeday'
   prop_firm_display TEXT,             -- e.g., 'Topstep', 'Apex Trader Funding'
 
+  -- Platform account IDs ever seen by a sync (only grows)
+  known_account_ids TEXT[] DEFAULT '{}',
+  total_accounts_linked INTEGER DEFAULT 0,
+
+  -- Connection health: 'active', 'expired' (Tradovate token needs re-auth) or 'unlinked'
+  auth_status TEXT DEFAULT 'active',
+
+  -- Sync scheduling (see utils/syncSchedule.js)
+  last_synced_at TIMESTAMP WITH TIME ZONE,  -- Last sync attempt
+  last_trade_at TIMESTAMP WITH TIME ZONE,   -- Latest closed trade seen by a sync
+  next_sync_at TIMESTAMP WITH TIME ZONE,    -- NULL = due on the next scheduler tick
+  manual_sync_requested_at TIMESTAMP WITH TIME ZONE, -- Last trader-initiated sync (cooldown)
+
   account_created TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- ============================================
+-- TRADER CONNECTIONS TABLE
+-- ============================================
+-- One row per platform a trader has linked. Syncs fetch every connection
+-- and merge the results; trades two connections both report for accounts
+-- the trader mapped to each other (trader_accounts.account_group) are stored
+-- once (see utils/connections.js). Credentials stay in the traders columns
+-- each adapter stores.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS trader_connections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+  connection_type TEXT NOT NULL,      -- a connection type ('tradovate', 'projectx', 'tradesyncer', 'import')
+  last_synced_at TIMESTAMP WITH TIME ZONE,
+  last_sync_status TEXT,              -- 'success', 'partial', 'failed', 'skipped'
+  last_sync_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(trader_id, connection_type)
+);
+
 -- ============================================
 -- STATISTICS TABLE
 -- ============================================
 -- Trading performance data synced from Tradovate/TradeSyncer.
--- Updated hourly by cron jobs.
+-- Updated by every sync (see the scheduler in cron-sync.js).
 -- ============================================
 
 CREATE TABLE IF NOT EXISTS statistics (
@@ -52,6 +97,7 @@ CREATE TABLE IF NOT EXISTS statistics (
   trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
   total_profit DECIMAL(12, 2) DEFAULT 0,
   verified_payouts INTEGER DEFAULT 0,
+  total_payouts DECIMAL(12, 2) DEFAULT 0,
   monthly_profit DECIMAL(12, 2) DEFAULT 0,
   win_rate DECIMAL(5, 2) DEFAULT 0,
   total_trades INTEGER DEFAULT 0,
@@ -59,6 +105,23 @@ CREATE TABLE IF NOT EXISTS statistics (
   best_trade DECIMAL(10, 2) DEFAULT 0,
   worst_trade DECIMAL(10, 2) DEFAULT 0,
   profit_factor DECIMAL(6, 2) DEFAULT 0,
+  -- Risk metrics (see BaseAdapter.calculateStats)
+  max_drawdown DECIMAL(12, 2) DEFAULT 0,
+  max_drawdown_percent DECIMAL(8, 2) DEFAULT 0,
+  sharpe_ratio DECIMAL(8, 2) DEFAULT 0,
+  sortino_ratio DECIMAL(8, 2) DEFAULT 0,
+  expectancy DECIMAL(10, 2) DEFAULT 0,
+  avg_win DECIMAL(10, 2) DEFAULT 0,
+  avg_loss DECIMAL(10, 2) DEFAULT 0,
+  avg_win_loss_ratio DECIMAL(8, 2) DEFAULT 0,
+  longest_win_streak INTEGER DEFAULT 0,
+  longest_loss_streak INTEGER DEFAULT 0,
+  largest_losing_day DECIMAL(12, 2) DEFAULT 0,
+  -- Counted trades from statement uploads; > 0 = self-reported profile
+  self_reported_trades INTEGER DEFAULT 0,
+  -- Platform summary figures the last sync applied (e.g. TradeSyncer
+  -- totalProfit/winRate), so recalculations from stored trades keep them
+  platform_overrides JSONB,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
 
   UNIQUE(trader_id)
@@ -68,7 +131,7 @@ CREATE TABLE IF NOT EXISTS statistics (
 -- TRADE HISTORY TABLE (new)
 -- ============================================
 -- Stores individual trades for detailed analytics.
--- Synced from Tradovate or TradeSyncer.
+-- Synced from Tradovate, ProjectX or TradeSyncer.
 -- ============================================
 
 CREATE TABLE IF NOT EXISTS trade_history (
@@ -76,6 +139,7 @@ CREATE TABLE IF NOT EXISTS trade_history (
   trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
   external_trade_id TEXT,             -- Tradovate/TradeSyncer trade ID
   symbol TEXT NOT NULL,               -- e.g., 'ESH6', 'NQZ5'
+  product_root TEXT,                  -- e.g., 'ES', 'NQ' (symbol without expiry)
   side TEXT NOT NULL,                 -- 'buy' or 'sell'
   quantity INTEGER NOT NULL DEFAULT 1,
   entry_price DECIMAL(12, 4),
@@ -83,8 +147,88 @@ CREATE TABLE IF NOT EXISTS trade_history (
   profit DECIMAL(10, 2),
   opened_at TIMESTAMP WITH TIME ZONE,
   closed_at TIMESTAMP WITH TIME ZONE,
-  source TEXT DEFAULT 'tradovate',    -- 'tradovate' or 'tradesyncer'
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  source TEXT DEFAULT 'tradovate',    -- 'tradovate', 'projectx', 'tradesyncer' or 'import' (self-reported)
+  account_id TEXT,                    -- Platform account the trade belongs to
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Syncs upsert on this key, so history grows without duplicates
+  UNIQUE(trader_id, source, external_trade_id)
+);
+
+-- ============================================
+-- TRADE SYNC CURSORS TABLE
+-- ============================================
+-- Per-account high-water mark: close time of the newest stored trade.
+-- Incremental syncs only fetch trades at or after this timestamp.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS trade_sync_cursors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,               -- 'tradovate' or 'tradesyncer'
+  account_id TEXT NOT NULL,
+  last_closed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(trader_id, source, account_id)
+);
+
+-- ============================================
+-- TRADER ACCOUNTS TABLE
+-- ============================================
+-- One row per platform account (eval, funded, live) a trader has synced.
+-- Stats are recalculated from trade_history on every sync.
+-- include_in_leaderboard is set by the trader; excluded accounts still
+-- show on the profile but don't count toward leaderboard numbers.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS trader_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,               -- 'tradovate', 'projectx', 'tradesyncer' or 'import'
+  account_id TEXT NOT NULL,           -- Platform account ID
+  name TEXT,                          -- Platform account name
+  display_name TEXT,
+  account_type TEXT,                  -- e.g., 'Evaluation', 'Funded', 'Live'
+  balance DECIMAL(14, 2) DEFAULT 0,
+  active BOOLEAN DEFAULT TRUE,
+  include_in_leaderboard BOOLEAN DEFAULT TRUE,
+  -- Set by the trader on accounts that are one platform account seen through
+  -- several connections; only trades within a group are deduplicated
+  account_group TEXT,
+  total_profit DECIMAL(12, 2) DEFAULT 0,
+  win_rate DECIMAL(5, 2) DEFAULT 0,
+  total_trades INTEGER DEFAULT 0,
+  avg_trade_pnl DECIMAL(10, 2) DEFAULT 0,
+  best_trade DECIMAL(10, 2) DEFAULT 0,
+  worst_trade DECIMAL(10, 2) DEFAULT 0,
+  profit_factor DECIMAL(6, 2) DEFAULT 0,
+  first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(trader_id, source, account_id)
+);
+
+-- ============================================
+-- PAYOUTS TABLE
+-- ============================================
+-- Verified payouts: Tradovate cash balance withdrawals and TradeSyncer
+-- payout records. statistics.verified_payouts / total_payouts are
+-- counted from this table on every sync.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,               -- 'tradovate' or 'tradesyncer'
+  external_payout_id TEXT NOT NULL,   -- cashBalance entry ID / TradeSyncer payout ID
+  account_id TEXT,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0, -- Dollars paid out (positive)
+  paid_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(trader_id, source, external_payout_id)
 );
 
 -- ============================================
@@ -96,14 +240,87 @@ CREATE TABLE IF NOT EXISTS trade_history (
 CREATE TABLE IF NOT EXISTS sync_log (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
-  source TEXT NOT NULL,               -- 'tradovate' or 'tradesyncer'
+  source TEXT NOT NULL,               -- 'tradovate', 'projectx', 'tradesyncer' or 'import'
   status TEXT NOT NULL,               -- 'success', 'failed', 'partial'
   trades_synced INTEGER DEFAULT 0,
   error_message TEXT,
+  error_code TEXT,                    -- 'auth', 'upstream_down', 'rate_limited', 'upstream', 'timeout', 'parse', 'db', 'unknown'
+  data_source TEXT,                   -- 'fillPair', 'fill', 'cashBalance', 'tradesyncer', 'mixed', 'none'
+  duration_ms INTEGER,
+  telemetry JSONB,                    -- { requests, failedRequests, retries, endpoints: {...}, accounts: {...} }
   started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   completed_at TIMESTAMP WITH TIME ZONE
 );
 
+-- ============================================
+-- TOKEN RENEWALS TABLE
+-- ============================================
+-- One row per Tradovate token renewal attempt, from the renewal pass
+-- ('scheduled') or from a sync that found the token stale ('sync').
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS token_renewals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+  trigger TEXT,                       -- 'scheduled' or 'sync'
+  status TEXT NOT NULL,               -- 'renewed', 'failed' (will retry), 'expired' (re-auth needed)
+  previous_expires_at TIMESTAMP WITH TIME ZONE,
+  new_expires_at TIMESTAMP WITH TIME ZONE,
+  error_code TEXT,                    -- e.g. 'HTTP_ERROR', 'TIMEOUT', 'TOKEN_REJECTED'
+  error_message TEXT,
+  attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- SYNC JOBS TABLE
+-- ============================================
+-- One row per triggered sync (all traders, or one trader at signup).
+-- Progress and per-trader results are written as each trader finishes.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS sync_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL,                 -- 'all', 'trader' or 'scheduled'
+  trigger TEXT,                       -- 'api', 'signup', 'link', 'scheduler', 'manual'
+  status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'succeeded', 'failed'
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE, -- Set for 'trader' jobs
+  dry_run BOOLEAN DEFAULT FALSE,      -- Diffs only; nothing was written
+  total INTEGER DEFAULT 0,
+  completed INTEGER DEFAULT 0,
+  succeeded INTEGER DEFAULT 0,
+  failed INTEGER DEFAULT 0,
+  timed_out INTEGER DEFAULT 0,
+  results JSONB DEFAULT '[]'::jsonb,  -- [{ trader, success, durationMs, totalTrades?, error?, timedOut?, diff? }]
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================
+-- EQUITY SNAPSHOTS TABLE
+-- ============================================
+-- One row per trader per UTC day, written by every sync.
+-- Later syncs on the same day overwrite that day's row.
+-- Feeds the equity curve on profile pages.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS equity_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  cumulative_pnl DECIMAL(12, 2) DEFAULT 0,
+  total_balance DECIMAL(14, 2) DEFAULT 0,
+  account_balances JSONB DEFAULT '{}'::jsonb, -- { "<accountId>": { "name": ..., "balance": ... } }
+  total_trades INTEGER DEFAULT 0,
+  win_rate DECIMAL(5, 2) DEFAULT 0,
+  profit_factor DECIMAL(6, 2) DEFAULT 0,
+  verified_payouts INTEGER DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(trader_id, snapshot_date)
+);
+
 -- ============================================
 -- INDEXES
 -- ============================================
@@ -111,11 +328,367 @@ CREATE TABLE IF NOT EXISTS sync_log (
 CREATE INDEX IF NOT EXISTS idx_traders_twitter ON traders(twitter_username);
 CREATE INDEX IF NOT EXISTS idx_traders_connection ON traders(connection_type);
 CREATE INDEX IF NOT EXISTS idx_traders_prop_firm ON traders(prop_firm);
+CREATE INDEX IF NOT EXISTS idx_traders_next_sync_at ON traders(next_sync_at);
 CREATE INDEX IF NOT EXISTS idx_statistics_trader_id ON statistics(trader_id);
 CREATE INDEX IF NOT EXISTS idx_statistics_total_profit ON statistics(total_profit DESC);
 CREATE INDEX IF NOT EXISTS idx_trade_history_trader_id ON trade_history(trader_id);
 CREATE INDEX IF NOT EXISTS idx_trade_history_closed_at ON trade_history(closed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trade_history_trader_symbol ON trade_history(trader_id, symbol);
+CREATE INDEX IF NOT EXISTS idx_trade_history_trader_root ON trade_history(trader_id, product_root);
+CREATE INDEX IF NOT EXISTS idx_trader_accounts_trader_id ON trader_accounts(trader_id);
+CREATE INDEX IF NOT EXISTS idx_trader_connections_trader_id ON trader_connections(trader_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_trader_paid_at ON payouts(trader_id, paid_at);
 CREATE INDEX IF NOT EXISTS idx_sync_log_trader_id ON sync_log(trader_id);
+CREATE INDEX IF NOT EXISTS idx_sync_log_started_at ON sync_log(started_at);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_token_renewals_trader_attempted ON token_renewals(trader_id, attempted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_equity_snapshots_trader_date ON equity_snapshots(trader_id, snapshot_date);
+
+-- ============================================
+-- LEADERBOARD FUNCTION
+-- ============================================
+-- One row per trader with the statistics the leaderboard shows, for
+-- GET /api/traders (routes/traders.js). Only public columns: never
+-- credentials or tokens. Returns a table type so callers can filter,
+-- order and page the result over RPC. Adding a column changes the
+-- return type: drop the function before re-creating it.
+-- ============================================
+
+DROP FUNCTION IF EXISTS get_traders_with_stats();
+
+CREATE FUNCTION get_traders_with_stats()
+RETURNS TABLE (
+  id UUID,
+  twitter_username TEXT,
+  avatar TEXT,
+  account_created TIMESTAMP WITH TIME ZONE,
+  prop_firm TEXT,
+  prop_firm_display TEXT,
+  connection_type TEXT,
+  total_accounts_linked INTEGER,
+  auth_status TEXT,
+  total_profit DECIMAL(12, 2),
+  verified_payouts INTEGER,
+  total_payouts DECIMAL(12, 2),
+  monthly_profit DECIMAL(12, 2),
+  win_rate DECIMAL(5, 2),
+  total_trades INTEGER,
+  profit_factor DECIMAL(6, 2),
+  max_drawdown DECIMAL(12, 2),
+  max_drawdown_percent DECIMAL(8, 2),
+  sharpe_ratio DECIMAL(8, 2),
+  sortino_ratio DECIMAL(8, 2),
+  expectancy DECIMAL(10, 2),
+  avg_win DECIMAL(10, 2),
+  avg_loss DECIMAL(10, 2),
+  avg_win_loss_ratio DECIMAL(8, 2),
+  longest_win_streak INTEGER,
+  longest_loss_streak INTEGER,
+  largest_losing_day DECIMAL(12, 2),
+  self_reported_trades INTEGER,
+  updated_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.id, t.twitter_username, t.avatar, t.account_created, t.prop_firm, t.prop_firm_display,
+    t.connection_type, COALESCE(t.total_accounts_linked, 0), COALESCE(t.auth_status, 'active'),
+    COALESCE(s.total_profit, 0), COALESCE(s.verified_payouts, 0), COALESCE(s.total_payouts, 0),
+    COALESCE(s.monthly_profit, 0), COALESCE(s.win_rate, 0), COALESCE(s.total_trades, 0),
+    COALESCE(s.profit_factor, 0), COALESCE(s.max_drawdown, 0), COALESCE(s.max_drawdown_percent, 0),
+    COALESCE(s.sharpe_ratio, 0), COALESCE(s.sortino_ratio, 0), COALESCE(s.expectancy, 0),
+    COALESCE(s.avg_win, 0), COALESCE(s.avg_loss, 0), COALESCE(s.avg_win_loss_ratio, 0),
+    COALESCE(s.longest_win_streak, 0), COALESCE(s.longest_loss_streak, 0),
+    COALESCE(s.largest_losing_day, 0), COALESCE(s.self_reported_trades, 0), COALESCE(s.updated_at, t.updated_at)
+  FROM traders t
+  LEFT JOIN statistics s ON s.trader_id = t.id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_traders_with_stats() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_traders_with_stats() TO service_role;
+
+-- ============================================
+-- TRADE HISTORY SUMMARY FUNCTION
+-- ============================================
+-- Per-symbol aggregates of one trader's trades matching the trade history
+-- filters (NULL = no filter), for the summary on
+-- GET /api/traders/:username/trades. The API combines the rows into totals
+-- (utils/trades.summarizeSymbolAggregates) and pages the trades themselves
+-- with a range query, so neither loads the whole history.
+-- ============================================
+
+CREATE OR REPLACE FUNCTION summarize_trade_history(
+  p_trader_id UUID,
+  p_start TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_end TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_symbol TEXT DEFAULT NULL,
+  p_root TEXT DEFAULT NULL,
+  p_side TEXT DEFAULT NULL,
+  p_account_id TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  symbol TEXT,
+  trades INTEGER,
+  profit DECIMAL,
+  winners INTEGER,
+  gross_wins DECIMAL,
+  gross_losses DECIMAL,
+  best_trade DECIMAL,
+  worst_trade DECIMAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT h.symbol,
+    COUNT(*)::INTEGER,
+    COALESCE(SUM(h.profit), 0),
+    (COUNT(*) FILTER (WHERE h.profit > 0))::INTEGER,
+    COALESCE(SUM(h.profit) FILTER (WHERE h.profit > 0), 0),
+    COALESCE(-SUM(h.profit) FILTER (WHERE h.profit < 0), 0),
+    COALESCE(MAX(h.profit), 0),
+    COALESCE(MIN(h.profit), 0)
+  FROM trade_history h
+  WHERE h.trader_id = p_trader_id
+    AND (p_start IS NULL OR h.closed_at >= p_start)
+    AND (p_end IS NULL OR h.closed_at < p_end)
+    AND (p_symbol IS NULL OR h.symbol = p_symbol)
+    AND (p_root IS NULL OR h.product_root = p_root)
+    AND (p_side IS NULL OR h.side = p_side)
+    AND (p_account_id IS NULL OR h.account_id = p_account_id)
+  GROUP BY h.symbol;
+$$;
+
+REVOKE EXECUTE ON FUNCTION summarize_trade_history(UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION summarize_trade_history(UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, TEXT, TEXT) TO service_role;
+
+-- ============================================
+-- APPLY TRADER SYNC FUNCTION
+-- ============================================
+-- Writes the whole result of one trader sync in a single transaction:
+-- trades (and removal of cross-connection duplicates), sync cursors,
+-- payouts, account rows, statistics, the equity snapshot, the traders row,
+-- per-connection status and the sync_log row. If any statement fails
+-- the function raises and nothing from the sync is stored.
+-- Called over RPC by services/tradeStore.applyTraderSync with a payload
+-- from utils/syncWrite.buildSyncWrite; sections left out are skipped.
+-- Every row is written for payload->>'trader_id', whatever the rows say.
+-- Returns the row counts actually written.
+-- ============================================
+
+CREATE OR REPLACE FUNCTION apply_trader_sync(payload JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_trader_id UUID := (payload->>'trader_id')::UUID;
+  v_trades INTEGER := 0;
+  v_trades_inserted INTEGER := 0;
+  v_trades_removed INTEGER := 0;
+  v_cursors INTEGER := 0;
+  v_payouts INTEGER := 0;
+  v_accounts INTEGER := 0;
+  v_count INTEGER := 0;
+  v_sync_log_id UUID;
+BEGIN
+  IF v_trader_id IS NULL THEN
+    RAISE EXCEPTION 'apply_trader_sync: trader_id is required';
+  END IF;
+
+  -- Stored trades another connection also reported (kept from the preferred source)
+  DELETE FROM trade_history h
+  USING jsonb_populate_recordset(NULL::trade_history, COALESCE(payload->'removed_trades', '[]'::JSONB)) AS r
+  WHERE h.trader_id = v_trader_id AND h.source = r.source AND h.external_trade_id = r.external_trade_id;
+  GET DIAGNOSTICS v_trades_removed = ROW_COUNT;
+
+  -- Trades: history only grows; re-fetched trades are updated in place.
+  -- xmax = 0 marks rows that were inserted rather than updated.
+  WITH written AS (
+    INSERT INTO trade_history (trader_id, external_trade_id, account_id, symbol, product_root, side,
+      quantity, entry_price, exit_price, profit, opened_at, closed_at, source)
+    SELECT v_trader_id, t.external_trade_id, t.account_id, t.symbol, t.product_root, t.side,
+      t.quantity, t.entry_price, t.exit_price, t.profit, t.opened_at, t.closed_at, t.source
+    FROM jsonb_populate_recordset(NULL::trade_history, COALESCE(payload->'trades', '[]'::JSONB)) AS t
+    ON CONFLICT (trader_id, source, external_trade_id) DO UPDATE SET
+      account_id = EXCLUDED.account_id,
+      symbol = EXCLUDED.symbol,
+      product_root = EXCLUDED.product_root,
+      side = EXCLUDED.side,
+      quantity = EXCLUDED.quantity,
+      entry_price = EXCLUDED.entry_price,
+      exit_price = EXCLUDED.exit_price,
+      profit = EXCLUDED.profit,
+      opened_at = EXCLUDED.opened_at,
+      closed_at = EXCLUDED.closed_at
+    RETURNING (xmax = 0) AS inserted
+  )
+  SELECT COUNT(*), COUNT(*) FILTER (WHERE inserted) INTO v_trades, v_trades_inserted FROM written;
+
+  INSERT INTO trade_sync_cursors (trader_id, source, account_id, last_closed_at, updated_at)
+  SELECT v_trader_id, c.source, c.account_id, c.last_closed_at, COALESCE(c.updated_at, NOW())
+  FROM jsonb_populate_recordset(NULL::trade_sync_cursors, COALESCE(payload->'cursors', '[]'::JSONB)) AS c
+  ON CONFLICT (trader_id, source, account_id) DO UPDATE SET
+    last_closed_at = EXCLUDED.last_closed_at,
+    updated_at = EXCLUDED.updated_at;
+  GET DIAGNOSTICS v_cursors = ROW_COUNT;
+
+  INSERT INTO payouts (trader_id, source, external_payout_id, account_id, amount, paid_at)
+  SELECT v_trader_id, p.source, p.external_payout_id, p.account_id, p.amount, p.paid_at
+  FROM jsonb_populate_recordset(NULL::payouts, COALESCE(payload->'payouts', '[]'::JSONB)) AS p
+  ON CONFLICT (trader_id, source, external_payout_id) DO UPDATE SET
+    account_id = EXCLUDED.account_id,
+    amount = EXCLUDED.amount,
+    paid_at = EXCLUDED.paid_at;
+  GET DIAGNOSTICS v_payouts = ROW_COUNT;
+
+  -- Accounts returned by the platform: metadata and stats.
+  -- include_in_leaderboard belongs to the trader and is never written here.
+  INSERT INTO trader_accounts (trader_id, source, account_id, name, display_name, account_type, balance,
+    active, total_profit, win_rate, total_trades, avg_trade_pnl, best_trade, worst_trade, profit_factor,
+    last_seen_at, updated_at)
+  SELECT v_trader_id, a.source, a.account_id, a.name, a.display_name, a.account_type, a.balance,
+    a.active, a.total_profit, a.win_rate, a.total_trades, a.avg_trade_pnl, a.best_trade, a.worst_trade,
+    a.profit_factor, a.last_seen_at, COALESCE(a.updated_at, NOW())
+  FROM jsonb_populate_recordset(NULL::trader_accounts, COALESCE(payload->'accounts'->'seen', '[]'::JSONB)) AS a
+  ON CONFLICT (trader_id, source, account_id) DO UPDATE SET
+    name = EXCLUDED.name,
+    display_name = EXCLUDED.display_name,
+    account_type = EXCLUDED.account_type,
+    balance = EXCLUDED.balance,
+    active = EXCLUDED.active,
+    total_profit = EXCLUDED.total_profit,
+    win_rate = EXCLUDED.win_rate,
+    total_trades = EXCLUDED.total_trades,
+    avg_trade_pnl = EXCLUDED.avg_trade_pnl,
+    best_trade = EXCLUDED.best_trade,
+    worst_trade = EXCLUDED.worst_trade,
+    profit_factor = EXCLUDED.profit_factor,
+    last_seen_at = EXCLUDED.last_seen_at,
+    updated_at = EXCLUDED.updated_at;
+  GET DIAGNOSTICS v_accounts = ROW_COUNT;
+
+  -- Accounts only found in stored history: stats only, metadata untouched
+  INSERT INTO trader_accounts (trader_id, source, account_id, total_profit, win_rate, total_trades,
+    avg_trade_pnl, best_trade, worst_trade, profit_factor, updated_at)
+  SELECT v_trader_id, a.source, a.account_id, a.total_profit, a.win_rate, a.total_trades,
+    a.avg_trade_pnl, a.best_trade, a.worst_trade, a.profit_factor, COALESCE(a.updated_at, NOW())
+  FROM jsonb_populate_recordset(NULL::trader_accounts, COALESCE(payload->'accounts'->'statsOnly', '[]'::JSONB)) AS a
+  ON CONFLICT (trader_id, source, account_id) DO UPDATE SET
+    total_profit = EXCLUDED.total_profit,
+    win_rate = EXCLUDED.win_rate,
+    total_trades = EXCLUDED.total_trades,
+    avg_trade_pnl = EXCLUDED.avg_trade_pnl,
+    best_trade = EXCLUDED.best_trade,
+    worst_trade = EXCLUDED.worst_trade,
+    profit_factor = EXCLUDED.profit_factor,
+    updated_at = EXCLUDED.updated_at;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_accounts := v_accounts + v_count;
+
+  IF payload ? 'statistics' THEN
+    INSERT INTO statistics (trader_id, total_profit, verified_payouts, total_payouts, monthly_profit,
+      win_rate, total_trades, avg_trade_pnl, best_trade, worst_trade, profit_factor, max_drawdown,
+      max_drawdown_percent, sharpe_ratio, sortino_ratio, expectancy, avg_win, avg_loss,
+      avg_win_loss_ratio, longest_win_streak, longest_loss_streak, largest_losing_day,
+      self_reported_trades, platform_overrides, updated_at)
+    SELECT v_trader_id, s.total_profit, s.verified_payouts, s.total_payouts, s.monthly_profit,
+      s.win_rate, s.total_trades, s.avg_trade_pnl, s.best_trade, s.worst_trade, s.profit_factor,
+      s.max_drawdown, s.max_drawdown_percent, s.sharpe_ratio, s.sortino_ratio, s.expectancy, s.avg_win,
+      s.avg_loss, s.avg_win_loss_ratio, s.longest_win_streak, s.longest_loss_streak,
+      s.largest_losing_day, COALESCE(s.self_reported_trades, 0), s.platform_overrides, COALESCE(s.updated_at, NOW())
+    FROM jsonb_populate_record(NULL::statistics, payload->'statistics') AS s
+    ON CONFLICT (trader_id) DO UPDATE SET
+      total_profit = EXCLUDED.total_profit,
+      verified_payouts = EXCLUDED.verified_payouts,
+      total_payouts = EXCLUDED.total_payouts,
+      monthly_profit = EXCLUDED.monthly_profit,
+      win_rate = EXCLUDED.win_rate,
+      total_trades = EXCLUDED.total_trades,
+      avg_trade_pnl = EXCLUDED.avg_trade_pnl,
+      best_trade = EXCLUDED.best_trade,
+      worst_trade = EXCLUDED.worst_trade,
+      profit_factor = EXCLUDED.profit_factor,
+      max_drawdown = EXCLUDED.max_drawdown,
+      max_drawdown_percent = EXCLUDED.max_drawdown_percent,
+      sharpe_ratio = EXCLUDED.sharpe_ratio,
+      sortino_ratio = EXCLUDED.sortino_ratio,
+      expectancy = EXCLUDED.expectancy,
+      avg_win = EXCLUDED.avg_win,
+      avg_loss = EXCLUDED.avg_loss,
+      avg_win_loss_ratio = EXCLUDED.avg_win_loss_ratio,
+      longest_win_streak = EXCLUDED.longest_win_streak,
+      longest_loss_streak = EXCLUDED.longest_loss_streak,
+      largest_losing_day = EXCLUDED.largest_losing_day,
+      self_reported_trades = EXCLUDED.self_reported_trades,
+      -- Stream writes and recalculations don't send it: keep what the last sync stored
+      platform_overrides = COALESCE(EXCLUDED.platform_overrides, statistics.platform_overrides),
+      updated_at = EXCLUDED.updated_at;
+  END IF;
+
+  IF payload ? 'equity_snapshot' THEN
+    INSERT INTO equity_snapshots (trader_id, snapshot_date, cumulative_pnl, total_balance,
+      account_balances, total_trades, win_rate, profit_factor, verified_payouts, updated_at)
+    SELECT v_trader_id, e.snapshot_date, e.cumulative_pnl, e.total_balance, e.account_balances,
+      e.total_trades, e.win_rate, e.profit_factor, e.verified_payouts, COALESCE(e.updated_at, NOW())
+    FROM jsonb_populate_record(NULL::equity_snapshots, payload->'equity_snapshot') AS e
+    ON CONFLICT (trader_id, snapshot_date) DO UPDATE SET
+      cumulative_pnl = EXCLUDED.cumulative_pnl,
+      total_balance = EXCLUDED.total_balance,
+      account_balances = EXCLUDED.account_balances,
+      total_trades = EXCLUDED.total_trades,
+      win_rate = EXCLUDED.win_rate,
+      profit_factor = EXCLUDED.profit_factor,
+      verified_payouts = EXCLUDED.verified_payouts,
+      updated_at = EXCLUDED.updated_at;
+  END IF;
+
+  -- Only the columns present in payload->'trader' are changed
+  -- (fill stream writes carry last_trade_at and updated_at only)
+  IF payload ? 'trader' THEN
+    UPDATE traders t SET
+      known_account_ids = CASE WHEN payload->'trader' ? 'known_account_ids' THEN u.known_account_ids ELSE t.known_account_ids END,
+      total_accounts_linked = CASE WHEN payload->'trader' ? 'total_accounts_linked' THEN u.total_accounts_linked ELSE t.total_accounts_linked END,
+      updated_at = CASE WHEN payload->'trader' ? 'updated_at' THEN u.updated_at ELSE t.updated_at END,
+      last_synced_at = CASE WHEN payload->'trader' ? 'last_synced_at' THEN u.last_synced_at ELSE t.last_synced_at END,
+      last_trade_at = CASE WHEN payload->'trader' ? 'last_trade_at' THEN u.last_trade_at ELSE t.last_trade_at END,
+      next_sync_at = CASE WHEN payload->'trader' ? 'next_sync_at' THEN u.next_sync_at ELSE t.next_sync_at END
+    FROM jsonb_populate_record(NULL::traders, payload->'trader') AS u
+    WHERE t.id = v_trader_id;
+  END IF;
+
+  -- Last sync status of each fetched connection
+  UPDATE trader_connections tc SET
+    last_synced_at = c.last_synced_at,
+    last_sync_status = c.last_sync_status,
+    last_sync_error = c.last_sync_error,
+    updated_at = NOW()
+  FROM jsonb_populate_recordset(NULL::trader_connections, COALESCE(payload->'connections', '[]'::JSONB)) AS c
+  WHERE tc.trader_id = v_trader_id AND tc.connection_type = c.connection_type;
+
+  -- The sync_log row reports the trades this transaction actually wrote
+  IF payload ? 'sync_log' THEN
+    INSERT INTO sync_log (trader_id, source, status, trades_synced, error_message, error_code,
+      data_source, duration_ms, telemetry, started_at, completed_at)
+    SELECT v_trader_id, l.source, l.status, v_trades, l.error_message, l.error_code,
+      l.data_source, l.duration_ms, l.telemetry, l.started_at, COALESCE(l.completed_at, NOW())
+    FROM jsonb_populate_record(NULL::sync_log, payload->'sync_log') AS l
+    RETURNING id INTO v_sync_log_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'trades_written', v_trades,
+    'trades_inserted', v_trades_inserted,
+    'trades_removed', v_trades_removed,
+    'cursors_written', v_cursors,
+    'payouts_written', v_payouts,
+    'accounts_written', v_accounts,
+    'sync_log_id', v_sync_log_id
+  );
+END;
+$$;
+
+-- Only the server's service role may call it over RPC
+REVOKE EXECUTE ON FUNCTION apply_trader_sync(JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_trader_sync(JSONB) TO service_role;
 
 -- ============================================
 -- MIGRATION: Add new columns to existing tables
@@ -126,7 +699,7 @@ CREATE INDEX IF NOT EXISTS idx_sync_log_trader_id ON sync_log(trader_id);
 -- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_username TEXT;
 -- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_access_token TEXT;
 -- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_refresh_token TEXT;
--- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_token_expiry TIMESTAMP WITH TIME ZONE;
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_token_expires_at TIMESTAMP WITH TIME ZONE;
 -- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_account_ids TEXT[];
 -- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradesyncer_api_key TEXT;
 -- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradesyncer_account_id TEXT;
@@ -137,4 +710,140 @@ CREATE INDEX IF NOT EXISTS idx_sync_log_trader_id ON sync_log(trader_id);
 -- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS best_trade DECIMAL(10, 2) DEFAULT 0;
 -- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS worst_trade DECIMAL(10, 2) DEFAULT 0;
 -- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS profit_factor DECIMAL(6, 2) DEFAULT 0;
+--
+-- Incremental trade sync (dedupe existing rows before adding the unique key):
+--
+-- ALTER TABLE trade_history ADD COLUMN IF NOT EXISTS account_id TEXT;
+-- DELETE FROM trade_history a USING trade_history b
+--   WHERE a.trader_id = b.trader_id AND a.source = b.source
+--     AND a.external_trade_id = b.external_trade_id AND a.created_at < b.created_at;
+-- ALTER TABLE trade_history ADD CONSTRAINT trade_history_trader_source_external_key
+--   UNIQUE (trader_id, source, external_trade_id);
+--
+-- Resolved futures symbols:
+--
+-- ALTER TABLE trade_history ADD COLUMN IF NOT EXISTS product_root TEXT;
+--
+-- Trade history summaries: create the summarize_trade_history function above
+-- (GET /api/traders/:username/trades fails until it exists).
+--
+-- Round trips from raw Tradovate fills: older syncs stored each fill as a
+-- trade (exit_price NULL). Remove them and reset cursors so the next sync
+-- rebuilds those accounts as FIFO-matched round trips:
+--
+-- DELETE FROM trade_history WHERE source = 'tradovate' AND exit_price IS NULL;
+-- DELETE FROM trade_sync_cursors WHERE source = 'tradovate';
+--
+-- Per-account stats: create the trader_accounts table above. Rows are
+-- filled in by the next sync; every account starts included.
+--
+-- Payout tracking: create the payouts table above, then
+--
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS total_payouts DECIMAL(12, 2) DEFAULT 0;
+--
+-- Only Tradovate withdrawals are payouts; earlier versions also stored negative
+-- Transfer and FundTransaction entries (moves between accounts, fees). Stored
+-- rows don't record the entry type, so clear them and let the next sync
+-- re-detect withdrawals from the full cash balance history. Then create the
+-- get_traders_with_stats function above so the leaderboard returns total_payouts:
+--
+-- DELETE FROM payouts WHERE source = 'tradovate';
+--
+-- Risk metrics (filled in by the next sync, or POST /api/sync/recalculate/:username):
+--
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS max_drawdown DECIMAL(12, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS max_drawdown_percent DECIMAL(8, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS sharpe_ratio DECIMAL(8, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS sortino_ratio DECIMAL(8, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS expectancy DECIMAL(10, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS avg_win DECIMAL(10, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS avg_loss DECIMAL(10, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS avg_win_loss_ratio DECIMAL(8, 2) DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS longest_win_streak INTEGER DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS longest_loss_streak INTEGER DEFAULT 0;
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS largest_losing_day DECIMAL(12, 2) DEFAULT 0;
+--
+-- and re-create the get_traders_with_stats function above so leaderboard rows carry them.
+--
+-- Async sync jobs: create the sync_jobs table above.
+--
+-- Scheduled syncs (every trader starts due; intervals settle after one sync):
+--
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS auth_status TEXT DEFAULT 'active';
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP WITH TIME ZONE;
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS last_trade_at TIMESTAMP WITH TIME ZONE;
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS next_sync_at TIMESTAMP WITH TIME ZONE;
+-- CREATE INDEX IF NOT EXISTS idx_traders_next_sync_at ON traders(next_sync_at);
+--
+-- Token renewal: create the token_renewals table above, then
+--
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_token_expires_at TIMESTAMP WITH TIME ZONE;
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS token_last_renewed_at TIMESTAMP WITH TIME ZONE;
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS token_renewal_failures INTEGER DEFAULT 0;
+--
+-- (Earlier versions of this file named the expiry column tradovate_token_expiry;
+-- the code has always written tradovate_token_expires_at.)
+--
+-- Sync telemetry (older rows keep NULLs and are still counted by the dashboard):
+--
+-- ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS error_code TEXT;
+-- ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS data_source TEXT;
+-- ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+-- ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS telemetry JSONB;
+-- CREATE INDEX IF NOT EXISTS idx_sync_log_started_at ON sync_log(started_at);
+--
+-- Atomic sync writes: create the apply_trader_sync function above (syncs
+-- fail until it exists). Its traders update needs these columns, which the
+-- code has always written but earlier versions of this file left out:
+--
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS known_account_ids TEXT[] DEFAULT '{}';
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS total_accounts_linked INTEGER DEFAULT 0;
+--
+-- Dry-run syncs:
+--
+-- ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS dry_run BOOLEAN DEFAULT FALSE;
+--
+-- Fill streaming: re-run the apply_trader_sync definition above; its traders
+-- update now only sets the columns the payload carries.
+--
+-- Trader-initiated syncs (POST /api/traders/me/sync cooldown):
+--
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS manual_sync_requested_at TIMESTAMP WITH TIME ZONE;
+--
+-- Multiple connections per trader: create the trader_connections table and
+-- re-run the apply_trader_sync definition above, then backfill a row per
+-- linked platform ('both' meant Tradovate and TradeSyncer):
+--
+-- INSERT INTO trader_connections (trader_id, connection_type, created_at)
+--   SELECT id, unnest(CASE connection_type WHEN 'both' THEN ARRAY['tradovate', 'tradesyncer']
+--     ELSE ARRAY[connection_type] END), created_at
+--   FROM traders WHERE connection_type IS NOT NULL AND connection_type <> 'none'
+--   ON CONFLICT (trader_id, connection_type) DO NOTHING;
+-- UPDATE traders SET connection_type = 'multiple' WHERE connection_type = 'both';
+--
+-- Cross-connection duplicates are only removed between accounts the trader
+-- has mapped to each other (POST /api/traders/me/accounts/groups):
+--
+-- ALTER TABLE trader_accounts ADD COLUMN IF NOT EXISTS account_group TEXT;
+--
+-- Per-trader Tradovate environment (NULL until the trader's next sync
+-- detects it; see adapters/tradovateEnvironment.js):
+--
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS tradovate_environment TEXT;
+--
+-- Statement imports (self-reported profiles): re-run the apply_trader_sync
+-- definition above and re-create the get_traders_with_stats function (so the
+-- leaderboard can tell self-reported profiles apart) after adding:
+--
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS self_reported_trades INTEGER DEFAULT 0;
+--
+-- ProjectX (TopstepX) connections:
+--
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS projectx_username TEXT;
+-- ALTER TABLE traders ADD COLUMN IF NOT EXISTS projectx_api_key TEXT;
+--
+-- Platform summary figures kept across recalculations: re-run the
+-- apply_trader_sync definition above after adding:
+--
+-- ALTER TABLE statistics ADD COLUMN IF NOT EXISTS platform_overrides JSONB;
 -- ============================================
@@ -44,12 +44,17 @@ function validateTwitterUsername(username) {
 }
 
 /**
- * Validate a connection type.
+ * Validate a stored connection type: any registered adapter (adapters/index),
+ * 'multiple' (several connections) or 'none'.
  * @param {string} type
  * @returns {boolean}
  */
 function validateConnectionType(type) {
-  return type === 'tradovate' || type === 'tradesyncer' || type === 'none';
+  if (type === 'none') return true;
+  // Required here rather than at the top: adapters load utils that use this module
+  const { isConnectionSupported } = require('../adapters');
+  const { MULTIPLE_CONNECTIONS } = require('../utils/connections');
+  return typeof type === 'string' && (type === MULTIPLE_CONNECTIONS || isConnectionSupported(type));
 }
 
 /**
@@ -75,12 +80,39 @@ function sanitizeString(str) {
   return str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '').trim();
 }
 
+/**
+ * Parse a non-negative integer query string param.
+ * Rejects arrays (repeated keys), signs, decimals and anything over 9 digits.
+ * @param {*} value
+ * @returns {number|null|undefined} - undefined if absent, null if invalid
+ */
+function parseIntegerParam(value) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string' || !/^\d{1,9}$/.test(value)) return null;
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a boolean query string flag: 'true'/'1' or 'false'/'0'.
+ * @param {*} value
+ * @returns {boolean|null|undefined} - undefined if absent, null if invalid
+ */
+function parseBooleanParam(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return null;
+}
+
 /**
  * Validate sort parameters to prevent injection via query strings.
  */
 const ALLOWED_SORT_FIELDS = [
   'totalProfit', 'winRate', 'totalTrades', 'monthlyProfit',
-  'verifiedPayouts', 'profitFactor', 'updatedAt',
+  'verifiedPayouts', 'totalPayouts', 'profitFactor', 'updatedAt',
+  'maxDrawdown', 'maxDrawdownPercent', 'sharpeRatio', 'sortinoRatio',
+  'expectancy', 'avgWinLossRatio', 'longestWinStreak', 'longestLossStreak',
+  'largestLosingDay',
 ];
 
 function validateSortField(field) {
@@ -92,6 +124,8 @@ module.exports = {
   validateConnectionType,
   validateHexToken,
   sanitizeString,
+  parseIntegerParam,
+  parseBooleanParam,
   validateSortField,
   TWITTER_USERNAME_REGEX,
 };
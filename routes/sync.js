@@ -1,231 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { decrypt, encrypt } = require('../utils/encryption');
-const { getAdapter } = require('../adapters');
+const { getConnection, getConnectionTypes } = require('../adapters');
+const { readCredentials } = require('../adapters/registry');
 const { logSecurityEvent } = require('../middleware/auditLogger');
-const { validateTwitterUsername, validateConnectionType } = require('../middleware/inputSanitizer');
-
-// ============================================
-// SYNC SINGLE TRADER (internal helper)
-// CJIS 5.4: All data modifications are audit logged
-// ============================================
+const { validateTwitterUsername, sanitizeString, parseBooleanParam } = require('../middleware/inputSanitizer');
+const { recalculateTraderStats } = require('../services/tradeStore');
+const { enqueueSyncJob, getSyncJob } = require('../services/syncJobs');
+const { getFillStreamStatus } = require('../services/fillStream');
+const { isValidJobId, serializeSyncJob } = require('../utils/syncJobs');
+const { fetchAllRows } = require('../utils/fetchAll');
+const { parsePositiveInt } = require('../utils/env');
+const { buildSyncDashboard, DEFAULT_DASHBOARD_DAYS, MAX_DASHBOARD_DAYS } = require('../utils/syncDashboard');
 
 /**
- * Sync a Tradovate trader using stored access token.
- * Handles token expiry checks and renewal fallback.
+ * ?dryRun=true: fetch and compute without writing; job results carry diffs.
+ * @returns {boolean|null} - null if the value is invalid
  */
-async function syncTradovateTrader(trader, adapter) {
-  // Skip traders already marked as expired
-  if (trader.auth_status === 'expired') {
-    logSecurityEvent('SYNC_SKIPPED_EXPIRED', { username: trader.twitter_username });
-    return { skipped: true, reason: 'Token expired — awaiting re-authentication' };
-  }
-
-  // Check if token has passed its expiration time
-  if (trader.tradovate_token_expires_at) {
-    const expiresAt = new Date(trader.tradovate_token_expires_at);
-    if (expiresAt <= new Date()) {
-      await db.from('traders').update({ auth_status: 'expired' }).eq('id', trader.id);
-      logSecurityEvent('TOKEN_EXPIRED', { username: trader.twitter_username });
-      return { skipped: true, reason: 'Token expired — awaiting re-authentication' };
-    }
-  }
-
-  const storedToken = trader.tradovate_access_token ? decrypt(trader.tradovate_access_token) : '';
-  if (!storedToken) {
-    await db.from('traders').update({ auth_status: 'expired' }).eq('id', trader.id);
-    return { skipped: true, reason: 'No access token stored' };
-  }
-
-  try {
-    // Try sync with the stored token
-    return await adapter.syncWithToken({ accessToken: storedToken });
-  } catch (error) {
-    // On auth failure, attempt token renewal
-    if (error.message?.includes('401') || error.message?.includes('authentication') || error.message?.includes('Unauthorized')) {
-      logSecurityEvent('TOKEN_RENEWAL_ATTEMPT', { username: trader.twitter_username });
-      try {
-        const renewed = await adapter.renewToken(storedToken);
-        // Store the renewed token
-        await db.from('traders').update({
-          tradovate_access_token: encrypt(renewed.accessToken),
-          tradovate_token_expires_at: renewed.expirationTime,
-          auth_status: 'active',
-        }).eq('id', trader.id);
-        logSecurityEvent('TOKEN_RENEWED', { username: trader.twitter_username });
-        // Retry sync with renewed token
-        return await adapter.syncWithToken({ accessToken: renewed.accessToken });
-      } catch (renewError) {
-        // Renewal failed — mark as expired so user re-authenticates
-        await db.from('traders').update({ auth_status: 'expired' }).eq('id', trader.id);
-        logSecurityEvent('TOKEN_RENEWAL_FAILED', { username: trader.twitter_username });
-        throw new Error('Access token expired and renewal failed. Re-authentication required.');
-      }
-    }
-    throw error;
-  }
-}
-
-async function syncSingleTrader(trader) {
-  try {
-    logSecurityEvent('SYNC_TRADER_START', {
-      username: trader.twitter_username,
-      connectionType: trader.connection_type,
-      traderId: trader.id,
-    });
-
-    const adapter = getAdapter(trader.connection_type);
-    let result;
-
-    if (trader.connection_type === 'tradovate') {
-      const tradovateResult = await syncTradovateTrader(trader, adapter);
-      if (tradovateResult.skipped) {
-        return { success: false, trader: trader.twitter_username, error: tradovateResult.reason };
-      }
-      result = tradovateResult;
-    } else if (trader.connection_type === 'tradesyncer') {
-      const credentials = {
-        apiKey: trader.tradesyncer_api_key ? decrypt(trader.tradesyncer_api_key) : '',
-      };
-      result = await adapter.sync(credentials);
-    } else {
-      throw new Error(`Unsupported connection type: ${trader.connection_type}`);
-    }
-
-    const stats = result.stats;
-
-    // Track unique account IDs (high-water mark - only goes up, never down)
-    if (result.accounts && result.accounts.length > 0) {
-      const currentKnown = trader.known_account_ids || [];
-      const newAccountIds = result.accounts
-        .map(a => String(a.id))
-        .filter(id => !currentKnown.includes(id));
-
-      if (newAccountIds.length > 0) {
-        const updatedKnown = [...currentKnown, ...newAccountIds];
-        await db.from('traders').update({
-          known_account_ids: updatedKnown,
-          total_accounts_linked: updatedKnown.length,
-        }).eq('id', trader.id);
-
-        logSecurityEvent('NEW_ACCOUNTS_DETECTED', {
-          username: trader.twitter_username,
-          newAccounts: newAccountIds.length,
-          totalAccounts: updatedKnown.length,
-        });
-      }
-    }
-
-    // Upsert statistics (atomic operation)
-    const { error: statsError } = await db.from('statistics').upsert([{
-      trader_id: trader.id,
-      total_profit: stats.totalProfit,
-      verified_payouts: stats.verifiedPayouts,
-      monthly_profit: stats.monthlyProfit,
-      win_rate: stats.winRate,
-      total_trades: stats.totalTrades,
-      avg_trade_pnl: stats.avgTradePnl,
-      best_trade: stats.bestTrade,
-      worst_trade: stats.worstTrade,
-      profit_factor: stats.profitFactor,
-      updated_at: new Date().toISOString(),
-    }], { onConflict: 'trader_id' });
-    if (statsError) throw statsError;
-
-    // Store trade history (keep last 500 trades)
-    if (result.trades && result.trades.length > 0) {
-      const recentTrades = result.trades.slice(-500).map(trade => ({
-        trader_id: trader.id,
-        external_trade_id: trade.externalTradeId,
-        symbol: trade.symbol,
-        side: trade.side,
-        quantity: trade.quantity,
-        entry_price: trade.entryPrice,
-        exit_price: trade.exitPrice,
-        profit: trade.profit,
-        opened_at: trade.openedAt,
-        closed_at: trade.closedAt,
-        source: trade.source,
-      }));
-
-      await db.from('trade_history').delete().eq('trader_id', trader.id);
-      await db.from('trade_history').insert(recentTrades);
-    }
-
-    // Audit log in database
-    const now = new Date().toISOString();
-    await db.from('sync_log').insert([{
-      trader_id: trader.id,
-      source: trader.connection_type,
-      status: 'success',
-      trades_synced: result.trades?.length || 0,
-      started_at: now,
-      completed_at: now,
-    }]);
-
-    await db.from('traders').update({ updated_at: new Date().toISOString() }).eq('id', trader.id);
-
-    logSecurityEvent('SYNC_TRADER_SUCCESS', {
-      username: trader.twitter_username,
-      totalTrades: stats.totalTrades,
-    });
-
-    return { success: true, trader: trader.twitter_username, stats };
-  } catch (error) {
-    logSecurityEvent('SYNC_TRADER_FAILED', {
-      username: trader.twitter_username,
-      error: error.message,
-    });
-
-    try {
-      const failedAt = new Date().toISOString();
-      await db.from('sync_log').insert([{
-        trader_id: trader.id,
-        source: trader.connection_type,
-        status: 'failed',
-        error_message: error.message,
-        started_at: failedAt,
-        completed_at: failedAt,
-      }]);
-    } catch (_) { /* don't fail on log error */ }
-
-    return { success: false, trader: trader.twitter_username, error: error.message };
-  }
+function parseDryRun(req) {
+  const dryRun = parseBooleanParam(req.query.dryRun);
+  return dryRun === undefined ? false : dryRun;
 }
 
 // ============================================
 // SYNC ALL TRADERS
-// POST /api/sync/all
+// POST /api/sync/all[?dryRun=true]
 // Protected by syncAuth middleware (in server.js)
+// Returns 202 with a job ID; poll GET /api/sync/jobs/:id for progress
 // ============================================
 
 router.post('/all', async (req, res) => {
   try {
-    logSecurityEvent('SYNC_ALL_START', { sourceIp: req.ip });
-
-    const { data: traders, error } = await db.from('traders').select('*');
-    if (error) throw error;
-
-    if (!traders || traders.length === 0) {
-      return res.json({ success: true, message: 'No traders to sync', results: [] });
+    // STIG: Validate input
+    const dryRun = parseDryRun(req);
+    if (dryRun === null) {
+      return res.status(400).json({ error: 'dryRun must be true or false' });
     }
 
-    const results = [];
-    for (const trader of traders) {
-      const result = await syncSingleTrader(trader);
-      results.push(result);
-    }
+    logSecurityEvent('SYNC_ALL_START', { sourceIp: req.ip, dryRun });
 
-    const successCount = results.filter(r => r.success).length;
-    const failCount = results.filter(r => !r.success).length;
+    // Embedded connections let the orchestrator cap each provider a trader calls
+    const { data: traders, error } = await db
+      .from('traders')
+      .select('*, connections:trader_connections(connection_type)');
+    if (error) throw error;
 
-    logSecurityEvent('SYNC_ALL_COMPLETE', { successCount, failCount });
+    // Bounded-parallel: see services/syncOrchestrator for limits and timeouts
+    const job = await enqueueSyncJob(traders || [], { kind: 'all', trigger: 'api', dryRun });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Synced ${successCount} traders successfully`,
-      results,
+      message: `${dryRun ? 'Dry run' : 'Sync'} queued for ${job.total} traders`,
+      job: serializeSyncJob(job, true),
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
     });
   } catch (error) {
     logSecurityEvent('SYNC_ALL_ERROR', { error: error.message });
@@ -236,7 +63,8 @@ router.post('/all', async (req, res) => {
 
 // ============================================
 // SYNC SINGLE TRADER BY USERNAME
-// POST /api/sync/trader/:username
+// POST /api/sync/trader/:username[?dryRun=true]
+// Returns 202 with a job ID; poll GET /api/sync/jobs/:id for the result
 // ============================================
 
 router.post('/trader/:username', async (req, res) => {
@@ -249,6 +77,11 @@ router.post('/trader/:username', async (req, res) => {
       return res.status(400).json({ error: 'Invalid username format' });
     }
 
+    const dryRun = parseDryRun(req);
+    if (dryRun === null) {
+      return res.status(400).json({ error: 'dryRun must be true or false' });
+    }
+
     const { data: trader, error } = await db
       .from('traders')
       .select('*')
@@ -259,20 +92,84 @@ router.post('/trader/:username', async (req, res) => {
       return res.status(404).json({ error: 'Trader not found' });
     }
 
-    const result = await syncSingleTrader(trader);
+    const job = await enqueueSyncJob([trader], { kind: 'trader', trigger: 'api', dryRun });
 
-    if (result.success) {
-      res.json({ success: true, message: `Synced @${validation.sanitized}`, stats: result.stats });
-    } else {
-      // STIG: Don't leak internal error details
-      res.status(500).json({ success: false, error: 'Sync failed for this trader' });
-    }
+    res.status(202).json({
+      success: true,
+      message: `${dryRun ? 'Dry run' : 'Sync'} queued for @${validation.sanitized}`,
+      job: serializeSyncJob(job, true),
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
   } catch (error) {
     logSecurityEvent('SYNC_SINGLE_ERROR', { error: error.message });
     res.status(500).json({ success: false, error: 'Sync operation failed' });
   }
 });
 
+// ============================================
+// SYNC JOB STATUS
+// GET /api/sync/jobs/:id
+// Progress and per-trader results for a sync job
+// ============================================
+
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    // STIG: Validate input
+    if (!isValidJobId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await getSyncJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: serializeSyncJob(job, true) });
+  } catch (error) {
+    logSecurityEvent('SYNC_JOB_LOOKUP_ERROR', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// ============================================
+// RECALCULATE STATS FROM STORED HISTORY
+// POST /api/sync/recalculate/:username
+// Recomputes statistics from trade_history without calling the platform
+// (e.g. after a stat formula change)
+// ============================================
+
+router.post('/recalculate/:username', async (req, res) => {
+  try {
+    const validation = validateTwitterUsername(req.params.username);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id, connection_type')
+      .eq('twitter_username', validation.sanitized)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const stats = await recalculateTraderStats(trader);
+
+    logSecurityEvent('STATS_RECALCULATED', {
+      username: validation.sanitized,
+      totalTrades: stats.totalTrades,
+      sourceIp: req.ip,
+    });
+
+    res.json({ success: true, message: `Recalculated @${validation.sanitized}`, stats });
+  } catch (error) {
+    logSecurityEvent('STATS_RECALCULATE_ERROR', { error: error.message });
+    res.status(500).json({ success: false, error: 'Recalculation failed' });
+  }
+});
+
 // ============================================
 // TEST CREDENTIALS
 // POST /api/sync/test
@@ -280,29 +177,21 @@ router.post('/trader/:username', async (req, res) => {
 
 router.post('/test', async (req, res) => {
   try {
-    const { connectionType, tradovateUsername, tradovatePassword, tradovateClientId, tradovateSecretKey, tradeSyncerApiKey } = req.body;
+    const { connectionType } = req.body;
 
-    if (!connectionType || !validateConnectionType(connectionType)) {
-      return res.status(400).json({ error: 'Valid connectionType is required (tradovate or tradesyncer)' });
+    const connection = getConnection(connectionType);
+    if (!connection) {
+      return res.status(400).json({ error: `Valid connectionType is required (${getConnectionTypes().join(' or ')})` });
     }
 
-    const adapter = getAdapter(connectionType);
-    let credentials;
-
-    if (connectionType === 'tradovate') {
-      credentials = {
-        username: tradovateUsername,
-        password: tradovatePassword || '',
-        clientId: tradovateClientId || '',
-        secretKey: tradovateSecretKey || '',
-      };
-    } else {
-      credentials = { apiKey: tradeSyncerApiKey };
+    const { credentials, error: credentialError } = readCredentials(connection, req.body, sanitizeString);
+    if (credentialError) {
+      return res.status(400).json({ error: credentialError });
     }
 
     logSecurityEvent('CREDENTIAL_TEST', { connectionType, sourceIp: req.ip });
 
-    const auth = await adapter.authenticate(credentials);
+    const auth = await connection.adapter.authenticate(credentials);
     res.json({ success: true, message: 'Credentials are valid', user: auth.username || auth.name });
   } catch (error) {
     logSecurityEvent('CREDENTIAL_TEST_FAILED', { connectionType: req.body?.connectionType, sourceIp: req.ip });
@@ -311,6 +200,48 @@ router.post('/test', async (req, res) => {
   }
 });
 
+// ============================================
+// SYNC DASHBOARD
+// GET /api/sync/dashboard?days=7
+// Success rates, latency percentiles, error codes and failing traders
+// from sync_log (days: 1-90), plus fill stream connection counts
+// ============================================
+
+router.get('/dashboard', async (req, res) => {
+  try {
+    const days = Math.min(parsePositiveInt(req.query.days, DEFAULT_DASHBOARD_DAYS), MAX_DASHBOARD_DAYS);
+    const now = new Date();
+    const from = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const rows = await fetchAllRows(() => db
+      .from('sync_log')
+      .select('trader_id, source, status, error_code, error_message, data_source, duration_ms, started_at')
+      .gte('started_at', from)
+      .order('started_at', { ascending: true }));
+
+    const traderIds = [...new Set(rows.filter(r => r.status === 'failed').map(r => r.trader_id))];
+    const usernames = new Map();
+    if (traderIds.length > 0) {
+      const { data: traders, error } = await db
+        .from('traders')
+        .select('id, twitter_username')
+        .in('id', traderIds);
+      if (error) throw error;
+      for (const trader of traders || []) usernames.set(trader.id, trader.twitter_username);
+    }
+
+    res.json({ ...buildSyncDashboard(rows, { usernames, days, now }), fillStream: getFillStreamStatus() });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_SYNC_DASHBOARD_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch sync dashboard' });
+  }
+});
+
 // ============================================
 // GET SYNC HISTORY
 // GET /api/sync/history/:username
@@ -2,12 +2,50 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { encrypt } = require('../utils/encryption');
-const { getAdapter, getSupportedFirms, isConnectionSupported, PROP_FIRMS } = require('../adapters');
+const {
+  getAdapter,
+  getConnection,
+  getConnectionTypes,
+  listConnections,
+  describeConnection,
+  getSupportedFirms,
+  PROP_FIRMS,
+} = require('../adapters');
+const { readCredentials, buildStoredColumns } = require('../adapters/registry');
 const { logSecurityEvent } = require('../middleware/auditLogger');
-const { validateTwitterUsername, validateConnectionType, sanitizeString } = require('../middleware/inputSanitizer');
+const { validateTwitterUsername, sanitizeString } = require('../middleware/inputSanitizer');
 const { createTraderLimiter } = require('../middleware/rateLimiter');
 const { jwtAuth } = require('../middleware/jwtAuth');
 const { verifyToken, COOKIE_NAME } = require('../utils/jwt');
+const {
+  parseLeaderboardQuery,
+  buildLeaderboardPage,
+  applyLeaderboardQuery,
+  applyLeaderboardFilters,
+  orderLeaderboardQuery,
+  buildCursorFilter,
+  applyPeriodStats,
+} = require('../utils/leaderboard');
+const { parsePeriodQuery, describePeriod, isWindowed } = require('../utils/periods');
+const { rowToTrade, groupTradesByTrader, parseTradeQuery, serializeTrade, summarizeSymbolAggregates } = require('../utils/trades');
+const { snapshotRowToPoint, toSnapshotDate } = require('../utils/equity');
+const { fetchAllRows } = require('../utils/fetchAll');
+const { serializeAccount, filterIncluded, filterIncludedByTrader, validateAccountGroups } = require('../utils/accounts');
+const { summarizePayouts, buildPayoutTimeline } = require('../utils/payouts');
+const { loadAccounts, loadPayouts, recalculateTraderStats } = require('../services/tradeStore');
+const { enqueueSyncJob, getSyncJob } = require('../services/syncJobs');
+const { isValidJobId, serializeSyncJob } = require('../utils/syncJobs');
+const { requestManualSync } = require('../services/manualSync');
+const { getManualSyncBlocker } = require('../utils/manualSync');
+const { loadConnections, addConnection, removeConnection } = require('../services/connections');
+const { serializeConnection, describeVerification, isSelfReported } = require('../utils/connections');
+const { parseStatementUpload } = require('../utils/statementUpload');
+const { parseStatement } = require('../adapters/statementFormats');
+const { syncSingleTrader } = require('../services/traderSync');
+const BaseAdapter = require('../adapters/base');
+
+// Unreadable rows listed in an import response; the rest are only counted
+const MAX_SKIPPED_ROWS_SHOWN = 50;
 
 /**
  * Authenticate a request using either JWT cookie or legacy authToken body param.
@@ -43,66 +81,237 @@ async function authenticateRequest(req) {
   return null;
 }
 
+/**
+ * Load trades closed inside a period, optionally for one trader, keeping
+ * only those on accounts the trader counts toward the leaderboard.
+ * @param {{ start: Date|null, end: Date|null }} period
+ * @param {string} [traderId]
+ * @returns {Promise<Map<string, Array<Object>>>} - trader id -> normalized trades
+ */
+async function fetchTradesInPeriod(period, traderId) {
+  const tradeRows = await fetchAllRows(() => {
+    let query = db.from('trade_history').select('id, trader_id, account_id, profit, closed_at, source');
+    if (traderId) query = query.eq('trader_id', traderId);
+    if (period.start) query = query.gte('closed_at', period.start.toISOString());
+    if (period.end) query = query.lt('closed_at', period.end.toISOString());
+    return query.order('id', { ascending: true });
+  });
+
+  const excludedRows = await fetchAllRows(() => {
+    let query = db.from('trader_accounts')
+      .select('id, trader_id, account_id, include_in_leaderboard')
+      .eq('include_in_leaderboard', false);
+    if (traderId) query = query.eq('trader_id', traderId);
+    return query.order('id', { ascending: true });
+  });
+
+  return filterIncludedByTrader(groupTradesByTrader(tradeRows), excludedRows);
+}
+
+/**
+ * Whether the request carries a session cookie for the given username.
+ * Used to decide between owner and public detail on profile data.
+ */
+function isProfileOwner(req, username) {
+  const cookieToken = req.cookies?.[COOKIE_NAME];
+  const session = cookieToken ? verifyToken(cookieToken) : null;
+  return Boolean(session && session.twitterUsername === username);
+}
+
+/**
+ * Queue the first sync for a newly added or linked trader.
+ * A failure to queue is logged but doesn't fail the signup; the hourly
+ * sync will pick the trader up.
+ *
+ * @returns {Promise<{ id: string, status: string, statusUrl: string }|null>}
+ */
+async function startInitialSync(trader, trigger) {
+  try {
+    const job = await enqueueSyncJob([trader], { kind: 'trader', trigger });
+    return { id: job.id, status: job.status, statusUrl: `/api/traders/sync-jobs/${job.id}` };
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'INITIAL_SYNC_FAILED',
+      username: trader.twitter_username,
+      message: error.message,
+    }));
+    return null;
+  }
+}
+
+/**
+ * 400 message for a missing or unregistered connection type.
+ */
+function invalidConnectionTypeMessage() {
+  return `Invalid connection type. Use ${getConnectionTypes().map(type => `"${type}"`).join(' or ')}.`;
+}
+
+// Self-reported connections (statement imports) have no credentials to
+// verify; they are linked by uploading a statement
+function selfReportedLinkMessage(connection) {
+  return `${connection.displayName} has no credentials to link. Upload a statement with POST /api/traders/me/imports instead.`;
+}
+
 // ============================================
 // GET ALL TRADERS (for leaderboard)
+// GET /api/traders?sort=&order=&propFirm=&connectionType=&authStatus=&verification=&minTrades=
+//                 &limit=&page=&cursor=&envelope=&period=today|week|month|ytd|all|custom&from=&to=
+// STIG V-222609: Query params validated against whitelists
 // ============================================
 
-router.get('/', async (req, res) => {
+// Helper to normalize a trader row to camelCase (handles both RPC and fallback)
+function normalizeTrader(row, stats) {
+  const normalized = {
+    id: row.id,
+    twitter: row.twitter || row.twitter_username,
+    avatar: row.avatar,
+    totalProfit: row.totalProfit ?? row.total_profit ?? (stats?.total_profit) ?? 0,
+    verifiedPayouts: row.verifiedPayouts ?? row.verified_payouts ?? (stats?.verified_payouts) ?? 0,
+    totalPayouts: row.totalPayouts ?? row.total_payouts ?? (stats?.total_payouts) ?? 0,
+    monthlyProfit: row.monthlyProfit ?? row.monthly_profit ?? (stats?.monthly_profit) ?? 0,
+    winRate: row.winRate ?? row.win_rate ?? (stats?.win_rate) ?? 0,
+    totalTrades: row.totalTrades ?? row.total_trades ?? (stats?.total_trades) ?? 0,
+    profitFactor: row.profitFactor ?? row.profit_factor ?? (stats?.profit_factor) ?? 0,
+    accountCreated: row.accountCreated || row.account_created,
+    propFirm: row.propFirm || row.prop_firm,
+    propFirmDisplay: row.propFirmDisplay || row.prop_firm_display,
+    connectionType: row.connectionType || row.connection_type,
+    totalAccountsLinked: row.totalAccountsLinked ?? row.total_accounts_linked ?? 0,
+    authStatus: row.authStatus || row.auth_status || 'active',
+    selfReportedTrades: row.selfReportedTrades ?? row.self_reported_trades ?? (stats?.self_reported_trades) ?? 0,
+    ...normalizeRiskMetrics(row, stats),
+    updatedAt: row.updatedAt || row.updated_at || (stats?.updated_at),
+  };
+  normalized.verification = describeVerification(normalized.selfReportedTrades);
+  return normalized;
+}
+
+/**
+ * Risk metrics from a statistics row (or an RPC row with the same columns),
+ * in either camelCase or snake_case.
+ */
+function normalizeRiskMetrics(row, stats) {
+  const metrics = {};
+  for (const [key, column] of Object.entries(BaseAdapter.RISK_METRIC_COLUMNS)) {
+    const value = row[key] ?? row[column] ?? stats?.[column] ?? 0;
+    metrics[key] = parseFloat(value) || 0;
+  }
+  return metrics;
+}
+
+/**
+ * Load traders with stats, normalized to camelCase, for ranking in memory.
+ * Uses the get_traders_with_stats RPC with the trader filters applied,
+ * falling back to two plain selects (unfiltered) if the RPC is missing.
+ */
+async function fetchLeaderboardTraders(options) {
   try {
-    const { data, error } = await db.rpc('get_traders_with_stats');
-
-    // Helper to normalize a trader row to camelCase (handles both RPC and fallback)
-    function normalizeTrader(row, stats) {
-      return {
-        id: row.id,
-        twitter: row.twitter || row.twitter_username,
-        avatar: row.avatar,
-        totalProfit: row.totalProfit ?? row.total_profit ?? (stats?.total_profit) ?? 0,
-        verifiedPayouts: row.verifiedPayouts ?? row.verified_payouts ?? (stats?.verified_payouts) ?? 0,
-        monthlyProfit: row.monthlyProfit ?? row.monthly_profit ?? (stats?.monthly_profit) ?? 0,
-        winRate: row.winRate ?? row.win_rate ?? (stats?.win_rate) ?? 0,
-        totalTrades: row.totalTrades ?? row.total_trades ?? (stats?.total_trades) ?? 0,
-        profitFactor: row.profitFactor ?? row.profit_factor ?? (stats?.profit_factor) ?? 0,
-        accountCreated: row.accountCreated || row.account_created,
-        propFirm: row.propFirm || row.prop_firm,
-        propFirmDisplay: row.propFirmDisplay || row.prop_firm_display,
-        connectionType: row.connectionType || row.connection_type,
-        totalAccountsLinked: row.totalAccountsLinked ?? row.total_accounts_linked ?? 0,
-        authStatus: row.authStatus || row.auth_status || 'active',
-        updatedAt: row.updatedAt || row.updated_at || (stats?.updated_at),
-      };
-    }
+    const rows = await fetchAllRows(() =>
+      applyLeaderboardFilters(db.rpc('get_traders_with_stats'), options, { statFilters: false })
+        .order('id', { ascending: true }));
+    return rows.map(row => normalizeTrader(row));
+  } catch {
+    const { data: tradersData } = await db.from('traders').select('*');
+    const { data: statsData } = await db.from('statistics').select('*');
+
+    if (!tradersData) return [];
+
+    return tradersData.map((trader) => {
+      const stats = statsData?.find(s => s.trader_id === trader.id);
+      return normalizeTrader(trader, stats);
+    });
+  }
+}
 
-    if (error) {
-      const { data: tradersData } = await db.from('traders').select('*');
-      const { data: statsData } = await db.from('statistics').select('*');
+/**
+ * Load one page of the all-time leaderboard. Filtering, sorting and paging
+ * happen in the get_traders_with_stats query; a cursor's rank comes from
+ * counting the rows up to it.
+ * @param {Object} options - From parseLeaderboardQuery
+ * @returns {Promise<{ traders: Array<Object>, pagination: Object }|null>} - null for an unusable cursor
+ */
+async function fetchLeaderboardPage(options) {
+  const { limit } = options;
+  const filtered = (selectOptions) =>
+    applyLeaderboardFilters(db.rpc('get_traders_with_stats', {}, selectOptions), options);
 
-      if (!tradersData) {
-        return res.json([]);
-      }
+  let start = (options.page - 1) * limit;
+  let query = filtered({ count: 'exact' });
 
-      const traders = tradersData.map((trader) => {
-        const stats = statsData?.find(s => s.trader_id === trader.id);
-        return normalizeTrader(trader, stats);
-      });
+  if (options.cursor) {
+    const after = buildCursorFilter(options);
+    const through = buildCursorFilter(options, { through: true });
+    if (!after || !through) return null;
 
-      traders.sort((a, b) => b.totalProfit - a.totalProfit);
-      traders.forEach((trader, index) => {
-        trader.rank = index + 1;
-      });
+    const { count, error } = await filtered({ count: 'exact', head: true }).or(through);
+    if (error) throw error;
+    start = count || 0;
+    query = orderLeaderboardQuery(query.or(after), options).limit(limit);
+  } else {
+    query = orderLeaderboardQuery(query, options).range(start, start + limit - 1);
+  }
 
-      return res.json(traders);
+  const { data, count, error } = await query;
+  if (error) throw error;
+
+  // With a cursor the count covers only the rows after it
+  const total = (options.cursor ? start : 0) + (count || 0);
+  return buildLeaderboardPage((data || []).map(row => normalizeTrader(row)), start, total, options);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const query = parseLeaderboardQuery(req.query);
+    if (!query.valid) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    const periodQuery = parsePeriodQuery(req.query);
+    if (!periodQuery.valid) {
+      return res.status(400).json({ error: periodQuery.error });
     }
+    const { period } = periodQuery;
+
+    const { options } = query;
+    let result;
 
-    // RPC might return snake_case fields — normalize to camelCase
-    const normalizedData = Array.isArray(data) ? data.map(row => normalizeTrader(row)) : data;
-    if (Array.isArray(normalizedData)) {
-      normalizedData.sort((a, b) => b.totalProfit - a.totalProfit);
-      normalizedData.forEach((trader, index) => {
-        trader.rank = index + 1;
+    if (isWindowed(period)) {
+      // Windowed leaderboards are ranked on trades closed inside the window
+      const traders = await fetchLeaderboardTraders(options);
+      result = applyLeaderboardQuery(applyPeriodStats(traders, await fetchTradesInPeriod(period)), options);
+    } else {
+      try {
+        result = await fetchLeaderboardPage(options);
+      } catch (error) {
+        // get_traders_with_stats missing or not yet re-created (see database/schema.sql)
+        console.error(JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: 'WARN',
+          event: 'LEADERBOARD_QUERY_FALLBACK',
+          message: error.message,
+        }));
+        result = applyLeaderboardQuery(await fetchLeaderboardTraders(options), options);
+      }
+      if (!result) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    if (options.envelope) {
+      return res.json({
+        traders: result.traders,
+        pagination: result.pagination,
+        sort: { field: options.sort, order: options.order },
+        period: describePeriod(period),
       });
     }
-    res.json(normalizedData);
+
+    // Default: the ranked array earlier clients expect, pagination in headers
+    res.set('X-Total-Count', String(result.pagination.total));
+    if (result.pagination.nextCursor) res.set('X-Next-Cursor', result.pagination.nextCursor);
+    res.json(result.traders);
   } catch (error) {
     console.error(JSON.stringify({
       timestamp: new Date().toISOString(),
@@ -122,8 +331,49 @@ router.get('/meta/firms', (req, res) => {
   res.json(getSupportedFirms());
 });
 
+// ============================================
+// GET SUPPORTED CONNECTIONS
+// Credential fields to ask for and capabilities, per registered platform
+// ============================================
+
+router.get('/meta/connections', (req, res) => {
+  res.json(listConnections().map(describeConnection));
+});
+
+// ============================================
+// SYNC JOB STATUS (signup / link polling)
+// GET /api/traders/sync-jobs/:id
+// Status and progress only; per-trader results and errors are on
+// GET /api/sync/jobs/:id behind the sync API key
+// ============================================
+
+router.get('/sync-jobs/:id', async (req, res) => {
+  try {
+    if (!isValidJobId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await getSyncJob(req.params.id);
+    // Only single-trader jobs are pollable here
+    if (!job || job.kind !== 'trader') {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: serializeSyncJob(job, false) });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_SYNC_JOB_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
 // ============================================
 // GET SINGLE TRADER (for profile page)
+// GET /api/traders/:username?period=today|week|month|ytd|all|custom&from=&to=
 // ============================================
 
 router.get('/:username', async (req, res) => {
@@ -136,6 +386,12 @@ router.get('/:username', async (req, res) => {
       return res.status(400).json({ error: 'Invalid username format' });
     }
 
+    const periodQuery = parsePeriodQuery(req.query);
+    if (!periodQuery.valid) {
+      return res.status(400).json({ error: periodQuery.error });
+    }
+    const { period } = periodQuery;
+
     const { data, error } = await db
       .from('traders')
       .select(`*, statistics (*)`)
@@ -154,6 +410,7 @@ router.get('/:username', async (req, res) => {
       avatar: data.avatar,
       totalProfit: stats?.total_profit || 0,
       verifiedPayouts: stats?.verified_payouts || 0,
+      totalPayouts: stats?.total_payouts || 0,
       monthlyProfit: stats?.monthly_profit || 0,
       winRate: stats?.win_rate || 0,
       totalTrades: stats?.total_trades || 0,
@@ -161,15 +418,39 @@ router.get('/:username', async (req, res) => {
       bestTrade: stats?.best_trade || 0,
       worstTrade: stats?.worst_trade || 0,
       avgTradePnl: stats?.avg_trade_pnl || 0,
+      ...normalizeRiskMetrics({}, stats),
       accountCreated: data.account_created,
       propFirm: data.prop_firm,
       propFirmDisplay: data.prop_firm_display,
       connectionType: data.connection_type,
       totalAccountsLinked: data.total_accounts_linked || 0,
       authStatus: data.auth_status || 'active',
+      selfReportedTrades: stats?.self_reported_trades || 0,
+      verification: describeVerification(stats?.self_reported_trades),
       updatedAt: stats?.updated_at,
     };
 
+    // All-time fields above stay as-is; windowed stats are returned alongside
+    if (isWindowed(period)) {
+      const tradesByTrader = await fetchTradesInPeriod(period, data.id);
+      const periodTrades = tradesByTrader.get(data.id) || [];
+      const periodStats = BaseAdapter.calculateStats(periodTrades);
+      const periodSelfReported = periodTrades.filter(trade => isSelfReported(trade.source)).length;
+      trader.period = describePeriod(period);
+      trader.periodStats = {
+        totalProfit: periodStats.totalProfit,
+        winRate: periodStats.winRate,
+        totalTrades: periodStats.totalTrades,
+        avgTradePnl: periodStats.avgTradePnl,
+        bestTrade: periodStats.bestTrade,
+        worstTrade: periodStats.worstTrade,
+        profitFactor: periodStats.profitFactor,
+        ...normalizeRiskMetrics(periodStats),
+        selfReportedTrades: periodSelfReported,
+        verification: describeVerification(periodSelfReported),
+      };
+    }
+
     res.json(trader);
   } catch (error) {
     console.error(JSON.stringify({
@@ -183,24 +464,671 @@ router.get('/:username', async (req, res) => {
 });
 
 // ============================================
-// ADD NEW TRADER (Tradovate or TradeSyncer)
+// GET EQUITY CURVE (for profile chart)
+// GET /api/traders/:username/equity?period=&from=&to=
+// One point per UTC day, recorded by each sync
+// ============================================
+
+router.get('/:username/equity', async (req, res) => {
+  try {
+    const validation = validateTwitterUsername(req.params.username);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+
+    const periodQuery = parsePeriodQuery(req.query);
+    if (!periodQuery.valid) {
+      return res.status(400).json({ error: periodQuery.error });
+    }
+    const { period } = periodQuery;
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id')
+      .eq('twitter_username', validation.sanitized)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const rows = await fetchAllRows(() => {
+      let query = db.from('equity_snapshots').select('*').eq('trader_id', trader.id);
+      if (period.start) query = query.gte('snapshot_date', toSnapshotDate(period.start));
+      if (period.end) query = query.lt('snapshot_date', toSnapshotDate(period.end));
+      return query.order('snapshot_date', { ascending: true });
+    });
+
+    res.json({
+      twitter: validation.sanitized,
+      period: describePeriod(period),
+      series: rows.map(snapshotRowToPoint),
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_EQUITY_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch equity curve' });
+  }
+});
+
+// ============================================
+// GET TRADE HISTORY (for profile page)
+// GET /api/traders/:username/trades?period=&from=&to=&symbol=&root=&side=&accountId=&order=&limit=&page=
+// Public viewers get outcomes only; the owner (JWT cookie) also gets
+// prices, account IDs and platform trade IDs.
+// ============================================
+
+router.get('/:username/trades', async (req, res) => {
+  try {
+    const validation = validateTwitterUsername(req.params.username);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+
+    const query = parseTradeQuery(req.query);
+    if (!query.valid) {
+      return res.status(400).json({ error: query.error });
+    }
+    const { period, symbol, root, side, accountId, order, limit, page } = query.options;
+
+    const isOwner = isProfileOwner(req, validation.sanitized);
+
+    // Account IDs are only ever shown to the owner, so only they may filter on them
+    if (accountId && !isOwner) {
+      return res.status(403).json({ error: 'Account filter is only available to the profile owner' });
+    }
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id')
+      .eq('twitter_username', validation.sanitized)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    // The summary covers every matching trade; only this page's rows are loaded
+    const { data: aggregates, error: summaryError } = await db.rpc('summarize_trade_history', {
+      p_trader_id: trader.id,
+      p_start: period.start ? period.start.toISOString() : null,
+      p_end: period.end ? period.end.toISOString() : null,
+      p_symbol: symbol,
+      p_root: root,
+      p_side: side,
+      p_account_id: accountId,
+    });
+    if (summaryError) throw summaryError;
+
+    const summary = summarizeSymbolAggregates(aggregates);
+    const total = summary.totalTrades;
+    const start = (page - 1) * limit;
+
+    let rows = [];
+    // PostgREST rejects a range that starts past the last row
+    if (start < total) {
+      let dbQuery = db.from('trade_history').select('*').eq('trader_id', trader.id);
+      if (period.start) dbQuery = dbQuery.gte('closed_at', period.start.toISOString());
+      if (period.end) dbQuery = dbQuery.lt('closed_at', period.end.toISOString());
+      if (symbol) dbQuery = dbQuery.eq('symbol', symbol);
+      if (root) dbQuery = dbQuery.eq('product_root', root);
+      if (side) dbQuery = dbQuery.eq('side', side);
+      if (accountId) dbQuery = dbQuery.eq('account_id', accountId);
+
+      const { data, error } = await dbQuery
+        .order('closed_at', { ascending: order === 'asc' })
+        .order('id', { ascending: true })
+        .range(start, start + limit - 1);
+      if (error) throw error;
+      rows = data || [];
+    }
+
+    res.json({
+      twitter: validation.sanitized,
+      detailed: isOwner,
+      period: describePeriod(period),
+      summary,
+      trades: rows.map(rowToTrade).map(trade => serializeTrade(trade, isOwner)),
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit),
+        hasMore: start + limit < total,
+      },
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_TRADES_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch trades' });
+  }
+});
+
+// ============================================
+// GET ACCOUNTS (per-account breakdown for profile page)
+// GET /api/traders/:username/accounts
+// ============================================
+
+router.get('/:username/accounts', async (req, res) => {
+  try {
+    const validation = validateTwitterUsername(req.params.username);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id')
+      .eq('twitter_username', validation.sanitized)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const isOwner = isProfileOwner(req, validation.sanitized);
+    const accounts = await loadAccounts(trader.id);
+
+    res.json({
+      twitter: validation.sanitized,
+      detailed: isOwner,
+      accounts: accounts.map(row => serializeAccount(row, isOwner)),
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_ACCOUNTS_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch accounts' });
+  }
+});
+
+// ============================================
+// GET PAYOUTS (verified payout timeline)
+// GET /api/traders/:username/payouts
+// ============================================
+
+router.get('/:username/payouts', async (req, res) => {
+  try {
+    const validation = validateTwitterUsername(req.params.username);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+
+    const periodQuery = parsePeriodQuery(req.query);
+    if (!periodQuery.valid) {
+      return res.status(400).json({ error: periodQuery.error });
+    }
+    const { period } = periodQuery;
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id')
+      .eq('twitter_username', validation.sanitized)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const isOwner = isProfileOwner(req, validation.sanitized);
+    const [payouts, accountRows] = await Promise.all([
+      loadPayouts(trader.id),
+      loadAccounts(trader.id),
+    ]);
+
+    // Same accounts as the leaderboard numbers, restricted to the period
+    const inPeriod = filterIncluded(payouts, accountRows).filter(payout => {
+      const paidAt = new Date(payout.paidAt);
+      return (!period.start || paidAt >= period.start) && (!period.end || paidAt < period.end);
+    });
+
+    res.json({
+      twitter: validation.sanitized,
+      detailed: isOwner,
+      period: describePeriod(period),
+      summary: summarizePayouts(inPeriod),
+      timeline: buildPayoutTimeline(inPeriod, isOwner),
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_PAYOUTS_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// ============================================
+// CHOOSE LEADERBOARD ACCOUNTS
+// POST /api/traders/me/accounts
+// Body: { includedAccountIds: ['123', '456'] }
+// Accounts not listed are excluded from the trader's leaderboard numbers.
+// ============================================
+
+router.post('/me/accounts', jwtAuth, async (req, res) => {
+  try {
+    const usernameValidation = validateTwitterUsername(req.user.twitterUsername);
+    if (!usernameValidation.valid) {
+      return res.status(400).json({ error: usernameValidation.error });
+    }
+    const normalizedUsername = usernameValidation.sanitized;
+
+    const { includedAccountIds } = req.body;
+    if (!Array.isArray(includedAccountIds) || includedAccountIds.some(id => typeof id !== 'string' && typeof id !== 'number')) {
+      return res.status(400).json({ error: 'includedAccountIds must be an array of account IDs' });
+    }
+    const included = new Set(includedAccountIds.map(String));
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id, connection_type')
+      .eq('twitter_username', normalizedUsername)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const accounts = await loadAccounts(trader.id);
+    const knownIds = new Set(accounts.map(a => String(a.account_id)));
+    const unknown = [...included].filter(id => !knownIds.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown account ID(s) in includedAccountIds' });
+    }
+    if (accounts.length > 0 && included.size === 0) {
+      return res.status(400).json({ error: 'At least one account must count toward the leaderboard' });
+    }
+
+    for (const account of accounts) {
+      const include = included.has(String(account.account_id));
+      if (account.include_in_leaderboard === include) continue;
+
+      const { error } = await db
+        .from('trader_accounts')
+        .update({ include_in_leaderboard: include, updated_at: new Date().toISOString() })
+        .eq('id', account.id);
+      if (error) throw error;
+    }
+
+    // Apply the selection right away instead of waiting for the next sync
+    const stats = await recalculateTraderStats(trader);
+
+    logSecurityEvent('LEADERBOARD_ACCOUNTS_UPDATED', {
+      username: normalizedUsername,
+      traderId: trader.id,
+      included: included.size,
+      excluded: accounts.length - included.size,
+      sourceIp: req.ip,
+    });
+
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'UPDATE_ACCOUNTS_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to update accounts' });
+  }
+});
+
+// ============================================
+// MAP ACCOUNTS ACROSS CONNECTIONS
+// POST /api/traders/me/accounts/groups
+// Body: { groups: [[{ source: 'tradovate', accountId: '123' }, { source: 'tradesyncer', accountId: 'TS-9' }]] }
+// Each group is one platform account seen through several connections;
+// trades both connections report for it are kept once. Replaces any
+// earlier mapping.
+// ============================================
+
+router.post('/me/accounts/groups', jwtAuth, async (req, res) => {
+  try {
+    const usernameValidation = validateTwitterUsername(req.user.twitterUsername);
+    if (!usernameValidation.valid) {
+      return res.status(400).json({ error: usernameValidation.error });
+    }
+    const normalizedUsername = usernameValidation.sanitized;
+
+    const { data: trader } = await db
+      .from('traders')
+      .select('id, connection_type')
+      .eq('twitter_username', normalizedUsername)
+      .maybeSingle();
+
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const accounts = await loadAccounts(trader.id);
+    const validation = validateAccountGroups(req.body.groups, accounts);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    for (const account of accounts) {
+      const group = validation.assignments.get(account.id);
+      if ((account.account_group || null) === group) continue;
+
+      const { error } = await db
+        .from('trader_accounts')
+        .update({ account_group: group, updated_at: new Date().toISOString() })
+        .eq('id', account.id);
+      if (error) throw error;
+    }
+
+    // Remove duplicates within the new groups right away
+    const stats = await recalculateTraderStats(trader);
+
+    logSecurityEvent('ACCOUNT_GROUPS_UPDATED', {
+      username: normalizedUsername,
+      traderId: trader.id,
+      groups: req.body.groups.length,
+      sourceIp: req.ip,
+    });
+
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'UPDATE_ACCOUNT_GROUPS_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to update account groups' });
+  }
+});
+
+// ============================================
+// SYNC NOW (trader-initiated)
+// POST /api/traders/me/sync
+// Queues a sync of the caller's own profile. One per cooldown per trader
+// (MANUAL_SYNC_COOLDOWN_MINUTES), tracked on the trader, not the IP.
+// Poll statusUrl for progress.
+// ============================================
+
+router.post('/me/sync', jwtAuth, async (req, res) => {
+  try {
+    const usernameValidation = validateTwitterUsername(req.user.twitterUsername);
+    if (!usernameValidation.valid) {
+      return res.status(400).json({ error: usernameValidation.error });
+    }
+    const normalizedUsername = usernameValidation.sanitized;
+
+    const { data: trader, error } = await db
+      .from('traders')
+      .select('*')
+      .eq('twitter_username', normalizedUsername)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const blocker = getManualSyncBlocker(trader);
+    if (blocker) {
+      return res.status(blocker.status).json({ error: blocker.error });
+    }
+
+    const { job, existing, nextSyncAt } = await requestManualSync(trader);
+
+    if (!job) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((nextSyncAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: `You can sync again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`,
+        retryAfterSeconds,
+        nextSyncAt: nextSyncAt.toISOString(),
+        lastSyncedAt: trader.last_synced_at || null,
+      });
+    }
+
+    res.status(existing ? 200 : 202).json({
+      success: true,
+      message: existing ? 'A sync is already in progress' : 'Sync queued',
+      job: serializeSyncJob(job, false),
+      statusUrl: `/api/traders/sync-jobs/${job.id}`,
+      nextSyncAt: nextSyncAt ? nextSyncAt.toISOString() : null,
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'MANUAL_SYNC_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to start sync' });
+  }
+});
+
+// ============================================
+// LIST CONNECTIONS
+// GET /api/traders/me/connections
+// The caller's linked platforms with each one's last sync result
+// ============================================
+
+router.get('/me/connections', jwtAuth, async (req, res) => {
+  try {
+    const usernameValidation = validateTwitterUsername(req.user.twitterUsername);
+    if (!usernameValidation.valid) {
+      return res.status(400).json({ error: usernameValidation.error });
+    }
+
+    const { data: trader, error } = await db
+      .from('traders')
+      .select('id, twitter_username, connection_type, created_at')
+      .eq('twitter_username', usernameValidation.sanitized)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const rows = await loadConnections(trader);
+
+    res.json({
+      connectionType: trader.connection_type,
+      connections: rows.map(row => serializeConnection(row, getConnection(row.connection_type))),
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FETCH_CONNECTIONS_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to fetch connections' });
+  }
+});
+
+// ============================================
+// REMOVE CONNECTION
+// POST /api/traders/me/connections/remove
+// Body: { connectionType }
+// Stored credentials for the platform are deleted; trades already synced
+// from it stay on the profile.
+// CJIS 5.4: Security events logged
+// ============================================
+
+router.post('/me/connections/remove', jwtAuth, async (req, res) => {
+  try {
+    const usernameValidation = validateTwitterUsername(req.user.twitterUsername);
+    if (!usernameValidation.valid) {
+      return res.status(400).json({ error: usernameValidation.error });
+    }
+
+    const { connectionType } = req.body;
+    if (!getConnection(connectionType)) {
+      return res.status(400).json({ error: invalidConnectionTypeMessage() });
+    }
+
+    const { data: trader, error } = await db
+      .from('traders')
+      .select('*')
+      .eq('twitter_username', usernameValidation.sanitized)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found' });
+    }
+
+    const existing = await loadConnections(trader);
+    if (!existing.some(row => row.connection_type === connectionType)) {
+      return res.status(404).json({ error: 'That platform is not linked to this account.' });
+    }
+
+    const updated = await removeConnection(trader, connectionType, existing);
+
+    logSecurityEvent('TRADER_UNLINKED', {
+      username: trader.twitter_username,
+      connectionType,
+      traderId: trader.id,
+      sourceIp: req.ip,
+    });
+
+    res.json({
+      success: true,
+      connectionType: updated.connection_type,
+      connections: existing.map(row => row.connection_type).filter(type => type !== connectionType),
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'REMOVE_CONNECTION_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to remove connection. Please try again.' });
+  }
+});
+
+// ============================================
+// IMPORT STATEMENT (self-reported trades)
+// POST /api/traders/me/imports
+// Body: { csv, format?, account?, utcOffsetMinutes?, propFirm? }
+// Parses an exported performance/trade CSV (see adapters/statementFormats)
+// and syncs it like any other connection, linking the import connection on
+// the first upload. The profile is then marked self-reported.
+// CJIS 5.4: Security events logged
+// ============================================
+
+router.post('/me/imports', createTraderLimiter, jwtAuth, async (req, res) => {
+  try {
+    const usernameValidation = validateTwitterUsername(req.user.twitterUsername);
+    if (!usernameValidation.valid) {
+      return res.status(400).json({ error: usernameValidation.error });
+    }
+    const normalizedUsername = usernameValidation.sanitized;
+
+    const upload = parseStatementUpload(req.body);
+    if (!upload.valid) {
+      return res.status(400).json({ error: upload.error });
+    }
+    const { statement } = upload;
+
+    const { data: trader, error } = await db
+      .from('traders')
+      .select('*')
+      .eq('twitter_username', normalizedUsername)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!trader) {
+      return res.status(404).json({ error: 'Trader not found. Please register first.' });
+    }
+
+    // Reject unreadable files before linking anything
+    let parsed;
+    try {
+      parsed = parseStatement(statement.csv, statement);
+    } catch (parseError) {
+      if (parseError.code !== 'STATEMENT_FORMAT') throw parseError;
+      return res.status(400).json({ error: parseError.message });
+    }
+    if (parsed.trades.length === 0) {
+      return res.status(400).json({
+        error: 'No trades could be read from this statement',
+        skippedRows: parsed.skippedRows.slice(0, MAX_SKIPPED_ROWS_SHOWN),
+      });
+    }
+
+    const connection = getConnection('import');
+    const existing = await loadConnections(trader);
+    let importTrader = trader;
+    if (!existing.some(row => row.connection_type === connection.type)) {
+      const { propFirm } = req.body;
+      const columns = {};
+      if (existing.length === 0 || (propFirm && PROP_FIRMS[propFirm])) {
+        columns.prop_firm = propFirm && PROP_FIRMS[propFirm] ? propFirm : 'other';
+        columns.prop_firm_display = propFirm && PROP_FIRMS[propFirm] ? PROP_FIRMS[propFirm].display : 'Other';
+      }
+      importTrader = await addConnection(trader, connection, columns, existing);
+      logSecurityEvent('TRADER_LINKED', { username: normalizedUsername, connectionType: connection.type, traderId: trader.id, sourceIp: req.ip });
+    }
+
+    // Only the import connection is synced; other platforms keep what they stored
+    const result = await syncSingleTrader(importTrader, { connectionType: connection.type, statement });
+    if (!result.success) {
+      throw new Error(result.error || 'Statement sync failed');
+    }
+
+    logSecurityEvent('STATEMENT_IMPORTED', {
+      username: normalizedUsername,
+      traderId: trader.id,
+      format: parsed.format,
+      rows: parsed.rows,
+      trades: parsed.trades.length,
+      skippedRows: parsed.skippedRows.length,
+      sourceIp: req.ip,
+    });
+
+    res.json({
+      success: true,
+      format: parsed.format,
+      rows: parsed.rows,
+      trades: parsed.trades.length,
+      skippedRows: parsed.skippedRows.slice(0, MAX_SKIPPED_ROWS_SHOWN),
+      skippedRowCount: parsed.skippedRows.length,
+      verification: describeVerification(result.stats.selfReportedTrades),
+      stats: result.stats,
+      written: result.written,
+    });
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'STATEMENT_IMPORT_FAILED',
+      message: error.message,
+    }));
+    res.status(500).json({ error: 'Failed to import statement. Please try again.' });
+  }
+});
+
+// ============================================
+// ADD NEW TRADER (any registered connection, see adapters/registry)
 // STIG V-222609: Input validation on all fields
 // CJIS 5.4: Security events logged
 // ============================================
 
 router.post('/add', createTraderLimiter, async (req, res) => {
   try {
-    const {
-      twitterUsername,
-      authToken,
-      propFirm,
-      connectionType,
-      tradovateUsername,
-      tradovatePassword,
-      tradovateClientId,
-      tradovateSecretKey,
-      tradeSyncerApiKey,
-    } = req.body;
+    const { twitterUsername, propFirm, connectionType } = req.body;
 
     // STIG: Validate Twitter username with regex
     const usernameValidation = validateTwitterUsername(twitterUsername);
@@ -229,11 +1157,13 @@ router.post('/add', createTraderLimiter, async (req, res) => {
       });
     }
 
-    // STIG: Validate connection type against whitelist
-    if (!connectionType || !validateConnectionType(connectionType)) {
-      return res.status(400).json({
-        error: 'Invalid connection type. Use "tradovate" or "tradesyncer".',
-      });
+    // STIG: Validate connection type against the registered adapters
+    const connection = getConnection(connectionType);
+    if (!connection) {
+      return res.status(400).json({ error: invalidConnectionTypeMessage() });
+    }
+    if (connection.selfReported) {
+      return res.status(400).json({ error: selfReportedLinkMessage(connection) });
     }
 
     // Check if Twitter username already exists
@@ -250,24 +1180,9 @@ router.post('/add', createTraderLimiter, async (req, res) => {
     }
 
     // Validate credentials by testing authentication
-    const adapter = getAdapter(connectionType);
-    let credentials;
-
-    if (connectionType === 'tradovate') {
-      if (!tradovateUsername) {
-        return res.status(400).json({ error: 'Tradovate username is required' });
-      }
-      credentials = {
-        username: sanitizeString(tradovateUsername),
-        password: tradovatePassword || '',
-        clientId: tradovateClientId || '',
-        secretKey: tradovateSecretKey || '',
-      };
-    } else {
-      if (!tradeSyncerApiKey) {
-        return res.status(400).json({ error: 'TradeSyncer API key is required' });
-      }
-      credentials = { apiKey: sanitizeString(tradeSyncerApiKey) };
+    const { credentials, error: credentialError } = readCredentials(connection, req.body, sanitizeString);
+    if (credentialError) {
+      return res.status(400).json({ error: credentialError });
     }
 
     // Authenticate and obtain access token
@@ -279,7 +1194,7 @@ router.post('/add', createTraderLimiter, async (req, res) => {
 
     let authResult;
     try {
-      authResult = await adapter.authenticate(credentials);
+      authResult = await connection.adapter.authenticate(credentials);
       logSecurityEvent('CREDENTIAL_VALIDATION_SUCCESS', { username: normalizedUsername, connectionType });
     } catch (error) {
       logSecurityEvent('CREDENTIAL_VALIDATION_FAILED', {
@@ -289,7 +1204,7 @@ router.post('/add', createTraderLimiter, async (req, res) => {
       });
       // STIG: Don't leak adapter-specific error details to client
       return res.status(401).json({
-        error: `Invalid ${connectionType} credentials. Please check and try again.`,
+        error: `Invalid ${connection.displayName} credentials. Please check and try again.`,
       });
     }
 
@@ -303,20 +1218,11 @@ router.post('/add', createTraderLimiter, async (req, res) => {
       account_created: new Date().toISOString(),
       known_account_ids: [],
       total_accounts_linked: 0,
+      auth_status: 'active',
+      // Columns the adapter stores (secrets encrypted; passwords never persisted)
+      ...buildStoredColumns(connection, credentials, authResult, encrypt),
     };
 
-    if (connectionType === 'tradovate') {
-      traderRecord.tradovate_username = sanitizeString(tradovateUsername);
-      if (tradovateClientId) traderRecord.tradovate_client_id = sanitizeString(tradovateClientId);
-      // Store the ACCESS TOKEN (not password) — password is never persisted
-      traderRecord.tradovate_access_token = encrypt(authResult.accessToken);
-      traderRecord.tradovate_token_expires_at = authResult.expirationTime || null;
-      traderRecord.auth_status = 'active';
-      if (tradovateSecretKey) traderRecord.tradovate_refresh_token = encrypt(tradovateSecretKey);
-    } else {
-      traderRecord.tradesyncer_api_key = encrypt(sanitizeString(tradeSyncerApiKey));
-    }
-
     // Insert trader
     const { data: newTrader, error: insertError } = await db
       .from('traders')
@@ -326,6 +1232,14 @@ router.post('/add', createTraderLimiter, async (req, res) => {
 
     if (insertError) throw insertError;
 
+    // Not fatal: until the row exists, loadConnections() reads connection_type
+    const { error: connectionError } = await db
+      .from('trader_connections')
+      .insert([{ trader_id: newTrader.id, connection_type: connectionType }]);
+    if (connectionError) {
+      logSecurityEvent('CONNECTION_ROW_FAILED', { username: normalizedUsername, connectionType, error: connectionError.message });
+    }
+
     logSecurityEvent('TRADER_CREATED', {
       username: normalizedUsername,
       connectionType,
@@ -333,22 +1247,8 @@ router.post('/add', createTraderLimiter, async (req, res) => {
       sourceIp: req.ip,
     });
 
-    // Trigger initial sync (async) - include sync auth key
-    const syncKey = process.env.SYNC_API_KEY;
-    if (syncKey) {
-      fetch(`${process.env.BACKEND_URL || 'http://localhost:3001'}/api/sync/trader/${normalizedUsername}`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${syncKey}` },
-      }).catch(err => {
-        console.error(JSON.stringify({
-          timestamp: new Date().toISOString(),
-          level: 'ERROR',
-          event: 'INITIAL_SYNC_FAILED',
-          username: normalizedUsername,
-          message: err.message,
-        }));
-      });
-    }
+    // Initial sync runs as a job; the client polls syncJob.statusUrl
+    const syncJob = await startInitialSync(newTrader, 'signup');
 
     res.status(201).json({
       message: 'Profile added successfully! Your stats are being synced.',
@@ -357,6 +1257,7 @@ router.post('/add', createTraderLimiter, async (req, res) => {
         id: newTrader.id,
         connectionType: newTrader.connection_type,
       },
+      syncJob,
     });
   } catch (error) {
     console.error(JSON.stringify({
@@ -442,11 +1343,15 @@ router.post('/register', createTraderLimiter, jwtAuth, async (req, res) => {
 });
 
 // ============================================
-// LINK TRADING PLATFORM (for unlinked users)
+// LINK TRADING PLATFORM
 // POST /api/traders/link
+// POST /api/traders/me/connections
+// Body: { connectionType, propFirm?, ...credentials }
+// Adds a platform connection; a trader can link several (one per platform).
+// CJIS 5.4: Security events logged
 // ============================================
 
-router.post('/link', createTraderLimiter, jwtAuth, async (req, res) => {
+async function linkConnection(req, res) {
   try {
     const twitterUsername = req.user.twitterUsername;
 
@@ -456,18 +1361,14 @@ router.post('/link', createTraderLimiter, jwtAuth, async (req, res) => {
     }
     const normalizedUsername = usernameValidation.sanitized;
 
-    const {
-      propFirm,
-      connectionType,
-      tradovateUsername,
-      tradovatePassword,
-      tradovateClientId,
-      tradovateSecretKey,
-      tradeSyncerApiKey,
-    } = req.body;
+    const { propFirm, connectionType } = req.body;
 
-    if (!connectionType || !['tradovate', 'tradesyncer'].includes(connectionType)) {
-      return res.status(400).json({ error: 'Invalid connection type. Use "tradovate" or "tradesyncer".' });
+    const connection = getConnection(connectionType);
+    if (!connection) {
+      return res.status(400).json({ error: invalidConnectionTypeMessage() });
+    }
+    if (connection.selfReported) {
+      return res.status(400).json({ error: selfReportedLinkMessage(connection) });
     }
 
     // Find the existing trader
@@ -481,74 +1382,48 @@ router.post('/link', createTraderLimiter, jwtAuth, async (req, res) => {
       return res.status(404).json({ error: 'Trader not found. Please register first.' });
     }
 
-    if (trader.connection_type !== 'none') {
-      return res.status(400).json({ error: 'Account is already linked to a trading platform.' });
+    const existing = await loadConnections(trader);
+    if (existing.some(row => row.connection_type === connectionType)) {
+      return res.status(409).json({ error: `${connection.displayName} is already linked to this account.` });
     }
 
     // Validate and authenticate credentials
-    const adapter = getAdapter(connectionType);
-    let credentials;
-
-    if (connectionType === 'tradovate') {
-      if (!tradovateUsername) {
-        return res.status(400).json({ error: 'Tradovate username is required' });
-      }
-      credentials = {
-        username: sanitizeString(tradovateUsername),
-        password: tradovatePassword || '',
-        clientId: tradovateClientId || '',
-        secretKey: tradovateSecretKey || '',
-      };
-    } else {
-      if (!tradeSyncerApiKey) {
-        return res.status(400).json({ error: 'TradeSyncer API key is required' });
-      }
-      credentials = { apiKey: sanitizeString(tradeSyncerApiKey) };
+    const { credentials, error: credentialError } = readCredentials(connection, req.body, sanitizeString);
+    if (credentialError) {
+      return res.status(400).json({ error: credentialError });
     }
 
     logSecurityEvent('LINK_VALIDATION_START', { username: normalizedUsername, connectionType, sourceIp: req.ip });
 
     let authResult;
     try {
-      authResult = await adapter.authenticate(credentials);
+      authResult = await connection.adapter.authenticate(credentials);
     } catch (error) {
       logSecurityEvent('LINK_VALIDATION_FAILED', { username: normalizedUsername, connectionType, sourceIp: req.ip });
-      return res.status(401).json({ error: `Invalid ${connectionType} credentials. Please check and try again.` });
+      return res.status(401).json({ error: `Invalid ${connection.displayName} credentials. Please check and try again.` });
     }
 
-    // Build update
-    const updateData = {
-      connection_type: connectionType,
-      prop_firm: propFirm && PROP_FIRMS[propFirm] ? propFirm : 'other',
-      prop_firm_display: propFirm && PROP_FIRMS[propFirm] ? PROP_FIRMS[propFirm].display : 'Other',
-      auth_status: 'active',
-      updated_at: new Date().toISOString(),
-    };
-
-    if (connectionType === 'tradovate') {
-      updateData.tradovate_username = sanitizeString(tradovateUsername);
-      if (tradovateClientId) updateData.tradovate_client_id = sanitizeString(tradovateClientId);
-      updateData.tradovate_access_token = encrypt(authResult.accessToken);
-      updateData.tradovate_token_expires_at = authResult.expirationTime || null;
-      if (tradovateSecretKey) updateData.tradovate_refresh_token = encrypt(tradovateSecretKey);
-    } else {
-      updateData.tradesyncer_api_key = encrypt(sanitizeString(tradeSyncerApiKey));
+    // Prop firm comes with the first link; later links only change it when asked
+    const columns = buildStoredColumns(connection, credentials, authResult, encrypt);
+    if (existing.length === 0 || (propFirm && PROP_FIRMS[propFirm])) {
+      columns.prop_firm = propFirm && PROP_FIRMS[propFirm] ? propFirm : 'other';
+      columns.prop_firm_display = propFirm && PROP_FIRMS[propFirm] ? PROP_FIRMS[propFirm].display : 'Other';
     }
 
-    await db.from('traders').update(updateData).eq('id', trader.id);
+    const linkedTrader = await addConnection(trader, connection, columns, existing);
 
     logSecurityEvent('TRADER_LINKED', { username: normalizedUsername, connectionType, traderId: trader.id, sourceIp: req.ip });
 
-    // Trigger initial sync
-    const syncKey = process.env.SYNC_API_KEY;
-    if (syncKey) {
-      fetch(`${process.env.BACKEND_URL || 'http://localhost:3001'}/api/sync/trader/${normalizedUsername}`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${syncKey}` },
-      }).catch(() => {});
-    }
+    // Initial sync runs as a job; the client polls syncJob.statusUrl
+    const syncJob = await startInitialSync(linkedTrader, 'link');
 
-    res.json({ success: true, message: 'Account linked successfully! Your stats are being synced.' });
+    res.json({
+      success: true,
+      message: 'Account linked successfully! Your stats are being synced.',
+      connectionType: linkedTrader.connection_type,
+      connections: [...existing.map(row => row.connection_type), connectionType],
+      syncJob,
+    });
   } catch (error) {
     console.error(JSON.stringify({
       timestamp: new Date().toISOString(),
@@ -558,7 +1433,10 @@ router.post('/link', createTraderLimiter, jwtAuth, async (req, res) => {
     }));
     res.status(500).json({ error: 'Failed to link account. Please try again.' });
   }
-});
+}
+
+router.post('/link', createTraderLimiter, jwtAuth, linkConnection);
+router.post('/me/connections', createTraderLimiter, jwtAuth, linkConnection);
 
 // ============================================
 // RE-AUTHENTICATE TRADER (token expired)
@@ -600,7 +1478,8 @@ router.post('/reauth', createTraderLimiter, async (req, res) => {
       return res.status(404).json({ error: 'Trader not found' });
     }
 
-    if (trader.connection_type !== 'tradovate') {
+    const connections = await loadConnections(trader);
+    if (!connections.some(row => row.connection_type === 'tradovate')) {
       return res.status(400).json({ error: 'Re-authentication is only needed for Tradovate connections.' });
     }
 
@@ -631,6 +1510,7 @@ router.post('/reauth', createTraderLimiter, async (req, res) => {
     await db.from('traders').update({
       tradovate_access_token: encrypt(authResult.accessToken),
       tradovate_token_expires_at: authResult.expirationTime || null,
+      tradovate_environment: authResult.environment || trader.tradovate_environment || null,
       auth_status: 'active',
       updated_at: new Date().toISOString(),
     }).eq('id', trader.id);
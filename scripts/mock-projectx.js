@@ -0,0 +1,161 @@
+// backend/scripts/mock-projectx.js
+// Local stand-in for the ProjectX Gateway API (TopstepX), for tests and
+// local development of the ProjectX adapter (adapters/projectx).
+//
+// In tests:
+//   const { startMockProjectXServer } = require('../scripts/mock-projectx');
+//   const server = await startMockProjectXServer({
+//     users: [{ username: 'trader1', apiKey: 'key' }],
+//     accounts: [{ id: 101, name: 'TOPX-101', balance: 50000, canTrade: true }],
+//     trades: [{ id: 1, accountId: 101, contractId: 'CON.F.US.EP.U25', ... }],
+//     contracts: { 'CON.F.US.EP.U25': 'ESU5' },
+//   });
+//   new ProjectXAdapter({ baseURL: server.url });
+//   server.revokeTokens();  // sessions stop working, as after a logout
+//   await server.close();
+//
+// Standalone (point PROJECTX_API_URL at it; any username and API key log in):
+//   node scripts/mock-projectx.js [port]
+
+const http = require('http');
+const crypto = require('crypto');
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Start a mock Gateway API server on localhost.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 (default) picks a free port
+ * @param {Array<{ username: string, apiKey: string }>} [options.users] - Accepted logins; any if omitted
+ * @param {Array<Object>} [options.accounts] - Account/search results
+ * @param {Array<Object>} [options.trades] - Trade/search executions (filtered by accountId and time)
+ * @param {Object<string, string>} [options.contracts] - contractId -> name for Contract/searchById
+ * @param {number} [options.tokenTtlSeconds] - Lifetime of issued tokens (default 24 hours)
+ * @returns {Promise<Object>} - { url, port, requests, issueToken, revokeTokens, close }
+ */
+function startMockProjectXServer(options = {}) {
+  const users = options.users || null;
+  const accounts = options.accounts || [];
+  const trades = options.trades || [];
+  const contracts = options.contracts || {};
+  const tokenTtlSeconds = options.tokenTtlSeconds || 24 * 60 * 60;
+  const requests = [];
+  const tokens = new Set();
+
+  const issueToken = (username, ttlSeconds = tokenTtlSeconds) => {
+    const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const token = `${base64url({ alg: 'none' })}.${base64url({ sub: username, exp, jti: crypto.randomUUID() })}.mock`;
+    tokens.add(token);
+    return token;
+  };
+
+  const ok = data => ({ ...data, success: true, errorCode: 0, errorMessage: null });
+  const failed = (errorCode, errorMessage) => ({ success: false, errorCode, errorMessage });
+
+  const handlers = {
+    '/api/Auth/loginKey': body => {
+      const known = !users || users.some(u => u.username === body.userName && u.apiKey === body.apiKey);
+      // Like the real API: a refused login is still HTTP 200
+      return known ? ok({ token: issueToken(body.userName) }) : failed(3, 'Invalid credentials');
+    },
+    '/api/Auth/validate': (body, token) => ok({ newToken: issueToken(token.username) }),
+    '/api/Account/search': body => ok({
+      accounts: accounts.filter(account => !body.onlyActiveAccounts || account.canTrade !== false),
+    }),
+    '/api/Trade/search': body => {
+      const start = new Date(body.startTimestamp).getTime();
+      const end = body.endTimestamp ? new Date(body.endTimestamp).getTime() : Infinity;
+      return ok({
+        trades: trades.filter(trade => {
+          const time = new Date(trade.creationTimestamp).getTime();
+          return trade.accountId === body.accountId && time >= start && time < end;
+        }),
+      });
+    },
+    '/api/Contract/searchById': body => contracts[body.contractId]
+      ? ok({ contract: { id: body.contractId, name: contracts[body.contractId] } })
+      : failed(1, 'Contract not found'),
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch {}
+
+      const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+      requests.push({ path: req.url, body, token: bearer || null });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      const handler = req.method === 'POST' ? handlers[req.url] : null;
+      if (!handler) return send(404, { message: `Unknown endpoint ${req.method} ${req.url}` });
+
+      if (req.url === '/api/Auth/loginKey') return send(200, handler(body));
+
+      if (!tokens.has(bearer)) return send(401, {});
+      const [, payload] = bearer.split('.');
+      const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (exp * 1000 <= Date.now()) return send(401, {});
+
+      send(200, handler(body, { username: sub }));
+    });
+  });
+
+  const mock = {
+    requests,
+    issueToken,
+
+    /**
+     * Invalidate every token issued so far.
+     */
+    revokeTokens() {
+      tokens.clear();
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      mock.port = server.address().port;
+      mock.url = `http://127.0.0.1:${mock.port}`;
+      resolve(mock);
+    });
+  });
+}
+
+module.exports = { startMockProjectXServer };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8766;
+  const contractId = 'CON.F.US.EP.U25';
+  const now = Date.now();
+  const at = minutesAgo => new Date(now - minutesAgo * 60 * 1000).toISOString();
+
+  startMockProjectXServer({
+    port,
+    accounts: [{ id: 1, name: 'MOCK-50K-1', balance: 50000, canTrade: true, simulated: true }],
+    contracts: { [contractId]: 'ESU5' },
+    trades: [
+      { id: 1, accountId: 1, contractId, creationTimestamp: at(90), price: 5000, profitAndLoss: null, fees: 1.4, side: 0, size: 1, voided: false },
+      { id: 2, accountId: 1, contractId, creationTimestamp: at(85), price: 5004, profitAndLoss: 200, fees: 1.4, side: 1, size: 1, voided: false },
+      { id: 3, accountId: 1, contractId, creationTimestamp: at(30), price: 5010, profitAndLoss: null, fees: 2.8, side: 1, size: 2, voided: false },
+      { id: 4, accountId: 1, contractId, creationTimestamp: at(20), price: 5012, profitAndLoss: -200, fees: 2.8, side: 0, size: 2, voided: false },
+    ],
+  }).then(server => {
+    console.log(`Mock ProjectX Gateway API listening on ${server.url}`);
+  });
+}
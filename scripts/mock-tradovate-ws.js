@@ -0,0 +1,136 @@
+// backend/scripts/mock-tradovate-ws.js
+// Local stand-in for Tradovate's user-sync WebSocket, for tests and local
+// development of the fill stream (services/fillStream).
+//
+// In tests:
+//   const { startMockTradovateServer } = require('../scripts/mock-tradovate-ws');
+//   const server = await startMockTradovateServer({ tokens: ['good-token'] });
+//   server.pushEntity('fillPair', { id: 1, accountId: 101, ... });
+//   server.dropConnections();  // clients should reconnect and resubscribe
+//   await server.close();
+//
+// Standalone (point TRADOVATE_WS_URL at it; pushes a sample fill pair every
+// MOCK_PUSH_INTERVAL_MS for MOCK_ACCOUNT_ID):
+//   node scripts/mock-tradovate-ws.js [port]
+
+const { WebSocketServer } = require('ws');
+
+/**
+ * Start a mock user-sync server on localhost.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 (default) picks a free port
+ * @param {Array<string>} [options.tokens] - Accepted access tokens; any token if omitted
+ * @param {Object} [options.snapshot] - user/syncrequest response data
+ * @param {number} [options.heartbeatMs] - Server heartbeat interval
+ * @returns {Promise<Object>} - { url, port, requests, pushEntity, dropConnections, clientCount, close }
+ */
+function startMockTradovateServer(options = {}) {
+  const tokens = options.tokens ? new Set(options.tokens) : null;
+  const snapshot = options.snapshot || { users: [], accounts: [], fills: [], fillPairs: [] };
+  const heartbeatMs = options.heartbeatMs || 2500;
+  const requests = [];
+  const subscribed = new Set();
+
+  const wss = new WebSocketServer({ port: options.port || 0, host: '127.0.0.1' });
+
+  wss.on('connection', socket => {
+    let authorized = false;
+    socket.send('o');
+    const heartbeat = setInterval(() => socket.send('h'), heartbeatMs);
+
+    socket.on('message', data => {
+      const text = String(data);
+      if (text === '[]') return; // client heartbeat
+
+      const [endpoint, id, query, ...rest] = text.split('\n');
+      const body = rest.join('\n');
+      const requestId = parseInt(id, 10);
+      requests.push({ endpoint, id: requestId, query, body });
+      const reply = message => socket.send(`a${JSON.stringify([{ i: requestId, ...message }])}`);
+
+      if (endpoint === 'authorize') {
+        authorized = !tokens || tokens.has(body);
+        reply(authorized ? { s: 200 } : { s: 401, d: 'Access is denied' });
+      } else if (!authorized) {
+        reply({ s: 401, d: 'Not authorized' });
+      } else if (endpoint === 'user/syncrequest') {
+        subscribed.add(socket);
+        reply({ s: 200, d: snapshot });
+      } else {
+        reply({ s: 404, d: `Unknown endpoint ${endpoint}` });
+      }
+    });
+
+    socket.on('close', () => {
+      clearInterval(heartbeat);
+      subscribed.delete(socket);
+    });
+  });
+
+  const server = {
+    requests,
+
+    /**
+     * Push an entity event to every subscribed client.
+     */
+    pushEntity(entityType, entity, eventType = 'Created') {
+      const frame = `a${JSON.stringify([{ e: 'props', d: { entityType, eventType, entity } }])}`;
+      for (const socket of subscribed) socket.send(frame);
+    },
+
+    /**
+     * Drop every connection without a close frame, like a network failure.
+     */
+    dropConnections() {
+      for (const socket of wss.clients) socket.terminate();
+    },
+
+    clientCount() {
+      return subscribed.size;
+    },
+
+    close() {
+      for (const socket of wss.clients) socket.terminate();
+      return new Promise(resolve => wss.close(() => resolve()));
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      server.port = wss.address().port;
+      server.url = `ws://127.0.0.1:${server.port}/v1/websocket`;
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startMockTradovateServer };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8765;
+  const accountId = parseInt(process.env.MOCK_ACCOUNT_ID, 10) || 1;
+  const interval = parseInt(process.env.MOCK_PUSH_INTERVAL_MS, 10) || 10000;
+
+  startMockTradovateServer({ port }).then(server => {
+    console.log(`Mock Tradovate user sync listening on ${server.url}`);
+    let nextId = 1;
+    setInterval(() => {
+      const now = new Date();
+      const profit = Math.round((Math.random() - 0.45) * 400);
+      server.pushEntity('fillPair', {
+        id: nextId++,
+        accountId,
+        contractId: 1,
+        isBuy: true,
+        qty: 1,
+        buyPrice: 5000,
+        sellPrice: 5000 + profit / 50,
+        pnl: profit,
+        buyTimestamp: new Date(now.getTime() - 60000).toISOString(),
+        sellTimestamp: now.toISOString(),
+      });
+    }, interval);
+  });
+}
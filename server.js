@@ -11,6 +11,8 @@ const { generalLimiter, syncLimiter } = require('./middleware/rateLimiter');
 const { securityHeaders } = require('./middleware/securityHeaders');
 const { auditLogger } = require('./middleware/auditLogger');
 const { syncAuth } = require('./middleware/syncAuth');
+const { failInterruptedJobs } = require('./services/syncJobs');
+const { startFillStream } = require('./services/fillStream');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -34,6 +36,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Sync-Key'],
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor'], // Leaderboard pagination
   maxAge: 600, // Cache preflight for 10 minutes
 }));
 
@@ -89,5 +92,22 @@ app.listen(PORT, () => {
     event: 'SERVER_START',
     port: PORT,
   }));
+  failInterruptedJobs().catch(error => {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'SYNC_JOB_RECOVERY_FAILED',
+      message: error.message,
+    }));
+  });
   startCronJobs();
+  // Optional real-time fills (FILL_STREAM_ENABLED=true)
+  startFillStream().catch(error => {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      event: 'FILL_STREAM_START_FAILED',
+      message: error.message,
+    }));
+  });
 });
@@ -0,0 +1,160 @@
+// services/connections.js
+// A trader's platform connections: one trader_connections row per platform.
+// Credentials stay in the traders columns each adapter stores (see
+// adapters/registry), so a second platform's columns sit alongside the
+// first; traders.connection_type summarizes the set ('multiple' for more
+// than one).
+// CJIS 5.4: Links and removals are audit logged
+
+const db = require('../config/database');
+const { getConnection } = require('../adapters');
+const { clearStoredColumns } = require('../adapters/registry');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { connectionTypesOf, summarizeConnectionType } = require('../utils/connections');
+
+/**
+ * Load a trader's connections, oldest first. Traders linked before
+ * trader_connections existed get rows built from connection_type (without
+ * an id) until their first add or remove stores them.
+ *
+ * @param {Object} trader - traders row
+ * @returns {Promise<Array<Object>>} - trader_connections rows
+ */
+async function loadConnections(trader) {
+  const { data, error } = await db
+    .from('trader_connections')
+    .select('*')
+    .eq('trader_id', trader.id)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  if (data && data.length > 0) return data;
+
+  return connectionTypesOf(trader).map(type => ({
+    trader_id: trader.id,
+    connection_type: type,
+    created_at: trader.created_at || null,
+  }));
+}
+
+/**
+ * Store rows loadConnections() built from connection_type.
+ */
+async function storeLegacyConnections(rows) {
+  const missing = rows.filter(row => !row.id).map(row => ({
+    trader_id: row.trader_id,
+    connection_type: row.connection_type,
+  }));
+  if (missing.length === 0) return;
+
+  const { error } = await db
+    .from('trader_connections')
+    .upsert(missing, { onConflict: 'trader_id,connection_type', ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+/**
+ * Link another platform to a trader whose credentials were just verified.
+ *
+ * Token health (auth_status) is reset when the new connection is the one
+ * tokens are renewed for, or when the trader had no connection at all.
+ *
+ * @param {Object} trader - traders row
+ * @param {Object} connection - Registered connection
+ * @param {Object} columns - From buildStoredColumns()
+ * @param {Array<Object>} existing - From loadConnections()
+ * @returns {Promise<Object>} - Updated traders row
+ */
+async function addConnection(trader, connection, columns, existing) {
+  await storeLegacyConnections(existing);
+
+  const { error: insertError } = await db
+    .from('trader_connections')
+    .insert([{ trader_id: trader.id, connection_type: connection.type }]);
+  if (insertError) throw insertError;
+
+  const update = {
+    ...columns,
+    connection_type: summarizeConnectionType([...existing.map(row => row.connection_type), connection.type]),
+    updated_at: new Date().toISOString(),
+  };
+  if (existing.length === 0 || connection.capabilities.tokenRenewal) update.auth_status = 'active';
+
+  const { data: updated, error } = await db
+    .from('traders')
+    .update(update)
+    .eq('id', trader.id)
+    .select()
+    .single();
+
+  if (error) {
+    // Credentials weren't stored: drop the row so the trader can retry
+    await db.from('trader_connections').delete().eq('trader_id', trader.id).eq('connection_type', connection.type);
+    throw error;
+  }
+
+  logSecurityEvent('CONNECTION_ADDED', {
+    username: trader.twitter_username,
+    traderId: trader.id,
+    connectionType: connection.type,
+    connections: existing.length + 1,
+  });
+  return updated;
+}
+
+/**
+ * Unlink a platform: clear its stored credentials and delete its row.
+ * Trades, payouts and accounts already synced from it stay on the profile.
+ * Removing the last connection leaves the trader unlinked.
+ *
+ * @param {Object} trader - traders row
+ * @param {string} type - Connection type to remove
+ * @param {Array<Object>} existing - From loadConnections()
+ * @returns {Promise<Object>} - Updated traders row
+ */
+async function removeConnection(trader, type, existing) {
+  const remaining = existing.filter(row => row.connection_type !== type);
+  await storeLegacyConnections(remaining);
+
+  const connection = getConnection(type);
+  const update = {
+    ...(connection ? clearStoredColumns(connection) : {}),
+    connection_type: summarizeConnectionType(remaining.map(row => row.connection_type)),
+    updated_at: new Date().toISOString(),
+  };
+  if (remaining.length === 0) {
+    update.auth_status = 'unlinked';
+  } else if (!connection || connection.capabilities.tokenRenewal) {
+    // An expired status belonged to the removed connection's token
+    update.auth_status = 'active';
+  }
+
+  const { data: updated, error } = await db
+    .from('traders')
+    .update(update)
+    .eq('id', trader.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  const { error: deleteError } = await db
+    .from('trader_connections')
+    .delete()
+    .eq('trader_id', trader.id)
+    .eq('connection_type', type);
+  if (deleteError) throw deleteError;
+
+  logSecurityEvent('CONNECTION_REMOVED', {
+    username: trader.twitter_username,
+    traderId: trader.id,
+    connectionType: type,
+    connections: remaining.length,
+  });
+  return updated;
+}
+
+module.exports = {
+  loadConnections,
+  addConnection,
+  removeConnection,
+};
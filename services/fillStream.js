@@ -0,0 +1,362 @@
+// services/fillStream.js
+// Optional real-time ingestion of Tradovate fills over the user-sync
+// WebSocket (FILL_STREAM_ENABLED=true). One connection per active token and
+// Tradovate environment the trader uses (demo, live or both); pushed fill
+// pairs are stored as trades and statistics are recomputed within seconds
+// instead of at the next scheduled sync.
+//
+// Scheduled REST syncs keep running and remain the source of truth: the
+// stream never advances sync cursors, so anything it misses (disconnects,
+// restarts) is picked up by the next sync.
+
+const db = require('../config/database');
+const { decrypt } = require('../utils/encryption');
+const { getAdapter } = require('../adapters');
+const { TradovateUserSyncClient } = require('../adapters/tradovateUserSync');
+const { environmentsOf } = require('../adapters/tradovateEnvironment');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { fetchAllRows } = require('../utils/fetchAll');
+const { buildStreamWrite } = require('../utils/syncWrite');
+const { getFillStreamConfig, selectStreamTraders, classifyStreamEvent } = require('../utils/fillStream');
+const { MULTIPLE_CONNECTIONS } = require('../utils/connections');
+const { SyncTelemetry } = require('../utils/syncTelemetry');
+const {
+  loadSyncCursors,
+  loadTradeHistory,
+  loadPayouts,
+  loadAccounts,
+  applyTraderSync,
+  withTraderLock,
+} = require('./tradeStore');
+
+// Failed writes are retried this many times before the buffered trades are
+// dropped (the next scheduled sync stores them)
+const MAX_FLUSH_ATTEMPTS = 5;
+
+// traderId -> stream state
+const streams = new Map();
+let refreshTimer = null;
+let activeConfig = null;
+
+// ============================================
+// STREAM LIFECYCLE
+// ============================================
+
+/**
+ * Start streaming for every eligible trader and reload the list periodically.
+ * Does nothing unless FILL_STREAM_ENABLED=true.
+ *
+ * @param {Object} [config] - From getFillStreamConfig()
+ * @returns {Promise<boolean>} - Whether streaming started
+ */
+async function startFillStream(config = getFillStreamConfig()) {
+  if (!config.enabled || refreshTimer) return false;
+  activeConfig = config;
+
+  logSecurityEvent('FILL_STREAM_STARTED', {
+    refreshMinutes: config.refreshMinutes,
+    maxTraders: config.maxTraders,
+  });
+
+  await refreshStreams();
+  refreshTimer = setInterval(() => {
+    refreshStreams().catch(error => {
+      logSecurityEvent('FILL_STREAM_REFRESH_FAILED', { error: error.message });
+    });
+  }, config.refreshMinutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Close every connection. Buffered trades are dropped; scheduled syncs store them.
+ */
+function stopFillStream() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  for (const traderId of [...streams.keys()]) stopTraderStream(traderId);
+}
+
+/**
+ * Open streams for newly eligible traders and close streams for traders
+ * that are no longer eligible (token expired, unlinked, over the cap).
+ * A trader whose Tradovate environment changed (detected by a sync) is
+ * reconnected.
+ */
+async function refreshStreams() {
+  const traders = await fetchAllRows(() => db
+    .from('traders')
+    .select('*, connections:trader_connections(connection_type)')
+    .in('connection_type', ['tradovate', MULTIPLE_CONNECTIONS])
+    .order('id', { ascending: true }));
+
+  const selected = selectStreamTraders(traders, new Date(), activeConfig);
+  const selectedIds = new Set(selected.map(trader => trader.id));
+
+  for (const traderId of [...streams.keys()]) {
+    if (!selectedIds.has(traderId)) stopTraderStream(traderId);
+  }
+
+  for (const trader of selected) {
+    const stream = streams.get(trader.id);
+    if (stream && stream.environment !== (trader.tradovate_environment || null)) {
+      stopTraderStream(trader.id);
+    } else if (stream) {
+      stream.trader = trader;
+      continue;
+    }
+    try {
+      await startTraderStream(trader);
+    } catch (error) {
+      // Retried on the next refresh
+      logSecurityEvent('FILL_STREAM_START_FAILED', {
+        username: trader.twitter_username,
+        error: error.message,
+      });
+    }
+  }
+
+  logSecurityEvent('FILL_STREAM_REFRESHED', { eligible: selected.length, connected: streams.size });
+}
+
+async function startTraderStream(trader) {
+  const adapter = getAdapter('tradovate');
+  const stream = {
+    trader,
+    adapter,
+    // Until a sync detects the trader's environments, only demo is streamed
+    environment: trader.tradovate_environment || null,
+    environments: environmentsOf(trader.tradovate_environment) || ['demo'],
+    accessToken: decrypt(trader.tradovate_access_token),
+    // `${environment}:${id}` -> { environment, pair }
+    pendingPairs: new Map(),
+    // `${environment}:${accountId}` -> { environment, accountId, seenAt }
+    pendingFills: new Map(),
+    // `${environment}:${accountId}` of accounts known to produce fill pairs
+    pairedAccounts: new Set(),
+    flushTimer: null,
+    fillTimer: null,
+    flushAttempts: 0,
+    clients: [],
+  };
+
+  // The subscription is per Tradovate user and environment, not per account
+  for (const environment of stream.environments) {
+    stream.clients.push(await createClient(stream, environment));
+  }
+
+  streams.set(trader.id, stream);
+  for (const client of stream.clients) client.start();
+}
+
+async function createClient(stream, environment) {
+  const { adapter, trader } = stream;
+  const me = await adapter.getMe({ accessToken: stream.accessToken, environment });
+  const userId = me.userId ?? me.id;
+  if (userId == null) throw new Error(`Tradovate auth/me returned no user ID (${environment})`);
+
+  const client = new TradovateUserSyncClient({
+    url: activeConfig.url || adapter.getUserSyncUrl(environment),
+    userId,
+    // Read on every (re)connect so tokens renewed in the meantime are used
+    getAccessToken: async () => {
+      stream.accessToken = await loadAccessToken(trader.id);
+      return stream.accessToken;
+    },
+  });
+
+  client.on('subscribed', ({ snapshot }) => {
+    logSecurityEvent('FILL_STREAM_SUBSCRIBED', { username: stream.trader.twitter_username, environment });
+    // Today's fill pairs: covers anything pushed while disconnected
+    for (const pair of snapshot.fillPairs || []) {
+      handleEvent(stream, environment, { entityType: 'fillPair', eventType: 'Created', entity: pair });
+    }
+  });
+  client.on('entity', event => handleEvent(stream, environment, event));
+  client.on('disconnected', ({ code, reason, reconnectInMs }) => {
+    logSecurityEvent('FILL_STREAM_DISCONNECTED', {
+      username: stream.trader.twitter_username,
+      environment,
+      code,
+      reason,
+      reconnectInMs,
+    });
+  });
+  client.on('authFailed', ({ status }) => {
+    // Keeps retrying; the token renewal pass and the next refresh sort it out
+    logSecurityEvent('FILL_STREAM_AUTH_FAILED', { username: stream.trader.twitter_username, environment, status });
+  });
+
+  return client;
+}
+
+function stopTraderStream(traderId) {
+  const stream = streams.get(traderId);
+  if (!stream) return;
+  streams.delete(traderId);
+  clearTimeout(stream.flushTimer);
+  clearTimeout(stream.fillTimer);
+  for (const client of stream.clients) client.stop();
+  logSecurityEvent('FILL_STREAM_CLOSED', { username: stream.trader.twitter_username });
+}
+
+async function loadAccessToken(traderId) {
+  const { data, error } = await db
+    .from('traders')
+    .select('tradovate_access_token')
+    .eq('id', traderId)
+    .single();
+
+  if (error) throw error;
+  return data.tradovate_access_token ? decrypt(data.tradovate_access_token) : '';
+}
+
+// ============================================
+// EVENT HANDLING
+// ============================================
+
+function handleEvent(stream, environment, event) {
+  const kind = classifyStreamEvent(event);
+  const accountId = kind ? String(event.entity.accountId) : null;
+  const accountKey = `${environment}:${accountId}`;
+
+  if (kind === 'fillPair') {
+    stream.pendingPairs.set(`${environment}:${event.entity.id}`, { environment, pair: event.entity });
+    stream.pendingFills.delete(accountKey);
+    stream.pairedAccounts.add(accountKey);
+    scheduleFlush(stream, activeConfig.flushMs);
+  } else if (kind === 'fill') {
+    // An account that produces fill pairs gets one when the position is
+    // flat; an opening fill has nothing to pair with, so a REST fetch would
+    // only spend requests (and the provider's circuit breaker budget)
+    if (stream.pairedAccounts.has(accountKey)) return;
+
+    // Other accounts are fetched over REST (fill matching / cash balance)
+    // once the fill has had time to pair up
+    if (!stream.pendingFills.has(accountKey)) {
+      stream.pendingFills.set(accountKey, { environment, accountId, seenAt: Date.now() });
+    }
+    armFillTimer(stream);
+  }
+}
+
+function armFillTimer(stream) {
+  if (stream.fillTimer) return;
+  stream.fillTimer = setTimeout(() => {
+    stream.fillTimer = null;
+    scheduleFlush(stream, 0);
+  }, activeConfig.fillRefreshDelayMs);
+}
+
+function scheduleFlush(stream, delayMs) {
+  if (stream.flushTimer) return;
+  stream.flushTimer = setTimeout(() => {
+    stream.flushTimer = null;
+    flushTrader(stream).catch(() => { /* logged in flushTrader */ });
+  }, delayMs);
+}
+
+/**
+ * Store buffered fill pairs (and REST-refreshed accounts with unpaired
+ * fills) for one trader in a single apply_trader_sync transaction.
+ */
+async function flushTrader(stream) {
+  const pairs = [...stream.pendingPairs.entries()];
+  const cutoff = Date.now() - activeConfig.fillRefreshDelayMs;
+  const fillAccounts = [...stream.pendingFills.entries()]
+    .filter(([, pending]) => pending.seenAt <= cutoff);
+  if (pairs.length === 0 && fillAccounts.length === 0) return;
+
+  stream.pendingPairs.clear();
+  for (const [key] of fillAccounts) stream.pendingFills.delete(key);
+  if (stream.pendingFills.size > 0) armFillTimer(stream);
+
+  const { trader, adapter } = stream;
+  const authContextFor = environment => ({ accessToken: stream.accessToken, environment });
+
+  try {
+    let trades = [];
+    for (const environment of stream.environments) {
+      const normalized = pairs
+        .filter(([, pending]) => pending.environment === environment)
+        .map(([, pending]) => adapter.normalizeFillPair(pending.pair));
+      if (normalized.length > 0) {
+        trades = trades.concat(await adapter.contracts.applyToTrades(authContextFor(environment), normalized));
+      }
+    }
+
+    if (fillAccounts.length > 0) {
+      const cursors = await loadSyncCursors(trader.id, 'tradovate');
+      for (const [key, { environment, accountId }] of fillAccounts) {
+        // The data source the adapter picks tells us whether the account pairs fills
+        const telemetry = new SyncTelemetry();
+        const refreshed = await adapter.getAccountTrades(
+          { ...authContextFor(environment), telemetry }, Number(accountId), cursors[accountId]);
+        if (telemetry.accounts[accountId]?.dataSource === 'fillPair') stream.pairedAccounts.add(key);
+        trades = trades.concat(refreshed);
+      }
+    }
+
+    const { written, stats } = await withTraderLock(trader.id, async () => {
+      const [history, accountRows, payouts] = await Promise.all([
+        loadTradeHistory(trader.id),
+        loadAccounts(trader.id),
+        loadPayouts(trader.id),
+      ]);
+      const write = buildStreamWrite({ trader, trades, stored: { history, accountRows, payouts } });
+      return { stats: write.stats, written: await applyTraderSync(write.payload) };
+    });
+
+    stream.flushAttempts = 0;
+    logSecurityEvent('FILL_STREAM_INGESTED', {
+      username: trader.twitter_username,
+      fillPairs: pairs.length,
+      refreshedAccounts: fillAccounts.length,
+      tradesWritten: written.trades,
+      newTrades: written.newTrades,
+      totalTrades: stats.totalTrades,
+    });
+  } catch (error) {
+    stream.flushAttempts += 1;
+    const retrying = stream.flushAttempts < MAX_FLUSH_ATTEMPTS && streams.get(trader.id) === stream;
+
+    if (retrying) {
+      // Put the batch back (newer copies of the same pair win) and retry later
+      for (const [key, pending] of pairs) {
+        if (!stream.pendingPairs.has(key)) stream.pendingPairs.set(key, pending);
+      }
+      for (const [key, pending] of fillAccounts) {
+        if (!stream.pendingFills.has(key)) stream.pendingFills.set(key, { ...pending, seenAt: 0 });
+      }
+      scheduleFlush(stream, activeConfig.flushMs * 2 ** stream.flushAttempts);
+    } else {
+      stream.flushAttempts = 0;
+    }
+
+    logSecurityEvent('FILL_STREAM_INGEST_FAILED', {
+      username: trader.twitter_username,
+      error: error.message,
+      attempt: stream.flushAttempts,
+      retrying,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Connection state for the sync dashboard and debugging.
+ * @returns {{ enabled: boolean, traders: number, subscribed: number }}
+ */
+function getFillStreamStatus() {
+  let subscribed = 0;
+  for (const stream of streams.values()) {
+    if (stream.clients.every(client => client.subscribed)) subscribed += 1;
+  }
+  return { enabled: Boolean(refreshTimer), traders: streams.size, subscribed };
+}
+
+module.exports = {
+  startFillStream,
+  stopFillStream,
+  getFillStreamStatus,
+};
@@ -0,0 +1,68 @@
+// services/manualSync.js
+// Trader-initiated "sync now" (POST /api/traders/me/sync): queues the same
+// single-trader sync job the API key route does, at most once per cooldown
+// per trader.
+// CJIS 5.4: Requests and refusals are audit logged
+
+const db = require('../config/database');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { enqueueSyncJob, findActiveTraderJob } = require('./syncJobs');
+const { getManualSyncConfig, getNextManualSyncAt, getCooldownCutoff } = require('../utils/manualSync');
+
+/**
+ * Start a sync for a trader unless one is already running or they synced
+ * within the cooldown.
+ *
+ * The cooldown slot is claimed with a conditional update, so two requests
+ * racing (two tabs, two server instances) queue one job between them.
+ *
+ * @param {Object} trader - Full traders row (syncSingleTrader needs credentials)
+ * @param {Date} [now]
+ * @param {Object} [config] - From getManualSyncConfig()
+ * @returns {Promise<{ job?: Object, existing?: boolean, nextSyncAt: Date|null }>} -
+ *   job is absent when the trader is on cooldown
+ */
+async function requestManualSync(trader, now = new Date(), config = getManualSyncConfig()) {
+  const nextSyncAt = getNextManualSyncAt(trader, now, config);
+
+  // Already syncing: point the caller at that job instead of queueing another
+  const active = await findActiveTraderJob(trader.id);
+  if (active) return { job: active, existing: true, nextSyncAt };
+
+  if (nextSyncAt) {
+    logSecurityEvent('MANUAL_SYNC_COOLDOWN', { username: trader.twitter_username, nextSyncAt: nextSyncAt.toISOString() });
+    return { nextSyncAt };
+  }
+
+  const cutoff = getCooldownCutoff(now, config).toISOString();
+  const { data: claimed, error } = await db
+    .from('traders')
+    .update({ manual_sync_requested_at: now.toISOString() })
+    .eq('id', trader.id)
+    .or(`manual_sync_requested_at.is.null,manual_sync_requested_at.lte."${cutoff}"`)
+    .select('id');
+
+  if (error) throw error;
+
+  const claimedUntil = getNextManualSyncAt({ manual_sync_requested_at: now.toISOString() }, now, config);
+  if (!claimed || claimed.length === 0) {
+    // Another request claimed the slot a moment ago
+    logSecurityEvent('MANUAL_SYNC_COOLDOWN', { username: trader.twitter_username, nextSyncAt: claimedUntil.toISOString() });
+    return { nextSyncAt: claimedUntil };
+  }
+
+  try {
+    const job = await enqueueSyncJob([trader], { kind: 'trader', trigger: 'manual' });
+    logSecurityEvent('MANUAL_SYNC_REQUESTED', { username: trader.twitter_username, jobId: job.id });
+    return { job, existing: false, nextSyncAt: claimedUntil };
+  } catch (enqueueError) {
+    // Nothing was queued: give the slot back so the trader can retry
+    await db
+      .from('traders')
+      .update({ manual_sync_requested_at: trader.manual_sync_requested_at || null })
+      .eq('id', trader.id);
+    throw enqueueError;
+  }
+}
+
+module.exports = { requestManualSync };
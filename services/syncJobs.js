@@ -0,0 +1,181 @@
+// services/syncJobs.js
+// Persistent sync jobs: triggering a sync creates a sync_jobs row and
+// returns its ID; the sync runs in-process and records progress as each
+// trader finishes
+// CJIS 5.4: Job lifecycle events are audit logged
+
+const db = require('../config/database');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { runSyncBatch } = require('./syncOrchestrator');
+const { syncSingleTrader } = require('./traderSync');
+const { toJobResult, buildJobProgress, finalJobStatus } = require('../utils/syncJobs');
+const { DIFF_SAMPLE_LIMIT } = require('../utils/syncDiff');
+
+/**
+ * Run a queued job to completion. Progress is written after every trader;
+ * writes are chained so a slow update can't overwrite a newer one.
+ * Dry-run jobs store each trader's diff in the results; only a
+ * single-trader job keeps sample trades, to keep the row small.
+ */
+async function runSyncJob(job, traders) {
+  const results = new Array(traders.length);
+  const syncOptions = job.dry_run
+    ? { dryRun: true, sampleLimit: job.kind === 'trader' ? DIFF_SAMPLE_LIMIT : 0 }
+    : {};
+  let writes = Promise.resolve();
+  const writeProgress = (fields) => {
+    writes = writes
+      .then(() => db.from('sync_jobs').update(fields).eq('id', job.id))
+      .then(({ error } = {}) => {
+        if (error) throw error;
+      })
+      .catch(error => {
+        logSecurityEvent('SYNC_JOB_PROGRESS_FAILED', { jobId: job.id, error: error.message });
+      });
+    return writes;
+  };
+
+  try {
+    await writeProgress({ status: 'running', started_at: new Date().toISOString() });
+    logSecurityEvent('SYNC_JOB_STARTED', { jobId: job.id, kind: job.kind, total: traders.length, dryRun: Boolean(job.dry_run) });
+
+    await runSyncBatch(traders, (trader, { signal }) => syncSingleTrader(trader, { ...syncOptions, signal }), {
+      onResult: (result, index) => {
+        results[index] = toJobResult(result);
+        writeProgress(buildJobProgress(traders.length, results));
+      },
+    });
+
+    const progress = buildJobProgress(traders.length, results);
+    const status = finalJobStatus(progress);
+    await writeProgress({ ...progress, status, completed_at: new Date().toISOString() });
+
+    logSecurityEvent('SYNC_JOB_COMPLETE', {
+      jobId: job.id,
+      status,
+      succeeded: progress.succeeded,
+      failed: progress.failed,
+    });
+  } catch (error) {
+    logSecurityEvent('SYNC_JOB_FAILED', { jobId: job.id, error: error.message });
+    await writeProgress({
+      ...buildJobProgress(traders.length, results),
+      status: 'failed',
+      error: error.message,
+      completed_at: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Create a queued sync job row for the given traders.
+ *
+ * @param {Array<Object>} traders - traders rows
+ * @param {Object} options
+ * @param {'all'|'trader'|'scheduled'} options.kind
+ * @param {string} options.trigger - What started the job, e.g. 'api', 'signup', 'scheduler'
+ * @param {boolean} [options.dryRun] - Compute diffs without writing (see syncSingleTrader)
+ * @returns {Promise<Object>} - The sync_jobs row
+ */
+async function createSyncJob(traders, { kind, trigger, dryRun = false }) {
+  const { data: job, error } = await db
+    .from('sync_jobs')
+    .insert([{
+      kind,
+      trigger,
+      status: 'queued',
+      trader_id: kind === 'trader' && traders[0] ? traders[0].id : null,
+      total: traders.length,
+      dry_run: dryRun,
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logSecurityEvent('SYNC_JOB_QUEUED', { jobId: job.id, kind, trigger, total: traders.length, dryRun });
+  return job;
+}
+
+/**
+ * Create a sync job and start it in the background.
+ *
+ * @param {Array<Object>} traders - traders rows (full rows; syncSingleTrader needs credentials)
+ * @param {Object} options - See createSyncJob()
+ * @returns {Promise<Object>} - The queued sync_jobs row
+ */
+async function enqueueSyncJob(traders, options) {
+  const job = await createSyncJob(traders, options);
+
+  // Not awaited: the caller returns the job ID straight away
+  setImmediate(() => {
+    runSyncJob(job, traders).catch(() => { /* runSyncJob records its own failures */ });
+  });
+
+  return job;
+}
+
+/**
+ * Load a sync job by ID.
+ * @returns {Promise<Object|null>} - sync_jobs row
+ */
+async function getSyncJob(id) {
+  const { data, error } = await db
+    .from('sync_jobs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * The trader's queued or running single-trader sync job, if any.
+ * Dry runs don't count: they write nothing.
+ * @returns {Promise<Object|null>} - sync_jobs row
+ */
+async function findActiveTraderJob(traderId) {
+  const { data, error } = await db
+    .from('sync_jobs')
+    .select('*')
+    .eq('trader_id', traderId)
+    .eq('kind', 'trader')
+    .eq('dry_run', false)
+    .in('status', ['queued', 'running'])
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return (data && data[0]) || null;
+}
+
+/**
+ * Jobs run in-process, so any still queued or running at startup were cut
+ * off by a restart. Mark them failed so pollers don't wait forever.
+ */
+async function failInterruptedJobs() {
+  const { data, error } = await db
+    .from('sync_jobs')
+    .update({
+      status: 'failed',
+      error: 'Interrupted by server restart',
+      completed_at: new Date().toISOString(),
+    })
+    .in('status', ['queued', 'running'])
+    .select('id');
+
+  if (error) throw error;
+  if (data && data.length > 0) {
+    logSecurityEvent('SYNC_JOBS_INTERRUPTED', { count: data.length });
+  }
+}
+
+module.exports = {
+  createSyncJob,
+  runSyncJob,
+  enqueueSyncJob,
+  getSyncJob,
+  findActiveTraderJob,
+  failInterruptedJobs,
+};
@@ -0,0 +1,206 @@
+// services/syncOrchestrator.js
+// Runs trader syncs in parallel with a global and per-provider concurrency
+// limit, and a per-trader timeout so one hung upstream can't stall the batch
+// CJIS 5.4: Timeouts are audit logged
+
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { parsePositiveInt } = require('../utils/env');
+const { connectionTypesOf } = require('../utils/connections');
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_PROVIDER_CONCURRENCY = 3;
+const DEFAULT_TRADER_TIMEOUT_MS = 90 * 1000;
+
+/**
+ * Read orchestrator limits from environment variables:
+ *   SYNC_CONCURRENCY                    - traders synced at once (default 5)
+ *   SYNC_PROVIDER_CONCURRENCY           - traders per provider at once (default 3)
+ *   SYNC_PROVIDER_CONCURRENCY_<SOURCE>  - override for one provider, e.g. _TRADOVATE
+ *   SYNC_TRADER_TIMEOUT_MS              - per-trader time limit (default 90000)
+ *
+ * @param {Object} [env]
+ * @returns {{ concurrency: number, providerConcurrency: Object, defaultProviderConcurrency: number, traderTimeoutMs: number }}
+ */
+function getSyncConfig(env = process.env) {
+  const providerConcurrency = {};
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^SYNC_PROVIDER_CONCURRENCY_([A-Z0-9_]+)$/);
+    if (match) {
+      const limit = parsePositiveInt(value, null);
+      if (limit) providerConcurrency[match[1].toLowerCase()] = limit;
+    }
+  }
+
+  return {
+    concurrency: parsePositiveInt(env.SYNC_CONCURRENCY, DEFAULT_CONCURRENCY),
+    defaultProviderConcurrency: parsePositiveInt(env.SYNC_PROVIDER_CONCURRENCY, DEFAULT_PROVIDER_CONCURRENCY),
+    providerConcurrency,
+    traderTimeoutMs: parsePositiveInt(env.SYNC_TRADER_TIMEOUT_MS, DEFAULT_TRADER_TIMEOUT_MS),
+  };
+}
+
+/**
+ * Run one trader's sync, turning errors and timeouts into failed results.
+ *
+ * syncTrader receives an AbortSignal that is aborted at the timeout: it
+ * cancels the sync's platform requests and must be checked before writing,
+ * so a late run never stores anything. `settled` resolves once the sync
+ * itself has returned, which for a timed-out run is after the abort took
+ * effect.
+ *
+ * @returns {Promise<{ result: Object, settled: Promise<void> }>}
+ */
+async function runWithTimeout(trader, syncTrader, timeoutMs) {
+  const controller = new AbortController();
+  const running = Promise.resolve().then(() => syncTrader(trader, { signal: controller.signal }));
+  const settled = running.then(() => {}, () => {});
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve({ timedOut: true });
+    }, timeoutMs);
+  });
+
+  try {
+    const outcome = await Promise.race([running, timeout]);
+
+    if (outcome && outcome.timedOut) {
+      logSecurityEvent('SYNC_TRADER_TIMEOUT', {
+        username: trader.twitter_username,
+        connectionType: trader.connection_type,
+        timeoutMs,
+      });
+      const result = { success: false, trader: trader.twitter_username, error: 'Sync timed out', errorCode: 'timeout', timedOut: true };
+      return { result, settled };
+    }
+    return { result: outcome, settled };
+  } catch (error) {
+    return { result: { success: false, trader: trader.twitter_username, error: error.message }, settled };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Resolves when `settled` does, or after ms at the latest.
+ */
+function settledWithin(settled, ms) {
+  let timer;
+  const limit = new Promise(resolve => { timer = setTimeout(resolve, ms); });
+  return Promise.race([settled, limit]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Providers a trader's sync calls: one per connection. Traders with
+ * several connections need them embedded as `connections` (select
+ * `connections:trader_connections(connection_type)`); without them the
+ * trader counts against its connection_type.
+ *
+ * @param {Object} trader - traders row
+ * @returns {Array<string>}
+ */
+function providersOf(trader) {
+  const types = connectionTypesOf(trader);
+  return types.length > 0 ? types : [trader.connection_type || 'none'];
+}
+
+/**
+ * Sync a batch of traders with bounded parallelism.
+ *
+ * Traders are started in order, skipping past any with a provider at its
+ * cap so other providers keep flowing. A trader with several connections
+ * takes a slot from each provider it calls. Results come back in input order.
+ *
+ * A timed-out trader's result is reported at the timeout and frees its
+ * global slot, but its provider slots stay booked until the aborted sync
+ * has actually stopped (at most another traderTimeoutMs), so a provider
+ * never has more requests in flight than its cap.
+ *
+ * @param {Array<Object>} traders - traders rows
+ * @param {Function} syncTrader - (trader, { signal }) => Promise<{ success, trader, ... }>
+ * @param {Object} [options] - Overrides for getSyncConfig() values
+ * @param {Function} [options.onResult] - (result, index) called as each trader finishes
+ * @returns {Promise<{ total: number, succeeded: number, failed: number, timedOut: number, durationMs: number, results: Array<Object> }>}
+ */
+function runSyncBatch(traders, syncTrader, options = {}) {
+  const config = { ...getSyncConfig(), ...options };
+  const providerLimit = provider =>
+    config.providerConcurrency?.[provider] || config.defaultProviderConcurrency;
+
+  const startedAt = Date.now();
+  const results = new Array(traders.length);
+  const pending = traders.map((trader, index) => ({ trader, index }));
+  const activeByProvider = new Map();
+  let active = 0;
+  let done = false;
+
+  return new Promise(resolve => {
+    const pump = () => {
+      if (done) return;
+      if (pending.length === 0 && active === 0) {
+        done = true;
+        const timedOut = results.filter(r => r.timedOut).length;
+        const succeeded = results.filter(r => r.success).length;
+        resolve({
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+          timedOut,
+          durationMs: Date.now() - startedAt,
+          results,
+        });
+        return;
+      }
+
+      while (active < config.concurrency) {
+        const next = pending.findIndex(({ trader }) => providersOf(trader).every(provider =>
+          (activeByProvider.get(provider) || 0) < providerLimit(provider)
+        ));
+        if (next === -1) break;
+
+        const [{ trader, index }] = pending.splice(next, 1);
+        const providers = providersOf(trader);
+        active += 1;
+        for (const provider of providers) {
+          activeByProvider.set(provider, (activeByProvider.get(provider) || 0) + 1);
+        }
+
+        const traderStartedAt = Date.now();
+        runWithTimeout(trader, syncTrader, config.traderTimeoutMs).then(({ result, settled }) => {
+          results[index] = { ...result, durationMs: Date.now() - traderStartedAt };
+          if (config.onResult) {
+            try {
+              config.onResult(results[index], index);
+            } catch (_) { /* progress reporting must not stop the batch */ }
+          }
+          active -= 1;
+
+          const releaseProviders = () => {
+            for (const provider of providers) {
+              activeByProvider.set(provider, activeByProvider.get(provider) - 1);
+            }
+            pump();
+          };
+          if (result.timedOut) {
+            settledWithin(settled, config.traderTimeoutMs).then(releaseProviders);
+          } else {
+            releaseProviders();
+          }
+          pump();
+        });
+      }
+    };
+
+    pump();
+  });
+}
+
+module.exports = {
+  runSyncBatch,
+  providersOf,
+  getSyncConfig,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_PROVIDER_CONCURRENCY,
+  DEFAULT_TRADER_TIMEOUT_MS,
+};
@@ -0,0 +1,101 @@
+// services/syncScheduler.js
+// In-process, staleness-aware sync scheduler. Each tick picks the traders
+// whose next_sync_at has passed and syncs them as one job; the interval per
+// trader depends on recent trading activity (see utils/syncSchedule).
+// Due traders are filtered in the query; credentials are only read for the
+// traders a tick actually syncs.
+// CJIS 5.4: Every tick is audit logged
+
+const db = require('../config/database');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { fetchAllRows } = require('../utils/fetchAll');
+const { getScheduleConfig, selectDueTraders } = require('../utils/syncSchedule');
+const { createSyncJob, runSyncJob } = require('./syncJobs');
+
+// Columns selectDueTraders() needs; full rows (with credentials) are only
+// loaded for the traders a tick picks
+const SCHEDULE_COLUMNS = 'id, twitter_username, connection_type, auth_status, last_trade_at, next_sync_at';
+
+// Trader IDs per .in() lookup, keeping request URLs short
+const LOAD_CHUNK_SIZE = 100;
+
+// The job started by the previous tick, while it is still running
+let activeRun = null;
+
+/**
+ * Load full traders rows for the picked traders, keeping the given order,
+ * with their connections embedded (see syncOrchestrator.providersOf).
+ * @param {Array<Object>} traders - Rows with at least id
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadFullTraders(traders) {
+  const byId = new Map();
+  for (let i = 0; i < traders.length; i += LOAD_CHUNK_SIZE) {
+    const ids = traders.slice(i, i + LOAD_CHUNK_SIZE).map(trader => trader.id);
+    const { data, error } = await db
+      .from('traders')
+      .select('*, connections:trader_connections(connection_type)')
+      .in('id', ids);
+    if (error) throw error;
+    for (const row of data || []) byId.set(row.id, row);
+  }
+  return traders.map(trader => byId.get(trader.id)).filter(Boolean);
+}
+
+/**
+ * Run one scheduler tick. Skipped if the previous tick's job is still going,
+ * so slow upstreams can't pile up overlapping runs.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} - The sync_jobs row started, or null if nothing ran
+ */
+async function runScheduledSync(now = new Date()) {
+  if (activeRun) {
+    logSecurityEvent('SYNC_SCHEDULER_BUSY', { jobId: activeRun.jobId });
+    return null;
+  }
+
+  const config = getScheduleConfig();
+  const nowIso = now.toISOString();
+  const [traders, { count: notDue, error: countError }] = await Promise.all([
+    fetchAllRows(() => db
+      .from('traders')
+      .select(SCHEDULE_COLUMNS)
+      .or(`next_sync_at.is.null,next_sync_at.lte."${nowIso}"`)
+      .order('id', { ascending: true })),
+    db
+      .from('traders')
+      .select('id', { count: 'exact', head: true })
+      .gt('next_sync_at', nowIso),
+  ]);
+  if (countError) throw countError;
+
+  // Expired and unlinked traders are counted here, not logged as failures
+  const { due: picked, skipped } = selectDueTraders(traders, now, config);
+  logSecurityEvent('SYNC_SCHEDULER_TICK', { due: picked.length, ...skipped, notDue: notDue || 0 });
+
+  if (picked.length === 0) return null;
+
+  const due = await loadFullTraders(picked);
+
+  const job = await createSyncJob(due, { kind: 'scheduled', trigger: 'scheduler' });
+  activeRun = {
+    jobId: job.id,
+    done: runSyncJob(job, due).finally(() => {
+      activeRun = null;
+    }),
+  };
+  return job;
+}
+
+/**
+ * Wait for the current scheduled job, if any (used on shutdown and in tests).
+ */
+async function waitForActiveRun() {
+  if (activeRun) await activeRun.done;
+}
+
+module.exports = {
+  runScheduledSync,
+  waitForActiveRun,
+};
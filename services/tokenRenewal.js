@@ -0,0 +1,150 @@
+// services/tokenRenewal.js
+// Renews Tradovate access tokens before they expire, so traders stay synced
+// without re-entering their password. Every attempt is kept in
+// token_renewals; a trader is only marked expired after a definite failure
+// (see utils/tokenRenewal).
+// CJIS 5.4: Renewals and failures are audit logged
+
+const db = require('../config/database');
+const { decrypt, encrypt } = require('../utils/encryption');
+const { getAdapter } = require('../adapters');
+const { primaryEnvironment } = require('../adapters/tradovateEnvironment');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { fetchAllRows } = require('../utils/fetchAll');
+const { getRenewalConfig, selectTokensToRenew, classifyRenewalFailure } = require('../utils/tokenRenewal');
+const { MULTIPLE_CONNECTIONS } = require('../utils/connections');
+
+// Set while a renewal pass is running, so passes never overlap
+let passInProgress = false;
+
+/**
+ * Record one renewal attempt. History is best-effort: a failed insert is
+ * logged but never changes the renewal outcome.
+ */
+async function recordRenewal(trader, fields) {
+  const { error } = await db.from('token_renewals').insert([{
+    trader_id: trader.id,
+    previous_expires_at: trader.tradovate_token_expires_at || null,
+    attempted_at: new Date().toISOString(),
+    ...fields,
+  }]);
+  if (error) {
+    logSecurityEvent('TOKEN_RENEWAL_HISTORY_FAILED', { username: trader.twitter_username, error: error.message });
+  }
+}
+
+/**
+ * Renew one trader's Tradovate token and store the result.
+ *
+ * @param {Object} trader - traders row (encrypted token columns)
+ * @param {string} [trigger] - 'scheduled' or 'sync', for the history row
+ * @param {string} [currentToken] - Decrypted token, if the caller already has it
+ * @returns {Promise<{ renewed: boolean, expired: boolean, accessToken?: string, error?: Error }>}
+ */
+async function renewTraderToken(trader, trigger = 'scheduled', currentToken = null) {
+  const storedToken = currentToken ||
+    (trader.tradovate_access_token ? decrypt(trader.tradovate_access_token) : '');
+  if (!storedToken) {
+    await db.from('traders').update({ auth_status: 'expired' }).eq('id', trader.id);
+    logSecurityEvent('TOKEN_EXPIRED', { username: trader.twitter_username, reason: 'no_token' });
+    return { renewed: false, expired: true, error: new Error('No access token stored') };
+  }
+
+  logSecurityEvent('TOKEN_RENEWAL_ATTEMPT', { username: trader.twitter_username, trigger });
+
+  try {
+    const renewed = await getAdapter('tradovate').renewToken(storedToken, primaryEnvironment(trader.tradovate_environment));
+    const renewedAt = new Date().toISOString();
+
+    const { error } = await db.from('traders').update({
+      tradovate_access_token: encrypt(renewed.accessToken),
+      tradovate_token_expires_at: renewed.expirationTime || null,
+      token_last_renewed_at: renewedAt,
+      token_renewal_failures: 0,
+      auth_status: 'active',
+    }).eq('id', trader.id);
+    if (error) throw error;
+
+    await recordRenewal(trader, {
+      trigger,
+      status: 'renewed',
+      new_expires_at: renewed.expirationTime || null,
+    });
+    logSecurityEvent('TOKEN_RENEWED', { username: trader.twitter_username, trigger });
+
+    return { renewed: true, expired: false, accessToken: renewed.accessToken };
+  } catch (error) {
+    const { expired, reason } = classifyRenewalFailure(trader, error);
+    const failures = (trader.token_renewal_failures || 0) + 1;
+
+    const update = { token_renewal_failures: failures };
+    if (expired) update.auth_status = 'expired';
+    await db.from('traders').update(update).eq('id', trader.id);
+
+    await recordRenewal(trader, {
+      trigger,
+      status: expired ? 'expired' : 'failed',
+      error_code: error.code || null,
+      error_message: error.message,
+    });
+    logSecurityEvent(expired ? 'TOKEN_RENEWAL_FAILED' : 'TOKEN_RENEWAL_DEFERRED', {
+      username: trader.twitter_username,
+      trigger,
+      reason,
+      code: error.code || null,
+      status: error.status || null,
+      consecutiveFailures: failures,
+    });
+
+    return { renewed: false, expired, error };
+  }
+}
+
+/**
+ * Renew every Tradovate token that is close to expiry. Tokens are renewed
+ * one at a time to stay well inside Tradovate's rate limits.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ due: number, renewed: number, failed: number, expired: number }|null>} - null if a pass was already running
+ */
+async function runTokenRenewalPass(now = new Date()) {
+  if (passInProgress) {
+    logSecurityEvent('TOKEN_RENEWAL_BUSY', {});
+    return null;
+  }
+  passInProgress = true;
+
+  try {
+    const traders = await fetchAllRows(() => db
+      .from('traders')
+      .select('*, connections:trader_connections(connection_type)')
+      .in('connection_type', ['tradovate', MULTIPLE_CONNECTIONS])
+      .order('id', { ascending: true }));
+
+    const due = selectTokensToRenew(traders, now, getRenewalConfig());
+    const summary = { due: due.length, renewed: 0, failed: 0, expired: 0 };
+
+    for (const trader of due) {
+      try {
+        const outcome = await renewTraderToken(trader, 'scheduled');
+        if (outcome.renewed) summary.renewed += 1;
+        else if (outcome.expired) summary.expired += 1;
+        else summary.failed += 1;
+      } catch (error) {
+        // Database error while recording the outcome; the next pass retries
+        summary.failed += 1;
+        logSecurityEvent('TOKEN_RENEWAL_ERROR', { username: trader.twitter_username, error: error.message });
+      }
+    }
+
+    logSecurityEvent('TOKEN_RENEWAL_PASS', summary);
+    return summary;
+  } finally {
+    passInProgress = false;
+  }
+}
+
+module.exports = {
+  renewTraderToken,
+  runTokenRenewalPass,
+};
@@ -0,0 +1,157 @@
+// services/tradeStore.js
+// Database reads and writes for synced trading data:
+// trade history, sync cursors, payouts, per-account rows and statistics.
+// All writes go through apply_trader_sync, one transaction per sync, and are
+// serialized per trader with withTraderLock.
+
+const db = require('../config/database');
+const { rowToTrade } = require('../utils/trades');
+const { rowToPayout } = require('../utils/payouts');
+const { buildRecalculateWrite, parseSyncWriteResult } = require('../utils/syncWrite');
+const { fetchAllRows } = require('../utils/fetchAll');
+
+/**
+ * Load per-account trade high-water marks for a trader's connection.
+ * @returns {Promise<Object>} - accountId -> ISO timestamp of newest stored trade
+ */
+async function loadSyncCursors(traderId, source) {
+  const { data, error } = await db
+    .from('trade_sync_cursors')
+    .select('account_id, last_closed_at')
+    .eq('trader_id', traderId)
+    .eq('source', source);
+
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(row => [row.account_id, row.last_closed_at]));
+}
+
+/**
+ * Load a trader's full stored trade history as normalized trades.
+ */
+async function loadTradeHistory(traderId) {
+  const rows = await fetchAllRows(() => db
+    .from('trade_history')
+    .select('*')
+    .eq('trader_id', traderId)
+    .order('closed_at', { ascending: true })
+    .order('id', { ascending: true }));
+  return rows.map(rowToTrade);
+}
+
+/**
+ * Load a trader's stored payouts as normalized payouts, oldest first.
+ */
+async function loadPayouts(traderId) {
+  const rows = await fetchAllRows(() => db
+    .from('payouts')
+    .select('*')
+    .eq('trader_id', traderId)
+    .order('paid_at', { ascending: true })
+    .order('id', { ascending: true }));
+  return rows.map(rowToPayout);
+}
+
+/**
+ * Load a trader's per-account rows.
+ * @returns {Promise<Array<Object>>} - trader_accounts rows
+ */
+async function loadAccounts(traderId) {
+  const { data, error } = await db
+    .from('trader_accounts')
+    .select('*')
+    .eq('trader_id', traderId)
+    .order('first_seen_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Load a trader's statistics row.
+ * @returns {Promise<Object|null>}
+ */
+async function loadStatistics(traderId) {
+  const { data, error } = await db
+    .from('statistics')
+    .select('*')
+    .eq('trader_id', traderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Write the result of a sync in one transaction via apply_trader_sync
+ * (database/schema.sql). Either every row in the payload is stored or, if
+ * any write fails, none is and the error is thrown.
+ *
+ * @param {Object} payload - From buildSyncWrite(); sections may be omitted
+ * @returns {Promise<Object>} - Row counts actually written (parseSyncWriteResult)
+ */
+async function applyTraderSync(payload) {
+  const { data, error } = await db.rpc('apply_trader_sync', { payload });
+  if (error) throw error;
+  return parseSyncWriteResult(data);
+}
+
+// traderId -> tail of that trader's write queue
+const traderLocks = new Map();
+
+/**
+ * Run fn with the trader's writes serialized within this process.
+ * Every write is computed from rows read just before it (stored history
+ * plus new data), so a scheduled sync and a fill stream write for the same
+ * trader must not interleave: the later one would overwrite statistics
+ * computed without the other's trades.
+ *
+ * @param {string} traderId
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} - fn's result
+ */
+function withTraderLock(traderId, fn) {
+  const previous = traderLocks.get(traderId) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+  traderLocks.set(traderId, tail);
+  tail.then(() => {
+    if (traderLocks.get(traderId) === tail) traderLocks.delete(traderId);
+  });
+  return run;
+}
+
+/**
+ * Recompute a trader's statistics and per-account stats from stored
+ * trades and payouts, honoring which accounts they include in the leaderboard.
+ * Trades two connections both reported are removed first; stored platform
+ * summary figures are kept (see buildRecalculateWrite).
+ *
+ * @param {Object} trader - traders row (id, connection_type)
+ * @returns {Promise<Object>} - The saved stats
+ */
+async function recalculateTraderStats(trader) {
+  return withTraderLock(trader.id, async () => {
+    const [history, accountRows, payouts, statistics] = await Promise.all([
+      loadTradeHistory(trader.id),
+      loadAccounts(trader.id),
+      loadPayouts(trader.id),
+      loadStatistics(trader.id),
+    ]);
+
+    const { payload, stats } = buildRecalculateWrite({ trader, stored: { history, accountRows, payouts, statistics } });
+    await applyTraderSync(payload);
+
+    return stats;
+  });
+}
+
+module.exports = {
+  loadSyncCursors,
+  loadTradeHistory,
+  loadPayouts,
+  loadAccounts,
+  loadStatistics,
+  applyTraderSync,
+  withTraderLock,
+  recalculateTraderStats,
+};
@@ -0,0 +1,448 @@
+// services/traderSync.js
+// Sync one trader end to end: fetch from the platform, recompute statistics
+// from stored history plus the new data, then store it all in one transaction
+
+const db = require('../config/database');
+const { decrypt } = require('../utils/encryption');
+const { getConnection } = require('../adapters');
+const { credentialsFromTrader } = require('../adapters/registry');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+const { buildSyncWrite } = require('../utils/syncWrite');
+const { buildSyncDiff } = require('../utils/syncDiff');
+const { computeNextSyncAt, getScheduleConfig } = require('../utils/syncSchedule');
+const { isTokenExpired } = require('../utils/tokenRenewal');
+const { SyncTelemetry, classifySyncError, classifyFetchFailure } = require('../utils/syncTelemetry');
+const { renewTraderToken } = require('./tokenRenewal');
+const { loadConnections } = require('./connections');
+const {
+  loadSyncCursors,
+  loadTradeHistory,
+  loadPayouts,
+  loadAccounts,
+  loadStatistics,
+  applyTraderSync,
+  withTraderLock,
+} = require('./tradeStore');
+
+function toIsoOrNull(date) {
+  return date ? date.toISOString() : null;
+}
+
+// ============================================
+// SYNC SINGLE TRADER
+// CJIS 5.4: All data modifications are audit logged
+// ============================================
+
+/**
+ * Store the Tradovate environment a sync detected for a trader linked
+ * before detection (see adapters/tradovateEnvironment).
+ */
+async function storeDetectedEnvironment(trader, environment) {
+  if (!environment || environment === trader.tradovate_environment) return;
+
+  const { error } = await db
+    .from('traders')
+    .update({ tradovate_environment: environment })
+    .eq('id', trader.id);
+
+  if (error) {
+    // Detected again on the next sync
+    logSecurityEvent('TRADOVATE_ENVIRONMENT_STORE_FAILED', { username: trader.twitter_username, error: error.message });
+    return;
+  }
+  logSecurityEvent('TRADOVATE_ENVIRONMENT_DETECTED', { username: trader.twitter_username, environment });
+}
+
+/**
+ * Sync a Tradovate trader using stored access token, against the trader's
+ * own environments (traders.tradovate_environment; detected and stored
+ * when unset).
+ * An expired token, or a 401 mid-sync, gets one renewal attempt first; the
+ * trader is only marked expired if that renewal definitely fails.
+ * Dry runs pass allowRenewal: false, since renewing writes the new token
+ * (and nothing else is stored either).
+ */
+async function syncTradovateTrader(trader, adapter, options = {}, { allowRenewal = true } = {}) {
+  const result = await syncTradovateWithToken(trader, adapter, { ...options, environment: trader.tradovate_environment || null }, allowRenewal);
+  if (allowRenewal && !result.skipped) await storeDetectedEnvironment(trader, result.environment);
+  return result;
+}
+
+async function syncTradovateWithToken(trader, adapter, options, allowRenewal) {
+  // Skip traders already marked as expired
+  if (trader.auth_status === 'expired') {
+    logSecurityEvent('SYNC_SKIPPED_EXPIRED', { username: trader.twitter_username });
+    return { skipped: true, reason: 'Token expired — awaiting re-authentication' };
+  }
+
+  let accessToken = trader.tradovate_access_token ? decrypt(trader.tradovate_access_token) : '';
+
+  // Token past its expiry time (the renewal pass missed it): renew before syncing
+  if (!accessToken || isTokenExpired(trader)) {
+    if (!allowRenewal) return { skipped: true, reason: 'Token expired — dry run does not renew tokens' };
+    const renewal = await renewTraderToken(trader, 'sync');
+    if (!renewal.renewed) {
+      return {
+        skipped: true,
+        reason: renewal.expired
+          ? 'Token expired — awaiting re-authentication'
+          : 'Token renewal failed — will retry',
+      };
+    }
+    accessToken = renewal.accessToken;
+  }
+
+  try {
+    return await adapter.syncWithToken({ accessToken, telemetry: options.telemetry, signal: options.signal }, options);
+  } catch (error) {
+    // On auth failure, attempt token renewal
+    if (allowRenewal && (error.status === 401 || error.message?.includes('401') || error.message?.includes('authentication') || error.message?.includes('Unauthorized'))) {
+      const renewal = await renewTraderToken(trader, 'sync', accessToken);
+      if (renewal.renewed) {
+        // Retry sync with renewed token
+        return await adapter.syncWithToken({ accessToken: renewal.accessToken, telemetry: options.telemetry, signal: options.signal }, options);
+      }
+      throw new Error(renewal.expired
+        ? 'Access token expired and renewal failed. Re-authentication required.'
+        : 'Access token rejected and renewal failed; will retry.');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Summarize an adapter's fetchErrors for sync_log.error_message.
+ * Errors from a trader's other connections are prefixed with the platform.
+ */
+function describeFetchErrors(fetchErrors, multiple) {
+  return fetchErrors
+    .map(e => {
+      const message = e.accountId ? `account ${e.accountId}: ${e.message}` : e.message;
+      return multiple && e.source ? `${e.source}: ${message}` : message;
+    })
+    .join('; ');
+}
+
+// Why a self-reported connection (statement imports) has nothing to sync
+const UPLOAD_ONLY_REASON = 'Statement imports sync when a statement is uploaded';
+
+/**
+ * Fetch one connection's data: a stored, renewable token for connections
+ * with tokenRenewal (Tradovate), otherwise the credentials stored at link
+ * time (see the adapter's connection description). Self-reported
+ * connections are handed the uploaded statement in syncOptions.
+ * @returns {Promise<Object>} - Adapter sync() result, or { skipped, reason }
+ */
+async function fetchConnection(trader, connection, syncOptions, dryRun) {
+  if (connection.capabilities.tokenRenewal) {
+    return syncTradovateTrader(trader, connection.adapter, syncOptions, { allowRenewal: !dryRun });
+  }
+  return connection.adapter.sync(credentialsFromTrader(connection, trader, decrypt), syncOptions);
+}
+
+/**
+ * Fetch every connection a trader has, one at a time.
+ *
+ * With a single connection a failure is thrown as before. With several, a
+ * connection that fails or is skipped (expired token) becomes a fetch error
+ * and the others are still stored; the run only fails when nothing could
+ * be fetched.
+ *
+ * With options.connectionType only that connection is fetched; the rest
+ * are left alone (an uploaded statement must not trigger API calls for the
+ * trader's other platforms). Self-reported connections only sync with an
+ * uploaded statement, which is only accepted together with connectionType;
+ * without one they are left out (and a trader with nothing else is skipped).
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.connectionType] - Fetch only this connection
+ * @param {Object} [options.statement] - Uploaded statement (see StatementImportAdapter.sync)
+ * @param {AbortSignal} [options.signal] - Cancels the adapters' requests in flight
+ * @returns {Promise<{ fetched: Array<Object>, fetchErrors: Array<Object>, statuses: Array<Object>, multiple: boolean, skipped?: string }>}
+ */
+async function fetchConnections(trader, connectionRows, telemetry, { dryRun, connectionType, statement, signal } = {}) {
+  if (statement && !connectionType) {
+    throw new Error('A statement sync needs the connection it belongs to (connectionType)');
+  }
+  const rows = connectionType
+    ? connectionRows.filter(row => row.connection_type === connectionType)
+    : connectionRows;
+  if (rows.length === 0) {
+    throw new Error(`Unsupported connection type: ${connectionType || trader.connection_type}`);
+  }
+
+  const multiple = rows.length > 1;
+  const fetched = [];
+  const fetchErrors = [];
+  const statuses = [];
+  let firstError = null;
+  let skipped = null;
+
+  for (const row of rows) {
+    const source = row.connection_type;
+    const connection = getConnection(source);
+    if (connection && connection.selfReported && !statement) {
+      if (!multiple) skipped = skipped || UPLOAD_ONLY_REASON;
+      continue;
+    }
+
+    try {
+      if (!connection) throw new Error(`Unsupported connection type: ${source}`);
+
+      // Incremental sync: adapters only return trades at/after each account's high-water mark
+      const cursors = await loadSyncCursors(trader.id, source);
+      const syncOptions = connection.selfReported ? { since: cursors, telemetry, signal, statement } : { since: cursors, telemetry, signal };
+      const result = await fetchConnection(trader, connection, syncOptions, dryRun);
+
+      if (result.skipped) {
+        skipped = skipped || result.reason;
+        fetchErrors.push({ source, endpoint: 'connection', code: 'AUTH_EXPIRED', status: 401, message: result.reason });
+        statuses.push({ connection_type: source, last_sync_status: 'skipped', last_sync_error: result.reason });
+        continue;
+      }
+
+      const errors = (result.fetchErrors || []).map(e => ({ ...e, source }));
+      fetched.push({ source, result, cursors });
+      fetchErrors.push(...errors);
+      statuses.push({
+        connection_type: source,
+        last_sync_status: errors.length > 0 ? 'partial' : 'success',
+        last_sync_error: errors.length > 0 ? describeFetchErrors(errors, false) : null,
+      });
+    } catch (error) {
+      if (!multiple) throw error;
+      firstError = firstError || error;
+      fetchErrors.push({ source, endpoint: 'connection', code: error.code, status: error.status, message: error.message });
+      statuses.push({ connection_type: source, last_sync_status: 'failed', last_sync_error: error.message });
+    }
+  }
+
+  if (fetched.length === 0 && firstError) throw firstError;
+  return { fetched, fetchErrors, statuses, multiple, skipped: fetched.length === 0 ? skipped : null };
+}
+
+/**
+ * Stop a sync whose time limit has passed (see syncOrchestrator.runWithTimeout).
+ * @param {AbortSignal} [signal]
+ * @throws {Error} - With timedOut set, classified as 'timeout'
+ */
+function throwIfTimedOut(signal) {
+  if (!signal || !signal.aborted) return;
+  const error = new Error('Sync timed out before writing');
+  error.timedOut = true;
+  throw error;
+}
+
+/**
+ * Sync one trader. Never throws: failures are logged to sync_log and
+ * returned as { success: false, error, errorCode }.
+ *
+ * Each run's sync_log row records real start/finish times, the data source
+ * used, platform request counts per endpoint and per account (see
+ * utils/syncTelemetry) and, for failed or partial runs, a classified error code.
+ *
+ * When some fetches failed (an account, payouts) but the rest succeeded, the
+ * sync is partial: what was fetched is stored, stats are recomputed from
+ * stored history as usual, and sync_log records status 'partial'. Nothing
+ * already stored is dropped because a fetch failed.
+ *
+ * A trader with several connections (trader_connections) has each one
+ * fetched and the results merged into one write; a connection that fails
+ * makes the run partial. Trades two connections both report for accounts
+ * the trader mapped to each other are kept once
+ * (utils/connections.findCrossSourceDuplicates).
+ *
+ * Trades, cursors, payouts, account rows, statistics, the equity snapshot,
+ * the traders row and the sync_log row are written in one transaction
+ * (apply_trader_sync). `written` holds the row counts the database reports;
+ * if the write fails, nothing from the run is stored and the sync fails.
+ *
+ * A dry run fetches and computes exactly as above but writes nothing (no
+ * data, no sync_log row, no token renewal) and returns `diff`: old vs new
+ * statistics, trades added/changed/removed and newly seen accounts (see
+ * utils/syncDiff).
+ *
+ * With options.connectionType only that connection is synced; the others
+ * keep what they stored. An uploaded statement (options.statement) is
+ * synced this way, with connectionType naming its self-reported connection,
+ * and merged into the stored history like any other fetch.
+ *
+ * options.signal is aborted when the batch gives up on the run. It is
+ * handed to the adapters, whose platform requests (and retry waits) are
+ * cancelled with it, and checked once the fetch returns and again under the
+ * trader lock just before the write, so a run that outlived its timeout
+ * stores no data; it is logged as a failed sync with error code 'timeout'.
+ *
+ * @param {Object} trader - traders row
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.sampleLimit] - Sample trades per diff category
+ * @param {string} [options.connectionType] - Sync only this connection
+ * @param {Object} [options.statement] - { csv, format?, account?, utcOffsetMinutes? }; needs connectionType
+ * @param {AbortSignal} [options.signal] - Aborted at the batch's per-trader timeout
+ * @returns {Promise<{ success: boolean, partial?: boolean, dryRun?: boolean, trader: string, stats?: Object, written?: Object, diff?: Object, error?: string }>}
+ */
+async function syncSingleTrader(trader, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const telemetry = new SyncTelemetry();
+  const startedAt = new Date(telemetry.startedAt).toISOString();
+
+  try {
+    logSecurityEvent('SYNC_TRADER_START', {
+      username: trader.twitter_username,
+      connectionType: trader.connection_type,
+      traderId: trader.id,
+      dryRun,
+    });
+
+    const connectionRows = await loadConnections(trader);
+    const { fetched, fetchErrors, statuses, multiple, skipped } = await fetchConnections(trader, connectionRows, telemetry, {
+      dryRun,
+      connectionType: options.connectionType,
+      statement: options.statement,
+      signal: options.signal,
+    });
+    if (skipped) {
+      return { success: false, skipped: true, dryRun, trader: trader.twitter_username, error: skipped };
+    }
+
+    throwIfTimedOut(options.signal);
+
+    const partial = fetchErrors.length > 0;
+    for (const fetchError of fetchErrors) {
+      if (fetchError.accountId) telemetry.recordAccount(fetchError.accountId, { failed: true, code: fetchError.code });
+    }
+
+    // Compute everything from stored data plus this fetch, then write it all
+    // in one transaction: a failure part-way leaves nothing half-stored.
+    // Cursors only advance for accounts whose trades were fetched. The lock
+    // keeps fill stream writes for this trader from interleaving.
+    const { payload, stats, newAccountIds, diff, written, duplicates } = await withTraderLock(trader.id, async () => {
+      const [history, accountRows, payouts, statistics] = await Promise.all([
+        loadTradeHistory(trader.id),
+        loadAccounts(trader.id),
+        loadPayouts(trader.id),
+        dryRun ? loadStatistics(trader.id) : null,
+      ]);
+
+      const write = buildSyncWrite({
+        trader,
+        sources: fetched,
+        stored: { history, accountRows, payouts },
+        scheduleConfig: getScheduleConfig(),
+        connections: statuses,
+        syncLog: {
+          source: options.connectionType || trader.connection_type,
+          status: partial ? 'partial' : 'success',
+          error_message: partial ? describeFetchErrors(fetchErrors, multiple) : null,
+          error_code: partial ? classifyFetchFailure(fetchErrors[0].code, fetchErrors[0].status) : null,
+          data_source: telemetry.dataSource(),
+          duration_ms: telemetry.elapsedMs(),
+          telemetry: telemetry.toJSON(),
+          started_at: startedAt,
+          completed_at: new Date().toISOString(),
+        },
+      });
+
+      if (dryRun) {
+        const diff = buildSyncDiff({
+          sources: fetched,
+          stored: { history, accountRows, payouts, statistics },
+          stats: write.stats,
+          duplicates: write.duplicates,
+          sampleLimit: options.sampleLimit,
+        });
+        return { ...write, diff };
+      }
+
+      throwIfTimedOut(options.signal);
+      return { ...write, written: await applyTraderSync(write.payload) };
+    });
+
+    if (dryRun) {
+      logSecurityEvent('SYNC_TRADER_DRY_RUN', {
+        username: trader.twitter_username,
+        tradesAdded: diff.trades.added,
+        tradesChanged: diff.trades.changed,
+        tradesRemoved: diff.trades.removed,
+        statsChanged: Object.keys(diff.statistics.changes),
+      });
+      return { success: true, dryRun, partial, trader: trader.twitter_username, stats, diff };
+    }
+
+    // Track unique account IDs (high-water mark - only goes up, never down)
+    if (newAccountIds.length > 0) {
+      logSecurityEvent('NEW_ACCOUNTS_DETECTED', {
+        username: trader.twitter_username,
+        newAccounts: newAccountIds.length,
+        totalAccounts: payload.trader.total_accounts_linked,
+      });
+    }
+
+    if (duplicates.length > 0) {
+      logSecurityEvent('SYNC_DUPLICATE_TRADES', {
+        username: trader.twitter_username,
+        duplicates: duplicates.length,
+        removedFromHistory: written.removedTrades,
+      });
+    }
+
+    if (partial) {
+      logSecurityEvent('SYNC_TRADER_PARTIAL', {
+        username: trader.twitter_username,
+        totalTrades: stats.totalTrades,
+        tradesWritten: written.trades,
+        fetchErrors: fetchErrors.map(e => ({ source: e.source, endpoint: e.endpoint, code: e.code, status: e.status, accountId: e.accountId })),
+      });
+    } else {
+      logSecurityEvent('SYNC_TRADER_SUCCESS', {
+        username: trader.twitter_username,
+        totalTrades: stats.totalTrades,
+        tradesWritten: written.trades,
+      });
+    }
+
+    return { success: true, partial, trader: trader.twitter_username, stats, written };
+  } catch (error) {
+    const errorCode = classifySyncError(error);
+    logSecurityEvent('SYNC_TRADER_FAILED', {
+      username: trader.twitter_username,
+      error: error.message,
+      errorCode,
+      dryRun,
+    });
+
+    if (dryRun) {
+      return { success: false, dryRun, trader: trader.twitter_username, error: error.message, errorCode };
+    }
+
+    try {
+      const failedAt = new Date().toISOString();
+      await db.from('sync_log').insert([{
+        trader_id: trader.id,
+        source: options.connectionType || trader.connection_type,
+        status: 'failed',
+        error_message: error.message,
+        error_code: errorCode,
+        data_source: telemetry.dataSource(),
+        duration_ms: telemetry.elapsedMs(),
+        telemetry: telemetry.toJSON(),
+        started_at: startedAt,
+        completed_at: failedAt,
+      }]);
+
+      // Retry on the trader's normal schedule rather than every tick
+      await db.from('traders').update({
+        next_sync_at: toIsoOrNull(computeNextSyncAt(trader, new Date(failedAt), getScheduleConfig())),
+      }).eq('id', trader.id);
+    } catch (_) { /* don't fail on log error */ }
+
+    return { success: false, trader: trader.twitter_username, error: error.message, errorCode };
+  }
+}
+
+module.exports = {
+  syncSingleTrader,
+  syncTradovateTrader,
+};
@@ -0,0 +1,346 @@
+// utils/accounts.js
+// Per-account statistics and leaderboard account selection
+
+const BaseAdapter = require('../adapters/base');
+const { summarizePayouts } = require('./payouts');
+const { isSelfReported } = require('./connections');
+
+// Platform stats that are only valid when every account counts toward the leaderboard
+const ACCOUNT_SCOPED_OVERRIDES = ['totalProfit', 'winRate'];
+
+/**
+ * Calculate stats for each account from a trader's stored history.
+ * Trades without an accountId (rows stored before accounts were tracked) are skipped.
+ *
+ * @param {Array<Object>} trades - Normalized trades
+ * @returns {Map<string, Object>} - accountId -> calculateStats() result
+ */
+function computeAccountStats(trades) {
+  const byAccount = new Map();
+  for (const trade of trades || []) {
+    if (trade.accountId == null) continue;
+    const accountId = String(trade.accountId);
+    if (!byAccount.has(accountId)) byAccount.set(accountId, []);
+    byAccount.get(accountId).push(trade);
+  }
+
+  const stats = new Map();
+  for (const [accountId, accountTrades] of byAccount) {
+    stats.set(accountId, BaseAdapter.calculateStats(accountTrades));
+  }
+  return stats;
+}
+
+/**
+ * Account IDs the trader has excluded from their leaderboard numbers.
+ * @param {Array<Object>} accountRows - trader_accounts rows
+ * @returns {Set<string>}
+ */
+function getExcludedAccountIds(accountRows) {
+  return new Set(
+    (accountRows || [])
+      .filter(row => row.include_in_leaderboard === false)
+      .map(row => String(row.account_id))
+  );
+}
+
+/**
+ * Keep trades or payouts that count toward the leaderboard: those on included
+ * accounts, plus any without an accountId.
+ * @param {Array<Object>} items - Normalized trades or payouts
+ * @param {Array<Object>} accountRows - trader_accounts rows
+ * @returns {Array<Object>}
+ */
+function filterIncluded(items, accountRows) {
+  const excluded = getExcludedAccountIds(accountRows);
+  return (items || []).filter(item => item.accountId == null || !excluded.has(String(item.accountId)));
+}
+
+/**
+ * filterIncluded for several traders at once, e.g. windowed leaderboard trades.
+ * @param {Map<string, Array<Object>>} tradesByTrader - trader id -> normalized trades
+ * @param {Array<Object>} accountRows - trader_accounts rows (trader_id, account_id, include_in_leaderboard)
+ * @returns {Map<string, Array<Object>>} - trader id -> included trades
+ */
+function filterIncludedByTrader(tradesByTrader, accountRows) {
+  const rowsByTrader = new Map();
+  for (const row of accountRows || []) {
+    if (!rowsByTrader.has(row.trader_id)) rowsByTrader.set(row.trader_id, []);
+    rowsByTrader.get(row.trader_id).push(row);
+  }
+
+  const included = new Map();
+  for (const [traderId, trades] of tradesByTrader) {
+    included.set(traderId, filterIncluded(trades, rowsByTrader.get(traderId)));
+  }
+  return included;
+}
+
+/**
+ * Estimate the equity the included accounts started with, for drawdown %:
+ * current balances, less realized P&L, plus money already paid out.
+ * Returns 0 (unknown) when there are no balances to work from.
+ *
+ * @param {Array<Object>} accountRows - trader_accounts rows
+ * @param {Array<Object>} trades - Included trades, normalized
+ * @param {number} [payoutTotal] - Dollars paid out of the included accounts
+ * @returns {number}
+ */
+function estimateStartingBalance(accountRows, trades, payoutTotal = 0) {
+  const balance = (accountRows || [])
+    .filter(row => row.include_in_leaderboard !== false)
+    .reduce((sum, row) => sum + (parseFloat(row.balance) || 0), 0);
+  if (balance <= 0) return 0;
+
+  const realized = (trades || []).reduce((sum, t) => sum + (parseFloat(t.profit) || 0), 0);
+  const starting = balance - realized + payoutTotal;
+  return starting > 0 ? starting : 0;
+}
+
+/**
+ * Calculate the trader's leaderboard stats from the accounts they include.
+ * Trades and payouts without an accountId always count.
+ *
+ * Platform-provided overrides (e.g. TradeSyncer's performance summary) cover
+ * every account, so profit/win-rate overrides are dropped once any account
+ * is excluded; other overrides still apply.
+ *
+ * @param {Array<Object>} trades - Full stored history, normalized
+ * @param {Array<Object>} accountRows - trader_accounts rows
+ * @param {Object} [overrides] - statsOverrides from the adapter
+ * @param {Array<Object>} [payouts] - Stored payouts, normalized; when given,
+ *   verifiedPayouts and totalPayouts are counted from them
+ * @returns {Object} - calculateStats() result, plus selfReportedTrades:
+ *   how many counted trades came from statement uploads
+ */
+function computeTraderStats(trades, accountRows, overrides = {}, payouts = null) {
+  const applicable = { ...overrides };
+  if (getExcludedAccountIds(accountRows).size > 0) {
+    for (const key of ACCOUNT_SCOPED_OVERRIDES) delete applicable[key];
+  }
+
+  if (payouts) {
+    const summary = summarizePayouts(filterIncluded(payouts, accountRows));
+    applicable.verifiedPayouts = summary.count;
+    applicable.totalPayouts = summary.totalAmount;
+  }
+
+  const included = filterIncluded(trades, accountRows);
+  const startingBalance = estimateStartingBalance(accountRows, included, applicable.totalPayouts);
+
+  return {
+    ...BaseAdapter.calculateStats(included, { startingBalance }),
+    ...applicable,
+    selfReportedTrades: included.filter(trade => isSelfReported(trade.source)).length,
+  };
+}
+
+/**
+ * Map calculateStats() output to trader_accounts stat columns.
+ */
+function statsToColumns(stats) {
+  return {
+    total_profit: stats.totalProfit,
+    win_rate: stats.winRate,
+    total_trades: stats.totalTrades,
+    avg_trade_pnl: stats.avgTradePnl,
+    best_trade: stats.bestTrade,
+    worst_trade: stats.worstTrade,
+    profit_factor: stats.profitFactor,
+  };
+}
+
+/**
+ * Build trader_accounts upsert rows after a sync.
+ *
+ * Returns two batches because a bulk upsert writes every column named in any
+ * row: `seen` rows carry platform metadata for accounts returned by
+ * getAccounts(); `statsOnly` rows refresh stats for accounts that only
+ * appear in stored history, leaving their last known metadata intact.
+ * Neither batch touches include_in_leaderboard, which belongs to the trader.
+ *
+ * @param {string} traderId
+ * @param {string} source - Connection type
+ * @param {Array<Object>} accounts - From adapter getAccounts()
+ * @param {Map<string, Object>} statsByAccount - From computeAccountStats()
+ * @param {Date} [now]
+ * @returns {{ seen: Array<Object>, statsOnly: Array<Object> }}
+ */
+function buildAccountRows(traderId, source, accounts, statsByAccount, now = new Date()) {
+  const timestamp = now.toISOString();
+  const empty = BaseAdapter.calculateStats([]);
+  const seenIds = new Set();
+
+  const seen = (accounts || []).map(account => {
+    const accountId = String(account.id);
+    seenIds.add(accountId);
+    return {
+      trader_id: traderId,
+      source,
+      account_id: accountId,
+      name: account.name || accountId,
+      display_name: account.displayName || account.name || accountId,
+      account_type: account.accountType || null,
+      balance: parseFloat(account.balance) || 0,
+      active: account.active !== false,
+      ...statsToColumns(statsByAccount.get(accountId) || empty),
+      last_seen_at: timestamp,
+      updated_at: timestamp,
+    };
+  });
+
+  const statsOnly = [...statsByAccount.entries()]
+    .filter(([accountId]) => !seenIds.has(accountId))
+    .map(([accountId, stats]) => ({
+      trader_id: traderId,
+      source,
+      account_id: accountId,
+      ...statsToColumns(stats),
+      updated_at: timestamp,
+    }));
+
+  return { seen, statsOnly };
+}
+
+/**
+ * buildAccountRows() for several sources at once (traders with more than
+ * one connection). Each source's account stats come from its own trades.
+ *
+ * @param {string} traderId
+ * @param {Array<string>} sources - Connection types to build rows for
+ * @param {Array<Object>} trades - Normalized trades from every source
+ * @param {Object} [accountsBySource] - source -> accounts from getAccounts()
+ * @param {Date} [now]
+ * @returns {{ seen: Array<Object>, statsOnly: Array<Object> }}
+ */
+function buildSourceAccountRows(traderId, sources, trades, accountsBySource = {}, now = new Date()) {
+  const rows = { seen: [], statsOnly: [] };
+  for (const source of new Set(sources)) {
+    const statsByAccount = computeAccountStats((trades || []).filter(trade => trade.source === source));
+    const built = buildAccountRows(traderId, source, accountsBySource[source], statsByAccount, now);
+    rows.seen.push(...built.seen);
+    rows.statsOnly.push(...built.statsOnly);
+  }
+  return rows;
+}
+
+/**
+ * Apply buildAccountRows() output to stored trader_accounts rows the way
+ * the upserts do. Fields the rows don't carry (include_in_leaderboard,
+ * first_seen_at, metadata for statsOnly rows) keep their stored values;
+ * new accounts start included.
+ *
+ * @param {Array<Object>} accountRows - Stored trader_accounts rows
+ * @param {{ seen: Array<Object>, statsOnly: Array<Object> }} rows - From buildAccountRows()
+ * @returns {Array<Object>}
+ */
+function mergeAccountRows(accountRows, rows) {
+  const byKey = new Map((accountRows || []).map(row => [`${row.source}:${row.account_id}`, row]));
+  for (const row of [...rows.seen, ...rows.statsOnly]) {
+    const key = `${row.source}:${row.account_id}`;
+    byKey.set(key, { ...byKey.get(key), ...row });
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Validate a trader's account mapping: groups of accounts that are one
+ * platform account seen through several connections, e.g.
+ * [[{ source: 'tradovate', accountId: '123' }, { source: 'tradesyncer', accountId: 'TS-9' }]].
+ * The list replaces every existing mapping; accounts not listed are unmapped.
+ *
+ * @param {*} groups - Request body value
+ * @param {Array<Object>} accountRows - The trader's trader_accounts rows
+ * @returns {{ valid: boolean, error?: string, assignments?: Map<string, string|null> }} -
+ *   trader_accounts row id -> account_group for every row
+ */
+function validateAccountGroups(groups, accountRows) {
+  if (!Array.isArray(groups)) {
+    return { valid: false, error: 'groups must be an array of account lists' };
+  }
+
+  const rowsByKey = new Map((accountRows || []).map(row => [`${row.source}:${row.account_id}`, row]));
+  const assignments = new Map((accountRows || []).map(row => [row.id, null]));
+  const grouped = new Set();
+
+  for (const group of groups) {
+    const members = Array.isArray(group) ? group : [];
+    const valid = members.length >= 2 && members.every(member =>
+      member && typeof member.source === 'string' &&
+      (typeof member.accountId === 'string' || typeof member.accountId === 'number'));
+    if (!valid) {
+      return { valid: false, error: 'Each group must list at least two accounts as { source, accountId }' };
+    }
+
+    const keys = members.map(member => `${member.source}:${member.accountId}`);
+    if (keys.some(key => !rowsByKey.has(key))) {
+      return { valid: false, error: 'Unknown account in groups' };
+    }
+    if (keys.some(key => grouped.has(key)) || new Set(keys).size !== keys.length) {
+      return { valid: false, error: 'An account can only be in one group' };
+    }
+    if (new Set(members.map(member => member.source)).size !== members.length) {
+      return { valid: false, error: 'A group can only hold one account per connection' };
+    }
+
+    // The first account names the group
+    for (const key of keys) {
+      grouped.add(key);
+      assignments.set(rowsByKey.get(key).id, keys[0]);
+    }
+  }
+
+  return { valid: true, assignments };
+}
+
+/**
+ * Serialize a trader_accounts row for the API.
+ * Everyone sees the display name, type, balance and stats; the owner also
+ * sees the platform account ID, raw account name and account group.
+ *
+ * @param {Object} row - trader_accounts row
+ * @param {boolean} detailed - Include owner-only fields
+ * @returns {Object}
+ */
+function serializeAccount(row, detailed) {
+  const serialized = {
+    displayName: row.display_name || row.name,
+    source: row.source,
+    accountType: row.account_type,
+    balance: parseFloat(row.balance) || 0,
+    active: row.active !== false,
+    includedInLeaderboard: row.include_in_leaderboard !== false,
+    stats: {
+      totalProfit: parseFloat(row.total_profit) || 0,
+      winRate: parseFloat(row.win_rate) || 0,
+      totalTrades: row.total_trades || 0,
+      avgTradePnl: parseFloat(row.avg_trade_pnl) || 0,
+      bestTrade: parseFloat(row.best_trade) || 0,
+      worstTrade: parseFloat(row.worst_trade) || 0,
+      profitFactor: parseFloat(row.profit_factor) || 0,
+    },
+    lastSeenAt: row.last_seen_at,
+  };
+
+  if (detailed) {
+    serialized.accountId = row.account_id;
+    serialized.name = row.name;
+    serialized.accountGroup = row.account_group || null;
+  }
+
+  return serialized;
+}
+
+module.exports = {
+  computeAccountStats,
+  computeTraderStats,
+  getExcludedAccountIds,
+  filterIncluded,
+  filterIncludedByTrader,
+  estimateStartingBalance,
+  buildAccountRows,
+  buildSourceAccountRows,
+  mergeAccountRows,
+  validateAccountGroups,
+  serializeAccount,
+};
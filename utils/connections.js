@@ -0,0 +1,280 @@
+// utils/connections.js
+// Traders with more than one platform connection (trader_connections):
+// the connection_type summary stored on the trader, removing trades that
+// two connections both report, and telling API-verified data from
+// self-reported uploads
+
+const { getConnection, getConnectionTypes } = require('../adapters');
+const { parseContractSymbol } = require('../adapters/tradovateContracts');
+
+// traders.connection_type for a trader linked to more than one platform
+const MULTIPLE_CONNECTIONS = 'multiple';
+
+// Open/close times of the same trade reported by two platforms differ by
+// at most this much
+const CROSS_SOURCE_WINDOW_MS = 5000;
+
+// How a profile's numbers were obtained (see describeVerification())
+const VERIFICATION_STATUSES = ['verified', 'self-reported'];
+
+/**
+ * traders.connection_type for a set of connections: 'none', the single
+ * connection type, or 'multiple'.
+ * @param {Array<string>} types - Connection types
+ * @returns {string}
+ */
+function summarizeConnectionType(types) {
+  const unique = [...new Set(types || [])];
+  if (unique.length === 0) return 'none';
+  return unique.length === 1 ? unique[0] : MULTIPLE_CONNECTIONS;
+}
+
+/**
+ * Connection types a trader is linked to.
+ *
+ * Uses trader_connections rows when given (or embedded on the trader as
+ * `connections`), otherwise the trader's connection_type, for traders
+ * linked before trader_connections existed ('both' meant Tradovate and
+ * TradeSyncer).
+ *
+ * @param {Object} trader - traders row
+ * @param {Array<Object>} [rows] - trader_connections rows
+ * @returns {Array<string>}
+ */
+function connectionTypesOf(trader, rows) {
+  const connections = rows || (Array.isArray(trader.connections) ? trader.connections : null);
+  if (connections && connections.length > 0) {
+    return [...new Set(connections.map(row => row.connection_type))];
+  }
+
+  const type = trader.connection_type;
+  if (!type || type === 'none' || type === MULTIPLE_CONNECTIONS) return [];
+  if (type === 'both') return ['tradovate', 'tradesyncer'];
+  return [type];
+}
+
+/**
+ * Whether a trader is linked to a connection type.
+ * @param {Object} trader - traders row, optionally with embedded `connections`
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasConnection(trader, type) {
+  return connectionTypesOf(trader).includes(type);
+}
+
+/**
+ * Whether a connection type's data is uploaded by the trader (statement
+ * imports) rather than fetched from a platform API.
+ * @param {string} type - Connection type or trade source
+ * @returns {boolean}
+ */
+function isSelfReported(type) {
+  const connection = getConnection(type);
+  return Boolean(connection && connection.selfReported);
+}
+
+/**
+ * Whether all of a trader's connections are self-reported, leaving a
+ * scheduled sync nothing to fetch.
+ * @param {Object} trader - traders row, optionally with embedded `connections`
+ * @returns {boolean}
+ */
+function hasOnlySelfReported(trader) {
+  const types = connectionTypesOf(trader);
+  return types.length > 0 && types.every(isSelfReported);
+}
+
+/**
+ * A profile is self-reported once any trade counted in its statistics came
+ * from an upload; otherwise every number came from a platform API.
+ * @param {number} selfReportedTrades - statistics.self_reported_trades
+ * @returns {'verified'|'self-reported'}
+ */
+function describeVerification(selfReportedTrades) {
+  return Number(selfReportedTrades) > 0 ? 'self-reported' : 'verified';
+}
+
+/**
+ * Order in which sources win when two report the same trade: registration
+ * order, so execution platforms come before sync services and imports.
+ * @returns {Array<string>}
+ */
+function getSourcePriority() {
+  return getConnectionTypes();
+}
+
+function timeOf(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+function priceKey(value) {
+  return value == null ? '' : Number(value).toFixed(4);
+}
+
+// Platforms name a trade's direction differently (TradeSyncer: long/short)
+const SIDE_ALIASES = { buy: 'buy', long: 'buy', sell: 'sell', short: 'sell' };
+
+function normalizeSide(side) {
+  const key = String(side || '').toLowerCase();
+  return SIDE_ALIASES[key] || key;
+}
+
+/**
+ * Entry and exit price, lowest first. Tradovate fill pairs store the buy
+ * price as entry and the sell price as exit whatever the direction, so a
+ * short's prices are swapped relative to other platforms.
+ */
+function priceRange(trade) {
+  const prices = [trade.entryPrice, trade.exitPrice]
+    .map(price => (price == null ? null : Number(price)))
+    .sort((a, b) => (a == null) - (b == null) || a - b);
+  return prices.map(priceKey);
+}
+
+/**
+ * What identifies a trade across platforms: product, side, size and prices.
+ * Platform trade IDs and account IDs differ between sources.
+ */
+function tradeSignature(trade) {
+  const root = trade.productRoot || parseContractSymbol(trade.symbol)?.root || trade.symbol || '';
+  return [
+    String(root).toUpperCase(),
+    normalizeSide(trade.side),
+    Number(trade.quantity) || 0,
+    ...priceRange(trade),
+  ].join('|');
+}
+
+// Open times are only compared when both platforms report one
+function withinWindow(a, b, windowMs) {
+  return a == null || b == null || Math.abs(a - b) <= windowMs;
+}
+
+/**
+ * Open and close times, earliest first, for the same reason as priceRange():
+ * Tradovate fill pairs report the buy time as the open.
+ */
+function timeRange(entry) {
+  if (entry.openedAt == null) return [null, entry.closedAt];
+  return [Math.min(entry.openedAt, entry.closedAt), Math.max(entry.openedAt, entry.closedAt)];
+}
+
+/**
+ * Accounts the trader has marked as one platform account seen through
+ * several connections (trader_accounts.account_group).
+ * @param {Array<Object>} accountRows - trader_accounts rows
+ * @returns {Map<string, string>} - `${source}:${accountId}` -> group
+ */
+function getAccountGroups(accountRows) {
+  const groups = new Map();
+  for (const row of accountRows || []) {
+    if (row.account_group) groups.set(`${row.source}:${row.account_id}`, row.account_group);
+  }
+  return groups;
+}
+
+/**
+ * Find trades two sources both reported for the same platform account (e.g.
+ * a Tradovate account that is also connected through TradeSyncer). Only
+ * accounts the trader has mapped to each other (accountGroups) are compared:
+ * a copy-trading service mirrors trades onto other accounts, and those are
+ * real trades of their own.
+ *
+ * A trade is a duplicate when a trade from another source, on an account in
+ * the same group, has the same product, side, quantity and prices and opened
+ * and closed within windowMs of it. Sides, prices and times are compared in
+ * a canonical form, since platforms disagree on how to report shorts. Each
+ * trade matches at most one other, and the copy from the source earliest in
+ * `priority` is kept.
+ *
+ * Trades without a close time are never treated as duplicates; open times
+ * are only compared when both trades have one.
+ *
+ * @param {Array<Object>} trades - Normalized trades from every source
+ * @param {Map<string, string>} [accountGroups] - From getAccountGroups()
+ * @param {Array<string>} [priority] - Sources, most preferred first
+ * @param {number} [windowMs]
+ * @returns {{ kept: Array<Object>, duplicates: Array<Object> }} - kept is in input order
+ */
+function findCrossSourceDuplicates(trades, accountGroups = new Map(), priority = getSourcePriority(), windowMs = CROSS_SOURCE_WINDOW_MS) {
+  const rank = source => {
+    const index = priority.indexOf(source);
+    return index === -1 ? priority.length : index;
+  };
+
+  const ordered = (trades || [])
+    .map((trade, index) => ({
+      trade,
+      index,
+      group: trade.accountId != null ? accountGroups.get(`${trade.source}:${trade.accountId}`) : null,
+      closedAt: timeOf(trade.closedAt),
+      openedAt: timeOf(trade.openedAt),
+    }))
+    .sort((a, b) => rank(a.trade.source) - rank(b.trade.source) || a.index - b.index);
+
+  const keptBySignature = new Map();
+  const duplicateIndexes = new Set();
+
+  for (const entry of ordered) {
+    if (entry.closedAt == null || !entry.group) continue;
+    const signature = `${entry.group}|${tradeSignature(entry.trade)}`;
+    const candidates = keptBySignature.get(signature) || [];
+    const [first, last] = timeRange(entry);
+
+    const match = candidates.find(kept => {
+      if (kept.matched || kept.trade.source === entry.trade.source) return false;
+      const [keptFirst, keptLast] = timeRange(kept);
+      return withinWindow(keptLast, last, windowMs) && withinWindow(keptFirst, first, windowMs);
+    });
+
+    if (match) {
+      match.matched = true;
+      duplicateIndexes.add(entry.index);
+    } else {
+      candidates.push(entry);
+      keptBySignature.set(signature, candidates);
+    }
+  }
+
+  const kept = [];
+  const duplicates = [];
+  (trades || []).forEach((trade, index) => {
+    (duplicateIndexes.has(index) ? duplicates : kept).push(trade);
+  });
+  return { kept, duplicates };
+}
+
+/**
+ * Serialize a trader_connections row for its owner.
+ * @param {Object} row - trader_connections row
+ * @param {Object|null} connection - Registered connection (adapters/registry)
+ * @returns {Object}
+ */
+function serializeConnection(row, connection) {
+  return {
+    type: row.connection_type,
+    displayName: connection ? connection.displayName : row.connection_type,
+    linkedAt: row.created_at,
+    lastSyncedAt: row.last_synced_at || null,
+    lastSyncStatus: row.last_sync_status || null,
+    lastSyncError: row.last_sync_error || null,
+  };
+}
+
+module.exports = {
+  summarizeConnectionType,
+  connectionTypesOf,
+  hasConnection,
+  isSelfReported,
+  hasOnlySelfReported,
+  describeVerification,
+  getSourcePriority,
+  getAccountGroups,
+  findCrossSourceDuplicates,
+  serializeConnection,
+  MULTIPLE_CONNECTIONS,
+  CROSS_SOURCE_WINDOW_MS,
+  VERIFICATION_STATUSES,
+};
@@ -0,0 +1,89 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reading for uploaded statements: quoted fields
+// (with embedded commas, quotes and newlines), CRLF or LF line endings
+// and a leading byte order mark
+
+/**
+ * Split CSV text into rows of fields.
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: Array<string> }>} - line is the 1-based line each row starts on
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    // Blank lines are skipped
+    if (fields.length > 1 || fields[0] !== '') rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Read CSV text with a header row into records keyed by header.
+ * Headers are trimmed; values are trimmed and missing trailing values are ''.
+ *
+ * @param {string} text
+ * @returns {{ headers: Array<string>, records: Array<{ line: number, values: Object<string, string> }> }}
+ */
+function readCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { headers: [], records: [] };
+
+  const headers = header.fields.map(name => name.trim());
+  const records = rows.map(row => {
+    const values = {};
+    headers.forEach((name, index) => {
+      if (name) values[name] = (row.fields[index] || '').trim();
+    });
+    return { line: row.line, values };
+  });
+
+  return { headers, records };
+}
+
+module.exports = {
+  parseCsv,
+  readCsvRecords,
+};
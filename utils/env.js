@@ -0,0 +1,26 @@
+// utils/env.js
+// Helpers for reading optional numeric settings from environment variables
+
+/**
+ * Parse a positive integer setting, falling back on missing or invalid values.
+ * @param {string|undefined} value - Raw environment value
+ * @param {*} fallback
+ * @returns {number|*}
+ */
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Parse a zero-or-greater integer setting (e.g. a retry count that may be 0).
+ * @param {string|undefined} value - Raw environment value
+ * @param {*} fallback
+ * @returns {number|*}
+ */
+function parseNonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+module.exports = { parsePositiveInt, parseNonNegativeInt };
@@ -0,0 +1,69 @@
+// utils/equity.js
+// Daily equity-curve snapshots: one row per trader per UTC day
+
+/**
+ * UTC calendar date (YYYY-MM-DD) for a timestamp.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function toSnapshotDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build an equity_snapshots row from the result of a sync.
+ * Re-syncing on the same day overwrites that day's row, so the
+ * snapshot always reflects the latest numbers for the day.
+ *
+ * @param {string} traderId
+ * @param {Object} stats - From calculateStats()
+ * @param {Array<Object>} accounts - From adapter getAccounts()
+ * @param {Date} [now]
+ * @returns {Object} - Row for equity_snapshots
+ */
+function buildEquitySnapshot(traderId, stats, accounts, now = new Date()) {
+  const balances = {};
+  let totalBalance = 0;
+
+  for (const account of accounts || []) {
+    const balance = parseFloat(account.balance) || 0;
+    balances[String(account.id)] = {
+      name: account.displayName || account.name || String(account.id),
+      balance,
+    };
+    totalBalance += balance;
+  }
+
+  return {
+    trader_id: traderId,
+    snapshot_date: toSnapshotDate(now),
+    cumulative_pnl: stats.totalProfit,
+    total_balance: parseFloat(totalBalance.toFixed(2)),
+    account_balances: balances,
+    total_trades: stats.totalTrades,
+    win_rate: stats.winRate,
+    profit_factor: stats.profitFactor,
+    verified_payouts: stats.verifiedPayouts,
+    updated_at: now.toISOString(),
+  };
+}
+
+/**
+ * Normalize an equity_snapshots row to a camelCase chart point.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function snapshotRowToPoint(row) {
+  return {
+    date: row.snapshot_date,
+    cumulativePnl: parseFloat(row.cumulative_pnl) || 0,
+    totalBalance: parseFloat(row.total_balance) || 0,
+    accountBalances: row.account_balances || {},
+    totalTrades: row.total_trades || 0,
+    winRate: parseFloat(row.win_rate) || 0,
+    profitFactor: parseFloat(row.profit_factor) || 0,
+    verifiedPayouts: row.verified_payouts || 0,
+  };
+}
+
+module.exports = { buildEquitySnapshot, snapshotRowToPoint, toSnapshotDate };
@@ -0,0 +1,27 @@
+// utils/fetchAll.js
+// Page through Supabase queries that may exceed the per-request row cap
+
+// Supabase (PostgREST) returns at most 1000 rows per request by default
+const DB_PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row of a query by paging with .range().
+ * The query must be built fresh for each page and should have a stable
+ * .order() so pages don't overlap or skip rows.
+ *
+ * @param {Function} buildQuery - () => Supabase query builder (without .range())
+ * @param {number} [pageSize]
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllRows(buildQuery, pageSize = DB_PAGE_SIZE) {
+  const rows = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  return rows;
+}
+
+module.exports = { fetchAllRows, DB_PAGE_SIZE };
@@ -0,0 +1,95 @@
+// utils/fillStream.js
+// Real-time fill streaming (services/fillStream): settings, which traders
+// to stream, and how pushed user-sync events are handled.
+
+const { parsePositiveInt } = require('./env');
+const { hasConnection } = require('./connections');
+const { isTokenExpired } = require('./tokenRenewal');
+
+const DEFAULT_FILL_STREAM = {
+  enabled: false,
+  // Debounce before buffered fill pairs are written
+  flushMs: 2000,
+  // Wait this long after a fill for its fill pair before fetching the account over REST
+  fillRefreshDelayMs: 5000,
+  // How often the set of streamed traders is reloaded
+  refreshMinutes: 5,
+  // Open connections at most
+  maxTraders: 200,
+  // Overrides the adapter's user-sync URL (e.g. the local mock server)
+  url: null,
+};
+
+/**
+ * Read fill stream settings from environment variables:
+ *   FILL_STREAM_ENABLED               - 'true' to stream (default off)
+ *   FILL_STREAM_FLUSH_MS              - write debounce (default 2000)
+ *   FILL_STREAM_FILL_REFRESH_DELAY_MS - fill-to-REST-refresh delay (default 5000)
+ *   FILL_STREAM_REFRESH_MINUTES       - trader list reload interval (default 5)
+ *   FILL_STREAM_MAX_TRADERS           - connection cap (default 200)
+ *   TRADOVATE_WS_URL                  - user-sync URL override
+ *
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+function getFillStreamConfig(env = process.env) {
+  return {
+    enabled: env.FILL_STREAM_ENABLED === 'true',
+    flushMs: parsePositiveInt(env.FILL_STREAM_FLUSH_MS, DEFAULT_FILL_STREAM.flushMs),
+    fillRefreshDelayMs: parsePositiveInt(env.FILL_STREAM_FILL_REFRESH_DELAY_MS, DEFAULT_FILL_STREAM.fillRefreshDelayMs),
+    refreshMinutes: parsePositiveInt(env.FILL_STREAM_REFRESH_MINUTES, DEFAULT_FILL_STREAM.refreshMinutes),
+    maxTraders: parsePositiveInt(env.FILL_STREAM_MAX_TRADERS, DEFAULT_FILL_STREAM.maxTraders),
+    url: env.TRADOVATE_WS_URL || DEFAULT_FILL_STREAM.url,
+  };
+}
+
+/**
+ * Traders linked to Tradovate to stream: holding a token that is neither marked
+ * expired nor past its expiry. Most recently active first, so the cap drops
+ * the least active traders (they are still covered by scheduled syncs).
+ *
+ * @param {Array<Object>} traders - traders rows
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {Array<Object>}
+ */
+function selectStreamTraders(traders, now = new Date(), config = DEFAULT_FILL_STREAM) {
+  const lastTradeOf = trader => {
+    const time = new Date(trader.last_trade_at || 0).getTime();
+    return isNaN(time) ? 0 : time;
+  };
+
+  return (traders || [])
+    .filter(trader =>
+      hasConnection(trader, 'tradovate') &&
+      trader.auth_status !== 'expired' &&
+      trader.tradovate_access_token &&
+      !isTokenExpired(trader, now))
+    .sort((a, b) => lastTradeOf(b) - lastTradeOf(a))
+    .slice(0, config.maxTraders);
+}
+
+/**
+ * How to handle a pushed user-sync event:
+ *   'fillPair' - a completed round trip: store it as a trade
+ *   'fill'     - an execution: its fill pair usually follows; if not, the
+ *                account is refreshed over REST
+ *   null       - anything else (orders, positions, deletions)
+ *
+ * @param {{ entityType: string, eventType: string, entity: Object }} event
+ * @returns {'fillPair'|'fill'|null}
+ */
+function classifyStreamEvent(event) {
+  if (!event || !event.entity || event.entity.accountId == null) return null;
+  if (event.eventType !== 'Created' && event.eventType !== 'Updated') return null;
+  if (event.entityType === 'fillPair') return 'fillPair';
+  if (event.entityType === 'fill' && event.eventType === 'Created' && event.entity.active !== false) return 'fill';
+  return null;
+}
+
+module.exports = {
+  getFillStreamConfig,
+  selectStreamTraders,
+  classifyStreamEvent,
+  DEFAULT_FILL_STREAM,
+};
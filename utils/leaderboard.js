@@ -0,0 +1,362 @@
+// utils/leaderboard.js
+// Query parsing, filtering, sorting and pagination for the leaderboard
+// STIG V-222609 - Query string input is validated against whitelists
+
+const BaseAdapter = require('../adapters/base');
+const {
+  validateSortField,
+  validateConnectionType,
+  parseIntegerParam,
+  parseBooleanParam,
+} = require('../middleware/inputSanitizer');
+const { VERIFICATION_STATUSES, isSelfReported, describeVerification } = require('./connections');
+
+const DEFAULT_SORT_FIELD = 'totalProfit';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const AUTH_STATUSES = ['active', 'expired', 'unlinked'];
+
+// Prop firm keys are lowercase slugs (see PROP_FIRMS in adapters/index.js)
+const PROP_FIRM_REGEX = /^[a-z0-9-]{1,50}$/;
+
+// Sort fields -> get_traders_with_stats columns (see database/schema.sql)
+const SORT_COLUMNS = {
+  totalProfit: 'total_profit',
+  winRate: 'win_rate',
+  totalTrades: 'total_trades',
+  monthlyProfit: 'monthly_profit',
+  verifiedPayouts: 'verified_payouts',
+  totalPayouts: 'total_payouts',
+  profitFactor: 'profit_factor',
+  updatedAt: 'updated_at',
+  ...BaseAdapter.RISK_METRIC_COLUMNS,
+};
+
+// Cursor parts that end up in a PostgREST filter: trader IDs (UUIDs) and
+// sort values, which are numbers or timestamps
+const CURSOR_ID_REGEX = /^[A-Za-z0-9-]{1,64}$/;
+const CURSOR_TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+/**
+ * Encode a cursor pointing just past the given trader in the current sort order.
+ * @param {Object} trader - Normalized trader
+ * @param {string} sortField
+ * @returns {string}
+ */
+function encodeCursor(trader, sortField) {
+  return Buffer.from(JSON.stringify({ v: trader[sortField] ?? null, id: trader.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} cursor
+ * @returns {{ v: *, id: string }|null}
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string' || cursor.length > 200) return null;
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object' || decoded.id == null) return null;
+    return { v: decoded.v, id: String(decoded.id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate leaderboard query params from req.query.
+ *
+ * Supported params:
+ *   sort           - one of ALLOWED_SORT_FIELDS (default totalProfit)
+ *   order          - 'asc' or 'desc' (default desc)
+ *   propFirm       - prop firm key, e.g. 'topstep'
+ *   connectionType - a connection type ('tradovate', 'projectx', 'tradesyncer', 'import'), 'multiple' or 'none'
+ *   authStatus     - 'active', 'expired' or 'unlinked'
+ *   verification   - 'verified' or 'self-reported' (statement imports)
+ *   minTrades      - minimum totalTrades
+ *   limit          - page size (1-100, default 50)
+ *   page           - 1-based page number (ignored when cursor is given)
+ *   cursor         - opaque cursor from a previous response's nextCursor
+ *   envelope       - 'true' for { traders, pagination, sort, period } instead
+ *                    of a bare array (pagination then goes in headers)
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ valid: boolean, error?: string, options?: Object }}
+ */
+function parseLeaderboardQuery(query = {}) {
+  const options = {
+    sort: DEFAULT_SORT_FIELD,
+    order: 'desc',
+    propFirm: null,
+    connectionType: null,
+    authStatus: null,
+    verification: null,
+    minTrades: 0,
+    limit: DEFAULT_PAGE_SIZE,
+    page: 1,
+    cursor: null,
+    envelope: false,
+  };
+
+  if (query.sort !== undefined) {
+    if (!validateSortField(query.sort)) {
+      return { valid: false, error: 'Invalid sort field' };
+    }
+    options.sort = query.sort;
+  }
+
+  if (query.order !== undefined) {
+    if (query.order !== 'asc' && query.order !== 'desc') {
+      return { valid: false, error: 'Invalid sort order. Use "asc" or "desc".' };
+    }
+    options.order = query.order;
+  }
+
+  if (query.propFirm !== undefined) {
+    if (typeof query.propFirm !== 'string' || !PROP_FIRM_REGEX.test(query.propFirm)) {
+      return { valid: false, error: 'Invalid prop firm' };
+    }
+    options.propFirm = query.propFirm;
+  }
+
+  if (query.connectionType !== undefined) {
+    if (!validateConnectionType(query.connectionType)) {
+      return { valid: false, error: 'Invalid connection type' };
+    }
+    options.connectionType = query.connectionType;
+  }
+
+  if (query.authStatus !== undefined) {
+    if (!AUTH_STATUSES.includes(query.authStatus)) {
+      return { valid: false, error: 'Invalid auth status' };
+    }
+    options.authStatus = query.authStatus;
+  }
+
+  if (query.verification !== undefined) {
+    if (!VERIFICATION_STATUSES.includes(query.verification)) {
+      return { valid: false, error: 'Invalid verification. Use "verified" or "self-reported".' };
+    }
+    options.verification = query.verification;
+  }
+
+  const minTrades = parseIntegerParam(query.minTrades);
+  if (minTrades === null) {
+    return { valid: false, error: 'minTrades must be a non-negative integer' };
+  }
+  if (minTrades !== undefined) options.minTrades = minTrades;
+
+  const limit = parseIntegerParam(query.limit);
+  if (limit === null || limit === 0 || limit > MAX_PAGE_SIZE) {
+    return { valid: false, error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (limit !== undefined) options.limit = limit;
+
+  const page = parseIntegerParam(query.page);
+  if (page === null || page === 0) {
+    return { valid: false, error: 'page must be a positive integer' };
+  }
+  if (page !== undefined) options.page = page;
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { valid: false, error: 'Invalid cursor' };
+    }
+    options.cursor = cursor;
+  }
+
+  const envelope = parseBooleanParam(query.envelope);
+  if (envelope === null) {
+    return { valid: false, error: 'envelope must be true or false' };
+  }
+  if (envelope !== undefined) options.envelope = envelope;
+
+  return { valid: true, options };
+}
+
+/**
+ * Compare two sort values; nulls always sort last.
+ */
+function compareValues(a, b, order) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (a === b) return 0;
+  const result = a < b ? -1 : 1;
+  return order === 'asc' ? result : -result;
+}
+
+/**
+ * Rank one page of a sorted leaderboard and describe its pagination.
+ * @param {Array<Object>} pageItems - Normalized traders on the page, in order
+ * @param {number} start - Position of the first one in the full sorted list
+ * @param {number} total - Length of the full sorted list
+ * @param {Object} options - From parseLeaderboardQuery
+ * @returns {{ traders: Array<Object>, pagination: Object }}
+ */
+function buildLeaderboardPage(pageItems, start, total, options) {
+  const { sort, limit } = options;
+  pageItems.forEach((trader, index) => {
+    trader.rank = start + index + 1;
+  });
+  const hasMore = start + pageItems.length < total;
+
+  return {
+    traders: pageItems,
+    pagination: {
+      total,
+      limit,
+      page: options.cursor ? null : options.page,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore && pageItems.length > 0 ? encodeCursor(pageItems[pageItems.length - 1], sort) : null,
+    },
+  };
+}
+
+/**
+ * Filter, sort, rank and paginate normalized traders in memory.
+ * Used for windowed leaderboards, whose stats are computed from trades.
+ * Ranks reflect position in the filtered, sorted list (not the page).
+ *
+ * @param {Array<Object>} traders - Normalized (camelCase) traders
+ * @param {Object} options - From parseLeaderboardQuery
+ * @returns {{ traders: Array<Object>, pagination: Object }}
+ */
+function applyLeaderboardQuery(traders, options) {
+  const { sort, order, limit } = options;
+
+  const filtered = (traders || []).filter(t =>
+    (!options.propFirm || t.propFirm === options.propFirm) &&
+    (!options.connectionType || t.connectionType === options.connectionType) &&
+    (!options.authStatus || t.authStatus === options.authStatus) &&
+    (!options.verification || t.verification === options.verification) &&
+    (Number(t.totalTrades) || 0) >= options.minTrades
+  );
+
+  // Tie-break on id so ordering (and therefore cursors) is stable
+  const compare = (a, b) => compareValues(a[sort], b[sort], order) || String(a.id).localeCompare(String(b.id));
+  filtered.sort(compare);
+
+  let start;
+  if (options.cursor) {
+    const anchor = { [sort]: options.cursor.v, id: options.cursor.id };
+    start = filtered.findIndex(t => compare(t, anchor) > 0);
+    if (start === -1) start = filtered.length;
+  } else {
+    start = (options.page - 1) * limit;
+  }
+
+  return buildLeaderboardPage(filtered.slice(start, start + limit), start, filtered.length, options);
+}
+
+/**
+ * Apply leaderboard filters to a get_traders_with_stats query (a Supabase
+ * filter builder). Windowed leaderboards only push down the trader filters;
+ * verification and minTrades depend on the window's trades.
+ *
+ * @param {Object} query - Supabase filter builder
+ * @param {Object} options - From parseLeaderboardQuery
+ * @param {{ statFilters?: boolean }} [scope]
+ * @returns {Object} - The filtered builder
+ */
+function applyLeaderboardFilters(query, options, { statFilters = true } = {}) {
+  if (options.propFirm) query = query.eq('prop_firm', options.propFirm);
+  if (options.connectionType) query = query.eq('connection_type', options.connectionType);
+  if (options.authStatus) query = query.eq('auth_status', options.authStatus);
+  if (!statFilters) return query;
+
+  if (options.verification === 'self-reported') query = query.gt('self_reported_trades', 0);
+  if (options.verification === 'verified') query = query.eq('self_reported_trades', 0);
+  if (options.minTrades > 0) query = query.gte('total_trades', options.minTrades);
+  return query;
+}
+
+/**
+ * Order a get_traders_with_stats query the way applyLeaderboardQuery sorts:
+ * by the sort column with nulls last, then by id.
+ */
+function orderLeaderboardQuery(query, options) {
+  return query
+    .order(SORT_COLUMNS[options.sort], { ascending: options.order === 'asc', nullsFirst: false })
+    .order('id', { ascending: true });
+}
+
+/**
+ * Build the PostgREST or() filter selecting the rows after a cursor in the
+ * sort order (through: false) or the rows up to and including it
+ * (through: true, to count the cursor's position).
+ * Returns null when the cursor carries values that can't be a sort value or
+ * trader ID, since they are written into the filter string.
+ *
+ * @param {Object} options - From parseLeaderboardQuery, with a cursor
+ * @param {{ through?: boolean }} [scope]
+ * @returns {string|null}
+ */
+function buildCursorFilter(options, { through = false } = {}) {
+  const { v, id } = options.cursor;
+  const column = SORT_COLUMNS[options.sort];
+  if (!CURSOR_ID_REGEX.test(id)) return null;
+  if (v !== null && !Number.isFinite(v) && !(typeof v === 'string' && CURSOR_TIMESTAMP_REGEX.test(v))) return null;
+
+  const value = `"${v}"`;
+  // Nulls sort last in both orders
+  if (v === null) {
+    return through
+      ? `${column}.not.is.null,and(${column}.is.null,id.lte.${id})`
+      : `and(${column}.is.null,id.gt.${id})`;
+  }
+
+  const desc = options.order !== 'asc';
+  if (through) {
+    return `${column}.${desc ? 'gt' : 'lt'}.${value},and(${column}.eq.${value},id.lte.${id})`;
+  }
+  return `${column}.${desc ? 'lt' : 'gt'}.${value},and(${column}.eq.${value},id.gt.${id}),${column}.is.null`;
+}
+
+/**
+ * Replace all-time trade stats with stats computed from a window of trades.
+ * Payout counts are not trade-derived and are left as all-time values.
+ * Verification follows the window too: imported trades inside it make the
+ * windowed numbers self-reported.
+ *
+ * @param {Array<Object>} traders - Normalized (camelCase) traders
+ * @param {Map<string, Array<Object>>} tradesByTrader - trader id -> normalized trades in the window
+ * @returns {Array<Object>} - New trader objects with windowed stats
+ */
+function applyPeriodStats(traders, tradesByTrader) {
+  return (traders || []).map(trader => {
+    const trades = tradesByTrader.get(trader.id) || [];
+    const stats = BaseAdapter.calculateStats(trades);
+    const selfReportedTrades = trades.filter(trade => isSelfReported(trade.source)).length;
+    const windowed = {
+      ...trader,
+      totalProfit: stats.totalProfit,
+      winRate: stats.winRate,
+      totalTrades: stats.totalTrades,
+      profitFactor: stats.profitFactor,
+      avgTradePnl: stats.avgTradePnl,
+      selfReportedTrades,
+      verification: describeVerification(selfReportedTrades),
+    };
+    for (const key of Object.keys(BaseAdapter.RISK_METRIC_COLUMNS)) {
+      windowed[key] = stats[key];
+    }
+    return windowed;
+  });
+}
+
+module.exports = {
+  parseLeaderboardQuery,
+  buildLeaderboardPage,
+  applyLeaderboardQuery,
+  applyLeaderboardFilters,
+  orderLeaderboardQuery,
+  buildCursorFilter,
+  applyPeriodStats,
+  encodeCursor,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
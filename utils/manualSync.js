@@ -0,0 +1,81 @@
+// utils/manualSync.js
+// Trader-initiated "sync now": cooldown settings and checks.
+// The cooldown is per trader (traders.manual_sync_requested_at), not per
+// IP, so it holds across devices, networks and server instances.
+
+const { parsePositiveInt } = require('./env');
+const { classifyTrader } = require('./syncSchedule');
+const { hasOnlySelfReported } = require('./connections');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_MANUAL_SYNC = {
+  // Minimum time between syncs a trader starts themselves
+  cooldownMinutes: 15,
+};
+
+/**
+ * Read manual sync settings from environment variables:
+ *   MANUAL_SYNC_COOLDOWN_MINUTES - minutes between trader-initiated syncs (default 15)
+ *
+ * @param {Object} [env]
+ * @returns {{ cooldownMinutes: number }}
+ */
+function getManualSyncConfig(env = process.env) {
+  return {
+    cooldownMinutes: parsePositiveInt(env.MANUAL_SYNC_COOLDOWN_MINUTES, DEFAULT_MANUAL_SYNC.cooldownMinutes),
+  };
+}
+
+/**
+ * When the trader may next start a sync. Null if they can now.
+ *
+ * @param {Object} trader - traders row (manual_sync_requested_at)
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {Date|null}
+ */
+function getNextManualSyncAt(trader, now = new Date(), config = DEFAULT_MANUAL_SYNC) {
+  const requestedAt = new Date(trader.manual_sync_requested_at || 0).getTime();
+  if (isNaN(requestedAt) || requestedAt === 0) return null;
+
+  const nextAt = requestedAt + config.cooldownMinutes * MINUTE_MS;
+  return nextAt > now.getTime() ? new Date(nextAt) : null;
+}
+
+/**
+ * Requests at or before this time are outside the cooldown window.
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {Date}
+ */
+function getCooldownCutoff(now = new Date(), config = DEFAULT_MANUAL_SYNC) {
+  return new Date(now.getTime() - config.cooldownMinutes * MINUTE_MS);
+}
+
+/**
+ * Why a trader can't sync on demand at all, or null if they can.
+ * @param {Object} trader - traders row
+ * @returns {{ status: number, error: string }|null}
+ */
+function getManualSyncBlocker(trader) {
+  const state = classifyTrader(trader);
+  if (hasOnlySelfReported(trader)) {
+    return { status: 400, error: 'Imported statements update when you upload a new one' };
+  }
+  if (state === 'unlinked') {
+    return { status: 400, error: 'Link a trading account before syncing' };
+  }
+  if (state === 'expired') {
+    return { status: 409, error: 'Your connection has expired. Please reconnect your account.' };
+  }
+  return null;
+}
+
+module.exports = {
+  getManualSyncConfig,
+  getNextManualSyncAt,
+  getCooldownCutoff,
+  getManualSyncBlocker,
+  DEFAULT_MANUAL_SYNC,
+};
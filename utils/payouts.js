@@ -0,0 +1,174 @@
+// utils/payouts.js
+// Payout detection, payouts table rows and the payout timeline API
+
+// Tradovate cashChangeType values that are payouts. Transfer and
+// FundTransaction are left out: outflows there are moves between accounts,
+// reset and evaluation fees, not money paid to the trader.
+const TRADOVATE_PAYOUT_CASH_CHANGE_TYPES = new Set(['Withdrawal']);
+
+/**
+ * Detect payouts in Tradovate cashBalance/list entries.
+ * A payout is a withdrawal entry with a negative amount; the stored
+ * amount is the positive dollar value paid out.
+ *
+ * @param {Array<Object>} entries - Raw cashBalance/list entries
+ * @param {Array<string|number>} [accountIds] - Only keep entries for these accounts
+ * @returns {Array<Object>} - Normalized payouts
+ */
+function extractTradovatePayouts(entries, accountIds) {
+  const allowed = accountIds ? new Set(accountIds.map(String)) : null;
+
+  return (entries || [])
+    .filter(entry => entry && TRADOVATE_PAYOUT_CASH_CHANGE_TYPES.has(entry.cashChangeType))
+    .filter(entry => !allowed || allowed.has(String(entry.accountId)))
+    .filter(entry => (parseFloat(entry.amount) || 0) < 0)
+    .map(entry => ({
+      externalPayoutId: String(entry.id),
+      accountId: entry.accountId != null ? String(entry.accountId) : null,
+      amount: parseFloat(Math.abs(parseFloat(entry.amount)).toFixed(2)),
+      paidAt: entry.timestamp,
+      source: 'tradovate',
+    }));
+}
+
+/**
+ * Normalize TradeSyncer /payouts records. Field names vary between setups,
+ * so the common aliases are accepted; records without an amount are kept
+ * (they still count as a payout) with amount 0.
+ *
+ * @param {Array<Object>} records - Raw TradeSyncer payout records
+ * @returns {Array<Object>} - Normalized payouts
+ */
+function normalizeTradeSyncerPayouts(records) {
+  return (records || [])
+    .filter(Boolean)
+    .map(record => {
+      const accountId = record.accountId ?? record.account_id ?? null;
+      const paidAt = record.paidAt || record.date || record.createdAt || null;
+      const amount = Math.abs(parseFloat(record.amount ?? record.payoutAmount) || 0);
+      return {
+        externalPayoutId: String(record.id ?? record.payoutId ?? `${accountId}-${paidAt}-${amount}`),
+        accountId: accountId != null ? String(accountId) : null,
+        amount: parseFloat(amount.toFixed(2)),
+        paidAt,
+        source: 'tradesyncer',
+      };
+    });
+}
+
+/**
+ * Convert normalized payouts to payouts rows for upsert on
+ * (trader_id, source, external_payout_id), collapsing duplicate keys.
+ *
+ * @param {string} traderId
+ * @param {Array<Object>} payouts - Normalized payouts
+ * @returns {Array<Object>}
+ */
+function payoutsToRows(traderId, payouts) {
+  const byKey = new Map();
+  for (const payout of payouts || []) {
+    byKey.set(`${payout.source}:${payout.externalPayoutId}`, {
+      trader_id: traderId,
+      source: payout.source,
+      external_payout_id: payout.externalPayoutId,
+      account_id: payout.accountId,
+      amount: payout.amount,
+      paid_at: payout.paidAt,
+    });
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Convert a payouts row to the normalized payout shape.
+ */
+function rowToPayout(row) {
+  return {
+    externalPayoutId: row.external_payout_id,
+    accountId: row.account_id,
+    amount: parseFloat(row.amount) || 0,
+    paidAt: row.paid_at,
+    source: row.source,
+  };
+}
+
+/**
+ * Merge fetched payouts into stored ones the way the payouts upsert does:
+ * a re-fetched payout replaces its stored copy. Oldest first, like loadPayouts().
+ *
+ * @param {Array<Object>} stored - Stored payouts (rowToPayout)
+ * @param {Array<Object>} payouts - Newly fetched normalized payouts
+ * @returns {Array<Object>}
+ */
+function mergePayouts(stored, payouts) {
+  const byKey = new Map((stored || []).map(payout => [`${payout.source}:${payout.externalPayoutId}`, payout]));
+  for (const row of payoutsToRows(null, payouts)) {
+    byKey.set(`${row.source}:${row.external_payout_id}`, rowToPayout(row));
+  }
+  const paidTime = payout => {
+    const time = new Date(payout.paidAt).getTime();
+    return payout.paidAt && !isNaN(time) ? time : Infinity;
+  };
+  return [...byKey.values()].sort((a, b) => paidTime(a) - paidTime(b));
+}
+
+/**
+ * Payout count and total dollars, for statistics and API summaries.
+ * @param {Array<Object>} payouts - Normalized payouts
+ * @returns {{ count: number, totalAmount: number, lastPaidAt: string|null }}
+ */
+function summarizePayouts(payouts) {
+  let totalAmount = 0;
+  let lastPaidAt = null;
+  for (const payout of payouts || []) {
+    totalAmount += payout.amount || 0;
+    if (payout.paidAt && (!lastPaidAt || new Date(payout.paidAt) > new Date(lastPaidAt))) {
+      lastPaidAt = payout.paidAt;
+    }
+  }
+  return {
+    count: (payouts || []).length,
+    totalAmount: parseFloat(totalAmount.toFixed(2)),
+    lastPaidAt,
+  };
+}
+
+/**
+ * Build the payout timeline, oldest first, with a running total.
+ * Public viewers see dates and amounts; the owner also sees account and
+ * platform identifiers.
+ *
+ * @param {Array<Object>} payouts - Normalized payouts
+ * @param {boolean} detailed - Include owner-only fields
+ * @returns {Array<Object>}
+ */
+function buildPayoutTimeline(payouts, detailed) {
+  let cumulative = 0;
+  return [...(payouts || [])]
+    .sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt))
+    .map(payout => {
+      cumulative += payout.amount || 0;
+      const point = {
+        paidAt: payout.paidAt,
+        amount: payout.amount,
+        cumulativeAmount: parseFloat(cumulative.toFixed(2)),
+        source: payout.source,
+      };
+      if (detailed) {
+        point.accountId = payout.accountId;
+        point.externalPayoutId = payout.externalPayoutId;
+      }
+      return point;
+    });
+}
+
+module.exports = {
+  extractTradovatePayouts,
+  normalizeTradeSyncerPayouts,
+  payoutsToRows,
+  rowToPayout,
+  mergePayouts,
+  summarizePayouts,
+  buildPayoutTimeline,
+  TRADOVATE_PAYOUT_CASH_CHANGE_TYPES,
+};
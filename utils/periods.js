@@ -0,0 +1,134 @@
+// utils/periods.js
+// Time windows for leaderboards and profile stats (all boundaries in UTC)
+// STIG V-222609 - Period and date query params are validated before use
+
+const PERIODS = ['today', 'week', 'month', 'ytd', 'all', 'custom'];
+
+// Custom ranges use plain calendar dates: YYYY-MM-DD
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as midnight UTC.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  // Reject dates that roll over, e.g. 2025-02-30
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return null;
+  return date;
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Resolve the [start, end) window for a named period.
+ *   today - current UTC day
+ *   week  - current ISO week (Monday 00:00 UTC onwards)
+ *   month - current calendar month
+ *   ytd   - January 1st of the current year onwards
+ *   all   - no bounds
+ *
+ * @param {string} key - One of PERIODS except 'custom'
+ * @param {Date} [now]
+ * @returns {{ key: string, start: Date|null, end: Date|null }}
+ */
+function resolveNamedPeriod(key, now = new Date()) {
+  const today = startOfUtcDay(now);
+  const tomorrow = new Date(today.getTime() + DAY_MS);
+
+  switch (key) {
+    case 'today':
+      return { key, start: today, end: tomorrow };
+    case 'week': {
+      const daysSinceMonday = (today.getUTCDay() + 6) % 7;
+      return { key, start: new Date(today.getTime() - daysSinceMonday * DAY_MS), end: tomorrow };
+    }
+    case 'month':
+      return { key, start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), end: tomorrow };
+    case 'ytd':
+      return { key, start: new Date(Date.UTC(now.getUTCFullYear(), 0, 1)), end: tomorrow };
+    default:
+      return { key: 'all', start: null, end: null };
+  }
+}
+
+/**
+ * Validate period query params from req.query.
+ *
+ *   period - 'today', 'week', 'month', 'ytd', 'all' or 'custom'
+ *            (default 'custom' if from/to are given, otherwise 'all')
+ *   from   - YYYY-MM-DD, required for custom
+ *   to     - YYYY-MM-DD, inclusive, defaults to today for custom
+ *
+ * @param {Object} query - Express req.query
+ * @param {Date} [now]
+ * @returns {{ valid: boolean, error?: string, period?: { key: string, start: Date|null, end: Date|null } }}
+ */
+function parsePeriodQuery(query = {}, now = new Date()) {
+  const hasRange = query.from !== undefined || query.to !== undefined;
+  const key = query.period === undefined ? (hasRange ? 'custom' : 'all') : query.period;
+
+  if (!PERIODS.includes(key)) {
+    return { valid: false, error: `Invalid period. Use one of: ${PERIODS.join(', ')}` };
+  }
+
+  if (key !== 'custom') {
+    if (hasRange) {
+      return { valid: false, error: 'from/to are only allowed with period=custom' };
+    }
+    return { valid: true, period: resolveNamedPeriod(key, now) };
+  }
+
+  const start = parseDate(query.from);
+  if (!start) {
+    return { valid: false, error: 'from must be a date in YYYY-MM-DD format' };
+  }
+
+  let endDay = startOfUtcDay(now);
+  if (query.to !== undefined) {
+    endDay = parseDate(query.to);
+    if (!endDay) {
+      return { valid: false, error: 'to must be a date in YYYY-MM-DD format' };
+    }
+  }
+
+  if (endDay < start) {
+    return { valid: false, error: 'from must be on or before to' };
+  }
+
+  // `to` is inclusive, so the window ends at the following midnight
+  return { valid: true, period: { key, start, end: new Date(endDay.getTime() + DAY_MS) } };
+}
+
+/**
+ * Serialize a period for API responses.
+ * @param {{ key: string, start: Date|null, end: Date|null }} period
+ */
+function describePeriod(period) {
+  return {
+    key: period.key,
+    start: period.start ? period.start.toISOString() : null,
+    end: period.end ? period.end.toISOString() : null,
+  };
+}
+
+/**
+ * Whether a period restricts the time range (i.e. is not all-time).
+ */
+function isWindowed(period) {
+  return Boolean(period && (period.start || period.end));
+}
+
+module.exports = {
+  parsePeriodQuery,
+  resolveNamedPeriod,
+  describePeriod,
+  isWindowed,
+  PERIODS,
+};
@@ -0,0 +1,58 @@
+// utils/statementUpload.js
+// Request validation for statement uploads (POST /api/traders/me/imports)
+// STIG V-222609: Upload fields validated before parsing
+
+const { STATEMENT_FORMATS } = require('../adapters/statementFormats');
+const { sanitizeString } = require('../middleware/inputSanitizer');
+
+// Furthest UTC offsets in use: UTC-12:00 to UTC+14:00
+const MAX_UTC_OFFSET_MINUTES = 14 * 60;
+
+// Account names are shown on the profile like platform account names
+const MAX_ACCOUNT_LENGTH = 64;
+
+/**
+ * Validate an upload body: { csv, format?, account?, utcOffsetMinutes? }.
+ *
+ * @param {Object} body - Request body
+ * @returns {{ valid: true, statement: Object }|{ valid: false, error: string }}
+ */
+function parseStatementUpload(body) {
+  const { csv, format, account, utcOffsetMinutes } = body || {};
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return { valid: false, error: 'csv must be the statement file contents' };
+  }
+
+  if (format !== undefined && !Object.prototype.hasOwnProperty.call(STATEMENT_FORMATS, format)) {
+    return { valid: false, error: `format must be one of: ${Object.keys(STATEMENT_FORMATS).join(', ')}` };
+  }
+
+  let accountName;
+  if (account !== undefined) {
+    accountName = sanitizeString(account);
+    if (!accountName || accountName.length > MAX_ACCOUNT_LENGTH) {
+      return { valid: false, error: `account must be 1-${MAX_ACCOUNT_LENGTH} characters` };
+    }
+  }
+
+  if (utcOffsetMinutes !== undefined &&
+      (!Number.isInteger(utcOffsetMinutes) || Math.abs(utcOffsetMinutes) > MAX_UTC_OFFSET_MINUTES)) {
+    return { valid: false, error: `utcOffsetMinutes must be a whole number of minutes between -${MAX_UTC_OFFSET_MINUTES} and ${MAX_UTC_OFFSET_MINUTES}` };
+  }
+
+  return {
+    valid: true,
+    statement: {
+      csv,
+      format,
+      account: accountName,
+      utcOffsetMinutes: utcOffsetMinutes || 0,
+    },
+  };
+}
+
+module.exports = {
+  MAX_UTC_OFFSET_MINUTES,
+  parseStatementUpload,
+};
@@ -0,0 +1,154 @@
+// utils/syncDashboard.js
+// Aggregates sync_log rows for the admin sync dashboard: success rates,
+// latency percentiles, error codes, data sources and failing traders
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DASHBOARD_DAYS = 7;
+const MAX_DASHBOARD_DAYS = 90;
+const FAILING_TRADERS_LIMIT = 20;
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Nearest-rank percentile of an ascending array.
+ * @param {Array<number>} sorted
+ * @param {number} p - 0-100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function latencyPercentiles(rows) {
+  const durations = rows
+    .map(row => row.duration_ms)
+    .filter(ms => Number.isFinite(ms))
+    .sort((a, b) => a - b);
+  return {
+    p50: percentile(durations, 50),
+    p90: percentile(durations, 90),
+    p95: percentile(durations, 95),
+    p99: percentile(durations, 99),
+    max: durations.length > 0 ? durations[durations.length - 1] : null,
+  };
+}
+
+/**
+ * Run counts for a group of sync_log rows. Partial runs stored data, so
+ * they count toward the success rate.
+ */
+function countRuns(rows) {
+  const counts = { runs: rows.length, succeeded: 0, partial: 0, failed: 0 };
+  for (const row of rows) {
+    if (row.status === 'success') counts.succeeded += 1;
+    else if (row.status === 'partial') counts.partial += 1;
+    else counts.failed += 1;
+  }
+  counts.successRate = counts.runs > 0
+    ? round(((counts.succeeded + counts.partial) / counts.runs) * 100)
+    : null;
+  return counts;
+}
+
+function tally(rows, key) {
+  const counts = {};
+  for (const row of rows) {
+    if (row[key]) counts[row[key]] = (counts[row[key]] || 0) + 1;
+  }
+  return counts;
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Traders with failed runs in the window, worst first: by failures in a row
+ * at the end of the window, then by total failures.
+ */
+function findFailingTraders(rows, usernames, limit) {
+  const failing = [];
+  for (const [traderId, runs] of groupBy(rows, row => row.trader_id)) {
+    const failed = runs.filter(row => row.status === 'failed');
+    if (failed.length === 0) continue;
+
+    let consecutiveFailures = 0;
+    for (let i = runs.length - 1; i >= 0 && runs[i].status === 'failed'; i--) consecutiveFailures += 1;
+
+    const lastFailure = failed[failed.length - 1];
+    failing.push({
+      traderId,
+      username: usernames.get(traderId) || null,
+      runs: runs.length,
+      failures: failed.length,
+      consecutiveFailures,
+      lastErrorCode: lastFailure.error_code || null,
+      lastError: lastFailure.error_message || null,
+      lastFailedAt: lastFailure.started_at,
+    });
+  }
+
+  return failing
+    .sort((a, b) => b.consecutiveFailures - a.consecutiveFailures || b.failures - a.failures)
+    .slice(0, limit);
+}
+
+/**
+ * Build the dashboard from sync_log rows.
+ *
+ * @param {Array<Object>} rows - sync_log rows in the window
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.usernames] - trader_id -> twitter_username
+ * @param {number} [options.days] - Window length, for the response
+ * @param {Date} [options.now]
+ * @param {number} [options.failingLimit]
+ * @returns {Object}
+ */
+function buildSyncDashboard(rows, options = {}) {
+  const now = options.now || new Date();
+  const days = options.days || DEFAULT_DASHBOARD_DAYS;
+  const ordered = [...(rows || [])].sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+
+  const bySource = {};
+  for (const [source, sourceRows] of groupBy(ordered, row => row.source || 'unknown')) {
+    bySource[source] = { ...countRuns(sourceRows), latencyMs: latencyPercentiles(sourceRows) };
+  }
+
+  const daily = [];
+  for (const [date, dayRows] of groupBy(ordered, row => String(row.started_at).slice(0, 10))) {
+    const latency = latencyPercentiles(dayRows);
+    daily.push({ date, ...countRuns(dayRows), p50: latency.p50, p95: latency.p95 });
+  }
+
+  return {
+    window: {
+      days,
+      from: new Date(now.getTime() - days * DAY_MS).toISOString(),
+      to: now.toISOString(),
+    },
+    totals: countRuns(ordered),
+    latencyMs: latencyPercentiles(ordered),
+    errorCodes: tally(ordered, 'error_code'),
+    dataSources: tally(ordered, 'data_source'),
+    bySource,
+    daily,
+    failingTraders: findFailingTraders(ordered, options.usernames || new Map(), options.failingLimit || FAILING_TRADERS_LIMIT),
+  };
+}
+
+module.exports = {
+  buildSyncDashboard,
+  percentile,
+  DEFAULT_DASHBOARD_DAYS,
+  MAX_DASHBOARD_DAYS,
+};
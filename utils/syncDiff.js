@@ -0,0 +1,233 @@
+// utils/syncDiff.js
+// Dry-run sync diffs: what a sync would change for a trader, compared with
+// what is stored. Used by ?dryRun=true on the sync API; nothing is written.
+
+const { tradesToRows, rowToTrade, serializeTrade } = require('./trades');
+const { STATISTICS_COLUMNS } = require('./syncWrite');
+
+// Sample trades listed per category in a single-trader diff
+const DIFF_SAMPLE_LIMIT = 50;
+
+const TRADE_NUMBER_FIELDS = ['quantity', 'entryPrice', 'exitPrice', 'profit'];
+const TRADE_TIME_FIELDS = ['openedAt', 'closedAt'];
+const TRADE_TEXT_FIELDS = ['symbol', 'productRoot', 'side', 'accountId'];
+
+function tradeKey(trade) {
+  return `${trade.source}:${trade.externalTradeId}`;
+}
+
+function timeOf(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+function numberOf(value) {
+  return value == null ? null : parseFloat(value);
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Whether two normalized trades differ in any stored field.
+ */
+function tradeChanged(before, after) {
+  return TRADE_NUMBER_FIELDS.some(field => numberOf(before[field]) !== numberOf(after[field])) ||
+    TRADE_TIME_FIELDS.some(field => timeOf(before[field]) !== timeOf(after[field])) ||
+    TRADE_TEXT_FIELDS.some(field => (before[field] ?? null) !== (after[field] ?? null));
+}
+
+/**
+ * Compare fetched trades with stored history.
+ *
+ *   added     - fetched trades that aren't stored yet
+ *   changed   - fetched trades whose stored copy differs (a sync would overwrite it)
+ *   removed   - stored trades the platform no longer returns: same source, an
+ *               account fetched without errors, closed at/after that account's
+ *               cursor. A real sync keeps them; they are listed for investigation.
+ *
+ * @param {Array<Object>} history - Stored trades (rowToTrade)
+ * @param {Array<Object>} trades - Fetched normalized trades
+ * @param {Object} options
+ * @param {string} options.source
+ * @param {Array<string>} options.fetchedAccountIds - Accounts whose trades were fetched
+ * @param {Object} [options.since] - Cursors the fetch used (accountId -> ISO timestamp)
+ * @param {number} [options.sampleLimit]
+ * @returns {Object}
+ */
+function diffTrades(history, trades, { source, fetchedAccountIds, since = {}, sampleLimit = DIFF_SAMPLE_LIMIT }) {
+  const stored = new Map((history || []).map(trade => [tradeKey(trade), trade]));
+  const fetched = tradesToRows(null, trades).map(rowToTrade);
+  const fetchedKeys = new Set(fetched.map(tradeKey));
+  const accounts = new Set((fetchedAccountIds || []).map(String));
+
+  const added = [];
+  const changed = [];
+  for (const trade of fetched) {
+    const before = stored.get(tradeKey(trade));
+    if (!before) added.push(trade);
+    else if (tradeChanged(before, trade)) changed.push({ before, after: trade });
+  }
+
+  const removed = (history || []).filter(trade => {
+    if (trade.source !== source || trade.accountId == null || !accounts.has(String(trade.accountId))) return false;
+    if (fetchedKeys.has(tradeKey(trade))) return false;
+    const cursor = timeOf(since[String(trade.accountId)]);
+    return cursor == null || (timeOf(trade.closedAt) ?? -Infinity) >= cursor;
+  });
+
+  const diff = {
+    fetched: fetched.length,
+    added: added.length,
+    changed: changed.length,
+    unchanged: fetched.length - added.length - changed.length,
+    removed: removed.length,
+  };
+
+  if (sampleLimit > 0) {
+    diff.samples = {
+      added: added.slice(0, sampleLimit).map(trade => serializeTrade(trade, true)),
+      changed: changed.slice(0, sampleLimit).map(({ before, after }) => ({
+        before: serializeTrade(before, true),
+        after: serializeTrade(after, true),
+      })),
+      removed: removed.slice(0, sampleLimit).map(trade => serializeTrade(trade, true)),
+    };
+  }
+
+  return diff;
+}
+
+/**
+ * Old vs new statistics. `before` is null when the trader has no statistics row.
+ *
+ * @param {Object|null} row - Stored statistics row
+ * @param {Object} stats - computeTraderStats() result the sync would store
+ * @returns {{ before: Object|null, after: Object, changes: Object }}
+ */
+function diffStatistics(row, stats) {
+  const before = row ? {} : null;
+  const after = {};
+  const changes = {};
+
+  for (const [key, column] of Object.entries(STATISTICS_COLUMNS)) {
+    const next = parseFloat(stats[key]) || 0;
+    after[key] = next;
+    const previous = row ? parseFloat(row[column]) || 0 : 0;
+    if (row) before[key] = previous;
+
+    if (Math.abs(next - previous) >= 0.005) {
+      changes[key] = { before: row ? previous : null, after: next, delta: round(next - previous) };
+    }
+  }
+
+  return { before, after, changes };
+}
+
+/**
+ * Build the diff for a dry-run sync.
+ *
+ * Traders with several connections pass one entry per connection in
+ * `sources`; their trade and payout counts are added up and samples
+ * combined. `duplicates` are the trades buildSyncWrite dropped because
+ * another source reported them too.
+ *
+ * @param {Object} params
+ * @param {string} [params.source] - Connection type (single connection)
+ * @param {Object} [params.result] - Adapter sync() result (single connection)
+ * @param {Object} [params.cursors] - Cursors the fetch used (single connection)
+ * @param {Array<{ source: string, result: Object, cursors: Object }>} [params.sources] - One per connection fetched
+ * @param {{ history: Array<Object>, accountRows: Array<Object>, payouts: Array<Object>, statistics: Object|null }} params.stored
+ * @param {Object} params.stats - Stats a real sync would store (buildSyncWrite)
+ * @param {Array<Object>} [params.duplicates] - From buildSyncWrite
+ * @param {number} [params.sampleLimit] - Sample trades per category; 0 for counts only
+ * @returns {Object}
+ */
+function buildSyncDiff({ source, result, cursors, sources, stored, stats, duplicates = [], sampleLimit = DIFF_SAMPLE_LIMIT }) {
+  const parts = (sources || [{ source, result, cursors }])
+    .map(entry => diffSource(entry, stored, sampleLimit));
+
+  const trades = parts.length === 1 ? parts[0].trades : combineTradeDiffs(parts.map(part => part.trades), sampleLimit);
+  trades.duplicates = duplicates.length;
+  if (trades.samples) {
+    trades.samples.duplicates = duplicates.slice(0, sampleLimit).map(trade => serializeTrade(trade, true));
+  }
+
+  const fetchedPayouts = parts.filter(part => part.payouts);
+  const payouts = fetchedPayouts.length === 0 ? null : {
+    fetched: fetchedPayouts.reduce((sum, part) => sum + part.payouts.fetched, 0),
+    added: fetchedPayouts.reduce((sum, part) => sum + part.payouts.added, 0),
+  };
+
+  return {
+    statistics: diffStatistics(stored.statistics, stats),
+    trades,
+    accounts: { newlySeen: parts.flatMap(part => part.newlySeen) },
+    payouts,
+  };
+}
+
+/**
+ * Trade, account and payout diff for one connection's fetch.
+ */
+function diffSource({ source, result, cursors }, stored, sampleLimit) {
+  const failedAccounts = new Set((result.fetchErrors || [])
+    .filter(e => e.accountId != null)
+    .map(e => String(e.accountId)));
+  const fetchedAccountIds = (result.accounts || [])
+    .map(account => String(account.id))
+    .filter(id => !failedAccounts.has(id));
+
+  const knownAccounts = new Set((stored.accountRows || [])
+    .filter(row => row.source === source)
+    .map(row => String(row.account_id)));
+  const newlySeen = (result.accounts || [])
+    .filter(account => !knownAccounts.has(String(account.id)))
+    .map(account => ({
+      accountId: String(account.id),
+      name: account.name || String(account.id),
+      displayName: account.displayName || account.name || String(account.id),
+      accountType: account.accountType || null,
+      balance: parseFloat(account.balance) || 0,
+    }));
+
+  let payouts = null;
+  if (result.payouts) {
+    const storedPayouts = new Set((stored.payouts || []).map(p => `${p.source}:${p.externalPayoutId}`));
+    payouts = {
+      fetched: result.payouts.length,
+      added: result.payouts.filter(p => !storedPayouts.has(`${p.source}:${p.externalPayoutId}`)).length,
+    };
+  }
+
+  return {
+    trades: diffTrades(stored.history, result.trades, { source, fetchedAccountIds, since: cursors, sampleLimit }),
+    newlySeen,
+    payouts,
+  };
+}
+
+/**
+ * Add up diffTrades() results from several connections.
+ */
+function combineTradeDiffs(diffs, sampleLimit) {
+  const combined = {};
+  for (const key of ['fetched', 'added', 'changed', 'unchanged', 'removed']) {
+    combined[key] = diffs.reduce((sum, diff) => sum + diff[key], 0);
+  }
+  if (sampleLimit > 0) {
+    combined.samples = {};
+    for (const key of ['added', 'changed', 'removed']) {
+      combined.samples[key] = diffs.flatMap(diff => diff.samples[key]).slice(0, sampleLimit);
+    }
+  }
+  return combined;
+}
+
+module.exports = {
+  buildSyncDiff,
+  diffTrades,
+  diffStatistics,
+  DIFF_SAMPLE_LIMIT,
+};
@@ -0,0 +1,110 @@
+// utils/syncJobs.js
+// Sync job states, progress tracking and API serialization
+// STIG V-222609 - Job IDs are validated before lookup
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const JOB_KINDS = ['all', 'trader', 'scheduled'];
+
+const JOB_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidJobId(id) {
+  return typeof id === 'string' && JOB_ID_REGEX.test(id);
+}
+
+/**
+ * Compact per-trader result stored on the job row.
+ * @param {Object} result - From syncSingleTrader / runSyncBatch
+ * @returns {Object}
+ */
+function toJobResult(result) {
+  const entry = {
+    trader: result.trader,
+    success: Boolean(result.success),
+    durationMs: result.durationMs ?? null,
+  };
+  if (result.success && result.stats) entry.totalTrades = result.stats.totalTrades;
+  if (result.written) {
+    entry.tradesWritten = result.written.trades;
+    entry.newTrades = result.written.newTrades;
+  }
+  if (result.partial) entry.partial = true;
+  if (!result.success) entry.error = result.error || 'Sync failed';
+  if (result.errorCode) entry.errorCode = result.errorCode;
+  if (result.timedOut) entry.timedOut = true;
+  if (result.diff) entry.diff = result.diff;
+  return entry;
+}
+
+/**
+ * Progress columns for a job, from the per-trader results so far.
+ * @param {number} total - Traders in the job
+ * @param {Array<Object>} results - toJobResult() entries (sparse while running)
+ * @returns {Object}
+ */
+function buildJobProgress(total, results) {
+  const finished = results.filter(Boolean);
+  const succeeded = finished.filter(r => r.success).length;
+  return {
+    total,
+    completed: finished.length,
+    succeeded,
+    failed: finished.length - succeeded,
+    timed_out: finished.filter(r => r.timedOut).length,
+    results: finished,
+  };
+}
+
+/**
+ * Final status once every trader has finished: a job only fails outright
+ * when it had traders and none of them synced. Partial failures show up
+ * in the per-trader results.
+ */
+function finalJobStatus(progress) {
+  return progress.total > 0 && progress.succeeded === 0 ? 'failed' : 'succeeded';
+}
+
+/**
+ * Serialize a sync_jobs row for the API.
+ * The detailed (sync API key) view includes per-trader results and errors;
+ * the public view used by the signup flow only reports status and progress.
+ *
+ * @param {Object} row - sync_jobs row
+ * @param {boolean} detailed
+ * @returns {Object}
+ */
+function serializeSyncJob(row, detailed) {
+  const job = {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    progress: {
+      total: row.total || 0,
+      completed: row.completed || 0,
+      succeeded: row.succeeded || 0,
+      failed: row.failed || 0,
+    },
+    createdAt: row.created_at,
+    startedAt: row.started_at || null,
+    completedAt: row.completed_at || null,
+  };
+
+  if (detailed) {
+    job.trigger = row.trigger;
+    job.dryRun = Boolean(row.dry_run);
+    job.progress.timedOut = row.timed_out || 0;
+    job.results = row.results || [];
+    job.error = row.error || null;
+  }
+
+  return job;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_KINDS,
+  isValidJobId,
+  toJobResult,
+  buildJobProgress,
+  finalJobStatus,
+  serializeSyncJob,
+};
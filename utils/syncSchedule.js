@@ -0,0 +1,142 @@
+// utils/syncSchedule.js
+// Staleness-aware sync scheduling: how often each trader is synced depends
+// on how recently they traded. Each trader carries a next_sync_at timestamp;
+// the scheduler only picks traders that are due.
+
+const { parsePositiveInt } = require('./env');
+const { MULTIPLE_CONNECTIONS, hasOnlySelfReported } = require('./connections');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_SCHEDULE = {
+  // Scheduler tick (node-cron expression)
+  tickCron: '*/15 * * * *',
+  // Tier thresholds: days since the trader's last closed trade
+  activeWithinDays: 3,
+  recentWithinDays: 14,
+  // Sync interval per tier
+  activeIntervalMinutes: 60,
+  recentIntervalMinutes: 240,
+  dormantIntervalMinutes: 1440,
+  // Upper bound on traders queued per tick; the rest stay due for the next one
+  maxPerTick: 500,
+};
+
+/**
+ * Read the schedule from environment variables, falling back to defaults:
+ *   SYNC_SCHEDULER_CRON            - tick schedule (default every 15 minutes)
+ *   SYNC_ACTIVE_WITHIN_DAYS        - traded within N days = active (default 3)
+ *   SYNC_RECENT_WITHIN_DAYS        - traded within N days = recent (default 14)
+ *   SYNC_ACTIVE_INTERVAL_MINUTES   - default 60
+ *   SYNC_RECENT_INTERVAL_MINUTES   - default 240
+ *   SYNC_DORMANT_INTERVAL_MINUTES  - default 1440
+ *   SYNC_MAX_PER_TICK              - default 500
+ *
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+function getScheduleConfig(env = process.env) {
+  return {
+    tickCron: env.SYNC_SCHEDULER_CRON || DEFAULT_SCHEDULE.tickCron,
+    activeWithinDays: parsePositiveInt(env.SYNC_ACTIVE_WITHIN_DAYS, DEFAULT_SCHEDULE.activeWithinDays),
+    recentWithinDays: parsePositiveInt(env.SYNC_RECENT_WITHIN_DAYS, DEFAULT_SCHEDULE.recentWithinDays),
+    activeIntervalMinutes: parsePositiveInt(env.SYNC_ACTIVE_INTERVAL_MINUTES, DEFAULT_SCHEDULE.activeIntervalMinutes),
+    recentIntervalMinutes: parsePositiveInt(env.SYNC_RECENT_INTERVAL_MINUTES, DEFAULT_SCHEDULE.recentIntervalMinutes),
+    dormantIntervalMinutes: parsePositiveInt(env.SYNC_DORMANT_INTERVAL_MINUTES, DEFAULT_SCHEDULE.dormantIntervalMinutes),
+    maxPerTick: parsePositiveInt(env.SYNC_MAX_PER_TICK, DEFAULT_SCHEDULE.maxPerTick),
+  };
+}
+
+/**
+ * Classify a trader for scheduling.
+ *   unlinked - no platform connection to fetch from (none, or statement
+ *              imports only, which sync on upload); never scheduled
+ *   expired  - auth expired; waits for re-authentication, never scheduled
+ *              (traders with several connections keep syncing the others)
+ *   active   - traded within activeWithinDays
+ *   recent   - traded within recentWithinDays, or hasn't traded yet
+ *   dormant  - no trades for longer than that
+ *
+ * @param {Object} trader - traders row
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {'unlinked'|'expired'|'active'|'recent'|'dormant'}
+ */
+function classifyTrader(trader, now = new Date(), config = DEFAULT_SCHEDULE) {
+  if (!trader.connection_type || trader.connection_type === 'none' || hasOnlySelfReported(trader)) return 'unlinked';
+  if (trader.auth_status === 'expired' && trader.connection_type !== MULTIPLE_CONNECTIONS) return 'expired';
+
+  const lastTradeAt = trader.last_trade_at ? new Date(trader.last_trade_at) : null;
+  if (!lastTradeAt || isNaN(lastTradeAt.getTime())) return 'recent';
+
+  const idleDays = (now.getTime() - lastTradeAt.getTime()) / DAY_MS;
+  if (idleDays <= config.activeWithinDays) return 'active';
+  if (idleDays <= config.recentWithinDays) return 'recent';
+  return 'dormant';
+}
+
+/**
+ * When a trader should next be synced, after a sync attempt at `now`.
+ * @param {Object} trader - traders row (with last_trade_at as of this sync)
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {Date|null} - null for traders that aren't scheduled
+ */
+function computeNextSyncAt(trader, now = new Date(), config = DEFAULT_SCHEDULE) {
+  const tier = classifyTrader(trader, now, config);
+  const minutes = {
+    active: config.activeIntervalMinutes,
+    recent: config.recentIntervalMinutes,
+    dormant: config.dormantIntervalMinutes,
+  }[tier];
+
+  return minutes ? new Date(now.getTime() + minutes * MINUTE_MS) : null;
+}
+
+/**
+ * Pick the traders due for a sync, most overdue first. Traders that have
+ * never been scheduled (no next_sync_at) are due immediately.
+ *
+ * @param {Array<Object>} traders - traders rows
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {{ due: Array<Object>, skipped: { unlinked: number, expired: number, notDue: number, overLimit: number } }}
+ */
+function selectDueTraders(traders, now = new Date(), config = DEFAULT_SCHEDULE) {
+  const skipped = { unlinked: 0, expired: 0, notDue: 0, overLimit: 0 };
+  const due = [];
+
+  for (const trader of traders || []) {
+    const tier = classifyTrader(trader, now, config);
+    if (tier === 'unlinked' || tier === 'expired') {
+      skipped[tier] += 1;
+      continue;
+    }
+
+    const nextSyncAt = trader.next_sync_at ? new Date(trader.next_sync_at) : null;
+    if (nextSyncAt && !isNaN(nextSyncAt.getTime()) && nextSyncAt > now) {
+      skipped.notDue += 1;
+      continue;
+    }
+    due.push(trader);
+  }
+
+  const dueAt = trader => (trader.next_sync_at ? new Date(trader.next_sync_at).getTime() : 0);
+  due.sort((a, b) => dueAt(a) - dueAt(b));
+
+  if (due.length > config.maxPerTick) {
+    skipped.overLimit = due.length - config.maxPerTick;
+    due.length = config.maxPerTick;
+  }
+
+  return { due, skipped };
+}
+
+module.exports = {
+  getScheduleConfig,
+  classifyTrader,
+  computeNextSyncAt,
+  selectDueTraders,
+  DEFAULT_SCHEDULE,
+};
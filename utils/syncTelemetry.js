@@ -0,0 +1,135 @@
+// utils/syncTelemetry.js
+// Per-sync telemetry: platform requests per endpoint, trades per account,
+// which Tradovate data source each account used, and a classified error code.
+// Stored on the sync_log row for the run.
+
+/**
+ * Classified sync error codes:
+ *   auth          - credentials/token rejected; the trader has to re-authenticate
+ *   upstream_down - platform unreachable: timeout, network error, 5xx, open circuit
+ *   rate_limited  - platform returned 429
+ *   upstream      - platform answered with another error (e.g. 404)
+ *   timeout       - the whole sync hit the orchestrator's per-trader limit
+ *   parse         - unexpected response shape
+ *   db            - reading or writing our own database failed
+ *   unknown       - anything else
+ */
+const SYNC_ERROR_CODES = ['auth', 'upstream_down', 'rate_limited', 'upstream', 'timeout', 'parse', 'db', 'unknown'];
+
+const AUTH_MESSAGE_REGEX = /authenticat|unauthori[sz]ed|re-authentication|access token|token expired/i;
+
+/**
+ * Classify a failed platform request from its FetchError code and HTTP status
+ * (also used for the fetchErrors summaries of a partial sync).
+ * @param {string} code - FetchError code
+ * @param {number|null} status
+ * @returns {string}
+ */
+function classifyFetchFailure(code, status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (code === 'RATE_LIMITED') return 'rate_limited';
+  // Cancelled because the sync ran out of time (syncOrchestrator)
+  if (code === 'ABORTED') return 'timeout';
+  if (['TIMEOUT', 'NETWORK', 'UPSTREAM', 'CIRCUIT_OPEN'].includes(code)) return 'upstream_down';
+  return 'upstream';
+}
+
+/**
+ * Map an error from a sync to one of SYNC_ERROR_CODES.
+ * @param {Error|Object} error
+ * @returns {string}
+ */
+function classifySyncError(error) {
+  if (!error) return 'unknown';
+
+  if (error.timedOut) return 'timeout';
+
+  // Adapters wrap some failures (e.g. "authentication failed"); classify by the cause
+  if (error.cause && error.cause.name === 'FetchError') return classifySyncError(error.cause);
+
+  // FetchError from adapters/httpClient
+  if (error.name === 'FetchError') return classifyFetchFailure(error.code, error.status);
+  if (error.code === 'TOKEN_REJECTED') return 'auth';
+
+  // PostgREST errors carry a PGRST code or a Postgres SQLSTATE (e.g. 23505), plus details/hint
+  if (typeof error.code === 'string' && (/^PGRST/.test(error.code) || /^[0-9][0-9A-Z]{4}$/.test(error.code))) return 'db';
+  if ('hint' in error && 'details' in error) return 'db';
+
+  if (error instanceof SyntaxError || error instanceof TypeError) return 'parse';
+  if (AUTH_MESSAGE_REGEX.test(error.message || '')) return 'auth';
+
+  return 'unknown';
+}
+
+/**
+ * Collects telemetry for one trader sync. Adapters receive it on the auth
+ * context (authContext.telemetry) and the HTTP client reports each request.
+ */
+class SyncTelemetry {
+  constructor(now = Date.now) {
+    this.now = now;
+    this.startedAt = now();
+    this.endpoints = {};
+    this.accounts = {};
+  }
+
+  /**
+   * One platform request, after retries.
+   * @param {Object} request - { endpoint, ok, status, code, attempts, durationMs }
+   */
+  recordRequest({ endpoint, ok, code = null, attempts = 1, durationMs = 0 }) {
+    const entry = this.endpoints[endpoint] ||
+      (this.endpoints[endpoint] = { requests: 0, failures: 0, retries: 0, totalMs: 0, errorCodes: {} });
+    entry.requests += 1;
+    entry.retries += Math.max(0, attempts - 1);
+    entry.totalMs += durationMs;
+    if (!ok) {
+      entry.failures += 1;
+      if (code) entry.errorCodes[code] = (entry.errorCodes[code] || 0) + 1;
+    }
+  }
+
+  /**
+   * What was fetched for one account. Merged into any earlier entry.
+   * @param {string|number} accountId
+   * @param {Object} fields - e.g. { dataSource: 'fillPair', fetched: 120, returned: 4 } or { failed: true, code }
+   */
+  recordAccount(accountId, fields) {
+    const key = String(accountId);
+    this.accounts[key] = { ...this.accounts[key], ...fields };
+  }
+
+  elapsedMs() {
+    return this.now() - this.startedAt;
+  }
+
+  /**
+   * Data source used across accounts: the single source, 'mixed', or null.
+   */
+  dataSource() {
+    const sources = new Set(Object.values(this.accounts).map(a => a.dataSource).filter(Boolean));
+    if (sources.size === 0) return null;
+    return sources.size === 1 ? [...sources][0] : 'mixed';
+  }
+
+  /**
+   * JSON for sync_log.telemetry.
+   */
+  toJSON() {
+    const endpoints = Object.values(this.endpoints);
+    return {
+      requests: endpoints.reduce((sum, e) => sum + e.requests, 0),
+      failedRequests: endpoints.reduce((sum, e) => sum + e.failures, 0),
+      retries: endpoints.reduce((sum, e) => sum + e.retries, 0),
+      endpoints: this.endpoints,
+      accounts: this.accounts,
+    };
+  }
+}
+
+module.exports = {
+  SyncTelemetry,
+  classifySyncError,
+  classifyFetchFailure,
+  SYNC_ERROR_CODES,
+};
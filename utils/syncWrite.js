@@ -0,0 +1,312 @@
+// utils/syncWrite.js
+// Builds the payload for apply_trader_sync (database/schema.sql), which
+// writes the whole result of one trader sync in a single transaction.
+// Everything derived from stored data (stats, account rows, the equity
+// snapshot) is computed here from stored rows merged with the fetched
+// data, so nothing has to be read back between writes.
+
+const BaseAdapter = require('../adapters/base');
+const { tradesToRows, mergeTrades, computeHighWaterMarks } = require('./trades');
+const { payoutsToRows, mergePayouts } = require('./payouts');
+const { computeTraderStats, buildSourceAccountRows, mergeAccountRows } = require('./accounts');
+const { buildEquitySnapshot } = require('./equity');
+const { computeNextSyncAt, DEFAULT_SCHEDULE } = require('./syncSchedule');
+const { findCrossSourceDuplicates, getAccountGroups, MULTIPLE_CONNECTIONS } = require('./connections');
+
+// statistics columns, keyed by computeTraderStats() field
+const STATISTICS_COLUMNS = {
+  totalProfit: 'total_profit',
+  verifiedPayouts: 'verified_payouts',
+  totalPayouts: 'total_payouts',
+  monthlyProfit: 'monthly_profit',
+  winRate: 'win_rate',
+  totalTrades: 'total_trades',
+  avgTradePnl: 'avg_trade_pnl',
+  bestTrade: 'best_trade',
+  worstTrade: 'worst_trade',
+  profitFactor: 'profit_factor',
+  selfReportedTrades: 'self_reported_trades',
+  ...BaseAdapter.RISK_METRIC_COLUMNS,
+};
+
+/**
+ * Build a trader's statistics row.
+ * @param {string} traderId
+ * @param {Object} stats - From computeTraderStats()
+ * @param {Date} [now]
+ * @param {Object} [platformOverrides] - statsOverrides a sync applied; stored as
+ *   platform_overrides so recalculations keep them. Omitted: the stored ones stay.
+ * @returns {Object}
+ */
+function buildStatisticsRow(traderId, stats, now = new Date(), platformOverrides) {
+  const row = { trader_id: traderId };
+  for (const [key, column] of Object.entries(STATISTICS_COLUMNS)) {
+    row[column] = stats[key] ?? 0;
+  }
+  if (platformOverrides) row.platform_overrides = platformOverrides;
+  row.updated_at = now.toISOString();
+  return row;
+}
+
+/**
+ * Platform summary figures (statsOverrides) that apply to a trader: only a
+ * trader with a single connection, since a platform's summary only covers
+ * its own accounts.
+ */
+function applicableOverrides(trader, fetchedCount, overrides) {
+  return fetchedCount === 1 && trader.connection_type !== MULTIPLE_CONNECTIONS ? overrides || {} : {};
+}
+
+/**
+ * trade_sync_cursors rows for accounts whose high-water mark advances.
+ * @param {string} traderId
+ * @param {string} source
+ * @param {Array<Object>} trades - Newly fetched normalized trades
+ * @param {Object} current - From loadSyncCursors()
+ * @param {Date} [now]
+ * @returns {Array<Object>}
+ */
+function buildCursorRows(traderId, source, trades, current, now = new Date()) {
+  return Object.entries(computeHighWaterMarks(trades, current)).map(([accountId, lastClosedAt]) => ({
+    trader_id: traderId,
+    source,
+    account_id: accountId,
+    last_closed_at: lastClosedAt,
+    updated_at: now.toISOString(),
+  }));
+}
+
+/**
+ * Close time of the newest trade, as an ISO string.
+ */
+function latestCloseTime(trades) {
+  let latest = null;
+  for (const trade of trades) {
+    const closedAt = new Date(trade.closedAt);
+    if (!isNaN(closedAt.getTime()) && (!latest || closedAt > latest)) latest = closedAt;
+  }
+  return latest ? latest.toISOString() : null;
+}
+
+/**
+ * Build the apply_trader_sync payload for one successful (or partial) sync.
+ *
+ * Stats are computed from stored history merged with the fetched trades,
+ * exactly as they would be after the writes; payouts that couldn't be
+ * fetched (result.payouts null) leave the stored ones as they are.
+ * Account IDs only ever accumulate in known_account_ids.
+ *
+ * A trader with several connections passes one entry per connection in
+ * `sources`. Trades two sources both report for accounts the trader has
+ * mapped to each other are written once, from the preferred source, and
+ * stored copies from the other source are removed
+ * (see utils/connections.findCrossSourceDuplicates). A platform's own stats
+ * summary (statsOverrides) only covers its accounts, so it is only applied
+ * to traders with a single connection.
+ *
+ * @param {Object} params
+ * @param {Object} params.trader - traders row
+ * @param {string} [params.source] - Connection type (single connection)
+ * @param {Object} [params.result] - Adapter sync() result (single connection)
+ * @param {Object} [params.cursors] - From loadSyncCursors() (single connection)
+ * @param {Array<{ source: string, result: Object, cursors: Object }>} [params.sources] - One per connection fetched
+ * @param {{ history: Array<Object>, accountRows: Array<Object>, payouts: Array<Object> }} params.stored
+ * @param {Object} [params.syncLog] - sync_log row; trades_synced is filled in by the database
+ * @param {Array<Object>} [params.connections] - trader_connections status per connection:
+ *   { connection_type, last_sync_status, last_sync_error }
+ * @param {Object} [params.scheduleConfig]
+ * @param {Date} [params.now]
+ * @returns {{ payload: Object, stats: Object, newAccountIds: Array<string>, duplicates: Array<Object> }}
+ */
+function buildSyncWrite({ trader, source, result, cursors, sources, stored, syncLog, connections, scheduleConfig = DEFAULT_SCHEDULE, now = new Date() }) {
+  const fetched = sources || [{ source, result, cursors }];
+  const results = fetched.map(entry => entry.result);
+
+  const fetchedPayouts = results.flatMap(r => r.payouts || []);
+  const payouts = results.some(r => r.payouts) ? mergePayouts(stored.payouts, fetchedPayouts) : stored.payouts;
+  const statsOverrides = applicableOverrides(trader, fetched.length, results[0].statsOverrides);
+
+  const { history, trades, removed, duplicates, accounts, stats } = mergeAndCompute(
+    trader,
+    fetched.map(entry => ({ source: entry.source, trades: entry.result.trades, accounts: entry.result.accounts })),
+    { ...stored, payouts },
+    statsOverrides,
+    now
+  );
+
+  const fetchedAccounts = results.flatMap(r => r.accounts || []);
+  const knownAccountIds = trader.known_account_ids || [];
+  const newAccountIds = [...new Set(fetchedAccounts.map(a => String(a.id)))]
+    .filter(id => !knownAccountIds.includes(id));
+  const known = [...knownAccountIds, ...newAccountIds];
+
+  // Schedule the next sync by how recently the trader last traded
+  const lastTradeAt = latestCloseTime(history) || trader.last_trade_at || null;
+  const nextSyncAt = computeNextSyncAt({ ...trader, last_trade_at: lastTradeAt }, now, scheduleConfig);
+
+  const payload = {
+    trader_id: trader.id,
+    trades: tradesToRows(trader.id, trades),
+    cursors: fetched.flatMap(entry => buildCursorRows(trader.id, entry.source, entry.result.trades, entry.cursors, now)),
+    payouts: payoutsToRows(trader.id, fetchedPayouts),
+    accounts,
+    statistics: buildStatisticsRow(trader.id, stats, now, statsOverrides),
+    equity_snapshot: buildEquitySnapshot(trader.id, stats, fetchedAccounts, now),
+    trader: {
+      known_account_ids: known,
+      total_accounts_linked: known.length,
+      updated_at: now.toISOString(),
+      last_synced_at: now.toISOString(),
+      last_trade_at: lastTradeAt,
+      next_sync_at: nextSyncAt ? nextSyncAt.toISOString() : null,
+    },
+  };
+  if (removed.length > 0) payload.removed_trades = removedTradeRows(removed);
+  if (connections) {
+    payload.connections = connections.map(row => ({ ...row, last_synced_at: now.toISOString() }));
+  }
+  if (syncLog) payload.sync_log = syncLog;
+
+  return { payload, stats, newAccountIds, duplicates };
+}
+
+/**
+ * Build the apply_trader_sync payload for trades pushed by the fill stream.
+ *
+ * Only trades, per-account stats, statistics and last_trade_at are written.
+ * Cursors stay where the last REST sync left them, so trades missed while
+ * the stream was disconnected are still picked up by the next scheduled
+ * sync; balances and the equity snapshot are also left to that sync.
+ *
+ * @param {Object} params
+ * @param {Object} params.trader - traders row
+ * @param {Array<Object>} params.trades - Normalized trades from the stream
+ * @param {{ history: Array<Object>, accountRows: Array<Object>, payouts: Array<Object> }} params.stored
+ * @param {Date} [params.now]
+ * @returns {{ payload: Object, stats: Object }}
+ */
+function buildStreamWrite({ trader, trades, stored, now = new Date() }) {
+  const merged = mergeAndCompute(trader, [{ source: 'tradovate', trades, accounts: [] }], stored, {}, now);
+  const lastTradeAt = latestCloseTime(merged.history) || trader.last_trade_at || null;
+
+  const payload = {
+    trader_id: trader.id,
+    trades: tradesToRows(trader.id, merged.trades),
+    accounts: merged.accounts,
+    statistics: buildStatisticsRow(trader.id, merged.stats, now),
+    trader: { last_trade_at: lastTradeAt, updated_at: now.toISOString() },
+  };
+  if (merged.removed.length > 0) payload.removed_trades = removedTradeRows(merged.removed);
+
+  return { payload, stats: merged.stats };
+}
+
+/**
+ * Build the apply_trader_sync payload that recomputes a trader's statistics
+ * and per-account stats from stored rows alone (no platform calls), e.g.
+ * after the trader changes which accounts count. Stored trades another
+ * source also reported are removed.
+ *
+ * The platform summary figures the last sync applied
+ * (statistics.platform_overrides, e.g. TradeSyncer's total profit and win
+ * rate) are applied again for a trader with a single connection, so a
+ * recalculation gives the same numbers a sync would.
+ *
+ * @param {Object} params
+ * @param {Object} params.trader - traders row (id, connection_type)
+ * @param {{ history: Array<Object>, accountRows: Array<Object>, payouts: Array<Object>, statistics?: Object }} params.stored
+ *   statistics is the stored statistics row, if any
+ * @param {Date} [params.now]
+ * @returns {{ payload: Object, stats: Object }}
+ */
+function buildRecalculateWrite({ trader, stored, now = new Date() }) {
+  const sources = [...new Set((stored.history || []).map(trade => trade.source).filter(Boolean))];
+  const overrides = applicableOverrides(trader, 1, stored.statistics?.platform_overrides);
+  const merged = mergeAndCompute(trader, sources.map(source => ({ source, trades: [], accounts: [] })), stored, overrides, now);
+
+  const payload = {
+    trader_id: trader.id,
+    statistics: buildStatisticsRow(trader.id, merged.stats, now),
+    accounts: merged.accounts,
+  };
+  if (merged.removed.length > 0) payload.removed_trades = removedTradeRows(merged.removed);
+
+  return { payload, stats: merged.stats };
+}
+
+function tradeKey(trade) {
+  return `${trade.source}:${trade.externalTradeId}`;
+}
+
+/**
+ * (source, external_trade_id) of stored trades apply_trader_sync deletes.
+ */
+function removedTradeRows(trades) {
+  return trades.map(trade => ({ source: trade.source, external_trade_id: trade.externalTradeId }));
+}
+
+/**
+ * Stored history merged with new trades, minus trades another source
+ * already reported, plus the account rows to write and the resulting
+ * trader stats.
+ *
+ *   history    - trades as they will be stored
+ *   trades     - fetched trades to write
+ *   removed    - stored trades to delete (duplicates of another source's copy)
+ *   duplicates - every trade dropped as a duplicate, stored or fetched
+ *
+ * @param {Object} trader
+ * @param {Array<{ source: string, trades: Array<Object>, accounts: Array<Object> }>} fetched
+ */
+function mergeAndCompute(trader, fetched, stored, statsOverrides, now) {
+  const fetchedTrades = fetched.flatMap(entry => entry.trades || []);
+  const { kept: history, duplicates } = findCrossSourceDuplicates(
+    mergeTrades(stored.history, fetchedTrades), getAccountGroups(stored.accountRows));
+
+  const duplicateKeys = new Set(duplicates.filter(t => t.externalTradeId != null).map(tradeKey));
+  const storedKeys = new Set((stored.history || []).filter(t => t.externalTradeId != null).map(tradeKey));
+  const trades = fetchedTrades.filter(trade => !duplicateKeys.has(tradeKey(trade)));
+  const removed = duplicates.filter(t => t.externalTradeId != null && storedKeys.has(tradeKey(t)));
+
+  // Per-account rows: platform metadata plus stats for each account
+  const accountsBySource = {};
+  for (const entry of fetched) {
+    accountsBySource[entry.source] = [...(accountsBySource[entry.source] || []), ...(entry.accounts || [])];
+  }
+  const accounts = buildSourceAccountRows(trader.id, Object.keys(accountsBySource), history, accountsBySource, now);
+
+  // Leaderboard stats only count the accounts the trader has chosen to include
+  const accountRows = mergeAccountRows(stored.accountRows, accounts);
+  const stats = computeTraderStats(history, accountRows, statsOverrides, stored.payouts);
+
+  return { history, trades, removed, duplicates, accounts, stats };
+}
+
+/**
+ * Normalize the apply_trader_sync result (row counts actually written).
+ * @param {Object} data - Function result
+ * @returns {{ trades: number, newTrades: number, removedTrades: number, payouts: number, accounts: number, cursors: number, syncLogId: string|null }}
+ */
+function parseSyncWriteResult(data) {
+  const counts = data || {};
+  return {
+    trades: counts.trades_written || 0,
+    newTrades: counts.trades_inserted || 0,
+    removedTrades: counts.trades_removed || 0,
+    payouts: counts.payouts_written || 0,
+    accounts: counts.accounts_written || 0,
+    cursors: counts.cursors_written || 0,
+    syncLogId: counts.sync_log_id || null,
+  };
+}
+
+module.exports = {
+  buildSyncWrite,
+  buildStreamWrite,
+  buildRecalculateWrite,
+  buildStatisticsRow,
+  buildCursorRows,
+  parseSyncWriteResult,
+  latestCloseTime,
+  STATISTICS_COLUMNS,
+};
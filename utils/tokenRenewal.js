@@ -0,0 +1,111 @@
+// utils/tokenRenewal.js
+// Tradovate token renewal: which tokens to renew and how to read a failure.
+// Tokens are renewed ahead of expiry; a trader is only marked expired once
+// renewal has definitely failed, never for a transient upstream problem.
+
+const { parsePositiveInt } = require('./env');
+const { hasConnection } = require('./connections');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_RENEWAL = {
+  // Renewal pass (node-cron expression)
+  renewalCron: '*/10 * * * *',
+  // Renew tokens expiring within this many minutes
+  renewBeforeMinutes: 30,
+};
+
+/**
+ * Read renewal settings from environment variables:
+ *   TOKEN_RENEWAL_CRON             - renewal pass schedule (default every 10 minutes)
+ *   TOKEN_RENEW_BEFORE_MINUTES     - renew tokens expiring within N minutes (default 30)
+ *
+ * The window must be longer than the pass interval, or tokens can expire
+ * between passes.
+ *
+ * @param {Object} [env]
+ * @returns {{ renewalCron: string, renewBeforeMinutes: number }}
+ */
+function getRenewalConfig(env = process.env) {
+  return {
+    renewalCron: env.TOKEN_RENEWAL_CRON || DEFAULT_RENEWAL.renewalCron,
+    renewBeforeMinutes: parsePositiveInt(env.TOKEN_RENEW_BEFORE_MINUTES, DEFAULT_RENEWAL.renewBeforeMinutes),
+  };
+}
+
+/**
+ * Whether a token's expiry time has passed. Unknown expiry counts as not expired.
+ * @param {Object} trader - traders row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isTokenExpired(trader, now = new Date()) {
+  if (!trader.tradovate_token_expires_at) return false;
+  const expiresAt = new Date(trader.tradovate_token_expires_at);
+  return !isNaN(expiresAt.getTime()) && expiresAt <= now;
+}
+
+/**
+ * Traders linked to Tradovate whose token should be renewed now: not already expired,
+ * holding a token, and expiring within the renewal window (or with no
+ * recorded expiry). Soonest expiry first.
+ *
+ * @param {Array<Object>} traders - traders rows
+ * @param {Date} [now]
+ * @param {Object} [config]
+ * @returns {Array<Object>}
+ */
+function selectTokensToRenew(traders, now = new Date(), config = DEFAULT_RENEWAL) {
+  const cutoff = now.getTime() + config.renewBeforeMinutes * MINUTE_MS;
+  const expiryOf = trader => {
+    const time = new Date(trader.tradovate_token_expires_at || 0).getTime();
+    return isNaN(time) ? 0 : time;
+  };
+
+  return (traders || [])
+    .filter(trader =>
+      hasConnection(trader, 'tradovate') &&
+      trader.auth_status !== 'expired' &&
+      trader.tradovate_access_token &&
+      expiryOf(trader) <= cutoff)
+    .sort((a, b) => expiryOf(a) - expiryOf(b));
+}
+
+/**
+ * Whether a renewal error means the token can't be renewed: Tradovate
+ * rejected it (4xx other than 429, or a response without a token). Timeouts,
+ * network errors, 429, 5xx and an open circuit are transient.
+ *
+ * @param {Error} error - From TradovateAdapter.renewToken()
+ * @returns {boolean}
+ */
+function isDefiniteRenewalFailure(error) {
+  if (!error) return false;
+  if (error.code === 'TOKEN_REJECTED') return true;
+  return error.code === 'HTTP_ERROR' && error.status >= 400 && error.status < 500 && error.status !== 429;
+}
+
+/**
+ * Decide what a failed renewal means for the trader. A transient failure is
+ * still final once the token has expired, since an expired token can no
+ * longer be renewed.
+ *
+ * @param {Object} trader - traders row
+ * @param {Error} error
+ * @param {Date} [now]
+ * @returns {{ expired: boolean, reason: 'rejected'|'token_expired'|'transient' }}
+ */
+function classifyRenewalFailure(trader, error, now = new Date()) {
+  if (isDefiniteRenewalFailure(error)) return { expired: true, reason: 'rejected' };
+  if (isTokenExpired(trader, now)) return { expired: true, reason: 'token_expired' };
+  return { expired: false, reason: 'transient' };
+}
+
+module.exports = {
+  getRenewalConfig,
+  isTokenExpired,
+  selectTokensToRenew,
+  isDefiniteRenewalFailure,
+  classifyRenewalFailure,
+  DEFAULT_RENEWAL,
+};
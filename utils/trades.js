@@ -0,0 +1,344 @@
+// utils/trades.js
+// Helpers for moving trades between the adapter shape and trade_history rows,
+// plus query parsing and serialization for the trade history API
+
+const BaseAdapter = require('../adapters/base');
+const { parseContractSymbol } = require('../adapters/tradovateContracts');
+const { parseIntegerParam } = require('../middleware/inputSanitizer');
+const { parsePeriodQuery } = require('./periods');
+
+const DEFAULT_TRADE_PAGE_SIZE = 50;
+const MAX_TRADE_PAGE_SIZE = 200;
+const TRADE_SIDES = ['buy', 'sell'];
+
+// Futures symbols (ESH6), resolved contract placeholders (contract-123), dotted roots
+const SYMBOL_REGEX = /^[A-Za-z0-9.\-]{1,32}$/;
+const ACCOUNT_ID_REGEX = /^[A-Za-z0-9_\-]{1,64}$/;
+
+/**
+ * Convert a trade_history row (snake_case) to the normalized trade shape
+ * produced by the adapters (see BaseAdapter).
+ * @param {Object} row - trade_history row
+ * @returns {Object} - Normalized trade
+ */
+function rowToTrade(row) {
+  return {
+    externalTradeId: row.external_trade_id,
+    symbol: row.symbol,
+    productRoot: row.product_root,
+    side: row.side,
+    quantity: row.quantity,
+    entryPrice: row.entry_price != null ? parseFloat(row.entry_price) : null,
+    exitPrice: row.exit_price != null ? parseFloat(row.exit_price) : null,
+    profit: parseFloat(row.profit) || 0,
+    openedAt: row.opened_at,
+    closedAt: row.closed_at,
+    accountId: row.account_id,
+    source: row.source,
+  };
+}
+
+/**
+ * Convert normalized trades to trade_history rows for upsert on
+ * (trader_id, source, external_trade_id). Duplicate keys within the batch
+ * are collapsed (last one wins), since Postgres rejects an upsert that
+ * touches the same row twice.
+ *
+ * @param {string} traderId
+ * @param {Array<Object>} trades - Normalized trades
+ * @returns {Array<Object>} - trade_history rows
+ */
+function tradesToRows(traderId, trades) {
+  const byKey = new Map();
+  for (const trade of trades || []) {
+    byKey.set(`${trade.source}:${trade.externalTradeId}`, {
+      trader_id: traderId,
+      external_trade_id: trade.externalTradeId,
+      account_id: trade.accountId != null ? String(trade.accountId) : null,
+      symbol: trade.symbol,
+      // Adapters that know the product set productRoot; otherwise derive it from the symbol
+      product_root: trade.productRoot || parseContractSymbol(trade.symbol)?.root || null,
+      side: trade.side,
+      quantity: trade.quantity,
+      entry_price: trade.entryPrice,
+      exit_price: trade.exitPrice,
+      profit: trade.profit,
+      opened_at: trade.openedAt,
+      closed_at: trade.closedAt,
+      source: trade.source,
+    });
+  }
+  return [...byKey.values()];
+}
+
+function closeTime(trade) {
+  const time = new Date(trade.closedAt).getTime();
+  return trade.closedAt && !isNaN(time) ? time : Infinity;
+}
+
+/**
+ * Merge newly fetched trades into stored history the way the trade_history
+ * upsert does: a re-fetched trade (same source and externalTradeId) replaces
+ * its stored copy. Ordered by close time, like loadTradeHistory().
+ *
+ * @param {Array<Object>} history - Stored trades (rowToTrade)
+ * @param {Array<Object>} trades - Newly fetched normalized trades
+ * @returns {Array<Object>} - Normalized trades as they will be stored
+ */
+function mergeTrades(history, trades) {
+  const byKey = new Map();
+  (history || []).forEach((trade, i) => {
+    // Legacy rows without an external ID never conflict with anything
+    byKey.set(trade.externalTradeId != null ? `${trade.source}:${trade.externalTradeId}` : `stored:${i}`, trade);
+  });
+  for (const row of tradesToRows(null, trades)) {
+    byKey.set(`${row.source}:${row.external_trade_id}`, rowToTrade(row));
+  }
+  return [...byKey.values()].sort((a, b) => closeTime(a) - closeTime(b));
+}
+
+/**
+ * Work out which per-account high-water marks advance after a sync.
+ * @param {Array<Object>} trades - Newly fetched normalized trades
+ * @param {Object} current - accountId -> ISO timestamp already stored
+ * @returns {Object} - accountId -> ISO timestamp, only for accounts that moved forward
+ */
+function computeHighWaterMarks(trades, current = {}) {
+  const marks = {};
+  for (const trade of trades || []) {
+    if (trade.accountId == null || !trade.closedAt) continue;
+    const closedAt = new Date(trade.closedAt);
+    if (isNaN(closedAt.getTime())) continue;
+
+    const accountId = String(trade.accountId);
+    const best = marks[accountId] || current[accountId];
+    if (!best || closedAt > new Date(best)) {
+      marks[accountId] = closedAt.toISOString();
+    }
+  }
+  return marks;
+}
+
+/**
+ * Group trade_history rows by trader_id.
+ * @param {Array<Object>} rows
+ * @returns {Map<string, Array<Object>>} - trader_id -> normalized trades
+ */
+function groupTradesByTrader(rows) {
+  const grouped = new Map();
+  for (const row of rows || []) {
+    if (!grouped.has(row.trader_id)) grouped.set(row.trader_id, []);
+    grouped.get(row.trader_id).push(rowToTrade(row));
+  }
+  return grouped;
+}
+
+/**
+ * Validate trade history query params from req.query.
+ *
+ *   period/from/to - see parsePeriodQuery (filters on close time)
+ *   symbol         - exact symbol, e.g. 'ESH6'
+ *   root           - product root across expiries, e.g. 'ES'
+ *   side           - 'buy' or 'sell'
+ *   accountId      - platform account ID
+ *   order          - 'asc' or 'desc' by close time (default desc)
+ *   limit          - page size (1-200, default 50)
+ *   page           - 1-based page number
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ valid: boolean, error?: string, options?: Object }}
+ */
+function parseTradeQuery(query = {}) {
+  const periodQuery = parsePeriodQuery(query);
+  if (!periodQuery.valid) {
+    return { valid: false, error: periodQuery.error };
+  }
+
+  const options = {
+    period: periodQuery.period,
+    symbol: null,
+    root: null,
+    side: null,
+    accountId: null,
+    order: 'desc',
+    limit: DEFAULT_TRADE_PAGE_SIZE,
+    page: 1,
+  };
+
+  if (query.symbol !== undefined) {
+    if (typeof query.symbol !== 'string' || !SYMBOL_REGEX.test(query.symbol)) {
+      return { valid: false, error: 'Invalid symbol' };
+    }
+    options.symbol = query.symbol;
+  }
+
+  if (query.root !== undefined) {
+    if (typeof query.root !== 'string' || !SYMBOL_REGEX.test(query.root)) {
+      return { valid: false, error: 'Invalid product root' };
+    }
+    options.root = query.root.toUpperCase();
+  }
+
+  if (query.side !== undefined) {
+    if (!TRADE_SIDES.includes(query.side)) {
+      return { valid: false, error: 'Invalid side. Use "buy" or "sell".' };
+    }
+    options.side = query.side;
+  }
+
+  if (query.accountId !== undefined) {
+    if (typeof query.accountId !== 'string' || !ACCOUNT_ID_REGEX.test(query.accountId)) {
+      return { valid: false, error: 'Invalid account ID' };
+    }
+    options.accountId = query.accountId;
+  }
+
+  if (query.order !== undefined) {
+    if (query.order !== 'asc' && query.order !== 'desc') {
+      return { valid: false, error: 'Invalid sort order. Use "asc" or "desc".' };
+    }
+    options.order = query.order;
+  }
+
+  const limit = parseIntegerParam(query.limit);
+  if (limit === null || limit === 0 || limit > MAX_TRADE_PAGE_SIZE) {
+    return { valid: false, error: `limit must be between 1 and ${MAX_TRADE_PAGE_SIZE}` };
+  }
+  if (limit !== undefined) options.limit = limit;
+
+  const page = parseIntegerParam(query.page);
+  if (page === null || page === 0) {
+    return { valid: false, error: 'page must be a positive integer' };
+  }
+  if (page !== undefined) options.page = page;
+
+  return { valid: true, options };
+}
+
+/**
+ * Serialize a normalized trade for the API.
+ * Public viewers see outcomes only; the profile owner also sees prices,
+ * account and platform identifiers.
+ *
+ * @param {Object} trade - Normalized trade
+ * @param {boolean} detailed - Include owner-only fields
+ * @returns {Object}
+ */
+function serializeTrade(trade, detailed) {
+  const serialized = {
+    symbol: trade.symbol,
+    productRoot: trade.productRoot,
+    side: trade.side,
+    quantity: trade.quantity,
+    profit: trade.profit,
+    openedAt: trade.openedAt,
+    closedAt: trade.closedAt,
+  };
+
+  if (detailed) {
+    serialized.entryPrice = trade.entryPrice;
+    serialized.exitPrice = trade.exitPrice;
+    serialized.accountId = trade.accountId;
+    serialized.externalTradeId = trade.externalTradeId;
+    serialized.source = trade.source;
+  }
+
+  return serialized;
+}
+
+const round = value => parseFloat(value.toFixed(2));
+
+/**
+ * Per-symbol aggregates of a set of trades, in the shape of
+ * summarize_trade_history rows (see database/schema.sql).
+ * @param {Array<Object>} trades - Normalized trades
+ * @returns {Array<Object>}
+ */
+function aggregateBySymbol(trades) {
+  const bySymbol = new Map();
+  for (const trade of trades || []) {
+    const profit = parseFloat(trade.profit) || 0;
+    const row = bySymbol.get(trade.symbol) || {
+      symbol: trade.symbol, trades: 0, profit: 0, winners: 0, gross_wins: 0, gross_losses: 0, best_trade: profit, worst_trade: profit,
+    };
+    row.trades += 1;
+    row.profit += profit;
+    if (profit > 0) {
+      row.winners += 1;
+      row.gross_wins += profit;
+    } else if (profit < 0) {
+      row.gross_losses -= profit;
+    }
+    row.best_trade = Math.max(row.best_trade, profit);
+    row.worst_trade = Math.min(row.worst_trade, profit);
+    bySymbol.set(trade.symbol, row);
+  }
+  return [...bySymbol.values()];
+}
+
+/**
+ * Build the trade history summary from per-symbol aggregates. Totals match
+ * BaseAdapter.calculateStats() over the same trades.
+ * @param {Array<Object>} rows - summarize_trade_history rows or aggregateBySymbol()
+ * @returns {Object}
+ */
+function summarizeSymbolAggregates(rows) {
+  let totalTrades = 0;
+  let totalProfit = 0;
+  let winners = 0;
+  let grossWins = 0;
+  let grossLosses = 0;
+  let bestTrade = 0;
+  let worstTrade = 0;
+  const bySymbol = [];
+
+  for (const row of rows || []) {
+    const trades = Number(row.trades) || 0;
+    const profit = parseFloat(row.profit) || 0;
+    totalTrades += trades;
+    totalProfit += profit;
+    winners += Number(row.winners) || 0;
+    grossWins += parseFloat(row.gross_wins) || 0;
+    grossLosses += parseFloat(row.gross_losses) || 0;
+    bestTrade = Math.max(bestTrade, parseFloat(row.best_trade) || 0);
+    worstTrade = Math.min(worstTrade, parseFloat(row.worst_trade) || 0);
+    bySymbol.push({ symbol: row.symbol, trades, profit: round(profit) });
+  }
+
+  return {
+    totalTrades,
+    totalProfit: round(totalProfit),
+    winRate: totalTrades > 0 ? round((winners / totalTrades) * 100) : 0,
+    avgTradePnl: totalTrades > 0 ? round(totalProfit / totalTrades) : 0,
+    bestTrade: round(bestTrade),
+    worstTrade: round(worstTrade),
+    profitFactor: totalTrades > 0 ? BaseAdapter.ratio(grossWins, grossLosses) : 0,
+    // Trades stored before symbols were resolved may have none
+    bySymbol: bySymbol.sort((a, b) =>
+      b.trades - a.trades || String(a.symbol ?? '').localeCompare(String(b.symbol ?? ''))),
+  };
+}
+
+/**
+ * Aggregate a set of trades for the trade history summary, in memory.
+ * The API builds the same summary from summarize_trade_history.
+ * @param {Array<Object>} trades - Normalized trades
+ * @returns {Object}
+ */
+function summarizeTrades(trades) {
+  return summarizeSymbolAggregates(aggregateBySymbol(trades));
+}
+
+module.exports = {
+  rowToTrade,
+  tradesToRows,
+  mergeTrades,
+  groupTradesByTrader,
+  computeHighWaterMarks,
+  parseTradeQuery,
+  serializeTrade,
+  aggregateBySymbol,
+  summarizeSymbolAggregates,
+  summarizeTrades,
+  MAX_TRADE_PAGE_SIZE,
+};